@@ -0,0 +1,225 @@
+// ============================================
+// 🔐 인증 / 권한 미들웨어
+// - Bearer 토큰 → 인증 리포지토리 사용자 (요청당 한 번만 조회, req.user에 저장)
+// - 기기 세션 확인: 로그아웃/종료된 세션의 토큰은 거부 (req.sessionId에 현재 세션)
+// - 2단계 인증을 켠 사용자는 /api/auth/login/mfa를 통과한 세션의 토큰만 허용
+// - authenticate: 로그인 필수 / optionalAuth: 비로그인 허용 (req.user = null)
+// - requireSelf, requireOwnership: 본인 리소스만 수정
+// - requireAdmin: app_metadata.role === 'admin' (인증 리포지토리로 다시 확인)
+// ============================================
+// 👑 관리자 지정 (Supabase SQL Editor 또는 Admin API)
+//
+// update auth.users
+//   set raw_app_meta_data = raw_app_meta_data || '{"role": "admin"}'
+//   where email = 'admin@example.com';
+// ============================================
+const { supabase } = require('../utils/supabase');
+const { getRepositories } = require('../repositories');
+const { touchSession } = require('../utils/sessions');
+
+const { auth: authRepository } = getRepositories();
+
+const ADMIN_ROLE = 'admin';
+
+// Authorization 헤더에서 Bearer 토큰 추출
+const extractToken = (req) => {
+  return req.headers.authorization?.replace('Bearer ', '') || null;
+};
+
+// 🔑 토큰으로 사용자 조회 (유효하지 않으면 null)
+const getUserFromToken = async (token) => {
+  if (!token) return null;
+
+  // 🏗️ 인증 리포지토리가 자동 처리:
+  // - JWT 토큰 검증 및 만료 확인 ✅
+  // - 사용자 ID 추출 ✅
+  const { data, error } = await authRepository.getUser(token);
+  return error || !data?.user ? null : data.user;
+};
+
+// 👤 요청의 사용자 조회 (라우터가 중첩되어도 한 번만 조회)
+const resolveUser = async (req) => {
+  if (req.user === undefined) {
+    const token = extractToken(req);
+    const user = await getUserFromToken(token);
+
+    req.user = null;
+    if (user) {
+      const { sessionId, revoked, mfaRequired } = await touchSession({ token, userId: user.id, req });
+      req.sessionId = sessionId;
+      req.sessionRevoked = revoked;
+      req.sessionMfaRequired = mfaRequired;
+      if (!revoked && !mfaRequired) req.user = user;
+    }
+  }
+  return req.user;
+};
+
+// ============================================
+// 🔑 로그인 필수
+// ============================================
+const authenticate = async (req, res, next) => {
+  try {
+    if (!extractToken(req)) {
+      return res.status(401).json({
+        error: 'Unauthorized',
+        message: '인증 토큰이 필요합니다.',
+        note: 'Authorization 헤더에 Bearer 토큰을 포함해주세요.'
+      });
+    }
+
+    if (!await resolveUser(req)) {
+      if (req.sessionRevoked) {
+        return res.status(401).json({
+          error: 'Unauthorized',
+          message: '로그아웃된 세션입니다. 다시 로그인해주세요.',
+          code: 'SESSION_REVOKED'
+        });
+      }
+      if (req.sessionMfaRequired) {
+        return res.status(401).json({
+          error: 'Unauthorized',
+          message: '2단계 인증이 필요합니다. POST /api/auth/login 으로 다시 로그인해주세요.',
+          code: 'MFA_REQUIRED'
+        });
+      }
+      return res.status(401).json({
+        error: 'Unauthorized',
+        message: '유효하지 않은 토큰입니다.'
+      });
+    }
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// ============================================
+// 👀 로그인 선택 (공개 조회용, 토큰이 없거나 유효하지 않으면 req.user = null)
+// ============================================
+const optionalAuth = async (req, res, next) => {
+  try {
+    await resolveUser(req);
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// 👑 관리자 여부 (토큰의 app_metadata는 오래됐을 수 있으므로 다시 조회)
+const isAdmin = async (req) => {
+  if (!req.user) return false;
+
+  if (req.isAdmin === undefined) {
+    const { data, error } = await authRepository.getUserById(req.user.id);
+    req.isAdmin = !error && data?.user?.app_metadata?.role === ADMIN_ROLE;
+  }
+  return req.isAdmin;
+};
+
+// ============================================
+// 👑 관리자 전용 (authenticate 다음에 사용)
+// ============================================
+const requireAdmin = async (req, res, next) => {
+  try {
+    if (!await isAdmin(req)) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: '관리자만 사용할 수 있는 기능입니다.'
+      });
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// ============================================
+// 🙋 본인 확인 (/:id 가 로그인한 사용자여야 함, 관리자 허용)
+// - authenticate 다음에 사용
+// ============================================
+const requireSelf = (message = '본인의 정보만 수정할 수 있습니다.', param = 'id') => async (req, res, next) => {
+  try {
+    if (req.params[param] !== req.user.id && !await isAdmin(req)) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message
+      });
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// ============================================
+// 🔏 리소스 소유자 확인 (authenticate 다음에 사용)
+// - 조회한 행은 req[as]에 저장 (기본 req.dive)
+// - allowAdmin: 관리자도 통과 (삭제 등 관리 목적)
+// ============================================
+const requireOwnership = ({
+  table = 'dives',
+  select = 'id, user_id',
+  ownerColumn = 'user_id',
+  param = 'id',
+  as = 'dive',
+  label = '다이빙',
+  message = '본인의 다이빙 기록만 수정할 수 있습니다.',
+  allowAdmin = false
+} = {}) => async (req, res, next) => {
+  try {
+    const resourceId = req.params[param];
+
+    // UUID 형식 검증
+    const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+    if (!uuidRegex.test(resourceId)) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: `유효하지 않은 ${label} ID 형식입니다.`
+      });
+    }
+
+    const { data: resource, error } = await supabase
+      .from(table)
+      .select(select)
+      .eq('id', resourceId)
+      .maybeSingle();
+
+    if (error) {
+      throw error;
+    }
+
+    if (!resource) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: `${label} 기록을 찾을 수 없습니다.`
+      });
+    }
+
+    if (resource[ownerColumn] !== req.user.id && !(allowAdmin && await isAdmin(req))) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message
+      });
+    }
+
+    req[as] = resource;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// 내보내기
+module.exports = {
+  extractToken,       // 토큰 추출
+  getUserFromToken,   // 토큰으로 사용자 조회
+  resolveUser,        // 요청 사용자 조회 (캐시)
+  authenticate,       // 로그인 필수
+  optionalAuth,       // 로그인 선택
+  isAdmin,            // 관리자 여부
+  requireAdmin,       // 관리자 전용
+  requireSelf,        // 본인 확인
+  requireOwnership    // 리소스 소유자 확인
+};
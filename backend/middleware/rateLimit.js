@@ -0,0 +1,123 @@
+// ============================================
+// 🚦 요청 제한 미들웨어
+// - 읽기(GET) / 쓰기 / 인증 요청을 따로 계산 (IP 기준, 15분 고정 윈도우)
+// - 로그인/가입/비밀번호 찾기는 계정(이메일) 기준 제한도 추가
+// - 초과 시 429 + Retry-After, 모든 응답에 RateLimit-* 헤더
+// - 저장소는 utils/rateLimit 참고 (memory | redis), 저장소 장애 시에는 제한 없이 통과
+// - 프록시 뒤에서는 TRUST_PROXY를 설정해야 클라이언트 IP로 계산됨
+// ============================================
+// ⚙️ 환경변수 (요청 수는 윈도우당)
+//   RATE_LIMIT_ENABLED=false      제한 끄기 (로컬 부하 테스트 등)
+//   RATE_LIMIT_WINDOW_MINUTES=15
+//   RATE_LIMIT_READ_MAX=600       GET/HEAD/OPTIONS
+//   RATE_LIMIT_WRITE_MAX=120      POST/PUT/PATCH/DELETE
+//   RATE_LIMIT_AUTH_MAX=20        로그인/가입 등 (IP당)
+//   RATE_LIMIT_ACCOUNT_MAX=10     로그인/가입 등 (이메일당)
+// ============================================
+const { getRateLimitStore } = require('../utils/rateLimit');
+
+const RATE_LIMIT_ENABLED = process.env.RATE_LIMIT_ENABLED !== 'false';
+const WINDOW_MS = (parseInt(process.env.RATE_LIMIT_WINDOW_MINUTES) || 15) * 60 * 1000;
+
+const SAFE_METHODS = new Set(['GET', 'HEAD', 'OPTIONS']);
+
+// 🕒 남은 시간 (초, 최소 1)
+const secondsUntil = (timestamp) => Math.max(1, Math.ceil((timestamp - Date.now()) / 1000));
+
+// ============================================
+// ⛔ 429 응답 (로그인 잠금에서도 사용)
+// ============================================
+const sendTooManyRequests = (res, {
+  message = '요청이 너무 많습니다. 잠시 후 다시 시도해주세요.',
+  retryAfter,
+  code = 'RATE_LIMITED'
+}) => {
+  res.set('Retry-After', String(retryAfter));
+  return res.status(429).json({
+    error: 'Too Many Requests',
+    message,
+    code,
+    retry_after: retryAfter
+  });
+};
+
+// 요청 IP 기준 키
+const ipKey = (req) => req.ip;
+
+// 요청 본문 이메일 기준 키 (없으면 계정 제한 건너뜀)
+const emailKey = (req) => {
+  const email = req.body?.email;
+  return typeof email === 'string' && email.trim() ? email.trim().toLowerCase() : null;
+};
+
+// ============================================
+// 🏭 제한 미들웨어 생성
+// - name: 카운터 이름 (예산별로 따로 계산)
+// - key(req): 누구 기준으로 셀지 (null이면 통과)
+// ============================================
+const rateLimit = ({ name, max, windowMs = WINDOW_MS, key = ipKey, message }) => async (req, res, next) => {
+  if (!RATE_LIMIT_ENABLED) return next();
+
+  try {
+    const id = key(req);
+    if (!id) return next();
+
+    const { count, resetAt } = await getRateLimitStore().increment(`${name}:${id}`, windowMs);
+    const retryAfter = secondsUntil(resetAt);
+
+    res.set({
+      'RateLimit-Limit': String(max),
+      'RateLimit-Remaining': String(Math.max(0, max - count)),
+      'RateLimit-Reset': String(retryAfter)
+    });
+
+    if (count > max) {
+      return sendTooManyRequests(res, { message, retryAfter });
+    }
+    next();
+  } catch (error) {
+    console.error('❌ 요청 제한 확인 에러:', error);
+    next();
+  }
+};
+
+// 📖 읽기 / ✏️ 쓰기 예산
+const readLimiter = rateLimit({
+  name: 'read',
+  max: parseInt(process.env.RATE_LIMIT_READ_MAX) || 600
+});
+
+const writeLimiter = rateLimit({
+  name: 'write',
+  max: parseInt(process.env.RATE_LIMIT_WRITE_MAX) || 120
+});
+
+// 🌐 /api 전체 (메서드에 따라 읽기/쓰기 예산 선택)
+const apiLimiter = (req, res, next) => {
+  const limiter = SAFE_METHODS.has(req.method) ? readLimiter : writeLimiter;
+  return limiter(req, res, next);
+};
+
+// 🔐 인증 예산 (IP당, 로그인/가입/비밀번호 재설정 등)
+const authLimiter = rateLimit({
+  name: 'auth',
+  max: parseInt(process.env.RATE_LIMIT_AUTH_MAX) || 20,
+  message: '인증 요청이 너무 많습니다. 잠시 후 다시 시도해주세요.'
+});
+
+// 👤 계정 예산 (이메일당, 여러 IP에서 같은 계정을 노리는 경우)
+const accountLimiter = rateLimit({
+  name: 'auth-account',
+  max: parseInt(process.env.RATE_LIMIT_ACCOUNT_MAX) || 10,
+  key: emailKey,
+  message: '이 계정에 대한 요청이 너무 많습니다. 잠시 후 다시 시도해주세요.'
+});
+
+// 내보내기
+module.exports = {
+  rateLimit,            // 제한 미들웨어 생성
+  sendTooManyRequests,  // 429 응답
+  apiLimiter,           // 읽기/쓰기 예산 (/api 전체)
+  authLimiter,          // 인증 예산 (IP당)
+  accountLimiter        // 인증 예산 (이메일당)
+};
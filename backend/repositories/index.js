@@ -0,0 +1,61 @@
+// ============================================
+// 🗃️ 데이터 저장소(리포지토리) 선택
+// - DATA_BACKEND 환경변수: supabase (기본값) | memory
+//   (memory는 명시적으로 설정했을 때만 사용, Supabase 환경변수가 없으면 시작 시 에러)
+// - memory: 서버 프로세스 메모리에만 저장 (재시작 시 초기화)
+//   Supabase 프로젝트 없이 로컬 개발 / 테스트용
+// ============================================
+// 📦 리포지토리 인터페이스 (모두 async, DB 에러는 throw, 없으면 null)
+//
+// users
+//   findById(id, { columns })            findByEmail(email, { columns })
+//   findByIds(ids, { columns })          list({ offset, limit, sort, publicStatsOnly, columns }) → { users, total }
+//   search({ name, location, experience, limit, columns })
+//   create(user)                         update(id, changes, { columns }) → 수정된 사용자 | null
+//   - publicStatsOnly: 통계(privacy.stats)를 전체 공개한 사용자만 (없으면 기본값 public)
+//
+// dives
+//   findById(id, { columns, owner })     findByIds(ids, { columns, owner })
+//   findByUser(userId, { columns, visibility, diveType, from, to, order })
+//   countByUser(userId)                  listVisible({ viewer, userId, sharedDiveIds, diveType, location, offset, limit, owner }) → { dives, total }
+//   listFeed({ viewer, userIds, cursor, limit, owner })
+//   create(dive)                         update(id, changes) → 수정된 다이빙 | null
+//   remove(id)
+//   - owner: 작성자 컬럼 ('name, diving_experience') → 결과의 users 객체로 포함 (Supabase 임베드와 같은 형태)
+//   - viewer: utils/privacy의 getViewerContext 결과 (공개 범위 적용)
+//
+// auth (Supabase Auth와 같은 { data, error } 형태, 에러는 throw하지 않음)
+//   signUp({ email, password, metadata })   signInWithPassword({ email, password })
+//   refreshSession(refreshToken)            getUser(accessToken)
+//   getUserById(id)                         updateUserById(id, attributes)
+//   signOut(accessToken, scope)             - scope: local | others | global
+// ============================================
+// 🧪 memory 백엔드에서는 아직 리포지토리로 옮기지 않은 모듈도 동작하도록
+//    utils/supabase.js가 같은 메모리 DB를 쓰는 테이블 클라이언트를 내보냄
+// ============================================
+const DATA_BACKENDS = ['supabase', 'memory'];
+
+const DATA_BACKEND = process.env.DATA_BACKEND || 'supabase';
+
+if (!DATA_BACKENDS.includes(DATA_BACKEND)) {
+  throw new Error(`지원하지 않는 DATA_BACKEND 값입니다: ${DATA_BACKEND} (${DATA_BACKENDS.join(' | ')})`);
+}
+
+let repositories = null;
+
+const getRepositories = () => {
+  if (!repositories) {
+    repositories = {
+      users: require(`./${DATA_BACKEND}/usersRepository`),
+      dives: require(`./${DATA_BACKEND}/divesRepository`),
+      auth: require(`./${DATA_BACKEND}/authRepository`)
+    };
+  }
+  return repositories;
+};
+
+// 내보내기
+module.exports = {
+  DATA_BACKEND,       // 현재 데이터 백엔드 이름
+  getRepositories     // { users, dives, auth }
+};
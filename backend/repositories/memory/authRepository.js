@@ -0,0 +1,252 @@
+// ============================================
+// 🔐 인증 리포지토리 (메모리)
+// - Supabase Auth와 같은 { data, error } 응답 형태
+// - 비밀번호: scrypt 해시 / access_token: HS256 JWT (sub, email, session_id, exp)
+// - refresh_token은 1회용 (갱신할 때마다 교체), 세션 종료 후 토큰은 거부
+// - 서명 키: MEMORY_AUTH_SECRET (없으면 서버 시작마다 새로 만들어 재시작 시 모든 토큰 무효)
+// ============================================
+// 👑 로컬 관리자 지정: updateUserById(id, { app_metadata: { role: 'admin' } })
+// ============================================
+const crypto = require('crypto');
+
+const ACCESS_TOKEN_TTL_SECONDS = 60 * 60;
+const SECRET = process.env.MEMORY_AUTH_SECRET || crypto.randomBytes(32).toString('hex');
+
+const accounts = new Map();       // 사용자 ID → { user, passwordHash }
+const sessions = new Map();       // 세션 ID → { userId, refreshToken }
+const refreshTokens = new Map();  // refresh_token → 세션 ID
+
+const normalizeEmail = (email) => String(email ?? '').trim().toLowerCase();
+
+// Supabase Auth 에러 형태
+const authError = (message, status, code) => ({ data: { user: null, session: null }, error: { message, status, code } });
+
+// ============================================
+// 🔑 비밀번호 해시 (salt:hash)
+// ============================================
+const hashPassword = (password) => {
+  const salt = crypto.randomBytes(16).toString('hex');
+  return `${salt}:${crypto.scryptSync(password, salt, 64).toString('hex')}`;
+};
+
+const verifyPassword = (password, passwordHash) => {
+  const [salt, hash] = passwordHash.split(':');
+  const candidate = crypto.scryptSync(String(password ?? ''), salt, 64);
+  return crypto.timingSafeEqual(candidate, Buffer.from(hash, 'hex'));
+};
+
+// ============================================
+// 🎫 access_token (HS256 JWT)
+// ============================================
+const sign = (value) => crypto.createHmac('sha256', SECRET).update(value).digest('base64url');
+
+const encodeJson = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+const signAccessToken = (payload) => {
+  const unsigned = `${encodeJson({ alg: 'HS256', typ: 'JWT' })}.${encodeJson(payload)}`;
+  return `${unsigned}.${sign(unsigned)}`;
+};
+
+// 서명 / 만료 확인 (유효하지 않으면 null)
+const verifyAccessToken = (token) => {
+  const [header, payload, signature] = String(token ?? '').split('.');
+  if (!header || !payload || !signature) return null;
+
+  const expected = Buffer.from(sign(`${header}.${payload}`));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return null;
+
+  try {
+    const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    return claims.exp * 1000 > Date.now() ? claims : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// ============================================
+// 📱 세션
+// ============================================
+const publicUser = (account) => structuredClone(account.user);
+
+// 새 토큰 쌍 (세션 ID 유지, refresh_token 교체)
+const issueSession = (account, sessionId = crypto.randomUUID()) => {
+  const previous = sessions.get(sessionId);
+  if (previous) refreshTokens.delete(previous.refreshToken);
+
+  const refreshToken = crypto.randomBytes(32).toString('hex');
+  sessions.set(sessionId, { userId: account.user.id, refreshToken });
+  refreshTokens.set(refreshToken, sessionId);
+
+  const expiresAt = Math.floor(Date.now() / 1000) + ACCESS_TOKEN_TTL_SECONDS;
+  return {
+    access_token: signAccessToken({
+      sub: account.user.id,
+      email: account.user.email,
+      role: 'authenticated',
+      session_id: sessionId,
+      exp: expiresAt
+    }),
+    token_type: 'bearer',
+    expires_in: ACCESS_TOKEN_TTL_SECONDS,
+    expires_at: expiresAt,
+    refresh_token: refreshToken,
+    user: publicUser(account)
+  };
+};
+
+const endSession = (sessionId) => {
+  const session = sessions.get(sessionId);
+  if (!session) return;
+  refreshTokens.delete(session.refreshToken);
+  sessions.delete(sessionId);
+};
+
+// 종료되지 않은 세션의 유효한 토큰 → 계정 (아니면 null)
+const accountForToken = (accessToken) => {
+  const claims = verifyAccessToken(accessToken);
+  if (!claims || !sessions.has(claims.session_id)) return null;
+
+  const account = accounts.get(claims.sub);
+  return account ? { account, claims } : null;
+};
+
+const findAccountByEmail = (email) => [...accounts.values()]
+  .find(account => account.user.email === normalizeEmail(email)) || null;
+
+// ============================================
+// 🆕 가입 (이메일 인증 없이 바로 세션 발급, Supabase의 autoconfirm과 동일)
+// ============================================
+const signUp = async ({ email, password, metadata = {} }) => {
+  const normalized = normalizeEmail(email);
+  if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(normalized)) {
+    return authError('Unable to validate email address: invalid format', 400, 'validation_failed');
+  }
+  if (findAccountByEmail(normalized)) {
+    return authError('User already registered', 422, 'user_already_exists');
+  }
+
+  const now = new Date().toISOString();
+  const account = {
+    user: {
+      id: crypto.randomUUID(),
+      aud: 'authenticated',
+      role: 'authenticated',
+      email: normalized,
+      email_confirmed_at: now,
+      user_metadata: { ...metadata },
+      app_metadata: { provider: 'email', providers: ['email'] },
+      created_at: now,
+      updated_at: now
+    },
+    passwordHash: hashPassword(password)
+  };
+  accounts.set(account.user.id, account);
+
+  const session = issueSession(account);
+  return { data: { user: publicUser(account), session }, error: null };
+};
+
+// 🔑 이메일/비밀번호 로그인
+const signInWithPassword = async ({ email, password }) => {
+  const account = findAccountByEmail(email);
+  if (!account || !verifyPassword(password, account.passwordHash)) {
+    return authError('Invalid login credentials', 400, 'invalid_credentials');
+  }
+
+  const session = issueSession(account);
+  return { data: { user: publicUser(account), session }, error: null };
+};
+
+// 🔄 refresh_token으로 새 세션 (같은 세션 ID, 새 토큰 쌍)
+const refreshSession = async (refreshToken) => {
+  const sessionId = refreshTokens.get(refreshToken);
+  const account = sessionId && accounts.get(sessions.get(sessionId).userId);
+  if (!account) {
+    return authError('Invalid Refresh Token: Refresh Token Not Found', 400, 'refresh_token_not_found');
+  }
+
+  const session = issueSession(account, sessionId);
+  return { data: { user: publicUser(account), session }, error: null };
+};
+
+// 🎫 access_token의 사용자
+const getUser = async (accessToken) => {
+  const found = accountForToken(accessToken);
+  if (!found) {
+    return { data: { user: null }, error: { message: 'invalid JWT', status: 401, code: 'bad_jwt' } };
+  }
+  return { data: { user: publicUser(found.account) }, error: null };
+};
+
+// 👤 ID로 사용자 조회
+const getUserById = async (id) => {
+  const account = accounts.get(id);
+  if (!account) {
+    return { data: { user: null }, error: { message: 'User not found', status: 404, code: 'user_not_found' } };
+  }
+  return { data: { user: publicUser(account) }, error: null };
+};
+
+// ✏️ 사용자 수정 (password, email, email_confirm, user_metadata, app_metadata)
+const updateUserById = async (id, attributes = {}) => {
+  const account = accounts.get(id);
+  if (!account) {
+    return { data: { user: null }, error: { message: 'User not found', status: 404, code: 'user_not_found' } };
+  }
+
+  const { password, email, email_confirm: emailConfirm, user_metadata: userMetadata, app_metadata: appMetadata } = attributes;
+  if (email !== undefined) {
+    const existing = findAccountByEmail(email);
+    if (existing && existing !== account) {
+      return { data: { user: null }, error: { message: 'A user with this email address has already been registered', status: 422, code: 'email_exists' } };
+    }
+    account.user.email = normalizeEmail(email);
+  }
+  if (password !== undefined) {
+    account.passwordHash = hashPassword(password);
+  }
+  if (emailConfirm) {
+    account.user.email_confirmed_at = account.user.email_confirmed_at || new Date().toISOString();
+  }
+  if (userMetadata) {
+    account.user.user_metadata = { ...account.user.user_metadata, ...userMetadata };
+  }
+  if (appMetadata) {
+    account.user.app_metadata = { ...account.user.app_metadata, ...appMetadata };
+  }
+  account.user.updated_at = new Date().toISOString();
+
+  return { data: { user: publicUser(account) }, error: null };
+};
+
+// 🚪 세션 종료 (local: 이 토큰의 세션, others: 나머지 세션, global: 전체)
+const signOut = async (accessToken, scope = 'local') => {
+  const found = accountForToken(accessToken);
+  if (!found) {
+    return { data: null, error: { message: 'invalid JWT', status: 401, code: 'bad_jwt' } };
+  }
+
+  const { claims } = found;
+  [...sessions.entries()]
+    .filter(([sessionId, session]) => {
+      if (session.userId !== claims.sub) return false;
+      if (scope === 'local') return sessionId === claims.session_id;
+      if (scope === 'others') return sessionId !== claims.session_id;
+      return true;
+    })
+    .forEach(([sessionId]) => endSession(sessionId));
+
+  return { data: null, error: null };
+};
+
+// 내보내기
+module.exports = {
+  signUp,               // 가입
+  signInWithPassword,   // 로그인
+  refreshSession,       // 토큰 갱신
+  getUser,              // 토큰 검증
+  getUserById,          // 사용자 조회
+  updateUserById,       // 사용자 수정
+  signOut               // 세션 종료
+};
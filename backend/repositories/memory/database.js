@@ -0,0 +1,241 @@
+// ============================================
+// 🧠 메모리 데이터베이스 (DATA_BACKEND=memory)
+// - 테이블 = 행 배열, 서버 프로세스 안에서만 유지 (재시작 시 초기화)
+// - 각 라우트 주석의 SQL 스키마 중 오프라인 동작에 필요한 부분만 흉내냄:
+//   기본 키 / unique 제약 (23505 에러), 기본값, 외래 키 on delete cascade / set null
+// - 반환하는 행은 복사본 (호출한 쪽에서 수정해도 저장된 값은 그대로)
+// ============================================
+const crypto = require('crypto');
+
+// ============================================
+// 📋 테이블 설정 (없는 테이블은 기본 키 id, 기본값 없음)
+// - columns: 값이 없으면 null로 채울 컬럼 (select('*') 결과를 Postgres와 맞춤)
+// ============================================
+const TABLES = {
+  users: {
+    unique: [['email']],
+    columns: [
+      'email', 'name', 'bio', 'location', 'diving_experience', 'deepest_dive',
+      'social_links', 'email_verified_at', 'updated_at'
+    ],
+    defaults: () => ({ total_dives: 0, preferences: {}, privacy: {} })
+  },
+  dives: {
+    columns: [
+      'dive_number', 'country', 'coordinates', 'spot_id', 'entry_time', 'duration_minutes',
+      'average_depth', 'water_temperature', 'visibility_meters', 'weather', 'current_strength',
+      'air_consumption', 'safety_buddy_name', 'rating', 'updated_at'
+    ],
+    defaults: () => ({
+      visibility: 'public',
+      location_precision: 'exact',
+      photos_count: 0,
+      videos_count: 0,
+      likes_count: 0,
+      comments_count: 0
+    })
+  },
+  follows: { primaryKey: ['follower_id', 'following_id'] },
+  dive_likes: { primaryKey: ['dive_id', 'user_id'] },
+  dive_gear: { primaryKey: ['dive_id', 'gear_id'] },
+  dive_profiles: { primaryKey: ['dive_id'], defaults: () => ({ sample_count: 0 }) },
+  dive_buddy_tags: { unique: [['dive_id', 'buddy_id']], defaults: () => ({ status: 'pending' }) },
+  buddy_relationships: { defaults: () => ({ status: 'pending' }) },
+  freedive_attempts: { unique: [['dive_id', 'attempt_number']], defaults: () => ({ turns: 0, early_turn: false }) },
+  dive_tanks: { defaults: () => ({ position: 1, role: 'bottom', o2: 0.21, he: 0 }) },
+  dive_comments: { columns: ['parent_id', 'updated_at', 'deleted_at'] },
+  gear_items: { defaults: () => ({ retired: false }) },
+  notifications: { defaults: () => ({ data: {} }) },
+  auth_tokens: { unique: [['token_hash']] },
+  user_sessions: {},
+  user_mfa: { primaryKey: ['user_id'], defaults: () => ({ recovery_codes: [] }) },
+  mfa_challenges: { unique: [['token_hash']], defaults: () => ({ attempts: 0 }) }
+};
+
+// ============================================
+// 🔗 외래 키 (임베드 조회 + 삭제 전파)
+// - 임베드: select('*, users(name)') → 행의 user_id로 users 조회
+// ============================================
+const FOREIGN_KEYS = [
+  { table: 'dives', column: 'user_id', references: 'users', onDelete: 'cascade' },
+  { table: 'dives', column: 'spot_id', references: 'dive_spots', onDelete: 'set null' },
+  { table: 'dive_spots', column: 'created_by', references: 'users', onDelete: 'set null' },
+  { table: 'follows', column: 'follower_id', references: 'users', onDelete: 'cascade' },
+  { table: 'follows', column: 'following_id', references: 'users', onDelete: 'cascade' },
+  { table: 'buddy_relationships', column: 'requester_id', references: 'users', onDelete: 'cascade' },
+  { table: 'buddy_relationships', column: 'addressee_id', references: 'users', onDelete: 'cascade' },
+  { table: 'certifications', column: 'user_id', references: 'users', onDelete: 'cascade' },
+  { table: 'gear_items', column: 'user_id', references: 'users', onDelete: 'cascade' },
+  { table: 'dive_gear', column: 'dive_id', references: 'dives', onDelete: 'cascade' },
+  { table: 'dive_gear', column: 'gear_id', references: 'gear_items', onDelete: 'cascade' },
+  { table: 'dive_gear', column: 'user_id', references: 'users', onDelete: 'cascade' },
+  { table: 'dive_buddy_tags', column: 'dive_id', references: 'dives', onDelete: 'cascade' },
+  { table: 'dive_buddy_tags', column: 'buddy_id', references: 'users', onDelete: 'cascade' },
+  { table: 'dive_buddy_tags', column: 'tagged_by', references: 'users', onDelete: 'cascade' },
+  { table: 'dive_comments', column: 'dive_id', references: 'dives', onDelete: 'cascade' },
+  { table: 'dive_comments', column: 'user_id', references: 'users', onDelete: 'cascade' },
+  { table: 'dive_comments', column: 'parent_id', references: 'dive_comments', onDelete: 'cascade' },
+  { table: 'dive_likes', column: 'dive_id', references: 'dives', onDelete: 'cascade' },
+  { table: 'dive_likes', column: 'user_id', references: 'users', onDelete: 'cascade' },
+  { table: 'dive_media', column: 'dive_id', references: 'dives', onDelete: 'cascade' },
+  { table: 'dive_media', column: 'user_id', references: 'users', onDelete: 'cascade' },
+  { table: 'dive_profiles', column: 'dive_id', references: 'dives', onDelete: 'cascade' },
+  { table: 'dive_tanks', column: 'dive_id', references: 'dives', onDelete: 'cascade' },
+  { table: 'dive_tanks', column: 'user_id', references: 'users', onDelete: 'cascade' },
+  { table: 'freedive_attempts', column: 'dive_id', references: 'dives', onDelete: 'cascade' },
+  { table: 'freedive_attempts', column: 'user_id', references: 'users', onDelete: 'cascade' },
+  { table: 'notifications', column: 'user_id', references: 'users', onDelete: 'cascade' },
+  { table: 'notifications', column: 'actor_id', references: 'users', onDelete: 'cascade' },
+  { table: 'notifications', column: 'dive_id', references: 'dives', onDelete: 'cascade' },
+  { table: 'notifications', column: 'comment_id', references: 'dive_comments', onDelete: 'cascade' },
+  { table: 'auth_tokens', column: 'user_id', references: 'users', onDelete: 'cascade' },
+  { table: 'user_sessions', column: 'user_id', references: 'users', onDelete: 'cascade' },
+  { table: 'user_mfa', column: 'user_id', references: 'users', onDelete: 'cascade' },
+  { table: 'mfa_challenges', column: 'user_id', references: 'users', onDelete: 'cascade' }
+];
+
+const tables = new Map();  // 테이블 이름 → 행 배열
+
+const tableConfig = (name) => TABLES[name] || {};
+const primaryKeyOf = (name) => tableConfig(name).primaryKey || ['id'];
+
+const rowsOf = (name) => {
+  if (!tables.has(name)) tables.set(name, []);
+  return tables.get(name);
+};
+
+const copy = (value) => structuredClone(value);
+
+// 🆔 Postgres처럼 행 하나를 식별하는 키 값
+const keyValue = (row, columns) => JSON.stringify(columns.map(column => row[column] ?? null));
+
+// Postgres 에러 형태 (code, message)
+const databaseError = (code, message) => Object.assign(new Error(message), { code });
+
+// ✅ 기본 키 / unique 제약 확인 (ignoreRow: 수정 중인 행 자신)
+const checkUnique = (name, row, ignoreRow = null) => {
+  const keys = [primaryKeyOf(name), ...(tableConfig(name).unique || [])];
+  for (const columns of keys) {
+    if (columns.some(column => row[column] === null || row[column] === undefined)) continue;
+
+    const value = keyValue(row, columns);
+    const duplicate = rowsOf(name).some(other => other !== ignoreRow && keyValue(other, columns) === value);
+    if (duplicate) {
+      throw databaseError(
+        '23505',
+        `duplicate key value violates unique constraint "${name}_${columns.join('_')}_key"`
+      );
+    }
+  }
+};
+
+// 🆕 기본값 채운 새 행
+const buildRow = (name, values) => {
+  const config = tableConfig(name);
+  const row = {
+    ...Object.fromEntries((config.columns || []).map(column => [column, null])),
+    ...(config.defaults ? config.defaults() : {}),
+    created_at: new Date().toISOString(),
+    ...copy(values)
+  };
+
+  if (primaryKeyOf(name).length === 1 && primaryKeyOf(name)[0] === 'id' && !row.id) {
+    row.id = crypto.randomUUID();
+  }
+  return row;
+};
+
+// ============================================
+// 📥 행 조회 / 추가 / 수정 / 삭제
+// ============================================
+
+// 조건에 맞는 행 (복사본)
+const findRows = (name, predicate = () => true) => rowsOf(name).filter(predicate).map(copy);
+
+// 행 추가 (추가된 행 복사본 반환)
+const insertRows = (name, values) => {
+  const created = values.map(value => {
+    const row = buildRow(name, value);
+    checkUnique(name, row);
+    rowsOf(name).push(row);
+    return row;
+  });
+  return created.map(copy);
+};
+
+// 행 추가 또는 충돌 키가 같은 행 수정
+const upsertRows = (name, values, { onConflict } = {}) => {
+  const columns = onConflict ? onConflict.split(',').map(column => column.trim()) : primaryKeyOf(name);
+
+  return values.map(value => {
+    const existing = rowsOf(name).find(row => keyValue(row, columns) === keyValue(value, columns));
+    if (!existing) return insertRows(name, [value])[0];
+
+    const updated = { ...existing, ...copy(value) };
+    checkUnique(name, updated, existing);
+    Object.assign(existing, updated);
+    return copy(existing);
+  });
+};
+
+// 조건에 맞는 행 수정 (수정된 행 복사본 반환)
+const updateRows = (name, predicate, changes) => {
+  const targets = rowsOf(name).filter(predicate);
+  targets.forEach(row => checkUnique(name, { ...row, ...changes }, row));
+  targets.forEach(row => Object.assign(row, copy(changes)));
+  return targets.map(copy);
+};
+
+// 조건에 맞는 행 삭제 (외래 키 cascade / set null 적용, 삭제된 행 복사본 반환)
+const deleteRows = (name, predicate) => {
+  const rows = rowsOf(name);
+  const removed = rows.filter(predicate);
+  if (removed.length === 0) return [];
+
+  tables.set(name, rows.filter(row => !removed.includes(row)));
+
+  const removedIds = new Set(removed.map(row => row.id).filter(Boolean));
+  FOREIGN_KEYS
+    .filter(foreignKey => foreignKey.references === name && removedIds.size > 0)
+    .forEach(({ table, column, onDelete }) => {
+      const references = (row) => removedIds.has(row[column]);
+      if (onDelete === 'cascade') {
+        deleteRows(table, references);
+      } else {
+        rowsOf(table).filter(references).forEach(row => { row[column] = null; });
+      }
+    });
+
+  return removed.map(copy);
+};
+
+// 🔗 임베드할 관계의 외래 키 컬럼 (예: dives → users 는 user_id)
+// - hint: 외래키 이름(notifications_actor_id_fkey) 또는 컬럼 이름(actor_id), 없으면 첫 번째 외래키
+const relationColumn = (name, relation, hint = null) => FOREIGN_KEYS.find(
+  foreignKey => foreignKey.table === name && foreignKey.references === relation &&
+    (!hint || hint === foreignKey.column || hint === `${name}_${foreignKey.column}_fkey`)
+)?.column || null;
+
+// 📑 컬럼 목록('id, name' 또는 '*')만 남긴 행
+const selectColumns = (row, columns = '*') => {
+  if (!row || columns === '*') return row;
+  return Object.fromEntries(
+    columns.split(',').map(column => column.trim()).map(column => [column, row[column] ?? null])
+  );
+};
+
+// 🗑️ 전체 초기화 (로컬 스크립트 / 테스트용)
+const resetDatabase = () => tables.clear();
+
+// 내보내기
+module.exports = {
+  databaseError,    // Postgres 형태 에러
+  findRows,         // 행 조회
+  insertRows,       // 행 추가
+  upsertRows,       // 행 추가/수정
+  updateRows,       // 행 수정
+  deleteRows,       // 행 삭제 (cascade)
+  relationColumn,   // 임베드 관계 컬럼
+  selectColumns,    // 컬럼 선택
+  resetDatabase     // 전체 초기화
+};
@@ -0,0 +1,138 @@
+// ============================================
+// 🤿 다이빙 리포지토리 (메모리)
+// - owner 옵션: 작성자 정보를 users 객체로 포함 (작성자가 없는 다이빙은 제외, Supabase의 !inner와 동일)
+// ============================================
+const { findRows, insertRows, updateRows, deleteRows, selectColumns } = require('./database');
+
+// 👀 보는 사람 기준 공개 범위 (전체 공개 + 내 다이빙 + 버디의 버디 공개 다이빙)
+const isVisibleTo = (viewer) => (dive) => {
+  if (dive.visibility === 'public') return true;
+  if (!viewer?.viewerId) return false;
+  if (dive.user_id === viewer.viewerId) return true;
+  return dive.visibility === 'buddies' && viewer.buddyIds.has(dive.user_id);
+};
+
+// 정렬 비교 ([컬럼, 방향] 목록, null은 뒤로)
+const compareBy = (orders) => (a, b) => {
+  for (const [column, direction] of orders) {
+    if (a[column] === b[column]) continue;
+    if (a[column] === null || a[column] === undefined) return 1;
+    if (b[column] === null || b[column] === undefined) return -1;
+    return (a[column] < b[column] ? -1 : 1) * direction;
+  }
+  return 0;
+};
+
+// 작성자 정보 붙이기 (owner 옵션이 없으면 그대로)
+const withOwner = (dives, columns, owner) => {
+  const selected = dives.map(dive => selectColumns(dive, columns));
+  if (!owner) return selected;
+
+  const ownerIds = [...new Set(dives.map(dive => dive.user_id))];
+  const ownersById = new Map(findRows('users', user => ownerIds.includes(user.id)).map(user => [user.id, user]));
+
+  return selected
+    .map((dive, index) => {
+      const user = ownersById.get(dives[index].user_id);
+      return user ? { ...dive, users: selectColumns(user, owner) } : null;
+    })
+    .filter(Boolean);
+};
+
+// 🔍 ID로 조회 (없으면 null)
+const findById = async (id, { columns = '*', owner } = {}) => {
+  const [dive] = withOwner(findRows('dives', row => row.id === id), columns, owner);
+  return dive || null;
+};
+
+// 🔍 여러 ID 조회
+const findByIds = async (ids, { columns = '*', owner } = {}) => withOwner(
+  findRows('dives', row => ids.includes(row.id)),
+  columns,
+  owner
+);
+
+// 📚 사용자의 다이빙 (공개 범위 / 타입 / 기간 필터, order 컬럼 순 오름차순)
+const findByUser = async (userId, { columns = '*', visibility, diveType, from, to, order = [] } = {}) => findRows(
+  'dives',
+  row => row.user_id === userId &&
+    (!visibility || visibility.includes(row.visibility)) &&
+    (!diveType || row.dive_type === diveType) &&
+    (!from || row.dive_date >= from) &&
+    (!to || row.dive_date <= to)
+)
+  .sort(compareBy(order.map(column => [column, 1])))
+  .map(dive => selectColumns(dive, columns));
+
+// 🔢 사용자의 다이빙 수
+const countByUser = async (userId) => findRows('dives', row => row.user_id === userId).length;
+
+// ============================================
+// 📋 보는 사람이 볼 수 있는 다이빙 목록 (최근 다이빙 날짜 순) → { dives, total }
+// - userId: 그 사용자의 다이빙 + 버디로 인증된 공유 다이빙(sharedDiveIds)
+// ============================================
+const listVisible = async ({
+  viewer,
+  userId,
+  sharedDiveIds = [],
+  diveType,
+  location,
+  offset = 0,
+  limit = 10,
+  owner
+} = {}) => {
+  const visible = isVisibleTo(viewer);
+  const dives = withOwner(
+    findRows('dives', row => visible(row) &&
+      (!userId || row.user_id === userId || sharedDiveIds.includes(row.id)) &&
+      (!diveType || row.dive_type === diveType) &&
+      (!location || String(row.location_name ?? '').toLowerCase().includes(location.toLowerCase()))
+    ).sort(compareBy([['dive_date', -1], ['created_at', -1]])),
+    '*',
+    owner
+  );
+
+  return { dives: dives.slice(offset, offset + limit), total: dives.length };
+};
+
+// ============================================
+// 📰 피드 (여러 사용자의 최근 다이빙, created_at, id 내림차순 키셋)
+// - cursor: 이전 페이지 마지막 다이빙의 { created_at, id }
+// ============================================
+const listFeed = async ({ viewer, userIds, cursor, limit, owner }) => {
+  const visible = isVisibleTo(viewer);
+  const afterCursor = (row) => !cursor ||
+    row.created_at < cursor.created_at ||
+    (row.created_at === cursor.created_at && row.id < cursor.id);
+
+  return withOwner(
+    findRows('dives', row => userIds.includes(row.user_id) && visible(row) && afterCursor(row))
+      .sort(compareBy([['created_at', -1], ['id', -1]])),
+    '*',
+    owner
+  ).slice(0, limit);
+};
+
+// 🆕 다이빙 추가
+const create = async (dive) => insertRows('dives', [dive])[0];
+
+// ✏️ 수정 (없는 다이빙이면 null)
+const update = async (id, changes) => updateRows('dives', row => row.id === id, changes)[0] || null;
+
+// 🗑️ 삭제 (사진, 태그 등 하위 행은 cascade)
+const remove = async (id) => {
+  deleteRows('dives', row => row.id === id);
+};
+
+// 내보내기
+module.exports = {
+  findById,      // ID로 조회
+  findByIds,     // 여러 ID 조회
+  findByUser,    // 사용자의 다이빙
+  countByUser,   // 사용자의 다이빙 수
+  listVisible,   // 공개 범위 적용 목록
+  listFeed,      // 팔로우 피드
+  create,        // 추가
+  update,        // 수정
+  remove         // 삭제
+};
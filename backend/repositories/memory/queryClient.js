@@ -0,0 +1,374 @@
+// ============================================
+// 🧪 메모리 테이블 클라이언트 (supabase.from() 호환)
+// - DATA_BACKEND=memory일 때 utils/supabase.js가 supabase / supabaseAdmin 대신 내보냄
+// - 아직 리포지토리로 옮기지 않은 모듈(버디, 팔로우, 알림 등)이 그대로 동작하도록
+//   이 저장소에서 쓰는 쿼리 빌더 기능만 지원:
+//   select (컬럼 목록, '*', 임베드 관계 users(name) / users!inner(name) / actor:users!fkey(name),
+//           count, head)
+//   insert / upsert / update / delete (+ select로 결과 반환)
+//   eq, neq, gt, gte, lt, lte, in, is, like, ilike, contains, containedBy (배열),
+//   not, or (PostgREST 필터 문자열)
+//   order, range, limit, single, maybeSingle
+// - 결과는 Supabase와 같은 { data, error, count } 형태
+// ============================================
+const {
+  databaseError,
+  findRows,
+  insertRows,
+  upsertRows,
+  updateRows,
+  deleteRows,
+  relationColumn
+} = require('./database');
+
+// ============================================
+// 🔍 값 비교
+// ============================================
+
+// 숫자 컬럼과 문자열 필터 값(or() 문자열 등) 비교를 위해 타입 맞춤
+const comparable = (a, b) => {
+  if (typeof a === 'number' || typeof b === 'number') {
+    const x = Number(a);
+    const y = Number(b);
+    if (!Number.isNaN(x) && !Number.isNaN(y)) return [x, y];
+  }
+  if (typeof a === 'boolean' || typeof b === 'boolean') return [String(a), String(b)];
+  return [a, b];
+};
+
+const isEqual = (a, b) => {
+  const [x, y] = comparable(a, b);
+  return x === y;
+};
+
+const compare = (a, b) => {
+  const [x, y] = comparable(a, b);
+  if (x < y) return -1;
+  return x > y ? 1 : 0;
+};
+
+// LIKE 패턴 → 정규식 (% = 아무 문자열, _ = 한 글자)
+const likePattern = (pattern, flags) => new RegExp(
+  `^${String(pattern).split('').map(char => {
+    if (char === '%') return '.*';
+    if (char === '_') return '.';
+    return char.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }).join('')}$`,
+  flags
+);
+
+const isNull = (value) => value === null || value === undefined;
+
+// 연산자별 비교 (SQL처럼 null은 is 외의 비교에서 모두 거짓)
+const OPERATORS = {
+  eq: (value, target) => !isNull(value) && isEqual(value, target),
+  neq: (value, target) => !isNull(value) && !isEqual(value, target),
+  gt: (value, target) => !isNull(value) && compare(value, target) > 0,
+  gte: (value, target) => !isNull(value) && compare(value, target) >= 0,
+  lt: (value, target) => !isNull(value) && compare(value, target) < 0,
+  lte: (value, target) => !isNull(value) && compare(value, target) <= 0,
+  in: (value, targets) => !isNull(value) && targets.some(target => isEqual(value, target)),
+  is: (value, target) => (target === null ? isNull(value) : value === target),
+  like: (value, pattern) => !isNull(value) && likePattern(pattern).test(String(value)),
+  ilike: (value, pattern) => !isNull(value) && likePattern(pattern, 'i').test(String(value)),
+  contains: (value, targets) => Array.isArray(value) && targets.every(target => value.includes(target)),
+  containedBy: (value, targets) => Array.isArray(value) && value.every(item => targets.includes(item))
+};
+
+const condition = (column, operator, target) => {
+  if (!OPERATORS[operator]) {
+    throw databaseError('PGRST100', `지원하지 않는 필터 연산자입니다: ${operator}`);
+  }
+  return (row) => OPERATORS[operator](row[column], target);
+};
+
+// ============================================
+// 🧩 PostgREST 필터 문자열 (or() 인자)
+// - 예: "visibility.eq.public,and(visibility.eq.buddies,user_id.in.(a,b))"
+// ============================================
+
+// 괄호 밖의 쉼표로 나누기
+const splitTopLevel = (text) => {
+  const parts = [];
+  let depth = 0;
+  let current = '';
+  for (const char of text) {
+    if (char === '(') depth++;
+    if (char === ')') depth--;
+    if (char === ',' && depth === 0) {
+      parts.push(current.trim());
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  if (current.trim()) parts.push(current.trim());
+  return parts;
+};
+
+// 문자열 값 변환 (null / true / false, in 목록)
+const parseFilterValue = (operator, raw) => {
+  if (operator === 'in') {
+    return splitTopLevel(raw.replace(/^\(|\)$/g, '')).map(value => value.replace(/^"|"$/g, ''));
+  }
+  if (raw === 'null') return null;
+  if (raw === 'true') return true;
+  if (raw === 'false') return false;
+  return raw.replace(/^"|"$/g, '');
+};
+
+const parseFilter = (text) => {
+  const group = text.match(/^(and|or)\((.*)\)$/);
+  if (group) {
+    const conditions = splitTopLevel(group[2]).map(parseFilter);
+    return group[1] === 'and'
+      ? (row) => conditions.every(check => check(row))
+      : (row) => conditions.some(check => check(row));
+  }
+
+  const [column, operator, ...rest] = text.split('.');
+  if (operator === 'not') {
+    const [innerOperator, ...innerRest] = rest;
+    const check = condition(column, innerOperator, parseFilterValue(innerOperator, innerRest.join('.')));
+    return (row) => !check(row);
+  }
+  return condition(column, operator, parseFilterValue(operator, rest.join('.')));
+};
+
+// ============================================
+// 📑 select 컬럼 목록
+// - "*, users!inner(name, diving_experience)" → [{ all }, { relation: 'users', inner, columns }]
+// - "actor:users!notifications_actor_id_fkey(name)" → 별칭 actor, 외래키 힌트로 actor_id 사용
+// ============================================
+const parseColumns = (text = '*') => splitTopLevel(text.replace(/\s+/g, ' ')).map(part => {
+  const relation = part.match(/^(?:([a-z_]+):)?([a-z_]+)((?:![a-z_]+)*)\s*\((.*)\)$/i);
+  if (relation) {
+    const hints = relation[3].split('!').filter(Boolean);
+    return {
+      relation: relation[2],
+      alias: relation[1] || relation[2],
+      inner: hints.includes('inner'),
+      hint: hints.find(hint => hint !== 'inner') || null,
+      columns: parseColumns(relation[4])
+    };
+  }
+  return part === '*' ? { all: true } : { column: part };
+});
+
+// 임베드 관계 조회 (없으면 null)
+const loadRelation = (table, row, item) => {
+  const column = relationColumn(table, item.relation, item.hint);
+  if (!column || isNull(row[column])) return null;
+  return findRows(item.relation, candidate => candidate.id === row[column])[0] || null;
+};
+
+// 행을 select 목록에 맞게 변환
+const project = (table, row, columns) => columns.reduce((result, item) => {
+  if (item.all) return { ...result, ...row };
+  if (item.column) return { ...result, [item.column]: row[item.column] ?? null };
+
+  const related = loadRelation(table, row, item);
+  return { ...result, [item.alias]: related && project(item.relation, related, item.columns) };
+}, {});
+
+// ============================================
+// 🏗️ 쿼리 빌더
+// ============================================
+class MemoryQuery {
+  constructor(table) {
+    this.table = table;
+    this.action = 'select';
+    this.columns = null;          // null이면 변경 쿼리는 결과 없음 (Supabase와 동일)
+    this.countMode = null;
+    this.head = false;
+    this.filters = [];
+    this.orders = [];
+    this.offset = 0;
+    this.maxRows = null;
+    this.singleMode = null;       // 'single' | 'maybe'
+  }
+
+  // 📖 조회 / 변경 결과 컬럼
+  select(columns = '*', { count = null, head = false } = {}) {
+    this.columns = parseColumns(columns);
+    this.countMode = count;
+    this.head = head;
+    return this;
+  }
+
+  insert(values) {
+    this.action = 'insert';
+    this.values = Array.isArray(values) ? values : [values];
+    return this;
+  }
+
+  upsert(values, { onConflict } = {}) {
+    this.action = 'upsert';
+    this.values = Array.isArray(values) ? values : [values];
+    this.onConflict = onConflict;
+    return this;
+  }
+
+  update(changes) {
+    this.action = 'update';
+    this.changes = changes;
+    return this;
+  }
+
+  delete() {
+    this.action = 'delete';
+    return this;
+  }
+
+  // 🔍 필터
+  eq(column, value) { return this.where(column, 'eq', value); }
+  neq(column, value) { return this.where(column, 'neq', value); }
+  gt(column, value) { return this.where(column, 'gt', value); }
+  gte(column, value) { return this.where(column, 'gte', value); }
+  lt(column, value) { return this.where(column, 'lt', value); }
+  lte(column, value) { return this.where(column, 'lte', value); }
+  in(column, values) { return this.where(column, 'in', values); }
+  is(column, value) { return this.where(column, 'is', value); }
+  like(column, pattern) { return this.where(column, 'like', pattern); }
+  ilike(column, pattern) { return this.where(column, 'ilike', pattern); }
+  contains(column, values) { return this.where(column, 'contains', values); }
+  containedBy(column, values) { return this.where(column, 'containedBy', values); }
+
+  not(column, operator, value) {
+    const check = condition(column, operator, value);
+    this.filters.push(row => !check(row));
+    return this;
+  }
+
+  or(filters) {
+    const check = parseFilter(`or(${filters})`);
+    this.filters.push(check);
+    return this;
+  }
+
+  where(column, operator, value) {
+    this.filters.push(condition(column, operator, value));
+    return this;
+  }
+
+  // 📄 정렬 / 페이지
+  order(column, { ascending = true, nullsFirst = !ascending } = {}) {
+    this.orders.push({ column, ascending, nullsFirst });
+    return this;
+  }
+
+  range(from, to) {
+    this.offset = from;
+    this.maxRows = to - from + 1;
+    return this;
+  }
+
+  limit(count) {
+    this.maxRows = count;
+    return this;
+  }
+
+  single() {
+    this.singleMode = 'single';
+    return this;
+  }
+
+  maybeSingle() {
+    this.singleMode = 'maybe';
+    return this;
+  }
+
+  // ⚙️ 실행 (await 시 호출)
+  then(onFulfilled, onRejected) {
+    return Promise.resolve().then(() => this.execute()).then(onFulfilled, onRejected);
+  }
+
+  execute() {
+    try {
+      const { rows, count } = this.action === 'select' ? this.runSelect() : this.runMutation();
+      return this.result(rows, count);
+    } catch (error) {
+      return { data: null, error: { code: error.code || 'MEMORY', message: error.message }, count: null };
+    }
+  }
+
+  matches(row) {
+    return this.filters.every(check => check(row));
+  }
+
+  runSelect() {
+    const columns = this.columns || parseColumns('*');
+    const innerRelations = columns.filter(item => item.relation && item.inner);
+
+    let rows = findRows(this.table, row => this.matches(row))
+      .filter(row => innerRelations.every(item => loadRelation(this.table, row, item)));
+    const count = rows.length;
+
+    rows = this.sort(rows);
+    rows = rows.slice(this.offset, this.maxRows === null ? undefined : this.offset + this.maxRows);
+
+    return { rows: rows.map(row => project(this.table, row, columns)), count };
+  }
+
+  runMutation() {
+    const predicate = (row) => this.matches(row);
+    const changed = {
+      insert: () => insertRows(this.table, this.values),
+      upsert: () => upsertRows(this.table, this.values, { onConflict: this.onConflict }),
+      update: () => updateRows(this.table, predicate, this.changes),
+      delete: () => deleteRows(this.table, predicate)
+    }[this.action]();
+
+    const rows = this.columns ? changed.map(row => project(this.table, row, this.columns)) : null;
+    return { rows, count: changed.length };
+  }
+
+  sort(rows) {
+    return [...rows].sort((a, b) => {
+      for (const { column, ascending, nullsFirst } of this.orders) {
+        const aNull = isNull(a[column]);
+        const bNull = isNull(b[column]);
+        if (aNull || bNull) {
+          if (aNull && bNull) continue;
+          return aNull === nullsFirst ? -1 : 1;
+        }
+        const order = compare(a[column], b[column]);
+        if (order !== 0) return ascending ? order : -order;
+      }
+      return 0;
+    });
+  }
+
+  result(rows, count) {
+    const total = this.countMode ? count : null;
+
+    if (this.head) {
+      return { data: null, error: null, count: total };
+    }
+    if (rows === null) {
+      return { data: null, error: null, count: total };
+    }
+    if (this.singleMode) {
+      if (rows.length > 1 || (rows.length === 0 && this.singleMode === 'single')) {
+        return {
+          data: null,
+          error: { code: 'PGRST116', message: 'JSON object requested, multiple (or no) rows returned' },
+          count: total
+        };
+      }
+      return { data: rows[0] || null, error: null, count: total };
+    }
+    return { data: rows, error: null, count: total };
+  }
+}
+
+// 🆕 클라이언트 (supabase.from() 과 같은 사용법)
+const createMemoryClient = () => ({
+  from: (table) => new MemoryQuery(table)
+});
+
+// 내보내기
+module.exports = {
+  createMemoryClient,   // 메모리 테이블 클라이언트
+  parseFilter           // PostgREST 필터 문자열 → 조건 함수
+};
@@ -0,0 +1,76 @@
+// ============================================
+// 👤 사용자 리포지토리 (메모리)
+// ============================================
+const { findRows, insertRows, updateRows, selectColumns } = require('./database');
+
+// 목록 정렬 기준 (sort 값 → 비교 함수)
+const compareBy = (column, direction) => (a, b) => {
+  if (a[column] === b[column]) return 0;
+  if (a[column] === null || a[column] === undefined) return 1;
+  if (b[column] === null || b[column] === undefined) return -1;
+  return (a[column] < b[column] ? -1 : 1) * direction;
+};
+
+const SORT_ORDERS = {
+  total_dives: compareBy('total_dives', -1),
+  name: compareBy('name', 1),
+  created_at: compareBy('created_at', -1)
+};
+
+// LIKE '%검색어%' (대소문자 무시)
+const containsText = (value, text) => String(value ?? '').toLowerCase().includes(String(text).toLowerCase());
+
+// 🔍 ID로 조회 (없으면 null)
+const findById = async (id, { columns = '*' } = {}) => {
+  const [user] = findRows('users', row => row.id === id);
+  return user ? selectColumns(user, columns) : null;
+};
+
+// 📧 이메일로 조회 (없으면 null)
+const findByEmail = async (email, { columns = '*' } = {}) => {
+  const [user] = findRows('users', row => row.email === email);
+  return user ? selectColumns(user, columns) : null;
+};
+
+// 👥 여러 ID 조회
+const findByIds = async (ids, { columns = '*' } = {}) => findRows('users', row => ids.includes(row.id))
+  .map(user => selectColumns(user, columns));
+
+// 📋 목록 (페이지네이션) → { users, total }
+const list = async ({ offset = 0, limit = 10, sort = 'created_at', publicStatsOnly = false, columns = '*' } = {}) => {
+  const users = findRows('users', row => !publicStatsOnly || (row.privacy?.stats ?? 'public') === 'public')
+    .sort(SORT_ORDERS[sort] || SORT_ORDERS.created_at);
+  return {
+    users: users.slice(offset, offset + limit).map(user => selectColumns(user, columns)),
+    total: users.length
+  };
+};
+
+// 🔍 이름 검색 (지역 / 경력 필터)
+const search = async ({ name, location, experience, limit = 20, columns = '*' }) => findRows('users', row =>
+  containsText(row.name, name) &&
+  (!location || containsText(row.location, location)) &&
+  (!experience || row.diving_experience === experience)
+)
+  .slice(0, limit)
+  .map(user => selectColumns(user, columns));
+
+// 🆕 사용자 추가 (이메일 중복 시 23505 에러)
+const create = async (user) => insertRows('users', [user])[0];
+
+// ✏️ 수정 (없는 사용자면 null)
+const update = async (id, changes, { columns = '*' } = {}) => {
+  const [user] = updateRows('users', row => row.id === id, changes);
+  return user ? selectColumns(user, columns) : null;
+};
+
+// 내보내기
+module.exports = {
+  findById,      // ID로 조회
+  findByEmail,   // 이메일로 조회
+  findByIds,     // 여러 ID 조회
+  list,          // 목록
+  search,        // 검색
+  create,        // 추가
+  update         // 수정
+};
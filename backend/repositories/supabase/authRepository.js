@@ -0,0 +1,44 @@
+// ============================================
+// 🔐 인증 리포지토리 (Supabase Auth)
+// - 1회용 인증 클라이언트: 가입 / 로그인 / 토큰 갱신 (세션이 공용 클라이언트에 남지 않음)
+// - 공개 클라이언트: 토큰 검증
+// - 관리자 클라이언트: 사용자 조회·수정, 세션 종료
+// - Supabase 응답({ data, error })을 그대로 반환
+// ============================================
+const { supabase, supabaseAdmin, createAuthClient } = require('../../utils/supabase');
+
+// 🆕 가입 (metadata는 user_metadata로 저장)
+const signUp = ({ email, password, metadata = {} }) => createAuthClient().auth.signUp({
+  email,
+  password,
+  options: { data: metadata }
+});
+
+// 🔑 이메일/비밀번호 로그인
+const signInWithPassword = ({ email, password }) => createAuthClient().auth.signInWithPassword({ email, password });
+
+// 🔄 refresh_token으로 새 세션 (refresh_token은 1회용)
+const refreshSession = (refreshToken) => createAuthClient().auth.refreshSession({ refresh_token: refreshToken });
+
+// 🎫 access_token의 사용자
+const getUser = (accessToken) => supabase.auth.getUser(accessToken);
+
+// 👤 ID로 사용자 조회 (app_metadata 포함)
+const getUserById = (id) => supabaseAdmin.auth.admin.getUserById(id);
+
+// ✏️ 사용자 수정 (password, email_confirm, app_metadata 등)
+const updateUserById = (id, attributes) => supabaseAdmin.auth.admin.updateUserById(id, attributes);
+
+// 🚪 세션 종료 (local: 이 토큰의 세션, others: 나머지 세션, global: 전체)
+const signOut = (accessToken, scope = 'local') => supabaseAdmin.auth.admin.signOut(accessToken, scope);
+
+// 내보내기
+module.exports = {
+  signUp,               // 가입
+  signInWithPassword,   // 로그인
+  refreshSession,       // 토큰 갱신
+  getUser,              // 토큰 검증
+  getUserById,          // 사용자 조회
+  updateUserById,       // 사용자 수정
+  signOut               // 세션 종료
+};
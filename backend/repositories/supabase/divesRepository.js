@@ -0,0 +1,218 @@
+// ============================================
+// 🤿 다이빙 리포지토리 (Supabase dives 테이블)
+// - owner 옵션: users!inner 임베드로 작성자 정보 포함 (결과의 users 객체)
+// ============================================
+const { supabase } = require('../../utils/supabase');
+
+// 작성자 임베드를 붙인 select 컬럼
+const selectWithOwner = (columns, owner) => (owner ? `${columns}, users!inner(${owner})` : columns);
+
+// ============================================
+// 🔎 보는 사람 기준 공개 범위 PostgREST or() 필터
+// - 전체 공개 + 내 다이빙 + 버디의 버디 공개 다이빙
+// ============================================
+const visibilityFilter = (viewer) => {
+  if (!viewer?.viewerId) {
+    return 'visibility.eq.public';
+  }
+
+  const conditions = ['visibility.eq.public', `user_id.eq.${viewer.viewerId}`];
+  if (viewer.buddyIds.size > 0) {
+    conditions.push(`and(visibility.eq.buddies,user_id.in.(${[...viewer.buddyIds].join(',')}))`);
+  }
+  return conditions.join(',');
+};
+
+// 🔍 ID로 조회 (없으면 null)
+const findById = async (id, { columns = '*', owner } = {}) => {
+  const { data, error } = await supabase
+    .from('dives')
+    .select(selectWithOwner(columns, owner))
+    .eq('id', id)
+    .maybeSingle();
+
+  if (error) {
+    throw error;
+  }
+  return data;
+};
+
+// 🔍 여러 ID 조회 (순서 보장 없음)
+const findByIds = async (ids, { columns = '*', owner } = {}) => {
+  if (ids.length === 0) return [];
+
+  const { data, error } = await supabase
+    .from('dives')
+    .select(selectWithOwner(columns, owner))
+    .in('id', ids);
+
+  if (error) {
+    throw error;
+  }
+  return data;
+};
+
+// 📚 사용자의 다이빙 (공개 범위 / 타입 / 기간 필터, order 컬럼 순 오름차순)
+const findByUser = async (userId, { columns = '*', visibility, diveType, from, to, order = [] } = {}) => {
+  let query = supabase
+    .from('dives')
+    .select(columns)
+    .eq('user_id', userId);
+
+  if (visibility) {
+    query = query.in('visibility', visibility);
+  }
+  if (diveType) {
+    query = query.eq('dive_type', diveType);
+  }
+  if (from) {
+    query = query.gte('dive_date', from);
+  }
+  if (to) {
+    query = query.lte('dive_date', to);
+  }
+  order.forEach(column => {
+    query = query.order(column, { ascending: true });
+  });
+
+  const { data, error } = await query;
+
+  if (error) {
+    throw error;
+  }
+  return data;
+};
+
+// 🔢 사용자의 다이빙 수
+const countByUser = async (userId) => {
+  const { count, error } = await supabase
+    .from('dives')
+    .select('*', { count: 'exact', head: true })
+    .eq('user_id', userId);
+
+  if (error) {
+    throw error;
+  }
+  return count || 0;
+};
+
+// ============================================
+// 📋 보는 사람이 볼 수 있는 다이빙 목록 (최근 다이빙 날짜 순) → { dives, total }
+// - userId: 그 사용자의 다이빙 + 버디로 인증된 공유 다이빙(sharedDiveIds)
+// ============================================
+const listVisible = async ({
+  viewer,
+  userId,
+  sharedDiveIds = [],
+  diveType,
+  location,
+  offset = 0,
+  limit = 10,
+  owner
+} = {}) => {
+  let query = supabase
+    .from('dives')
+    .select(selectWithOwner('*', owner), { count: 'exact' })
+    .range(offset, offset + limit - 1)
+    .order('dive_date', { ascending: false })
+    .or(visibilityFilter(viewer));
+
+  if (userId) {
+    query = sharedDiveIds.length > 0
+      ? query.or(`user_id.eq.${userId},id.in.(${sharedDiveIds.join(',')})`)
+      : query.eq('user_id', userId);
+  }
+  if (diveType) {
+    query = query.eq('dive_type', diveType);
+  }
+  if (location) {
+    query = query.ilike('location_name', `%${location}%`);
+  }
+
+  const { data, error, count } = await query;
+
+  if (error) {
+    throw error;
+  }
+  return { dives: data, total: count };
+};
+
+// ============================================
+// 📰 피드 (여러 사용자의 최근 다이빙, created_at, id 내림차순 키셋)
+// - cursor: 이전 페이지 마지막 다이빙의 { created_at, id }
+// ============================================
+const listFeed = async ({ viewer, userIds, cursor, limit, owner }) => {
+  let query = supabase
+    .from('dives')
+    .select(selectWithOwner('*', owner))
+    .in('user_id', userIds)
+    .or(visibilityFilter(viewer))
+    .order('created_at', { ascending: false })
+    .order('id', { ascending: false })
+    .limit(limit);
+
+  if (cursor) {
+    query = query.or(`created_at.lt.${cursor.created_at},and(created_at.eq.${cursor.created_at},id.lt.${cursor.id})`);
+  }
+
+  const { data, error } = await query;
+
+  if (error) {
+    throw error;
+  }
+  return data;
+};
+
+// 🆕 다이빙 추가
+const create = async (dive) => {
+  const { data, error } = await supabase
+    .from('dives')
+    .insert([dive])
+    .select()
+    .single();
+
+  if (error) {
+    throw error;
+  }
+  return data;
+};
+
+// ✏️ 수정 (없는 다이빙이면 null)
+const update = async (id, changes) => {
+  const { data, error } = await supabase
+    .from('dives')
+    .update(changes)
+    .eq('id', id)
+    .select()
+    .maybeSingle();
+
+  if (error) {
+    throw error;
+  }
+  return data;
+};
+
+// 🗑️ 삭제 (사진, 태그 등 하위 행은 cascade)
+const remove = async (id) => {
+  const { error } = await supabase
+    .from('dives')
+    .delete()
+    .eq('id', id);
+
+  if (error) {
+    throw error;
+  }
+};
+
+// 내보내기
+module.exports = {
+  findById,      // ID로 조회
+  findByIds,     // 여러 ID 조회
+  findByUser,    // 사용자의 다이빙
+  countByUser,   // 사용자의 다이빙 수
+  listVisible,   // 공개 범위 적용 목록
+  listFeed,      // 팔로우 피드
+  create,        // 추가
+  update,        // 수정
+  remove         // 삭제
+};
@@ -0,0 +1,139 @@
+// ============================================
+// 👤 사용자 리포지토리 (Supabase users 테이블)
+// ============================================
+const { supabase } = require('../../utils/supabase');
+
+// 목록 정렬 기준 (sort 값 → 컬럼, 방향)
+const SORT_ORDERS = {
+  total_dives: ['total_dives', { ascending: false }],
+  name: ['name', { ascending: true }],
+  created_at: ['created_at', { ascending: false }]
+};
+
+// 🔍 ID로 조회 (없으면 null)
+const findById = async (id, { columns = '*' } = {}) => {
+  const { data, error } = await supabase
+    .from('users')
+    .select(columns)
+    .eq('id', id)
+    .maybeSingle();
+
+  if (error) {
+    throw error;
+  }
+  return data;
+};
+
+// 📧 이메일로 조회 (없으면 null)
+const findByEmail = async (email, { columns = '*' } = {}) => {
+  const { data, error } = await supabase
+    .from('users')
+    .select(columns)
+    .eq('email', email)
+    .maybeSingle();
+
+  if (error) {
+    throw error;
+  }
+  return data;
+};
+
+// 👥 여러 ID 조회 (순서 보장 없음)
+const findByIds = async (ids, { columns = '*' } = {}) => {
+  if (ids.length === 0) return [];
+
+  const { data, error } = await supabase
+    .from('users')
+    .select(columns)
+    .in('id', ids);
+
+  if (error) {
+    throw error;
+  }
+  return data;
+};
+
+// 📋 목록 (페이지네이션) → { users, total }
+const list = async ({ offset = 0, limit = 10, sort = 'created_at', publicStatsOnly = false, columns = '*' } = {}) => {
+  const [column, options] = SORT_ORDERS[sort] || SORT_ORDERS.created_at;
+
+  let query = supabase
+    .from('users')
+    .select(columns, { count: 'exact' });
+
+  // 통계 전체 공개 사용자만 (privacy.stats 미설정 = 기본값 public)
+  if (publicStatsOnly) {
+    query = query.or('privacy->>stats.is.null,privacy->>stats.eq.public');
+  }
+
+  const { data, error, count } = await query
+    .range(offset, offset + limit - 1)
+    .order(column, options);
+
+  if (error) {
+    throw error;
+  }
+  return { users: data, total: count };
+};
+
+// 🔍 이름 검색 (지역 / 경력 필터)
+const search = async ({ name, location, experience, limit = 20, columns = '*' }) => {
+  let query = supabase
+    .from('users')
+    .select(columns)
+    .ilike('name', `%${name}%`);
+
+  if (location) {
+    query = query.ilike('location', `%${location}%`);
+  }
+  if (experience) {
+    query = query.eq('diving_experience', experience);
+  }
+
+  const { data, error } = await query.limit(limit);
+
+  if (error) {
+    throw error;
+  }
+  return data;
+};
+
+// 🆕 사용자 추가 (가입 시 Auth 사용자 ID로)
+const create = async (user) => {
+  const { data, error } = await supabase
+    .from('users')
+    .insert([user])
+    .select()
+    .single();
+
+  if (error) {
+    throw error;
+  }
+  return data;
+};
+
+// ✏️ 수정 (없는 사용자면 null)
+const update = async (id, changes, { columns = '*' } = {}) => {
+  const { data, error } = await supabase
+    .from('users')
+    .update(changes)
+    .eq('id', id)
+    .select(columns)
+    .maybeSingle();
+
+  if (error) {
+    throw error;
+  }
+  return data;
+};
+
+// 내보내기
+module.exports = {
+  findById,      // ID로 조회
+  findByEmail,   // 이메일로 조회
+  findByIds,     // 여러 ID 조회
+  list,          // 목록
+  search,        // 검색
+  create,        // 추가
+  update         // 수정
+};
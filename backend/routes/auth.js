@@ -4,8 +4,98 @@
 const express = require('express');
 const router = express.Router();
 
-// 🗄️ Supabase 클라이언트 가져오기
-const { supabase, supabaseAdmin } = require('../utils/supabase');
+// 🗄️ 사용자 / 인증 리포지토리 가져오기 (DATA_BACKEND: supabase | memory)
+const { getRepositories } = require('../repositories');
+const { authenticate, optionalAuth, extractToken } = require('../middleware/auth');
+const { authLimiter, accountLimiter, sendTooManyRequests } = require('../middleware/rateLimit');
+const { getLoginLock, recordLoginFailure, clearLoginFailures } = require('../utils/loginLockout');
+const { getSessionId, recordSession, touchSession, isSessionRevoked, revokeSessions } = require('../utils/sessions');
+const {
+  MAX_CHALLENGE_ATTEMPTS,
+  getUserMfa,
+  isMfaEnabled,
+  verifyMfaCode,
+  createLoginChallenge,
+  findLoginChallenge,
+  recordChallengeFailure,
+  deleteLoginChallenge
+} = require('../utils/mfa');
+const { TOKEN_PURPOSES, TOKEN_TTL_HOURS, createAuthToken, consumeAuthToken } = require('../utils/authTokens');
+const { sendMail } = require('../utils/mailer');
+const { verificationEmail, passwordResetEmail, passwordChangedEmail } = require('../utils/mailer/templates');
+
+const { users: usersRepository, auth: authRepository } = getRepositories();
+
+// 비밀번호 최소 길이 (Supabase 기본값보다 엄격하게)
+const MIN_PASSWORD_LENGTH = 6;
+
+// ============================================
+// ✉️ 계정 메일 발송 헬퍼
+// - 발송 실패는 로그만 남기고 요청은 계속 진행 (발송 여부 반환)
+// ============================================
+const sendAccountMail = async (label, to, message) => {
+  try {
+    await sendMail({ to, ...message });
+    return true;
+  } catch (error) {
+    console.error(`❌ ${label} 메일 발송 에러:`, error);
+    return false;
+  }
+};
+
+// 📧 이메일 인증 메일 (새 토큰 발급)
+const sendVerificationEmail = async (userRecord) => {
+  const token = await createAuthToken(userRecord.id, TOKEN_PURPOSES.EMAIL_VERIFICATION);
+  return sendAccountMail('이메일 인증', userRecord.email, verificationEmail({
+    name: userRecord.name,
+    token,
+    expiresInHours: TOKEN_TTL_HOURS[TOKEN_PURPOSES.EMAIL_VERIFICATION]
+  }));
+};
+
+// 🔑 비밀번호 재설정 메일 (새 토큰 발급)
+const sendPasswordResetEmail = async (userRecord) => {
+  const token = await createAuthToken(userRecord.id, TOKEN_PURPOSES.PASSWORD_RESET);
+  return sendAccountMail('비밀번호 재설정', userRecord.email, passwordResetEmail({
+    name: userRecord.name,
+    token,
+    expiresInHours: TOKEN_TTL_HOURS[TOKEN_PURPOSES.PASSWORD_RESET]
+  }));
+};
+
+// ============================================
+// 🚪 비밀번호가 바뀐 계정의 다른 세션 모두 종료
+// - 기기 세션 종료 표시 + 인증 세션(refresh_token) 무효화
+// - currentToken이 없으면(재설정) 새 비밀번호로 만든 임시 세션으로 전체 로그아웃
+// - 반환: 종료된 기기 세션 수
+// ============================================
+const endOtherSessions = async ({ userId, email, password, currentToken = null, currentSessionId = null }) => {
+  const revoked = await revokeSessions(userId, { exceptSessionId: currentSessionId });
+
+  let token = currentToken;
+  if (!token) {
+    const { data, error } = await authRepository.signInWithPassword({ email, password });
+    if (error || !data?.session) {
+      console.error('❌ 비밀번호 변경 후 세션 종료 에러:', error);
+      return revoked.length;
+    }
+    token = data.session.access_token;
+  }
+
+  const { error } = await authRepository.signOut(token, currentToken ? 'others' : 'global');
+  if (error) {
+    console.error('❌ 비밀번호 변경 후 세션 종료 에러:', error);
+  }
+  return revoked.length;
+};
+
+// 🔑 새 비밀번호 검증 (문제가 없으면 null)
+const validateNewPassword = (password) => {
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    return `비밀번호는 최소 ${MIN_PASSWORD_LENGTH}자리 이상이어야 합니다.`;
+  }
+  return null;
+};
 
 // ============================================
 // 📋 인증 라우트 목록
@@ -17,11 +107,26 @@ router.get('/', (req, res) => {
     message: '🔐 Authentication API (Supabase 연동)',
     available_endpoints: {
       register: 'POST /api/auth/register',
-      login: 'POST /api/auth/login',
+      login: 'POST /api/auth/login { email, password, device_name? } (2단계 인증 사용 시 challenge_token 반환)',
+      login_mfa: 'POST /api/auth/login/mfa { challenge_token, code | recovery_code }',
       logout: 'POST /api/auth/logout',
       profile: 'GET /api/auth/profile',
-      refresh: 'POST /api/auth/refresh'
+      refresh: 'POST /api/auth/refresh { refresh_token }',
+      verify_email: 'POST /api/auth/verify-email { token }',
+      resend_verification: 'POST /api/auth/resend-verification (토큰 또는 { email })',
+      forgot_password: 'POST /api/auth/forgot-password { email }',
+      reset_password: 'POST /api/auth/reset-password { token, password }',
+      change_password: 'POST /api/auth/change-password { current_password, new_password } (로그인 필요)',
+      sessions: 'GET /api/auth/sessions (로그인한 기기 목록)',
+      revoke_session: 'DELETE /api/auth/sessions/:sessionId (기기 로그아웃)',
+      revoke_other_sessions: 'POST /api/auth/sessions/revoke-others (다른 기기 모두 로그아웃)',
+      mfa: 'GET /api/auth/mfa (2단계 인증 상태)',
+      mfa_enroll: 'POST /api/auth/mfa/enroll (비밀키 + otpauth URI 발급)',
+      mfa_verify: 'POST /api/auth/mfa/verify { code } (등록 확인 + 복구 코드 발급)',
+      mfa_recovery_codes: 'POST /api/auth/mfa/recovery-codes { code } (복구 코드 재발급)',
+      mfa_disable: 'POST /api/auth/mfa/disable { code | recovery_code }'
     },
+    rate_limit: '로그인/가입/비밀번호 찾기는 IP·이메일별 요청 제한, 로그인 연속 실패 시 점진적 잠금 (429 + Retry-After)',
     note: '실제 Supabase 데이터베이스와 연동됨'
   });
 });
@@ -29,7 +134,7 @@ router.get('/', (req, res) => {
 // ============================================
 // 👤 회원가입 (실제 데이터베이스 연동)
 // ============================================
-router.post('/register', async (req, res) => {
+router.post('/register', authLimiter, accountLimiter, async (req, res) => {
   try {
     const { email, password, name, diving_experience, location } = req.body;
     
@@ -46,10 +151,11 @@ router.post('/register', async (req, res) => {
 
     
     // - 커스텀 비밀번호 정책 (Supabase 기본값보다 더 엄격하게)
-    if (password.length < 6) {
+    const passwordError = validateNewPassword(password);
+    if (passwordError) {
       return res.status(400).json({
         error: 'Bad Request',
-        message: '비밀번호는 최소 6자리 이상이어야 합니다.'
+        message: passwordError
       });
     }
 
@@ -59,14 +165,12 @@ router.post('/register', async (req, res) => {
     // - 비밀번호 해싱 (bcrypt) ✅
     // - JWT 토큰 생성 ✅
     // - auth.users 테이블에 기본 정보 저장 ✅
-    const { data: authData, error: authError } = await supabase.auth.signUp({
+    const { data: authData, error: authError } = await authRepository.signUp({
       email: email,
       password: password,
-      options: {
-        data: {
-          name: name,
-          diving_experience: diving_experience || 'beginner'
-        }
+      metadata: {
+        name: name,
+        diving_experience: diving_experience || 'beginner'
       }
     });
 
@@ -92,25 +196,20 @@ router.post('/register', async (req, res) => {
     
     // - 비즈니스 로직에 맞는 추가 사용자 정보를 우리 테이블에 저장
     // - 다이빙 관련 필드들 (diving_experience, total_dives 등)
-    const { data: userData, error: userError } = await supabase
-      .from('users')
-      .insert([
-        {
-          id: authData.user.id, // 🔗 Auth ID와 연결
-          email: email,
-          name: name,
-          diving_experience: diving_experience || 'beginner',
-          location: location || null,
-          total_dives: 0, // 다이빙 앱 전용 필드
-          created_at: new Date().toISOString()
-        }
-      ])
-      .select()
-      .single();
-
-    
-    // - users 테이블 저장 실패 시 에러 처리
-    if (userError) {
+    let userData;
+    try {
+      userData = await usersRepository.create({
+        id: authData.user.id, // 🔗 Auth ID와 연결
+        email: email,
+        name: name,
+        diving_experience: diving_experience || 'beginner',
+        location: location || null,
+        total_dives: 0, // 다이빙 앱 전용 필드
+        created_at: new Date().toISOString()
+      });
+    } catch (userError) {
+      
+      // - users 테이블 저장 실패 시 에러 처리
       console.error('❌ User 테이블 에러:', userError);
       
       return res.status(500).json({
@@ -121,6 +220,19 @@ router.post('/register', async (req, res) => {
     }
 
     
+    // - 기기 세션 기록 (이메일 인증 필수 설정이면 세션 없음)
+    if (authData.session) {
+      await recordSession({ token: authData.session.access_token, userId: authData.user.id, req, deviceName: req.body.device_name });
+    }
+
+    
+    // - 이메일 인증 메일 발송 (실패해도 가입은 완료, resend-verification으로 재발송)
+    const verificationSent = await sendVerificationEmail(userData).catch(error => {
+      console.error('❌ 인증 토큰 발급 에러:', error);
+      return false;
+    });
+
+    
     // - 성공 응답 구조 설계
     // - 클라이언트에게 필요한 정보만 선별해서 반환
     res.status(201).json({
@@ -138,7 +250,11 @@ router.post('/register', async (req, res) => {
         refresh_token: authData.session?.refresh_token,
         expires_at: authData.session?.expires_at
       },
-      note: '이메일 인증이 필요할 수 있습니다.'
+      email_verification: {
+        sent: verificationSent,
+        expires_in_hours: TOKEN_TTL_HOURS[TOKEN_PURPOSES.EMAIL_VERIFICATION]
+      },
+      note: '메일의 링크로 이메일 인증을 완료해주세요.'
     });
 
   } catch (error) {
@@ -152,12 +268,71 @@ router.post('/register', async (req, res) => {
   }
 });
 
+// 🔒 로그인 잠금 응답 (429 + Retry-After)
+const sendAccountLocked = (res, retryAfter) => sendTooManyRequests(res, {
+  message: `로그인에 여러 번 실패해 잠시 잠겼습니다. ${Math.ceil(retryAfter / 60)}분 후 다시 시도해주세요.`,
+  retryAfter,
+  code: 'ACCOUNT_LOCKED'
+});
+
+// ============================================
+// 🎉 로그인 성공 응답 (비밀번호 로그인 / 2단계 인증 공통)
+// - 사용자 정보 조회 + 기기 세션 기록 + 토큰 반환
+// ============================================
+const sendLoginSuccess = async (req, res, { authUser, session, deviceName, mfaVerified = false, extra = {} }) => {
+  // - 추가 사용자 정보를 우리 테이블에서 조회
+  // - 다이빙 관련 정보 (total_dives, deepest_dive 등)
+  // - users 테이블 조회 실패 시 기본값 처리
+  const userData = await usersRepository.findById(authUser.id).catch(userError => {
+    console.error('❌ 사용자 정보 조회 에러:', userError);
+    return null;
+  });
+
+  
+  // - 기기 세션 기록 (GET /api/auth/sessions 에서 확인/종료)
+  const deviceSession = await recordSession({
+    token: session.access_token,
+    userId: authUser.id,
+    req,
+    deviceName,
+    mfaVerified
+  });
+
+  
+  // - 실패 잠금 카운터 초기화
+  if (authUser.email) {
+    await clearLoginFailures(authUser.email);
+  }
+
+  
+  // - 로그인 성공 응답 구조 설계
+  res.json({
+    message: '로그인 성공! 🎉',
+    user: userData || {
+      id: authUser.id,
+      email: authUser.email,
+      name: authUser.user_metadata?.name || '이름 없음'
+    },
+    auth: {
+      access_token: session.access_token,
+      refresh_token: session.refresh_token,
+      expires_at: session.expires_at,
+      expires_in: session.expires_in
+    },
+    session: deviceSession && {
+      id: deviceSession.id,
+      device_name: deviceSession.device_name
+    },
+    ...extra
+  });
+};
+
 // ============================================
 // 🔑 로그인 (실제 인증)
 // ============================================
-router.post('/login', async (req, res) => {
+router.post('/login', authLimiter, accountLimiter, async (req, res) => {
   try {
-    const { email, password } = req.body;
+    const { email, password, device_name } = req.body;
 
     
     // - 입력 검증
@@ -169,12 +344,19 @@ router.post('/login', async (req, res) => {
       });
     }
 
+    
+    // - 연속 실패로 잠긴 계정은 비밀번호 확인 전에 거부
+    const lock = await getLoginLock(email);
+    if (lock.locked) {
+      return sendAccountLocked(res, lock.retryAfter);
+    }
+
     // 🏗️ Supabase Auth가 자동 처리:
     // - 이메일/비밀번호 검증 ✅
     // - 비밀번호 해시 비교 ✅
     // - JWT 토큰 발급 ✅
     // - 세션 생성 ✅
-    const { data: authData, error: authError } = await supabase.auth.signInWithPassword({
+    const { data: authData, error: authError } = await authRepository.signInWithPassword({
       email: email,
       password: password
     });
@@ -183,6 +365,11 @@ router.post('/login', async (req, res) => {
     // - 로그인 실패 시 사용자 친화적 에러 메시지
     if (authError) {
       console.error('❌ 로그인 에러:', authError);
+
+      const failure = await recordLoginFailure(email);
+      if (failure.locked) {
+        return sendAccountLocked(res, failure.retryAfter);
+      }
       
       return res.status(401).json({
         error: 'Unauthorized',
@@ -192,29 +379,174 @@ router.post('/login', async (req, res) => {
     }
 
     
-    // - 추가 사용자 정보를 우리 테이블에서 조회
-    // - 다이빙 관련 정보 (total_dives, deepest_dive 등)
-    const { data: userData, error: userError } = await supabase
-      .from('users')
-      .select('*')
-      .eq('id', authData.user.id)
-      .single();
+    // - 2단계 인증을 켠 계정은 토큰 대신 challenge 발급 (POST /api/auth/login/mfa)
+    const mfa = await getUserMfa(authData.user.id);
+    if (isMfaEnabled(mfa)) {
+      const challenge = await createLoginChallenge({
+        userId: authData.user.id,
+        session: authData.session,
+        deviceName: device_name
+      });
 
-    
-    // - users 테이블 조회 실패 시 기본값 처리
-    if (userError) {
-      console.error('❌ 사용자 정보 조회 에러:', userError);
+      return res.json({
+        message: '2단계 인증이 필요합니다. 🔐',
+        mfa_required: true,
+        challenge_token: challenge.token,
+        expires_in: challenge.expiresIn,
+        methods: ['totp', 'recovery_code'],
+        next: 'POST /api/auth/login/mfa { challenge_token, code | recovery_code }'
+      });
     }
 
+    await sendLoginSuccess(req, res, {
+      authUser: authData.user,
+      session: authData.session,
+      deviceName: device_name
+    });
+
+  } catch (error) {
     
-    // - 로그인 성공 응답 구조 설계
+    // - 예상치 못한 에러 핸들링
+    console.error('❌ 로그인 에러:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: '로그인 처리 중 오류가 발생했습니다.'
+    });
+  }
+});
+
+// ============================================
+// 🔐 로그인 2단계 (TOTP 코드 또는 복구 코드)
+// - POST /login 에서 받은 challenge_token 사용
+// ============================================
+router.post('/login/mfa', authLimiter, async (req, res) => {
+  try {
+    const { challenge_token, code, recovery_code } = req.body;
+
+    if (!challenge_token || (!code && !recovery_code)) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'challenge_token과 인증 코드(code 또는 recovery_code)가 필요합니다.',
+        required_fields: ['challenge_token', 'code | recovery_code']
+      });
+    }
+
+    const challenge = await findLoginChallenge(challenge_token);
+    if (!challenge) {
+      return res.status(401).json({
+        error: 'Unauthorized',
+        message: '유효하지 않거나 만료된 인증 요청입니다. 다시 로그인해주세요.',
+        code: 'INVALID_CHALLENGE'
+      });
+    }
+
+    const { data: authUserData } = await authRepository.getUserById(challenge.user_id);
+    const email = authUserData?.user?.email;
+
+    // 코드 실패도 비밀번호 실패와 같은 잠금 카운터 사용
+    const lock = email ? await getLoginLock(email) : { locked: false };
+    if (lock.locked) {
+      return sendAccountLocked(res, lock.retryAfter);
+    }
+
+    const mfa = await getUserMfa(challenge.user_id);
+    const result = isMfaEnabled(mfa)
+      ? await verifyMfaCode(mfa, { code, recoveryCode: recovery_code })
+      : { valid: false };
+
+    if (!result.valid) {
+      const failure = email ? await recordLoginFailure(email) : { locked: false };
+      if (failure.locked) {
+        return sendAccountLocked(res, failure.retryAfter);
+      }
+
+      const remaining = await recordChallengeFailure(challenge);
+      return res.status(401).json({
+        error: 'Unauthorized',
+        message: remaining > 0
+          ? '인증 코드가 올바르지 않습니다.'
+          : `인증 코드를 ${MAX_CHALLENGE_ATTEMPTS}번 잘못 입력했습니다. 다시 로그인해주세요.`,
+        code: remaining > 0 ? 'INVALID_MFA_CODE' : 'INVALID_CHALLENGE',
+        attempts_remaining: remaining
+      });
+    }
+
+    await deleteLoginChallenge(challenge);
+
+    await sendLoginSuccess(req, res, {
+      authUser: authUserData?.user || { id: challenge.user_id },
+      session: challenge.session,
+      deviceName: challenge.device_name,
+      mfaVerified: true,
+      extra: {
+        mfa: {
+          method: result.method,
+          recovery_codes_remaining: result.recovery_codes_remaining
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ 2단계 인증 로그인 에러:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: '로그인 처리 중 오류가 발생했습니다.'
+    });
+  }
+});
+
+// ============================================
+// 🔄 토큰 갱신 (refresh_token → 새 access_token)
+// ============================================
+router.post('/refresh', async (req, res) => {
+  try {
+    const { refresh_token } = req.body;
+
+    if (!refresh_token) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'refresh_token이 필요합니다.',
+        required_fields: ['refresh_token']
+      });
+    }
+
+    // 🏗️ Supabase Auth가 자동 처리:
+    // - refresh_token 검증 및 1회용 교체 (rotation) ✅
+    // - 새 access_token 발급 ✅
+    const { data: authData, error: authError } = await authRepository.refreshSession(refresh_token);
+
+    if (authError || !authData?.session) {
+      return res.status(401).json({
+        error: 'Unauthorized',
+        message: '유효하지 않거나 만료된 refresh_token입니다. 다시 로그인해주세요.',
+        code: 'INVALID_REFRESH_TOKEN'
+      });
+    }
+
+    // 다른 기기에서 종료한 세션이면 인증 세션까지 끊고 거부
+    const newToken = authData.session.access_token;
+    if (await isSessionRevoked(getSessionId(newToken))) {
+      await authRepository.signOut(newToken, 'local');
+      return res.status(401).json({
+        error: 'Unauthorized',
+        message: '로그아웃된 세션입니다. 다시 로그인해주세요.',
+        code: 'SESSION_REVOKED'
+      });
+    }
+
+    // 2단계 인증을 통과하지 않은 세션은 갱신하지 않음
+    const { mfaRequired } = await touchSession({ token: newToken, userId: authData.user.id, req });
+    if (mfaRequired) {
+      await authRepository.signOut(newToken, 'local');
+      return res.status(401).json({
+        error: 'Unauthorized',
+        message: '2단계 인증이 필요합니다. 다시 로그인해주세요.',
+        code: 'MFA_REQUIRED'
+      });
+    }
+
     res.json({
-      message: '로그인 성공! 🎉',
-      user: userData || {
-        id: authData.user.id,
-        email: authData.user.email,
-        name: authData.user.user_metadata?.name || '이름 없음'
-      },
+      message: '토큰 갱신 성공',
       auth: {
         access_token: authData.session.access_token,
         refresh_token: authData.session.refresh_token,
@@ -224,12 +556,10 @@ router.post('/login', async (req, res) => {
     });
 
   } catch (error) {
-    
-    // - 예상치 못한 에러 핸들링
-    console.error('❌ 로그인 에러:', error);
+    console.error('❌ 토큰 갱신 에러:', error);
     res.status(500).json({
       error: 'Internal Server Error',
-      message: '로그인 처리 중 오류가 발생했습니다.'
+      message: '토큰 갱신 중 오류가 발생했습니다.'
     });
   }
 });
@@ -237,17 +567,21 @@ router.post('/login', async (req, res) => {
 // ============================================
 // 🚪 로그아웃 (실제 세션 종료)
 // ============================================
-router.post('/logout', async (req, res) => {
+router.post('/logout', optionalAuth, async (req, res) => {
   try {
     
     // - Authorization 헤더에서 토큰 추출
-    const token = req.headers.authorization?.replace('Bearer ', '');
+    const token = extractToken(req);
     
     if (token) {
+      // - 이 기기 세션 종료 표시 (같은 토큰으로 더 이상 인증 불가)
+      if (req.user && req.sessionId) {
+        await revokeSessions(req.user.id, { sessionId: req.sessionId });
+      }
+
       // 🏗️ Supabase Auth가 자동 처리:
-      // - 서버 측 세션 무효화 ✅
-      // - JWT 토큰 블랙리스트 등록 ✅
-      const { error } = await supabase.auth.signOut();
+      // - 요청한 토큰의 세션만 무효화 (refresh_token 포함, 다른 기기는 유지) ✅
+      const { error } = await authRepository.signOut(token, 'local');
       
       if (error) {
         console.error('❌ 로그아웃 에러:', error);
@@ -273,50 +607,34 @@ router.post('/logout', async (req, res) => {
 });
 
 // ============================================
-// 👤 현재 사용자 프로필 조회
+// 📱 기기별 세션 관리 (sessions.js)
 // ============================================
-router.get('/profile', async (req, res) => {
-  try {
-    
-    // - Authorization 헤더 파싱
-    const token = req.headers.authorization?.replace('Bearer ', '');
-    
-    if (!token) {
-      return res.status(401).json({
-        error: 'Unauthorized',
-        message: '인증 토큰이 필요합니다.',
-        note: 'Authorization 헤더에 Bearer 토큰을 포함해주세요.'
-      });
-    }
+router.use('/sessions', require('./sessions'));
 
-    // 🏗️ Supabase Auth가 자동 처리:
-    // - JWT 토큰 검증 ✅
-    // - 토큰 만료 시간 확인 ✅
-    // - 사용자 ID 추출 ✅
-    const { data: { user }, error: authError } = await supabase.auth.getUser(token);
+// ============================================
+// 🛡️ 2단계 인증 설정 (mfa.js)
+// ============================================
+router.use('/mfa', require('./mfa'));
 
-    
-    // - 인증 실패 시 에러 처리
-    if (authError || !user) {
-      return res.status(401).json({
-        error: 'Unauthorized',
-        message: '유효하지 않은 토큰입니다.'
-      });
-    }
+// ============================================
+// 👤 현재 사용자 프로필 조회
+// ============================================
+router.get('/profile', authenticate, async (req, res) => {
+  try {
+    // 🏗️ 인증 미들웨어가 자동 처리:
+    // - Authorization 헤더 파싱 ✅
+    // - JWT 토큰 검증 및 만료 확인 ✅
+    // - 사용자 조회 (req.user) ✅
+    const { user } = req;
 
     
     // - 우리 테이블에서 상세 사용자 정보 조회
     // - 다이빙 통계, 프로필 정보 등
-    const { data: userData, error: userError } = await supabase
-      .from('users')
-      .select('*')
-      .eq('id', user.id)
-      .single();
+    const userData = await usersRepository.findById(user.id);
 
     
     // - 데이터 조회 실패 시 에러 처리
-    if (userError) {
-      console.error('❌ 사용자 정보 조회 에러:', userError);
+    if (!userData) {
       return res.status(404).json({
         error: 'Not Found',
         message: '사용자 정보를 찾을 수 없습니다.'
@@ -341,5 +659,291 @@ router.get('/profile', async (req, res) => {
   }
 });
 
+// ============================================
+// 📧 이메일 인증 (메일 링크의 token 사용)
+// ============================================
+router.post('/verify-email', authLimiter, async (req, res) => {
+  try {
+    const tokenRow = await consumeAuthToken(req.body.token, TOKEN_PURPOSES.EMAIL_VERIFICATION);
+
+    if (!tokenRow) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: '유효하지 않거나 만료된 인증 링크입니다. 인증 메일을 다시 요청해주세요.',
+        code: 'INVALID_TOKEN'
+      });
+    }
+
+    const verifiedAt = new Date().toISOString();
+    const userData = await usersRepository.update(
+      tokenRow.user_id,
+      { email_verified_at: verifiedAt },
+      { columns: 'id, email, email_verified_at' }
+    );
+
+    if (!userData) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: '사용자 정보를 찾을 수 없습니다.'
+      });
+    }
+
+    // Auth 쪽 인증 상태도 맞춤 (이메일 인증 필수 설정인 경우 로그인 가능해짐)
+    const { error: authError } = await authRepository.updateUserById(tokenRow.user_id, { email_confirm: true });
+    if (authError) {
+      console.error('❌ Auth 이메일 인증 상태 갱신 에러:', authError);
+    }
+
+    res.json({
+      message: '이메일 인증 성공! ✅',
+      user: userData
+    });
+
+  } catch (error) {
+    console.error('❌ 이메일 인증 에러:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: '이메일 인증 처리 중 오류가 발생했습니다.'
+    });
+  }
+});
+
+// ============================================
+// 🔁 인증 메일 재발송
+// - 로그인한 경우 본인 계정, 아니면 { email } (가입 여부는 알리지 않음)
+// ============================================
+router.post('/resend-verification', authLimiter, accountLimiter, optionalAuth, async (req, res) => {
+  try {
+    const email = req.body.email?.trim();
+
+    if (!req.user && !email) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: '이메일을 입력하거나 로그인한 상태로 요청해주세요.',
+        required_fields: ['email']
+      });
+    }
+
+    const columns = 'id, email, name, email_verified_at';
+    const userRecord = req.user
+      ? await usersRepository.findById(req.user.id, { columns })
+      : await usersRepository.findByEmail(email, { columns });
+
+    if (req.user && userRecord?.email_verified_at) {
+      return res.status(409).json({
+        error: 'Conflict',
+        message: '이미 인증된 이메일입니다.'
+      });
+    }
+
+    if (userRecord && !userRecord.email_verified_at) {
+      await sendVerificationEmail(userRecord);
+    }
+
+    res.json({
+      message: '인증 메일 재발송 요청 완료',
+      note: '가입된 이메일이고 아직 인증하지 않았다면 인증 메일이 발송됩니다.'
+    });
+
+  } catch (error) {
+    console.error('❌ 인증 메일 재발송 에러:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: '인증 메일 재발송 중 오류가 발생했습니다.'
+    });
+  }
+});
+
+// ============================================
+// 🔑 비밀번호 찾기 (재설정 메일 발송)
+// - 가입 여부와 관계없이 같은 응답 (이메일 존재 여부 노출 방지)
+// ============================================
+router.post('/forgot-password', authLimiter, accountLimiter, async (req, res) => {
+  try {
+    const email = req.body.email?.trim();
+
+    if (!email) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: '이메일을 입력해주세요.',
+        required_fields: ['email']
+      });
+    }
+
+    const userRecord = await usersRepository.findByEmail(email, { columns: 'id, email, name' });
+
+    if (userRecord) {
+      await sendPasswordResetEmail(userRecord);
+    }
+
+    res.json({
+      message: '비밀번호 재설정 요청 완료',
+      note: `가입된 이메일이라면 ${TOKEN_TTL_HOURS[TOKEN_PURPOSES.PASSWORD_RESET]}시간 동안 유효한 재설정 링크가 발송됩니다.`
+    });
+
+  } catch (error) {
+    console.error('❌ 비밀번호 찾기 에러:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: '비밀번호 재설정 요청 중 오류가 발생했습니다.'
+    });
+  }
+});
+
+// ============================================
+// 🔑 비밀번호 재설정 (메일 링크의 token + 새 비밀번호)
+// ============================================
+router.post('/reset-password', authLimiter, async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    const passwordError = validateNewPassword(password);
+    if (passwordError) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: passwordError
+      });
+    }
+
+    const tokenRow = await consumeAuthToken(token, TOKEN_PURPOSES.PASSWORD_RESET);
+
+    if (!tokenRow) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: '유효하지 않거나 만료된 재설정 링크입니다. 비밀번호 찾기를 다시 요청해주세요.',
+        code: 'INVALID_TOKEN'
+      });
+    }
+
+    // 🏗️ 인증 리포지토리가 자동 처리:
+    // - 비밀번호 해싱 및 저장 ✅
+    const { error: authError } = await authRepository.updateUserById(tokenRow.user_id, { password });
+
+    if (authError) {
+      console.error('❌ 비밀번호 재설정 에러:', authError);
+      return res.status(400).json({
+        error: 'Auth Error',
+        message: authError.message
+      });
+    }
+
+    const userRecord = await usersRepository.findById(tokenRow.user_id, { columns: 'email, name' });
+
+    // 재설정 전 로그인해 둔 모든 기기 로그아웃 + 로그인 잠금 해제
+    let revokedCount = 0;
+    if (userRecord) {
+      revokedCount = await endOtherSessions({ userId: tokenRow.user_id, email: userRecord.email, password });
+      await clearLoginFailures(userRecord.email);
+      await sendAccountMail('비밀번호 변경 알림', userRecord.email, passwordChangedEmail({ name: userRecord.name }));
+    }
+
+    res.json({
+      message: '비밀번호 재설정 성공! 새 비밀번호로 로그인해주세요. 🔑',
+      revoked_count: revokedCount
+    });
+
+  } catch (error) {
+    console.error('❌ 비밀번호 재설정 에러:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: '비밀번호 재설정 중 오류가 발생했습니다.'
+    });
+  }
+});
+
+// ============================================
+// 🔑 비밀번호 변경 (로그인 상태, 현재 비밀번호 확인)
+// ============================================
+router.post('/change-password', authLimiter, authenticate, async (req, res) => {
+  try {
+    const { user } = req;
+    const { current_password, new_password } = req.body;
+
+    if (!current_password || !new_password) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: '현재 비밀번호와 새 비밀번호를 입력해주세요.',
+        required_fields: ['current_password', 'new_password']
+      });
+    }
+
+    const passwordError = validateNewPassword(new_password);
+    if (passwordError) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: passwordError
+      });
+    }
+
+    if (current_password === new_password) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: '새 비밀번호는 현재 비밀번호와 달라야 합니다.'
+      });
+    }
+
+    // 현재 비밀번호 확인 (로그인과 같은 실패 잠금 카운터 사용)
+    const lock = await getLoginLock(user.email);
+    if (lock.locked) {
+      return sendAccountLocked(res, lock.retryAfter);
+    }
+
+    const { data: checkData, error: signInError } = await authRepository.signInWithPassword({
+      email: user.email,
+      password: current_password
+    });
+
+    if (signInError) {
+      const failure = await recordLoginFailure(user.email);
+      if (failure.locked) {
+        return sendAccountLocked(res, failure.retryAfter);
+      }
+
+      return res.status(401).json({
+        error: 'Unauthorized',
+        message: '현재 비밀번호가 올바르지 않습니다.',
+        code: 'INVALID_CREDENTIALS'
+      });
+    }
+
+    // 확인용으로 만든 세션은 바로 종료
+    await authRepository.signOut(checkData.session.access_token, 'local');
+
+    const { error: authError } = await authRepository.updateUserById(user.id, { password: new_password });
+
+    if (authError) {
+      console.error('❌ 비밀번호 변경 에러:', authError);
+      return res.status(400).json({
+        error: 'Auth Error',
+        message: authError.message
+      });
+    }
+
+    // 이 기기를 제외한 모든 기기 로그아웃 + 로그인 잠금 해제
+    const revokedCount = await endOtherSessions({
+      userId: user.id,
+      currentToken: extractToken(req),
+      currentSessionId: req.sessionId
+    });
+    await clearLoginFailures(user.email);
+
+    const userRecord = await usersRepository.findById(user.id, { columns: 'name' });
+
+    await sendAccountMail('비밀번호 변경 알림', user.email, passwordChangedEmail({ name: userRecord?.name || user.email }));
+
+    res.json({
+      message: '비밀번호 변경 성공! 다른 기기에서는 다시 로그인해야 합니다. 🔑',
+      revoked_count: revokedCount
+    });
+
+  } catch (error) {
+    console.error('❌ 비밀번호 변경 에러:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: '비밀번호 변경 중 오류가 발생했습니다.'
+    });
+  }
+});
+
 // 라우터 내보내기
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,370 @@
+// ============================================
+// 🤝 버디 요청 API 라우트 (Supabase 연동)
+// ============================================
+// 📋 필요한 테이블 (Supabase SQL Editor에서 생성)
+//
+// create table buddy_relationships (
+//   id uuid primary key default gen_random_uuid(),
+//   requester_id uuid not null references users(id) on delete cascade,
+//   addressee_id uuid not null references users(id) on delete cascade,
+//   status text not null default 'pending',  -- pending | accepted | declined
+//   message text,
+//   created_at timestamptz default now(),
+//   responded_at timestamptz,
+//   check (requester_id <> addressee_id)
+// );
+// -- 방향과 무관하게 두 사용자 사이에는 관계가 하나만 존재
+// create unique index buddy_relationships_pair_idx on buddy_relationships
+//   (least(requester_id, addressee_id), greatest(requester_id, addressee_id));
+// ============================================
+const express = require('express');
+const router = express.Router();
+
+// Supabase 클라이언트 및 헬퍼 가져오기
+const { supabase } = require('../utils/supabase');
+const { authenticate } = require('../middleware/auth');
+const { BUDDY_STATUS, findRelationship } = require('../utils/buddies');
+const { notify } = require('../utils/notifications');
+const { filterProfile } = require('../utils/privacy');
+
+// ============================================
+// 📋 버디 라우트 목록
+// ============================================
+router.get('/', (req, res) => {
+  res.json({
+    message: '🤝 Buddies API',
+    available_endpoints: {
+      requests: 'GET /api/buddies/requests?direction=incoming|outgoing (받은/보낸 요청)',
+      send: 'POST /api/buddies/requests (버디 요청 보내기)',
+      accept: 'POST /api/buddies/requests/:requestId/accept (요청 수락)',
+      decline: 'POST /api/buddies/requests/:requestId/decline (요청 거절)',
+      remove: 'DELETE /api/buddies/:userId (버디 해제 / 보낸 요청 취소)',
+      list: 'GET /api/users/:id/buddies (버디 목록)'
+    }
+  });
+});
+
+// ============================================
+// 📬 받은/보낸 버디 요청 목록
+// ============================================
+router.get('/requests', authenticate, async (req, res) => {
+  try {
+    const { user } = req;
+
+    const direction = req.query.direction || 'incoming';
+    if (!['incoming', 'outgoing'].includes(direction)) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'direction은 incoming 또는 outgoing이어야 합니다.'
+      });
+    }
+
+    // 받은 요청은 보낸 사람 정보, 보낸 요청은 받는 사람 정보를 함께 조회
+    const isIncoming = direction === 'incoming';
+    const { data: requests, error } = await supabase
+      .from('buddy_relationships')
+      .select('id, requester_id, addressee_id, message, created_at')
+      .eq('status', BUDDY_STATUS.PENDING)
+      .eq(isIncoming ? 'addressee_id' : 'requester_id', user.id)
+      .order('created_at', { ascending: false });
+
+    if (error) {
+      console.error('❌ 버디 요청 목록 조회 에러:', error);
+      return res.status(500).json({
+        error: 'Database Error',
+        message: '버디 요청 목록 조회 중 오류가 발생했습니다.'
+      });
+    }
+
+    const otherIds = requests.map(r => (isIncoming ? r.requester_id : r.addressee_id));
+    const { data: users } = otherIds.length
+      ? await supabase
+        .from('users')
+        .select('id, name, diving_experience, location, privacy')
+        .in('id', otherIds)
+      : { data: [] };
+
+    // 아직 버디가 아니므로 전체 공개 항목만
+    const usersById = (users || []).reduce((acc, u) => ({ ...acc, [u.id]: filterProfile(u, 'public') }), {});
+
+    res.json({
+      message: '버디 요청 목록 조회 성공',
+      direction,
+      data: requests.map(r => ({
+        ...r,
+        user: usersById[isIncoming ? r.requester_id : r.addressee_id] || null
+      })),
+      total: requests.length
+    });
+
+  } catch (error) {
+    console.error('❌ 버디 요청 목록 조회 에러:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: '버디 요청 목록 조회 중 오류가 발생했습니다.'
+    });
+  }
+});
+
+// ============================================
+// 📨 버디 요청 보내기
+// - 상대가 이미 나에게 요청을 보낸 상태라면 바로 수락 처리
+// ============================================
+router.post('/requests', authenticate, async (req, res) => {
+  try {
+    const { user } = req;
+
+    const { user_id: targetId, message } = req.body;
+
+    // UUID 형식 검증
+    const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+    if (!targetId || !uuidRegex.test(targetId)) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: '버디 요청을 보낼 사용자 ID(user_id)가 필요합니다.'
+      });
+    }
+
+    if (targetId === user.id) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: '자기 자신에게는 버디 요청을 보낼 수 없습니다.'
+      });
+    }
+
+    // 대상 사용자 존재 확인
+    const { data: targetUser } = await supabase
+      .from('users')
+      .select('id, name')
+      .eq('id', targetId)
+      .maybeSingle();
+
+    if (!targetUser) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: '사용자를 찾을 수 없습니다.'
+      });
+    }
+
+    const existing = await findRelationship(user.id, targetId);
+    const now = new Date().toISOString();
+
+    if (existing?.status === BUDDY_STATUS.ACCEPTED) {
+      return res.status(409).json({
+        error: 'Conflict',
+        message: '이미 버디입니다.',
+        code: 'ALREADY_BUDDIES'
+      });
+    }
+
+    if (existing?.status === BUDDY_STATUS.PENDING) {
+      // 내가 이미 보낸 요청
+      if (existing.requester_id === user.id) {
+        return res.status(409).json({
+          error: 'Conflict',
+          message: '이미 버디 요청을 보냈습니다.',
+          code: 'REQUEST_ALREADY_SENT'
+        });
+      }
+
+      // 상대가 보낸 요청이 있으면 수락
+      const { data: accepted, error } = await supabase
+        .from('buddy_relationships')
+        .update({ status: BUDDY_STATUS.ACCEPTED, responded_at: now })
+        .eq('id', existing.id)
+        .select()
+        .single();
+
+      if (error) throw error;
+
+      await notify({ userId: targetId, actorId: user.id, type: 'buddy_accept' });
+
+      return res.json({
+        message: `${targetUser.name}님과 버디가 되었습니다! 🤝`,
+        relationship: accepted
+      });
+    }
+
+    // 거절된 관계가 있으면 새 요청으로 재사용, 없으면 새로 생성
+    const requestData = {
+      requester_id: user.id,
+      addressee_id: targetId,
+      status: BUDDY_STATUS.PENDING,
+      message: message || null,
+      created_at: now,
+      responded_at: null
+    };
+
+    const { data: relationship, error } = existing
+      ? await supabase
+        .from('buddy_relationships')
+        .update(requestData)
+        .eq('id', existing.id)
+        .select()
+        .single()
+      : await supabase
+        .from('buddy_relationships')
+        .insert([requestData])
+        .select()
+        .single();
+
+    if (error) {
+      console.error('❌ 버디 요청 에러:', error);
+      return res.status(500).json({
+        error: 'Database Error',
+        message: '버디 요청 중 오류가 발생했습니다.',
+        details: error.message
+      });
+    }
+
+    await notify({ userId: targetId, actorId: user.id, type: 'buddy_request', data: { request_id: relationship.id } });
+
+    res.status(201).json({
+      message: `${targetUser.name}님에게 버디 요청을 보냈습니다! 📨`,
+      relationship
+    });
+
+  } catch (error) {
+    console.error('❌ 버디 요청 에러:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: '버디 요청 중 오류가 발생했습니다.'
+    });
+  }
+});
+
+// ============================================
+// ✅❌ 받은 요청 수락/거절 (공통 처리)
+// ============================================
+const respondToRequest = (status) => async (req, res) => {
+  const action = status === BUDDY_STATUS.ACCEPTED ? '수락' : '거절';
+
+  try {
+    const { user } = req;
+
+    const { data: request } = await supabase
+      .from('buddy_relationships')
+      .select('*')
+      .eq('id', req.params.requestId)
+      .maybeSingle();
+
+    // 나에게 온 대기 중인 요청만 처리 가능
+    if (!request || request.addressee_id !== user.id) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: '버디 요청을 찾을 수 없습니다.'
+      });
+    }
+
+    if (request.status !== BUDDY_STATUS.PENDING) {
+      return res.status(409).json({
+        error: 'Conflict',
+        message: '이미 처리된 버디 요청입니다.',
+        status: request.status
+      });
+    }
+
+    const { data: relationship, error } = await supabase
+      .from('buddy_relationships')
+      .update({ status, responded_at: new Date().toISOString() })
+      .eq('id', request.id)
+      .select()
+      .single();
+
+    if (error) {
+      console.error(`❌ 버디 요청 ${action} 에러:`, error);
+      return res.status(500).json({
+        error: 'Database Error',
+        message: `버디 요청 ${action} 중 오류가 발생했습니다.`
+      });
+    }
+
+    if (status === BUDDY_STATUS.ACCEPTED) {
+      await notify({ userId: request.requester_id, actorId: user.id, type: 'buddy_accept' });
+    }
+
+    res.json({
+      message: status === BUDDY_STATUS.ACCEPTED
+        ? '버디 요청을 수락했습니다! 🤝'
+        : '버디 요청을 거절했습니다.',
+      relationship
+    });
+
+  } catch (error) {
+    console.error(`❌ 버디 요청 ${action} 에러:`, error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: `버디 요청 ${action} 중 오류가 발생했습니다.`
+    });
+  }
+};
+
+router.post('/requests/:requestId/accept', authenticate, respondToRequest(BUDDY_STATUS.ACCEPTED));
+router.post('/requests/:requestId/decline', authenticate, respondToRequest(BUDDY_STATUS.DECLINED));
+
+// ============================================
+// 🗑️ 버디 해제 / 보낸 요청 취소
+// ============================================
+router.delete('/:userId', authenticate, async (req, res) => {
+  try {
+    const { user } = req;
+    const { userId } = req.params;
+
+    // UUID 형식 검증
+    const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+    if (!uuidRegex.test(userId)) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: '유효하지 않은 사용자 ID 형식입니다.'
+      });
+    }
+
+    const relationship = await findRelationship(user.id, userId);
+
+    // 수락된 버디 또는 내가 보낸 대기 중 요청만 삭제 가능
+    const removable = relationship && (
+      relationship.status === BUDDY_STATUS.ACCEPTED ||
+      (relationship.status === BUDDY_STATUS.PENDING && relationship.requester_id === user.id)
+    );
+
+    if (!removable) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: '해제할 버디 관계가 없습니다.'
+      });
+    }
+
+    const { error } = await supabase
+      .from('buddy_relationships')
+      .delete()
+      .eq('id', relationship.id);
+
+    if (error) {
+      console.error('❌ 버디 해제 에러:', error);
+      return res.status(500).json({
+        error: 'Database Error',
+        message: '버디 해제 중 오류가 발생했습니다.'
+      });
+    }
+
+    res.json({
+      message: relationship.status === BUDDY_STATUS.ACCEPTED
+        ? '버디 관계를 해제했습니다.'
+        : '버디 요청을 취소했습니다.',
+      removed: {
+        user_id: req.params.userId,
+        previous_status: relationship.status
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ 버디 해제 에러:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: '버디 해제 중 오류가 발생했습니다.'
+    });
+  }
+});
+
+// 라우터 내보내기
+module.exports = router;
@@ -0,0 +1,455 @@
+// ============================================
+// 🎓 다이빙 자격증 API 라우트 (/api/certifications)
+// ============================================
+// 📋 필요한 테이블 (Supabase SQL Editor에서 생성)
+//
+// create table certifications (
+//   id uuid primary key default gen_random_uuid(),
+//   user_id uuid not null references users(id) on delete cascade,
+//   agency text not null,              -- PADI | SSI | NAUI | CMAS | TDI | AIDA | Molchanovs
+//   level text not null,               -- 카탈로그 레벨 코드 (open_water, aida_2 ...)
+//   dive_type text not null,           -- scuba | freediving
+//   certification_number text,
+//   issue_date date,
+//   card_image_path text,
+//   card_image_url text,
+//   card_storage_backend text,
+//   created_at timestamptz default now(),
+//   updated_at timestamptz default now()
+// );
+// create index certifications_user_idx on certifications (user_id);
+// ============================================
+const express = require('express');
+const multer = require('multer');
+const router = express.Router();
+
+// Supabase 클라이언트 및 헬퍼 가져오기
+const { supabase } = require('../utils/supabase');
+const { authenticate } = require('../middleware/auth');
+const {
+  CERTIFICATION_CATALOG,
+  AGENCIES,
+  MAX_CARD_IMAGE_MB,
+  validateCertification,
+  describeCertification,
+  summarizeCertifications,
+  getUserCertifications,
+  storeCardImage,
+  readCardImage,
+  removeCardImage
+} = require('../utils/certifications');
+
+// 📦 카드 이미지 업로드 설정 (메모리에 받은 뒤 변환)
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_CARD_IMAGE_MB * 1024 * 1024, files: 1 }
+});
+
+// multer 에러를 API 응답 형식으로 변환
+const receiveCardImage = (req, res, next) => {
+  upload.single('card')(req, res, (err) => {
+    if (!err) return next();
+
+    if (err instanceof multer.MulterError) {
+      const tooLarge = err.code === 'LIMIT_FILE_SIZE';
+      return res.status(tooLarge ? 413 : 400).json({
+        error: tooLarge ? 'Payload Too Large' : 'Bad Request',
+        message: tooLarge
+          ? `카드 이미지는 최대 ${MAX_CARD_IMAGE_MB}MB까지 업로드할 수 있습니다.`
+          : '업로드 요청이 올바르지 않습니다. (card 필드, 이미지 1개)',
+        code: err.code
+      });
+    }
+    next(err);
+  });
+};
+
+// ============================================
+// 🔍 본인 자격증 확인 (실패 시 응답 후 null 반환)
+// ============================================
+const findOwnCertification = async (req, res, user) => {
+  const certificationId = req.params.id;
+
+  // UUID 형식 검증
+  const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+  if (!uuidRegex.test(certificationId)) {
+    res.status(400).json({
+      error: 'Bad Request',
+      message: '유효하지 않은 자격증 ID 형식입니다.'
+    });
+    return null;
+  }
+
+  const { data: certification, error } = await supabase
+    .from('certifications')
+    .select('*')
+    .eq('id', certificationId)
+    .single();
+
+  if (error || !certification) {
+    res.status(404).json({
+      error: 'Not Found',
+      message: '자격증을 찾을 수 없습니다.'
+    });
+    return null;
+  }
+
+  if (certification.user_id !== user.id) {
+    res.status(403).json({
+      error: 'Forbidden',
+      message: '본인의 자격증만 보거나 수정할 수 있습니다.'
+    });
+    return null;
+  }
+
+  return certification;
+};
+
+// ============================================
+// 📋 자격증 라우트 목록
+// ============================================
+
+// 🏠 자격증 라우트 홈
+router.get('/', (req, res) => {
+  res.json({
+    message: '🎓 Certifications API',
+    available_endpoints: {
+      catalog: 'GET /api/certifications/catalog (단체/레벨별 수심 제한)',
+      mine: 'GET /api/certifications/mine (내 자격증)',
+      user: 'GET /api/users/:id/certifications (사용자 자격증)',
+      create: 'POST /api/certifications (자격증 등록)',
+      update: 'PUT /api/certifications/:id (자격증 수정)',
+      delete: 'DELETE /api/certifications/:id (자격증 삭제)',
+      card: 'GET/POST/DELETE /api/certifications/:id/card (카드 이미지 보기(본인만)/업로드, multipart 필드: card)'
+    }
+  });
+});
+
+// ============================================
+// 📚 단체/레벨 카탈로그
+// ============================================
+router.get('/catalog', (req, res) => {
+  res.json({
+    message: '자격증 카탈로그 조회 성공',
+    agencies: AGENCIES,
+    catalog: CERTIFICATION_CATALOG
+  });
+});
+
+// ============================================
+// 🎓 내 자격증 목록 + 자격 요약
+// ============================================
+router.get('/mine', authenticate, async (req, res) => {
+  try {
+    const { user } = req;
+
+    const certifications = await getUserCertifications(user.id);
+
+    res.json({
+      message: '내 자격증 조회 성공',
+      certifications: certifications.map(certification => describeCertification(certification, { owner: true })),
+      summary: summarizeCertifications(certifications)
+    });
+
+  } catch (error) {
+    console.error('❌ 내 자격증 조회 에러:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: '자격증 조회 중 오류가 발생했습니다.'
+    });
+  }
+});
+
+// ============================================
+// 🆕 자격증 등록
+// - body: { agency, level, certification_number?, issue_date? }
+// ============================================
+router.post('/', authenticate, async (req, res) => {
+  try {
+    const { user } = req;
+
+    const { certification, errors } = validateCertification(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: '자격증 정보가 올바르지 않습니다.',
+        errors
+      });
+    }
+
+    // 같은 단체/레벨 중복 등록 방지
+    const { data: existing } = await supabase
+      .from('certifications')
+      .select('id')
+      .eq('user_id', user.id)
+      .eq('agency', certification.agency)
+      .eq('level', certification.level)
+      .maybeSingle();
+
+    if (existing) {
+      return res.status(409).json({
+        error: 'Conflict',
+        message: '이미 등록된 자격증입니다.',
+        certification_id: existing.id
+      });
+    }
+
+    const { data: created, error } = await supabase
+      .from('certifications')
+      .insert([{ ...certification, user_id: user.id }])
+      .select()
+      .single();
+
+    if (error) {
+      console.error('❌ 자격증 등록 DB 에러:', error);
+      return res.status(500).json({
+        error: 'Database Error',
+        message: '자격증 등록 중 오류가 발생했습니다.'
+      });
+    }
+
+    res.status(201).json({
+      message: '자격증이 등록되었습니다! 🎓',
+      certification: describeCertification(created, { owner: true })
+    });
+
+  } catch (error) {
+    console.error('❌ 자격증 등록 에러:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: '자격증 등록 중 오류가 발생했습니다.'
+    });
+  }
+});
+
+// ============================================
+// ✏️ 자격증 수정 (본인만 가능)
+// ============================================
+router.put('/:id', authenticate, async (req, res) => {
+  try {
+    const { user } = req;
+
+    const current = await findOwnCertification(req, res, user);
+    if (!current) return;
+
+    const { certification, errors } = validateCertification(req.body, { partial: true, current });
+    if (errors.length > 0 || Object.keys(certification).length === 0) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: '수정할 자격증 정보가 올바르지 않습니다.',
+        errors: errors.length > 0 ? errors : ['수정할 필드가 없습니다. (agency, level, certification_number, issue_date)']
+      });
+    }
+
+    const { data: updated, error } = await supabase
+      .from('certifications')
+      .update({ ...certification, updated_at: new Date().toISOString() })
+      .eq('id', current.id)
+      .select()
+      .single();
+
+    if (error) {
+      console.error('❌ 자격증 수정 DB 에러:', error);
+      return res.status(500).json({
+        error: 'Database Error',
+        message: '자격증 수정 중 오류가 발생했습니다.'
+      });
+    }
+
+    res.json({
+      message: '자격증이 수정되었습니다.',
+      certification: describeCertification(updated, { owner: true })
+    });
+
+  } catch (error) {
+    console.error('❌ 자격증 수정 에러:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: '자격증 수정 중 오류가 발생했습니다.'
+    });
+  }
+});
+
+// ============================================
+// 🗑️ 자격증 삭제 (본인만 가능, 카드 이미지도 삭제)
+// ============================================
+router.delete('/:id', authenticate, async (req, res) => {
+  try {
+    const { user } = req;
+
+    const certification = await findOwnCertification(req, res, user);
+    if (!certification) return;
+
+    const { error } = await supabase
+      .from('certifications')
+      .delete()
+      .eq('id', certification.id);
+
+    if (error) {
+      console.error('❌ 자격증 삭제 DB 에러:', error);
+      return res.status(500).json({
+        error: 'Database Error',
+        message: '자격증 삭제 중 오류가 발생했습니다.'
+      });
+    }
+
+    await removeCardImage(certification);
+
+    res.json({
+      message: '자격증이 삭제되었습니다.',
+      deleted_id: certification.id
+    });
+
+  } catch (error) {
+    console.error('❌ 자격증 삭제 에러:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: '자격증 삭제 중 오류가 발생했습니다.'
+    });
+  }
+});
+
+// ============================================
+// 🖼️ 카드 이미지 보기 (본인만, 캐시 저장 안 함)
+// ============================================
+router.get('/:id/card', authenticate, async (req, res) => {
+  try {
+    const { user } = req;
+
+    const certification = await findOwnCertification(req, res, user);
+    if (!certification) return;
+
+    if (!certification.card_image_path) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: '등록된 카드 이미지가 없습니다.'
+      });
+    }
+
+    const image = await readCardImage(certification);
+
+    res.set({
+      'Content-Type': 'image/jpeg',
+      'Cache-Control': 'private, no-store'
+    });
+    res.send(image);
+
+  } catch (error) {
+    console.error('❌ 카드 이미지 조회 에러:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: '카드 이미지 조회 중 오류가 발생했습니다.'
+    });
+  }
+});
+
+// ============================================
+// 🖼️ 카드 이미지 업로드/교체 (multipart 필드: card)
+// ============================================
+router.post('/:id/card', authenticate, receiveCardImage, async (req, res) => {
+  try {
+    const { user } = req;
+
+    const certification = await findOwnCertification(req, res, user);
+    if (!certification) return;
+
+    if (!req.file) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: '업로드할 카드 이미지가 없습니다. (multipart 필드: card)'
+      });
+    }
+
+    let cardImage;
+    try {
+      cardImage = await storeCardImage(req.file, { userId: user.id, certificationId: certification.id });
+    } catch (error) {
+      if (error.status === 400) {
+        return res.status(400).json({
+          error: 'Bad Request',
+          message: error.message
+        });
+      }
+      throw error;
+    }
+
+    const { data: updated, error } = await supabase
+      .from('certifications')
+      .update({ ...cardImage, updated_at: new Date().toISOString() })
+      .eq('id', certification.id)
+      .select()
+      .single();
+
+    if (error) {
+      console.error('❌ 카드 이미지 저장 DB 에러:', error);
+      await removeCardImage(cardImage);
+      return res.status(500).json({
+        error: 'Database Error',
+        message: '카드 이미지 저장 중 오류가 발생했습니다.'
+      });
+    }
+
+    // 이전 이미지 정리
+    await removeCardImage(certification);
+
+    res.json({
+      message: '카드 이미지가 업로드되었습니다! 🖼️',
+      certification: describeCertification(updated, { owner: true })
+    });
+
+  } catch (error) {
+    console.error('❌ 카드 이미지 업로드 에러:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: '카드 이미지 업로드 중 오류가 발생했습니다.'
+    });
+  }
+});
+
+// ============================================
+// 🗑️ 카드 이미지 삭제
+// ============================================
+router.delete('/:id/card', authenticate, async (req, res) => {
+  try {
+    const { user } = req;
+
+    const certification = await findOwnCertification(req, res, user);
+    if (!certification) return;
+
+    const { data: updated, error } = await supabase
+      .from('certifications')
+      .update({
+        card_image_path: null,
+        card_image_url: null,
+        card_storage_backend: null,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', certification.id)
+      .select()
+      .single();
+
+    if (error) {
+      console.error('❌ 카드 이미지 삭제 DB 에러:', error);
+      return res.status(500).json({
+        error: 'Database Error',
+        message: '카드 이미지 삭제 중 오류가 발생했습니다.'
+      });
+    }
+
+    await removeCardImage(certification);
+
+    res.json({
+      message: '카드 이미지가 삭제되었습니다.',
+      certification: describeCertification(updated, { owner: true })
+    });
+
+  } catch (error) {
+    console.error('❌ 카드 이미지 삭제 에러:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: '카드 이미지 삭제 중 오류가 발생했습니다.'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,329 @@
+// ============================================
+// 🫧 감압/반복 다이빙 API 라우트 (/api/dives/deco)
+// - Bühlmann ZHL-16C + Gradient Factor
+// ============================================
+// 📋 필요한 컬럼 (Supabase SQL Editor에서 추가)
+//
+// alter table dives add column entry_time time;  -- 입수 시간 (같은 날 수면 휴식 계산)
+// ============================================
+const express = require('express');
+const router = express.Router();
+
+// Supabase 클라이언트 및 헬퍼 가져오기
+const { supabase } = require('../utils/supabase');
+const { authenticate, optionalAuth } = require('../middleware/auth');
+const { getViewerRelation, canView } = require('../utils/privacy');
+const { getTanksByDive } = require('../utils/gas');
+const {
+  DESCENT_RATE,
+  MAX_NDL_MINUTES,
+  MAX_SIMULATION_MINUTES,
+  MAX_SIMULATION_DEPTH,
+  DEFAULT_SURFACE_INTERVAL_MINUTES,
+  normalizeGas,
+  parseGradientFactors,
+  createTissues,
+  surfaceInterval,
+  loadSegment,
+  ceilingDepth,
+  describeTissues,
+  noDecoLimit,
+  planAscent,
+  canSimulate,
+  exceedsSimulationLimits,
+  simulateDive,
+  surfaceIntervalBetween,
+  sortSameDayDives,
+  diveGas
+} = require('../utils/decompression');
+
+// NDL 표에 사용할 수심 (m)
+const NDL_TABLE_DEPTHS = [12, 15, 18, 21, 24, 27, 30, 33, 36, 40];
+
+// ============================================
+// 📅 같은 날 스쿠버 다이빙을 순서대로 시뮬레이션
+// - untilDiveId: 해당 다이빙 직전까지만 계산
+// - 반환: { tissues, dives, last }
+// ============================================
+const simulateDay = async (userId, date, { untilDiveId = null, gfLow, gfHigh }) => {
+  const { data: dayDives, error } = await supabase
+    .from('dives')
+    .select('id, dive_number, dive_date, entry_time, max_depth, duration_minutes, equipment, visibility')
+    .eq('user_id', userId)
+    .eq('dive_type', 'scuba')
+    .eq('dive_date', date);
+
+  if (error) {
+    throw error;
+  }
+
+  const ordered = sortSameDayDives(dayDives || []);
+  const untilIndex = untilDiveId ? ordered.findIndex(dive => dive.id === untilDiveId) : -1;
+  const previousDives = untilIndex >= 0 ? ordered.slice(0, untilIndex) : ordered;
+
+  // 다이빙별 기체 (dive_tanks)
+  const tanksByDive = await getTanksByDive(previousDives.map(dive => dive.id));
+  previousDives.forEach(dive => {
+    dive.tanks = tanksByDive[dive.id];
+  });
+
+  // 샘플 프로필 한 번에 조회
+  const samplesByDive = {};
+  if (previousDives.length > 0) {
+    const { data: profiles, error: profilesError } = await supabase
+      .from('dive_profiles')
+      .select('dive_id, samples')
+      .in('dive_id', previousDives.map(dive => dive.id));
+
+    if (profilesError) {
+      throw profilesError;
+    }
+    (profiles || []).forEach(row => {
+      samplesByDive[row.dive_id] = row.samples;
+    });
+  }
+
+  let tissues = createTissues();
+  let last = null;
+  const dives = [];
+
+  previousDives.forEach(dive => {
+    const samples = samplesByDive[dive.id] || null;
+    if (!canSimulate(dive, samples)) {
+      dives.push({ dive_id: dive.id, dive_number: dive.dive_number, visibility: dive.visibility, skipped: true, reason: 'max_depth/duration_minutes 부족' });
+      return;
+    }
+    if (exceedsSimulationLimits(dive, samples)) {
+      dives.push({ dive_id: dive.id, dive_number: dive.dive_number, visibility: dive.visibility, skipped: true, reason: `시뮬레이션 한도 초과 (${MAX_SIMULATION_MINUTES}분 / ${MAX_SIMULATION_DEPTH}m)` });
+      return;
+    }
+
+    const interval = last ? surfaceIntervalBetween(last, dive) : null;
+    if (interval !== null) surfaceInterval(tissues, interval);
+
+    const result = simulateDive(tissues, dive, { samples, gas: diveGas(dive), gfLow, gfHigh });
+    tissues = result.tissues;
+    last = dive;
+
+    dives.push({
+      dive_id: dive.id,
+      dive_number: dive.dive_number,
+      visibility: dive.visibility,
+      entry_time: dive.entry_time || null,
+      source: result.source,
+      surface_interval_before_minutes: interval,
+      exceeded_ndl: result.exceeded_ndl
+    });
+  });
+
+  return { tissues, dives, last };
+};
+
+// 🧪 공통 GF 파라미터 (실패 시 응답 후 null 반환)
+const readGradientFactors = (req, res) => {
+  const { gfLow, gfHigh, errors } = parseGradientFactors(req.query.gf_low, req.query.gf_high);
+  if (errors.length > 0) {
+    res.status(400).json({
+      error: 'Bad Request',
+      message: 'Gradient Factor 값이 올바르지 않습니다.',
+      errors
+    });
+    return null;
+  }
+  return { gfLow, gfHigh };
+};
+
+// ============================================
+// 🗓️ 다음 다이빙 계획 (로그인 사용자 기준)
+// - ?date=YYYY-MM-DD(기본 오늘) &surface_interval=분 &depth=m &bottom_time=분
+//   &o2=&he= &gf_low=&gf_high=
+// - depth가 없으면 수심별 NDL 표 반환
+// ============================================
+router.get('/plan', authenticate, async (req, res) => {
+  try {
+    const { user } = req;
+
+    const gf = readGradientFactors(req, res);
+    if (!gf) return;
+
+    const date = req.query.date || new Date().toISOString().slice(0, 10);
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'date는 YYYY-MM-DD 형식이어야 합니다.'
+      });
+    }
+
+    const numberParam = (name, fallback = null, max = Infinity) => {
+      if (req.query[name] === undefined || req.query[name] === '') return fallback;
+      const value = Number(req.query[name]);
+      return Number.isFinite(value) && value >= 0 && value <= max ? value : NaN;
+    };
+    const interval = numberParam('surface_interval', DEFAULT_SURFACE_INTERVAL_MINUTES);
+    const depth = numberParam('depth', null, MAX_SIMULATION_DEPTH);
+    const bottomTime = numberParam('bottom_time', null, MAX_SIMULATION_MINUTES);
+    const gas = normalizeGas({ o2: req.query.o2, he: req.query.he });
+
+    if ([interval, depth, bottomTime].some(Number.isNaN) || gas.o2 + gas.he > 1 || gas.o2 <= 0) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: `surface_interval, depth(${MAX_SIMULATION_DEPTH}m 이하), bottom_time(${MAX_SIMULATION_MINUTES}분 이하), o2, he 값을 확인해주세요.`
+      });
+    }
+
+    const day = await simulateDay(user.id, date, gf);
+    const tissues = day.tissues;
+    if (day.last) surfaceInterval(tissues, interval);
+
+    const base = {
+      message: '다음 다이빙 계획 계산 성공',
+      date,
+      gradient_factors: { low: gf.gfLow, high: gf.gfHigh },
+      gas: { o2: gas.o2, he: gas.he },
+      previous_dives: day.dives,
+      surface_interval_minutes: day.last ? interval : null,
+      residual_ceiling_m: Math.round(ceilingDepth(tissues, gf.gfHigh / 100) * 10) / 10,
+      tissues: describeTissues(tissues)
+    };
+
+    // 수심이 없으면 NDL 표
+    if (depth === null) {
+      return res.json({
+        ...base,
+        ndl_table: NDL_TABLE_DEPTHS.map(tableDepth => ({
+          depth: tableDepth,
+          ndl_minutes: noDecoLimit(tissues, tableDepth, gas, gf.gfHigh)
+        })),
+        ndl_limit_note: `null은 ${MAX_NDL_MINUTES}분 이상 (사실상 제한 없음)`
+      });
+    }
+
+    const ndl = noDecoLimit(tissues, depth, gas, gf.gfHigh);
+    const plan = { depth, ndl_minutes: ndl };
+
+    // 바닥 시간이 주어지면 감압 정지 계산
+    if (bottomTime !== null) {
+      const state = { n2: [...tissues.n2], he: [...tissues.he] };
+      loadSegment(state, 0, depth, depth / DESCENT_RATE, gas);
+      loadSegment(state, depth, depth, bottomTime, gas);
+      const ascent = planAscent(state, depth, gas, gf);
+
+      plan.bottom_time_minutes = bottomTime;
+      plan.within_ndl = ascent.stops.length === 0;
+      plan.required_stops = ascent.stops;
+      plan.total_stop_minutes = ascent.total_stop_minutes;
+      plan.time_to_surface_minutes = ascent.time_to_surface_minutes;
+    }
+
+    res.json({ ...base, plan });
+
+  } catch (error) {
+    console.error('❌ 다이빙 계획 계산 에러:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: '다이빙 계획 계산 중 오류가 발생했습니다.'
+    });
+  }
+});
+
+// ============================================
+// 🔍 기록된 다이빙 감압 분석
+// - 같은 날 이전 다이빙의 잔류 질소 반영
+// - ?gf_low=&gf_high=
+// ============================================
+router.get('/:id', optionalAuth, async (req, res) => {
+  try {
+    const diveId = req.params.id;
+
+    // UUID 형식 검증
+    const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+    if (!uuidRegex.test(diveId)) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: '유효하지 않은 다이빙 ID 형식입니다.'
+      });
+    }
+
+    const gf = readGradientFactors(req, res);
+    if (!gf) return;
+
+    const { data: dive, error } = await supabase
+      .from('dives')
+      .select('id, user_id, dive_type, dive_number, dive_date, entry_time, max_depth, duration_minutes, equipment, visibility')
+      .eq('id', diveId)
+      .single();
+
+    // 볼 수 없는 다이빙은 존재 여부도 알리지 않음
+    const viewer = req.user;
+    const relation = dive ? await getViewerRelation(viewer?.id, dive.user_id) : null;
+
+    if (error || !dive || !canView(dive.visibility, relation)) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: '다이빙 기록을 찾을 수 없습니다.'
+      });
+    }
+
+    if (dive.dive_type !== 'scuba') {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: '감압 분석은 스쿠버 다이빙에만 적용됩니다.'
+      });
+    }
+
+    const { data: profile } = await supabase
+      .from('dive_profiles')
+      .select('samples')
+      .eq('dive_id', dive.id)
+      .maybeSingle();
+    const samples = profile?.samples || null;
+    dive.tanks = (await getTanksByDive([dive.id]))[dive.id];
+
+    if (!canSimulate(dive, samples)) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: '감압 분석에는 max_depth와 duration_minutes(또는 수심 프로필)가 필요합니다.'
+      });
+    }
+
+    if (exceedsSimulationLimits(dive, samples)) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: `감압 분석은 다이빙 시간 ${MAX_SIMULATION_MINUTES}분, 수심 ${MAX_SIMULATION_DEPTH}m 이하만 가능합니다.`
+      });
+    }
+
+    // 같은 날 이전 다이빙 → 수면 휴식 → 이 다이빙
+    const day = await simulateDay(dive.user_id, String(dive.dive_date).slice(0, 10), { untilDiveId: dive.id, ...gf });
+    const interval = day.last ? surfaceIntervalBetween(day.last, dive) : null;
+    if (interval !== null) surfaceInterval(day.tissues, interval);
+
+    const result = simulateDive(day.tissues, dive, { samples, gas: diveGas(dive), gfLow: gf.gfLow, gfHigh: gf.gfHigh });
+
+    res.json({
+      message: '다이빙 감압 분석 성공',
+      dive_id: dive.id,
+      gradient_factors: { low: gf.gfLow, high: gf.gfHigh },
+      source: result.source,
+      gas: result.gas,
+      repetitive: day.dives.length > 0,
+      // 잔류 질소 계산에는 모두 반영하되, 볼 수 없는 이전 다이빙은 목록에서 제외
+      previous_dives: day.dives.filter(previous => canView(previous.visibility, relation)),
+      surface_interval_before_minutes: interval,
+      exceeded_ndl: result.exceeded_ndl,
+      max_ceiling_m: result.max_ceiling_m,
+      required_stops: result.required_stops,
+      total_stop_minutes: result.total_stop_minutes,
+      tissues_after_dive: describeTissues(result.tissues)
+    });
+
+  } catch (error) {
+    console.error('❌ 다이빙 감압 분석 에러:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: '다이빙 감압 분석 중 오류가 발생했습니다.'
+    });
+  }
+});
+
+module.exports = router;
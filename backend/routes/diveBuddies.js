@@ -0,0 +1,244 @@
+// ============================================
+// 🏷️ 다이빙 버디 태그 API 라우트 (/api/dives/:id/buddies)
+// ============================================
+// 📋 필요한 테이블 (Supabase SQL Editor에서 생성)
+//
+// create table dive_buddy_tags (
+//   id uuid primary key default gen_random_uuid(),
+//   dive_id uuid not null references dives(id) on delete cascade,
+//   buddy_id uuid not null references users(id) on delete cascade,
+//   tagged_by uuid not null references users(id) on delete cascade,
+//   status text not null default 'pending',  -- pending | confirmed | rejected
+//   created_at timestamptz default now(),
+//   responded_at timestamptz,
+//   unique (dive_id, buddy_id)
+// );
+// create index dive_buddy_tags_buddy_idx on dive_buddy_tags (buddy_id, status);
+// ============================================
+const express = require('express');
+const router = express.Router({ mergeParams: true }); // :id (다이빙 ID) 사용
+
+// Supabase 클라이언트 및 헬퍼 가져오기
+const { supabase } = require('../utils/supabase');
+const { authenticate, requireOwnership } = require('../middleware/auth');
+const {
+  TAG_STATUS,
+  validateBuddyIds,
+  tagBuddies,
+  getDiveVerification
+} = require('../utils/diveBuddies');
+
+// 다이빙 조회 컬럼 (findDive, 소유자 확인 공통)
+const DIVE_COLUMNS = 'id, user_id, dive_date, location_name';
+
+// ============================================
+// 🔍 다이빙 존재 확인 (실패 시 응답 후 null 반환)
+// ============================================
+const findDive = async (req, res) => {
+  const diveId = req.params.id;
+
+  // UUID 형식 검증
+  const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+  if (!uuidRegex.test(diveId)) {
+    res.status(400).json({
+      error: 'Bad Request',
+      message: '유효하지 않은 다이빙 ID 형식입니다.'
+    });
+    return null;
+  }
+
+  const { data: dive, error } = await supabase
+    .from('dives')
+    .select(DIVE_COLUMNS)
+    .eq('id', diveId)
+    .single();
+
+  if (error || !dive) {
+    res.status(404).json({
+      error: 'Not Found',
+      message: '다이빙 기록을 찾을 수 없습니다.'
+    });
+    return null;
+  }
+
+  return dive;
+};
+
+// ============================================
+// 📋 다이빙에 태그된 버디 및 인증 상태
+// ============================================
+router.get('/', async (req, res) => {
+  try {
+    const dive = await findDive(req, res);
+    if (!dive) return;
+
+    res.json({
+      message: '다이빙 버디 조회 성공',
+      dive_id: dive.id,
+      verification: await getDiveVerification(dive.id)
+    });
+
+  } catch (error) {
+    console.error('❌ 다이빙 버디 조회 에러:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: '다이빙 버디 조회 중 오류가 발생했습니다.'
+    });
+  }
+});
+
+// ============================================
+// 🏷️ 버디 태그 추가 (다이빙 작성자만 가능)
+// ============================================
+router.post('/', authenticate, requireOwnership({
+  select: DIVE_COLUMNS,
+  message: '본인의 다이빙 기록에만 버디를 태그할 수 있습니다.'
+}), async (req, res) => {
+  try {
+    const { user, dive } = req;
+
+    const { buddyIds, errors } = await validateBuddyIds(req.body.buddy_ids, user.id);
+    if (errors.length > 0 || buddyIds.length === 0) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: '태그할 버디 정보가 올바르지 않습니다.',
+        errors: errors.length > 0 ? errors : ['buddy_ids가 비어 있습니다.']
+      });
+    }
+
+    const tags = await tagBuddies(dive.id, user.id, buddyIds);
+
+    res.status(201).json({
+      message: `버디 ${tags.length}명을 태그했습니다. 버디의 확인을 기다리는 중입니다. 🏷️`,
+      tagged: tags.map(tag => tag.buddy_id),
+      skipped: buddyIds.filter(id => !tags.some(tag => tag.buddy_id === id)),
+      verification: await getDiveVerification(dive.id)
+    });
+
+  } catch (error) {
+    console.error('❌ 버디 태그 에러:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: '버디 태그 중 오류가 발생했습니다.'
+    });
+  }
+});
+
+// ============================================
+// ✅❌ 태그된 버디의 확인/거절 (공통 처리)
+// ============================================
+const respondToTag = (status) => async (req, res) => {
+  const action = status === TAG_STATUS.CONFIRMED ? '확인' : '거절';
+
+  try {
+    const { user } = req;
+
+    const dive = await findDive(req, res);
+    if (!dive) return;
+
+    const { data: tag } = await supabase
+      .from('dive_buddy_tags')
+      .select('*')
+      .eq('dive_id', dive.id)
+      .eq('buddy_id', user.id)
+      .maybeSingle();
+
+    if (!tag) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: '이 다이빙에 버디로 태그되지 않았습니다.'
+      });
+    }
+
+    const { data: updatedTag, error } = await supabase
+      .from('dive_buddy_tags')
+      .update({ status, responded_at: new Date().toISOString() })
+      .eq('id', tag.id)
+      .select()
+      .single();
+
+    if (error) {
+      console.error(`❌ 버디 태그 ${action} 에러:`, error);
+      return res.status(500).json({
+        error: 'Database Error',
+        message: `버디 태그 ${action} 중 오류가 발생했습니다.`
+      });
+    }
+
+    res.json({
+      message: status === TAG_STATUS.CONFIRMED
+        ? '함께한 다이빙으로 확인했습니다! 내 로그북에도 표시됩니다. ✅'
+        : '버디 태그를 거절했습니다.',
+      tag: updatedTag,
+      verification: await getDiveVerification(dive.id)
+    });
+
+  } catch (error) {
+    console.error(`❌ 버디 태그 ${action} 에러:`, error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: `버디 태그 ${action} 중 오류가 발생했습니다.`
+    });
+  }
+};
+
+router.post('/confirm', authenticate, respondToTag(TAG_STATUS.CONFIRMED));
+router.post('/reject', authenticate, respondToTag(TAG_STATUS.REJECTED));
+
+// ============================================
+// 🗑️ 버디 태그 삭제 (다이빙 작성자 또는 태그된 본인)
+// ============================================
+router.delete('/:buddyId', authenticate, async (req, res) => {
+  try {
+    const { user } = req;
+
+    const dive = await findDive(req, res);
+    if (!dive) return;
+
+    const buddyId = req.params.buddyId;
+    if (dive.user_id !== user.id && buddyId !== user.id) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: '다이빙 작성자 또는 태그된 본인만 태그를 삭제할 수 있습니다.'
+      });
+    }
+
+    const { data: deleted, error } = await supabase
+      .from('dive_buddy_tags')
+      .delete()
+      .eq('dive_id', dive.id)
+      .eq('buddy_id', buddyId)
+      .select();
+
+    if (error) {
+      console.error('❌ 버디 태그 삭제 에러:', error);
+      return res.status(500).json({
+        error: 'Database Error',
+        message: '버디 태그 삭제 중 오류가 발생했습니다.'
+      });
+    }
+
+    if (!deleted || deleted.length === 0) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: '삭제할 버디 태그가 없습니다.'
+      });
+    }
+
+    res.json({
+      message: '버디 태그를 삭제했습니다.',
+      removed_buddy_id: buddyId,
+      verification: await getDiveVerification(dive.id)
+    });
+
+  } catch (error) {
+    console.error('❌ 버디 태그 삭제 에러:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: '버디 태그 삭제 중 오류가 발생했습니다.'
+    });
+  }
+});
+
+// 라우터 내보내기
+module.exports = router;
@@ -0,0 +1,468 @@
+// ============================================
+// 💬 다이빙 댓글 API 라우트 (/api/dives/:id/comments)
+// - 댓글 + 답글 2단계 스레드 (답글에 단 답글은 같은 스레드로 묶음)
+// ============================================
+// 📋 필요한 테이블 (Supabase SQL Editor에서 생성)
+//
+// create table dive_comments (
+//   id uuid primary key default gen_random_uuid(),
+//   dive_id uuid not null references dives(id) on delete cascade,
+//   user_id uuid not null references users(id) on delete cascade,
+//   parent_id uuid references dive_comments(id) on delete cascade,  -- null이면 최상위 댓글
+//   content text,                  -- 삭제 표시된 댓글은 null
+//   created_at timestamptz default now(),
+//   updated_at timestamptz,
+//   deleted_at timestamptz         -- 답글이 남아 있는 댓글은 삭제 표시만
+// );
+// create index dive_comments_dive_idx on dive_comments (dive_id, parent_id, created_at);
+// create index dive_comments_parent_idx on dive_comments (parent_id, created_at);
+// ============================================
+const express = require('express');
+const router = express.Router({ mergeParams: true }); // :id (다이빙 ID) 사용
+
+// Supabase 클라이언트 및 헬퍼 가져오기
+const { supabase } = require('../utils/supabase');
+const { authenticate } = require('../middleware/auth');
+const {
+  REPLY_PREVIEW_LIMIT,
+  validateCommentContent,
+  formatComment,
+  refreshSocialCounters
+} = require('../utils/diveSocial');
+const { notify } = require('../utils/notifications');
+
+const COMMENT_COLUMNS = 'id, dive_id, user_id, parent_id, content, created_at, updated_at, deleted_at, users(name)';
+
+// ============================================
+// 🔍 다이빙 존재 확인 (실패 시 응답 후 null 반환)
+// ============================================
+const findDive = async (req, res) => {
+  const diveId = req.params.id;
+
+  // UUID 형식 검증
+  const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+  if (!uuidRegex.test(diveId)) {
+    res.status(400).json({
+      error: 'Bad Request',
+      message: '유효하지 않은 다이빙 ID 형식입니다.'
+    });
+    return null;
+  }
+
+  const { data: dive, error } = await supabase
+    .from('dives')
+    .select('id, user_id, location_name')
+    .eq('id', diveId)
+    .single();
+
+  if (error || !dive) {
+    res.status(404).json({
+      error: 'Not Found',
+      message: '다이빙 기록을 찾을 수 없습니다.'
+    });
+    return null;
+  }
+
+  return dive;
+};
+
+// 🔍 다이빙에 속한 댓글 조회 (없으면 null)
+const findComment = async (diveId, commentId) => {
+  const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+  if (!uuidRegex.test(commentId)) {
+    return null;
+  }
+
+  const { data: comment, error } = await supabase
+    .from('dive_comments')
+    .select(COMMENT_COLUMNS)
+    .eq('id', commentId)
+    .eq('dive_id', diveId)
+    .maybeSingle();
+
+  if (error) {
+    throw error;
+  }
+  return comment;
+};
+
+// ============================================
+// 📋 댓글 목록 (최상위 댓글 페이지네이션 + 답글 미리보기)
+// ============================================
+router.get('/', async (req, res) => {
+  try {
+    const dive = await findDive(req, res);
+    if (!dive) return;
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const startIndex = (page - 1) * limit;
+
+    const { data: comments, error, count } = await supabase
+      .from('dive_comments')
+      .select(COMMENT_COLUMNS, { count: 'exact' })
+      .eq('dive_id', dive.id)
+      .is('parent_id', null)
+      .order('created_at', { ascending: true })
+      .range(startIndex, startIndex + limit - 1);
+
+    if (error) {
+      console.error('❌ 댓글 목록 조회 에러:', error);
+      return res.status(500).json({
+        error: 'Database Error',
+        message: '댓글 목록 조회 중 오류가 발생했습니다.'
+      });
+    }
+
+    // 이 페이지 댓글들의 답글 (작성 순)
+    const commentIds = comments.map(comment => comment.id);
+    const { data: replies, error: repliesError } = commentIds.length
+      ? await supabase
+        .from('dive_comments')
+        .select(COMMENT_COLUMNS)
+        .in('parent_id', commentIds)
+        .order('created_at', { ascending: true })
+      : { data: [], error: null };
+
+    if (repliesError) {
+      console.error('❌ 답글 조회 에러:', repliesError);
+      return res.status(500).json({
+        error: 'Database Error',
+        message: '댓글 목록 조회 중 오류가 발생했습니다.'
+      });
+    }
+
+    const data = comments.map(comment => {
+      const thread = replies.filter(reply => reply.parent_id === comment.id);
+      return {
+        ...formatComment(comment),
+        replies_count: thread.length,
+        replies: thread.slice(0, REPLY_PREVIEW_LIMIT).map(formatComment),
+        has_more_replies: thread.length > REPLY_PREVIEW_LIMIT
+      };
+    });
+
+    res.json({
+      message: '댓글 목록 조회 성공',
+      dive_id: dive.id,
+      data,
+      pagination: {
+        current_page: page,
+        per_page: limit,
+        total_comments: count,
+        total_pages: Math.ceil(count / limit),
+        has_next: startIndex + limit < count,
+        has_prev: page > 1
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ 댓글 목록 조회 에러:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: '댓글 목록 조회 중 오류가 발생했습니다.'
+    });
+  }
+});
+
+// ============================================
+// 🧵 답글 목록 (페이지네이션 포함)
+// ============================================
+router.get('/:commentId/replies', async (req, res) => {
+  try {
+    const dive = await findDive(req, res);
+    if (!dive) return;
+
+    const comment = await findComment(dive.id, req.params.commentId);
+    if (!comment || comment.parent_id) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: '댓글을 찾을 수 없습니다.'
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const startIndex = (page - 1) * limit;
+
+    const { data: replies, error, count } = await supabase
+      .from('dive_comments')
+      .select(COMMENT_COLUMNS, { count: 'exact' })
+      .eq('parent_id', comment.id)
+      .order('created_at', { ascending: true })
+      .range(startIndex, startIndex + limit - 1);
+
+    if (error) {
+      console.error('❌ 답글 목록 조회 에러:', error);
+      return res.status(500).json({
+        error: 'Database Error',
+        message: '답글 목록 조회 중 오류가 발생했습니다.'
+      });
+    }
+
+    res.json({
+      message: '답글 목록 조회 성공',
+      dive_id: dive.id,
+      comment: formatComment(comment),
+      data: replies.map(formatComment),
+      pagination: {
+        current_page: page,
+        per_page: limit,
+        total_replies: count,
+        total_pages: Math.ceil(count / limit),
+        has_next: startIndex + limit < count,
+        has_prev: page > 1
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ 답글 목록 조회 에러:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: '답글 목록 조회 중 오류가 발생했습니다.'
+    });
+  }
+});
+
+// ============================================
+// ✍️ 댓글 / 답글 작성
+// - body: { content, parent_id? }
+// ============================================
+router.post('/', authenticate, async (req, res) => {
+  try {
+    const { user } = req;
+
+    const dive = await findDive(req, res);
+    if (!dive) return;
+
+    const { content, parent_id } = req.body;
+
+    const contentError = validateCommentContent(content);
+    if (contentError) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: contentError
+      });
+    }
+
+    // 답글이면 같은 다이빙의 댓글이어야 하고, 답글에 단 답글은 원 댓글 스레드로 묶음
+    let parentId = null;
+    let replyTo = null;
+    if (parent_id) {
+      const parent = await findComment(dive.id, parent_id);
+      if (!parent || parent.deleted_at) {
+        return res.status(404).json({
+          error: 'Not Found',
+          message: '답글을 달 댓글을 찾을 수 없습니다.'
+        });
+      }
+      parentId = parent.parent_id || parent.id;
+      replyTo = parent.user_id;
+    }
+
+    const { data: comment, error } = await supabase
+      .from('dive_comments')
+      .insert([{
+        dive_id: dive.id,
+        user_id: user.id,
+        parent_id: parentId,
+        content: content.trim()
+      }])
+      .select(COMMENT_COLUMNS)
+      .single();
+
+    if (error) {
+      console.error('❌ 댓글 작성 에러:', error);
+      return res.status(500).json({
+        error: 'Database Error',
+        message: '댓글 작성 중 오류가 발생했습니다.'
+      });
+    }
+
+    const counters = await refreshSocialCounters(dive.id);
+
+    // 답글은 답글 대상 작성자에게, 다이빙 작성자에게는 댓글 알림 (중복 없이)
+    const notification = {
+      actorId: user.id,
+      diveId: dive.id,
+      commentId: comment.id,
+      data: { location_name: dive.location_name, preview: comment.content.slice(0, 100) }
+    };
+    if (replyTo) {
+      await notify({ ...notification, userId: replyTo, type: 'comment_reply' });
+    }
+    if (dive.user_id !== replyTo) {
+      await notify({ ...notification, userId: dive.user_id, type: 'comment' });
+    }
+
+    res.status(201).json({
+      message: parentId ? '답글 작성 성공! 💬' : '댓글 작성 성공! 💬',
+      comment: formatComment(comment),
+      counters
+    });
+
+  } catch (error) {
+    console.error('❌ 댓글 작성 에러:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: '댓글 작성 중 오류가 발생했습니다.'
+    });
+  }
+});
+
+// ============================================
+// ✏️ 댓글 수정 (작성자만 가능)
+// ============================================
+router.put('/:commentId', authenticate, async (req, res) => {
+  try {
+    const { user } = req;
+
+    const dive = await findDive(req, res);
+    if (!dive) return;
+
+    const comment = await findComment(dive.id, req.params.commentId);
+    if (!comment || comment.deleted_at) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: '댓글을 찾을 수 없습니다.'
+      });
+    }
+
+    if (comment.user_id !== user.id) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: '본인이 작성한 댓글만 수정할 수 있습니다.'
+      });
+    }
+
+    const contentError = validateCommentContent(req.body.content);
+    if (contentError) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: contentError
+      });
+    }
+
+    const { data: updated, error } = await supabase
+      .from('dive_comments')
+      .update({
+        content: req.body.content.trim(),
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', comment.id)
+      .select(COMMENT_COLUMNS)
+      .single();
+
+    if (error) {
+      console.error('❌ 댓글 수정 에러:', error);
+      return res.status(500).json({
+        error: 'Database Error',
+        message: '댓글 수정 중 오류가 발생했습니다.'
+      });
+    }
+
+    res.json({
+      message: '댓글 수정 성공! ✏️',
+      comment: formatComment(updated)
+    });
+
+  } catch (error) {
+    console.error('❌ 댓글 수정 에러:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: '댓글 수정 중 오류가 발생했습니다.'
+    });
+  }
+});
+
+// ============================================
+// 🗑️ 댓글 삭제 (작성자 또는 다이빙 작성자만 가능)
+// - 답글이 남아 있는 댓글은 스레드 유지를 위해 삭제 표시만 함
+// ============================================
+router.delete('/:commentId', authenticate, async (req, res) => {
+  try {
+    const { user } = req;
+
+    const dive = await findDive(req, res);
+    if (!dive) return;
+
+    const comment = await findComment(dive.id, req.params.commentId);
+    if (!comment || comment.deleted_at) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: '댓글을 찾을 수 없습니다.'
+      });
+    }
+
+    if (comment.user_id !== user.id && dive.user_id !== user.id) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: '본인이 작성한 댓글 또는 본인 다이빙의 댓글만 삭제할 수 있습니다.'
+      });
+    }
+
+    const { count: replyCount, error: countError } = comment.parent_id
+      ? { count: 0, error: null }
+      : await supabase
+        .from('dive_comments')
+        .select('id', { count: 'exact', head: true })
+        .eq('parent_id', comment.id);
+
+    if (countError) {
+      throw countError;
+    }
+
+    const softDelete = replyCount > 0;
+    const { error } = softDelete
+      ? await supabase
+        .from('dive_comments')
+        .update({ content: null, deleted_at: new Date().toISOString() })
+        .eq('id', comment.id)
+      : await supabase
+        .from('dive_comments')
+        .delete()
+        .eq('id', comment.id);
+
+    if (error) {
+      console.error('❌ 댓글 삭제 에러:', error);
+      return res.status(500).json({
+        error: 'Database Error',
+        message: '댓글 삭제 중 오류가 발생했습니다.'
+      });
+    }
+
+    // 마지막 답글이 지워지면 삭제 표시만 남아 있던 원 댓글도 정리
+    if (comment.parent_id) {
+      const { count: remaining } = await supabase
+        .from('dive_comments')
+        .select('id', { count: 'exact', head: true })
+        .eq('parent_id', comment.parent_id);
+
+      if (remaining === 0) {
+        await supabase
+          .from('dive_comments')
+          .delete()
+          .eq('id', comment.parent_id)
+          .not('deleted_at', 'is', null);
+      }
+    }
+
+    const counters = await refreshSocialCounters(dive.id);
+
+    res.json({
+      message: '댓글 삭제 성공! 🗑️',
+      deleted_comment: { id: comment.id, soft_deleted: softDelete },
+      counters
+    });
+
+  } catch (error) {
+    console.error('❌ 댓글 삭제 에러:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: '댓글 삭제 중 오류가 발생했습니다.'
+    });
+  }
+});
+
+// 라우터 내보내기
+module.exports = router;
@@ -0,0 +1,106 @@
+// ============================================
+// 🧰 다이빙 사용 장비 API 라우트 (/api/dives/:id/gear)
+// - 장비 인벤토리(/api/gear)의 장비를 다이빙에 연결
+// ============================================
+const express = require('express');
+const router = express.Router({ mergeParams: true }); // :id (다이빙 ID) 사용
+
+// Supabase 클라이언트 및 헬퍼 가져오기
+const { supabase } = require('../utils/supabase');
+const { authenticate, requireOwnership } = require('../middleware/auth');
+const { validateGearIds, setDiveGear, getDiveGear } = require('../utils/gear');
+
+// 다이빙 조회 컬럼 (findDive, 소유자 확인 공통)
+const DIVE_COLUMNS = 'id, user_id';
+
+// ============================================
+// 🔍 다이빙 존재 확인 (실패 시 응답 후 null 반환)
+// ============================================
+const findDive = async (req, res) => {
+  const diveId = req.params.id;
+
+  // UUID 형식 검증
+  const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+  if (!uuidRegex.test(diveId)) {
+    res.status(400).json({
+      error: 'Bad Request',
+      message: '유효하지 않은 다이빙 ID 형식입니다.'
+    });
+    return null;
+  }
+
+  const { data: dive, error } = await supabase
+    .from('dives')
+    .select(DIVE_COLUMNS)
+    .eq('id', diveId)
+    .single();
+
+  if (error || !dive) {
+    res.status(404).json({
+      error: 'Not Found',
+      message: '다이빙 기록을 찾을 수 없습니다.'
+    });
+    return null;
+  }
+
+  return dive;
+};
+
+// ============================================
+// 📋 다이빙 사용 장비 조회
+// ============================================
+router.get('/', async (req, res) => {
+  try {
+    const dive = await findDive(req, res);
+    if (!dive) return;
+
+    res.json({
+      message: '다이빙 장비 조회 성공',
+      dive_id: dive.id,
+      gear: await getDiveGear(dive.id)
+    });
+
+  } catch (error) {
+    console.error('❌ 다이빙 장비 조회 에러:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: '다이빙 장비 조회 중 오류가 발생했습니다.'
+    });
+  }
+});
+
+// ============================================
+// 💾 다이빙 사용 장비 교체 (다이빙 작성자만 가능)
+// - body: { gear_ids: [...] } (빈 배열이면 연결 해제)
+// ============================================
+router.put('/', authenticate, requireOwnership({ select: DIVE_COLUMNS }), async (req, res) => {
+  try {
+    const { user, dive } = req;
+
+    const { gearIds, errors } = await validateGearIds(req.body.gear_ids, user.id);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: '장비 정보가 올바르지 않습니다.',
+        errors
+      });
+    }
+
+    await setDiveGear(dive.id, user.id, gearIds);
+
+    res.json({
+      message: `장비 ${gearIds.length}개가 다이빙에 연결되었습니다.`,
+      dive_id: dive.id,
+      gear: await getDiveGear(dive.id)
+    });
+
+  } catch (error) {
+    console.error('❌ 다이빙 장비 저장 에러:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: '다이빙 장비 저장 중 오류가 발생했습니다.'
+    });
+  }
+});
+
+module.exports = router;
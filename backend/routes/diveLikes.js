@@ -0,0 +1,232 @@
+// ============================================
+// ❤️ 다이빙 좋아요 API 라우트 (/api/dives/:id/likes)
+// ============================================
+// 📋 필요한 테이블 (Supabase SQL Editor에서 생성)
+//
+// create table dive_likes (
+//   dive_id uuid not null references dives(id) on delete cascade,
+//   user_id uuid not null references users(id) on delete cascade,
+//   created_at timestamptz default now(),
+//   primary key (dive_id, user_id)
+// );
+// create index dive_likes_user_idx on dive_likes (user_id);
+//
+// -- 목록/상세 응답용 카운터 (dive_comments는 diveComments.js 참고)
+// alter table dives add column likes_count int not null default 0;
+// alter table dives add column comments_count int not null default 0;
+// ============================================
+const express = require('express');
+const router = express.Router({ mergeParams: true }); // :id (다이빙 ID) 사용
+
+// Supabase 클라이언트 및 헬퍼 가져오기
+const { supabase } = require('../utils/supabase');
+const { authenticate } = require('../middleware/auth');
+const { refreshSocialCounters } = require('../utils/diveSocial');
+const { notify } = require('../utils/notifications');
+
+// ============================================
+// 🔍 다이빙 존재 확인 (실패 시 응답 후 null 반환)
+// ============================================
+const findDive = async (req, res) => {
+  const diveId = req.params.id;
+
+  // UUID 형식 검증
+  const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+  if (!uuidRegex.test(diveId)) {
+    res.status(400).json({
+      error: 'Bad Request',
+      message: '유효하지 않은 다이빙 ID 형식입니다.'
+    });
+    return null;
+  }
+
+  const { data: dive, error } = await supabase
+    .from('dives')
+    .select('id, user_id, location_name')
+    .eq('id', diveId)
+    .single();
+
+  if (error || !dive) {
+    res.status(404).json({
+      error: 'Not Found',
+      message: '다이빙 기록을 찾을 수 없습니다.'
+    });
+    return null;
+  }
+
+  return dive;
+};
+
+// ============================================
+// 📋 좋아요한 사용자 목록 (페이지네이션 포함, 최근 순)
+// ============================================
+router.get('/', async (req, res) => {
+  try {
+    const dive = await findDive(req, res);
+    if (!dive) return;
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const startIndex = (page - 1) * limit;
+
+    const { data: likes, error, count } = await supabase
+      .from('dive_likes')
+      .select('user_id, created_at, users(name, diving_experience)', { count: 'exact' })
+      .eq('dive_id', dive.id)
+      .order('created_at', { ascending: false })
+      .range(startIndex, startIndex + limit - 1);
+
+    if (error) {
+      console.error('❌ 좋아요 목록 조회 에러:', error);
+      return res.status(500).json({
+        error: 'Database Error',
+        message: '좋아요 목록 조회 중 오류가 발생했습니다.'
+      });
+    }
+
+    res.json({
+      message: '좋아요 목록 조회 성공',
+      dive_id: dive.id,
+      data: likes.map(like => ({
+        user_id: like.user_id,
+        user_name: like.users?.name || '알 수 없음',
+        user_experience: like.users?.diving_experience || 'unknown',
+        liked_at: like.created_at
+      })),
+      pagination: {
+        current_page: page,
+        per_page: limit,
+        total_likes: count,
+        total_pages: Math.ceil(count / limit),
+        has_next: startIndex + limit < count,
+        has_prev: page > 1
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ 좋아요 목록 조회 에러:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: '좋아요 목록 조회 중 오류가 발생했습니다.'
+    });
+  }
+});
+
+// ============================================
+// ❤️ 좋아요
+// ============================================
+router.post('/', authenticate, async (req, res) => {
+  try {
+    const { user } = req;
+
+    const dive = await findDive(req, res);
+    if (!dive) return;
+
+    const { data: existing, error: findError } = await supabase
+      .from('dive_likes')
+      .select('user_id')
+      .eq('dive_id', dive.id)
+      .eq('user_id', user.id)
+      .maybeSingle();
+
+    if (findError) {
+      throw findError;
+    }
+
+    if (existing) {
+      return res.status(409).json({
+        error: 'Conflict',
+        message: '이미 좋아요한 다이빙입니다.'
+      });
+    }
+
+    const { error } = await supabase
+      .from('dive_likes')
+      .insert([{ dive_id: dive.id, user_id: user.id }]);
+
+    if (error) {
+      console.error('❌ 좋아요 에러:', error);
+      return res.status(500).json({
+        error: 'Database Error',
+        message: '좋아요 중 오류가 발생했습니다.'
+      });
+    }
+
+    const counters = await refreshSocialCounters(dive.id);
+
+    await notify({
+      userId: dive.user_id,
+      actorId: user.id,
+      type: 'like',
+      diveId: dive.id,
+      data: { location_name: dive.location_name }
+    });
+
+    res.status(201).json({
+      message: '좋아요 성공! ❤️',
+      dive_id: dive.id,
+      liked_by_me: true,
+      counters
+    });
+
+  } catch (error) {
+    console.error('❌ 좋아요 에러:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: '좋아요 중 오류가 발생했습니다.'
+    });
+  }
+});
+
+// ============================================
+// 💔 좋아요 취소
+// ============================================
+router.delete('/', authenticate, async (req, res) => {
+  try {
+    const { user } = req;
+
+    const dive = await findDive(req, res);
+    if (!dive) return;
+
+    const { data: removed, error } = await supabase
+      .from('dive_likes')
+      .delete()
+      .eq('dive_id', dive.id)
+      .eq('user_id', user.id)
+      .select();
+
+    if (error) {
+      console.error('❌ 좋아요 취소 에러:', error);
+      return res.status(500).json({
+        error: 'Database Error',
+        message: '좋아요 취소 중 오류가 발생했습니다.'
+      });
+    }
+
+    if (!removed.length) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: '좋아요하지 않은 다이빙입니다.'
+      });
+    }
+
+    const counters = await refreshSocialCounters(dive.id);
+
+    res.json({
+      message: '좋아요 취소 성공',
+      dive_id: dive.id,
+      liked_by_me: false,
+      counters
+    });
+
+  } catch (error) {
+    console.error('❌ 좋아요 취소 에러:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: '좋아요 취소 중 오류가 발생했습니다.'
+    });
+  }
+});
+
+// 라우터 내보내기
+module.exports = router;
@@ -0,0 +1,217 @@
+// ============================================
+// 📈 다이빙 수심 프로필 API 라우트 (/api/dives/:id/profile)
+// ============================================
+// 📋 필요한 테이블 (Supabase SQL Editor에서 생성)
+//
+// create table dive_profiles (
+//   dive_id uuid primary key references dives(id) on delete cascade,
+//   samples jsonb not null,             -- [{ time, depth, temperature, pressure }]
+//   sample_count integer not null default 0,
+//   created_at timestamptz default now(),
+//   updated_at timestamptz default now()
+// );
+// ============================================
+const express = require('express');
+const router = express.Router({ mergeParams: true }); // :id (다이빙 ID) 사용
+
+// Supabase 클라이언트 및 헬퍼 가져오기
+const { supabase } = require('../utils/supabase');
+const { authenticate, requireOwnership } = require('../middleware/auth');
+const { recalculateUserStats } = require('../utils/diveStats');
+const {
+  DEFAULT_CHART_POINTS,
+  normalizeSamples,
+  deriveProfileStats,
+  downsampleSamples,
+  analyzeProfile,
+  getDiveSamples,
+  saveDiveSamples
+} = require('../utils/diveProfile');
+
+// 다이빙 조회 컬럼 (findDive, 소유자 확인 공통)
+const DIVE_COLUMNS = 'id, user_id, dive_type, max_depth, average_depth, duration_minutes';
+
+// ============================================
+// 🔍 다이빙 존재 확인 (실패 시 응답 후 null 반환)
+// ============================================
+const findDive = async (req, res) => {
+  const diveId = req.params.id;
+
+  // UUID 형식 검증
+  const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+  if (!uuidRegex.test(diveId)) {
+    res.status(400).json({
+      error: 'Bad Request',
+      message: '유효하지 않은 다이빙 ID 형식입니다.'
+    });
+    return null;
+  }
+
+  const { data: dive, error } = await supabase
+    .from('dives')
+    .select(DIVE_COLUMNS)
+    .eq('id', diveId)
+    .single();
+
+  if (error || !dive) {
+    res.status(404).json({
+      error: 'Not Found',
+      message: '다이빙 기록을 찾을 수 없습니다.'
+    });
+    return null;
+  }
+
+  return dive;
+};
+
+// ============================================
+// 📊 프로필 조회 (차트용 다운샘플링)
+// - ?points=500 (최대 포인트 수, 0이면 원본 전체)
+// ============================================
+router.get('/', async (req, res) => {
+  try {
+    const dive = await findDive(req, res);
+    if (!dive) return;
+
+    const samples = await getDiveSamples(dive.id);
+    if (!samples) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: '이 다이빙에는 수심 프로필이 없습니다.'
+      });
+    }
+
+    const points = req.query.points !== undefined ? parseInt(req.query.points) : DEFAULT_CHART_POINTS;
+    if (isNaN(points) || points < 0) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'points는 0 이상의 정수여야 합니다.'
+      });
+    }
+
+    const chartSamples = points === 0 ? samples : downsampleSamples(samples, Math.max(points, 3));
+
+    res.json({
+      message: '다이빙 프로필 조회 성공',
+      dive_id: dive.id,
+      sample_count: samples.length,
+      returned_count: chartSamples.length,
+      summary: deriveProfileStats(samples),
+      analysis: analyzeProfile(samples, dive.dive_type),
+      samples: chartSamples
+    });
+
+  } catch (error) {
+    console.error('❌ 다이빙 프로필 조회 에러:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: '다이빙 프로필 조회 중 오류가 발생했습니다.'
+    });
+  }
+});
+
+// ============================================
+// 💾 프로필 저장/교체 (다이빙 작성자만 가능)
+// - body: { samples: [{ time, depth, temperature?, pressure? }] }
+// - 최대/평균 수심, 다이빙 시간은 프로필 기준으로 갱신
+// ============================================
+router.put('/', authenticate, requireOwnership({
+  select: DIVE_COLUMNS,
+  message: '본인의 다이빙 기록에만 프로필을 저장할 수 있습니다.'
+}), async (req, res) => {
+  try {
+    const { user, dive } = req;
+
+    const { samples, errors } = normalizeSamples(req.body.samples);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: '프로필 샘플이 올바르지 않습니다.',
+        errors
+      });
+    }
+
+    await saveDiveSamples(dive.id, samples);
+
+    // 프로필에서 계산한 수치로 다이빙 기록 갱신
+    const derived = deriveProfileStats(samples);
+    const updates = {
+      max_depth: derived.max_depth,
+      average_depth: derived.average_depth,
+      duration_minutes: derived.duration_minutes,
+      updated_at: new Date().toISOString()
+    };
+
+    const { data: updatedDive, error: updateError } = await supabase
+      .from('dives')
+      .update(updates)
+      .eq('id', dive.id)
+      .select()
+      .single();
+
+    if (updateError) {
+      console.error('❌ 다이빙 프로필 반영 에러:', updateError);
+      return res.status(500).json({
+        error: 'Database Error',
+        message: '프로필 수치를 다이빙 기록에 반영하는 중 오류가 발생했습니다.'
+      });
+    }
+
+    // 최대 수심이 바뀌었을 수 있으므로 사용자 통계 재계산
+    const stats = await recalculateUserStats(user.id);
+
+    res.json({
+      message: '다이빙 프로필이 저장되었습니다! 📈',
+      dive: updatedDive,
+      sample_count: samples.length,
+      analysis: analyzeProfile(samples, dive.dive_type),
+      user_stats: stats
+    });
+
+  } catch (error) {
+    console.error('❌ 다이빙 프로필 저장 에러:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: '다이빙 프로필 저장 중 오류가 발생했습니다.'
+    });
+  }
+});
+
+// ============================================
+// 🗑️ 프로필 삭제 (다이빙 작성자만 가능, 다이빙 수치는 유지)
+// ============================================
+router.delete('/', authenticate, requireOwnership({
+  select: DIVE_COLUMNS,
+  message: '본인의 다이빙 프로필만 삭제할 수 있습니다.'
+}), async (req, res) => {
+  try {
+    const { dive } = req;
+
+    const { error } = await supabase
+      .from('dive_profiles')
+      .delete()
+      .eq('dive_id', dive.id);
+
+    if (error) {
+      console.error('❌ 다이빙 프로필 삭제 DB 에러:', error);
+      return res.status(500).json({
+        error: 'Database Error',
+        message: '다이빙 프로필 삭제 중 오류가 발생했습니다.'
+      });
+    }
+
+    res.json({
+      message: '다이빙 프로필이 삭제되었습니다.',
+      dive_id: dive.id
+    });
+
+  } catch (error) {
+    console.error('❌ 다이빙 프로필 삭제 에러:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: '다이빙 프로필 삭제 중 오류가 발생했습니다.'
+    });
+  }
+});
+
+module.exports = router;
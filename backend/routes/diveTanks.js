@@ -0,0 +1,194 @@
+// ============================================
+// 🫙 다이빙 탱크/기체 API 라우트 (/api/dives/:id/tanks)
+// ============================================
+// 📋 필요한 테이블 (Supabase SQL Editor에서 생성)
+//
+// create table dive_tanks (
+//   id uuid primary key default gen_random_uuid(),
+//   dive_id uuid not null references dives(id) on delete cascade,
+//   user_id uuid not null references users(id) on delete cascade,
+//   position integer not null default 1,
+//   gas text,                           -- air, EAN32, TX18/45
+//   role text not null default 'bottom', -- bottom | stage | deco
+//   o2 numeric not null default 0.21,   -- 비율 (0~1)
+//   he numeric not null default 0,
+//   volume_liters numeric,
+//   start_pressure_bar numeric,
+//   end_pressure_bar numeric,
+//   created_at timestamptz default now()
+// );
+// create index dive_tanks_dive_idx on dive_tanks (dive_id, position);
+// ============================================
+const express = require('express');
+const router = express.Router({ mergeParams: true }); // :id (다이빙 ID) 사용
+
+// Supabase 클라이언트 및 헬퍼 가져오기
+const { supabase } = require('../utils/supabase');
+const { authenticate, requireOwnership } = require('../middleware/auth');
+const {
+  MAX_TANKS_PER_DIVE,
+  validateTank,
+  checkGasLimits,
+  describeGas,
+  calculateConsumption,
+  getTanksByDive,
+  replaceDiveTanks
+} = require('../utils/gas');
+
+// 다이빙 조회 컬럼 (findDive, 소유자 확인 공통)
+const DIVE_COLUMNS = 'id, user_id, dive_type, max_depth, average_depth, duration_minutes';
+
+// ============================================
+// 🔍 다이빙 존재 확인 (실패 시 응답 후 null 반환)
+// ============================================
+const findDive = async (req, res) => {
+  const diveId = req.params.id;
+
+  // UUID 형식 검증
+  const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+  if (!uuidRegex.test(diveId)) {
+    res.status(400).json({
+      error: 'Bad Request',
+      message: '유효하지 않은 다이빙 ID 형식입니다.'
+    });
+    return null;
+  }
+
+  const { data: dive, error } = await supabase
+    .from('dives')
+    .select(DIVE_COLUMNS)
+    .eq('id', diveId)
+    .single();
+
+  if (error || !dive) {
+    res.status(404).json({
+      error: 'Not Found',
+      message: '다이빙 기록을 찾을 수 없습니다.'
+    });
+    return null;
+  }
+
+  return dive;
+};
+
+// 📊 탱크 응답 (기체 정보 + MOD/ppO2 검사 + 소모량)
+const buildTankReport = (dive, tanks) => ({
+  tanks: tanks.map(tank => ({ ...tank, gas_info: describeGas(tank, dive.max_depth) })),
+  gas_checks: checkGasLimits(tanks, dive.max_depth),
+  consumption: calculateConsumption(dive, tanks)
+});
+
+// ============================================
+// 📋 다이빙 탱크 목록 + SAC/RMV
+// ============================================
+router.get('/', async (req, res) => {
+  try {
+    const dive = await findDive(req, res);
+    if (!dive) return;
+
+    const tanksByDive = await getTanksByDive([dive.id]);
+
+    res.json({
+      message: '다이빙 탱크 조회 성공',
+      dive_id: dive.id,
+      ...buildTankReport(dive, tanksByDive[dive.id] || [])
+    });
+
+  } catch (error) {
+    console.error('❌ 다이빙 탱크 조회 에러:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: '다이빙 탱크 조회 중 오류가 발생했습니다.'
+    });
+  }
+});
+
+// ============================================
+// 💾 다이빙 탱크 저장/교체 (다이빙 작성자만 가능)
+// - body: { tanks: [{ o2, he, volume_liters, start_pressure_bar, end_pressure_bar, role?, gas? }] }
+// - 최대 수심에서 ppO2가 비상 한계(1.6 bar)를 넘으면 거부
+// ============================================
+router.put('/', authenticate, requireOwnership({ select: DIVE_COLUMNS }), async (req, res) => {
+  try {
+    const { dive } = req;
+
+    if (dive.dive_type !== 'scuba') {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: '탱크 정보는 스쿠버 다이빙에만 기록할 수 있습니다.'
+      });
+    }
+
+    const inputs = req.body.tanks;
+    if (!Array.isArray(inputs) || inputs.length === 0 || inputs.length > MAX_TANKS_PER_DIVE) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: `tanks는 1~${MAX_TANKS_PER_DIVE}개의 탱크 배열이어야 합니다.`
+      });
+    }
+
+    const errors = [];
+    const tanks = inputs.map((input, i) => {
+      const { tank, errors: tankErrors } = validateTank(input, i);
+      errors.push(...tankErrors);
+      return tank;
+    });
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: '탱크 정보가 올바르지 않습니다.',
+        errors
+      });
+    }
+
+    const dangers = checkGasLimits(tanks, dive.max_depth).filter(issue => issue.severity === 'danger');
+    if (dangers.length > 0) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: '최대 수심에서 사용할 수 없는 기체입니다. max_depth 또는 기체 구성을 확인해주세요.',
+        errors: dangers.map(issue => issue.message)
+      });
+    }
+
+    const saved = await replaceDiveTanks(dive, tanks);
+
+    res.json({
+      message: `탱크 ${saved.length}개가 저장되었습니다! 🫙`,
+      dive_id: dive.id,
+      ...buildTankReport(dive, saved)
+    });
+
+  } catch (error) {
+    console.error('❌ 다이빙 탱크 저장 에러:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: '다이빙 탱크 저장 중 오류가 발생했습니다.'
+    });
+  }
+});
+
+// ============================================
+// 🗑️ 다이빙 탱크 전체 삭제 (다이빙 작성자만 가능)
+// ============================================
+router.delete('/', authenticate, requireOwnership({ select: DIVE_COLUMNS }), async (req, res) => {
+  try {
+    const { dive } = req;
+
+    await replaceDiveTanks(dive, []);
+
+    res.json({
+      message: '다이빙 탱크 정보가 삭제되었습니다.',
+      dive_id: dive.id
+    });
+
+  } catch (error) {
+    console.error('❌ 다이빙 탱크 삭제 에러:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: '다이빙 탱크 삭제 중 오류가 발생했습니다.'
+    });
+  }
+});
+
+module.exports = router;
@@ -4,6 +4,68 @@
 const express = require('express');
 const router = express.Router();
 
+// Supabase 클라이언트, 리포지토리 및 헬퍼 가져오기
+const { supabase } = require('../utils/supabase');
+const { getRepositories } = require('../repositories');
+const { authenticate, optionalAuth, requireOwnership } = require('../middleware/auth');
+const { recalculateUserStats, calculateDiveStats } = require('../utils/diveStats');
+const { resolveDiveSpot } = require('../utils/spots');
+const { removeMediaFiles } = require('../utils/media');
+const {
+  DIVE_TYPES,
+  REQUIRED_DIVE_FIELDS,
+  DIVE_NUMERIC_RANGES,
+  getMissingFields,
+  validateDiveNumbers,
+  validateDiveDate,
+  buildDiveRecord,
+  toCoordinatesPoint
+} = require('../utils/diveValidation');
+const { getDiveSamples, analyzeProfile } = require('../utils/diveProfile');
+const { summarizeSession } = require('../utils/freediving');
+const {
+  MAX_TANKS_PER_DIVE,
+  validateTank,
+  checkGasLimits,
+  calculateConsumption,
+  calculateSacTrend,
+  getTanksByDive,
+  replaceDiveTanks
+} = require('../utils/gas');
+const { getUserCertifications, checkDiveAgainstCertifications } = require('../utils/certifications');
+const { validateGearIds, setDiveGear, getDiveGear } = require('../utils/gear');
+const {
+  DEFAULT_FEED_LIMIT,
+  MAX_FEED_LIMIT,
+  getFollowingIds,
+  encodeFeedCursor,
+  decodeFeedCursor
+} = require('../utils/follows');
+const { getLikedDiveIds } = require('../utils/diveSocial');
+const {
+  VISIBILITY_LEVELS,
+  LOCATION_PRECISIONS,
+  getViewerRelation,
+  getViewerContext,
+  relationFor,
+  visibleLevels,
+  canView,
+  validateVisibility,
+  validateLocationPrecision,
+  getProfilePrivacy,
+  canViewProfileField,
+  applyDivePrivacy
+} = require('../utils/privacy');
+const {
+  TAG_STATUS,
+  validateBuddyIds,
+  tagBuddies,
+  getDiveVerification,
+  getSharedDiveIds
+} = require('../utils/diveBuddies');
+
+const { users: usersRepository, dives: divesRepository } = getRepositories();
+
 // ============================================
 // 📋 다이빙 라우트 목록
 // ============================================
@@ -13,137 +75,273 @@ router.get('/', (req, res) => {
   res.json({
     message: '🌊 Dives API',
     available_endpoints: {
-      list: 'GET /api/dives (다이빙 로그 목록)',
+      list: 'GET /api/dives (다이빙 로그 목록, 보는 사람의 공개 범위 적용)',
+      privacy: 'visibility: public | buddies | private, location_precision: exact | approximate | hidden (생성/수정 시 지정)',
+      feed: 'GET /api/dives/feed?cursor=&limit= (팔로우한 다이버의 최근 다이빙, 커서 페이지네이션)',
       create: 'POST /api/dives (새 다이빙 기록)',
       detail: 'GET /api/dives/:id (특정 다이빙 조회)',
       update: 'PUT /api/dives/:id (다이빙 기록 수정)',
       delete: 'DELETE /api/dives/:id (다이빙 기록 삭제)',
-      stats: 'GET /api/dives/stats (다이빙 통계)',
-      spots: 'GET /api/dives/spots (다이빙 포인트)',
-      photos: 'GET/POST /api/dives/:id/photos (사진 관리)'
+      stats: 'GET /api/dives/stats?user_id=&from=&to=&type= (다이빙 통계)',
+      spots: 'GET /api/dives/spots?lat=&lng=&radius_km= (다이빙 포인트, /api/diving-spots와 동일)',
+      photos: 'GET/POST /api/dives/:id/photos, DELETE /api/dives/:id/photos/:mediaId (사진/영상 관리, 썸네일은 사진만 생성)',
+      buddies: 'GET/POST /api/dives/:id/buddies, POST /api/dives/:id/buddies/confirm|reject (버디 태그/인증)',
+      buddy_tags: 'GET /api/dives/buddy-tags?status=pending (내가 태그된 다이빙)',
+      profile: 'GET/PUT/DELETE /api/dives/:id/profile?points= (수심 프로필 샘플, 차트용 다운샘플링)',
+      attempts: 'GET/POST /api/dives/:id/attempts, PUT/DELETE /api/dives/:id/attempts/:attemptId (프리다이빙 종목별 시도)',
+      tanks: 'GET/PUT/DELETE /api/dives/:id/tanks (탱크/기체, SAC/RMV, MOD/ppO2 검사)',
+      gear: 'GET/PUT /api/dives/:id/gear (사용 장비, 인벤토리는 /api/gear)',
+      likes: 'GET/POST/DELETE /api/dives/:id/likes (좋아요 목록 / 좋아요 / 취소)',
+      comments: 'GET/POST /api/dives/:id/comments, PUT/DELETE /api/dives/:id/comments/:commentId, GET /api/dives/:id/comments/:commentId/replies (댓글/답글)',
+      sac_trend: 'GET /api/dives/sac-trend?user_id=&from=&to= (공기 소모량 추이)',
+      deco: 'GET /api/dives/deco/:id?gf_low=&gf_high= (감압 분석), GET /api/dives/deco/plan?depth=&bottom_time=&surface_interval= (다음 다이빙 NDL)'
     }
   });
 });
 
+// ============================================
+// 🔒 공개 범위 확인 헬퍼
+// ============================================
+
+// 다른 사용자의 통계 조회 권한 확인 (실패 시 응답 후 null 반환)
+// - 프로필의 stats 공개 범위를 확인하고, 집계에 포함할 다이빙 공개 범위 목록 반환
+const resolveStatsAccess = async (req, res, userId) => {
+  const relation = await getViewerRelation(req.user?.id, userId);
+
+  if (relation !== 'self') {
+    const privacy = await getProfilePrivacy(userId);
+    if (!privacy) {
+      res.status(404).json({
+        error: 'Not Found',
+        message: '사용자를 찾을 수 없습니다.'
+      });
+      return null;
+    }
+    if (!canView(privacy.stats, relation)) {
+      res.status(403).json({
+        error: 'Forbidden',
+        message: '이 사용자의 다이빙 통계는 공개되지 않았습니다.'
+      });
+      return null;
+    }
+  }
+
+  return visibleLevels(relation);
+};
+
+// 다이빙별 하위 경로(/:id, /:id/photos 등) 접근 전 공개 범위 확인
+// - 볼 수 없는 다이빙은 존재 여부도 알리지 않도록 404
+// - 작성자와 태그를 확인(confirmed)한 버디는 항상 접근 가능
+// - 확인 전이거나 거절한 버디는 태그 응답(/buddies 확인·거절·삭제)만 가능
+// - 형식 오류 / 없는 다이빙은 각 핸들러의 400/404 처리에 맡김
+// - optionalAuth 다음에 사용
+const requireVisibleDive = async (req, res, next) => {
+  try {
+    const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+    if (!uuidRegex.test(req.params.id)) return next();
+
+    const dive = await divesRepository.findById(req.params.id, { columns: 'id, user_id, visibility' });
+
+    if (!dive) return next();
+
+    const viewer = req.user;
+    const relation = await getViewerRelation(viewer?.id, dive.user_id);
+
+    let visible = canView(dive.visibility, relation);
+    if (!visible && viewer) {
+      const { data: tag } = await supabase
+        .from('dive_buddy_tags')
+        .select('id, status')
+        .eq('dive_id', dive.id)
+        .eq('buddy_id', viewer.id)
+        .maybeSingle();
+      const respondingToTag = req.method !== 'GET' && req.path.startsWith('/buddies/');
+      visible = Boolean(tag) && (tag.status === TAG_STATUS.CONFIRMED || respondingToTag);
+    }
+
+    if (!visible) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: '다이빙 기록을 찾을 수 없습니다.'
+      });
+    }
+
+    req.diveViewerRelation = relation;
+    next();
+
+  } catch (error) {
+    console.error('❌ 다이빙 공개 범위 확인 에러:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: '다이빙 기록 조회 중 오류가 발생했습니다.'
+    });
+  }
+};
+
 // ============================================
 // 🆕 새로운 다이빙 기록 생성
 // ============================================
-router.post('/create', async (req, res) => {
+router.post('/create', authenticate, async (req, res) => {
   try {
     const {
       dive_type,
-      location_name,
-      country,
       coordinates,
-      dive_date,
-      duration_minutes,
       max_depth,
-      average_depth,
-      water_temperature,
-      visibility_meters,
-      weather,
-      current_strength,
-      equipment,
-      air_consumption,
-      safety_buddy_name,
-      marine_life,
-      notes,
-      rating
+      spot_id,
+      buddy_ids,
+      tanks,
+      gear_ids,
+      visibility,
+      location_precision
     } = req.body;
 
-    // 토큰에서 사용자 ID 추출
-    const token = req.headers.authorization?.replace('Bearer ', '');
-    if (!token) {
-      return res.status(401).json({
-        error: 'Unauthorized',
-        message: '인증 토큰이 필요합니다.'
-      });
-    }
-
-    // 🏗️ Supabase가 자동 처리:
-    // - JWT 토큰 검증 및 사용자 ID 추출 ✅
-    const { data: { user }, error: authError } = await supabase.auth.getUser(token);
-    
-    if (authError || !user) {
-      return res.status(401).json({
-        error: 'Unauthorized',
-        message: '유효하지 않은 토큰입니다.'
-      });
-    }
+    // 인증 미들웨어가 조회한 사용자
+    const { user } = req;
 
     // 필수 필드 검증
-    const requiredFields = ['dive_type', 'location_name', 'dive_date', 'max_depth'];
-    const missingFields = requiredFields.filter(field => !req.body[field]);
+    const missingFields = getMissingFields(req.body);
 
     if (missingFields.length > 0) {
       return res.status(400).json({
         error: 'Bad Request',
         message: '필수 필드가 누락되었습니다.',
         missing_fields: missingFields,
-        required_fields: requiredFields
+        required_fields: REQUIRED_DIVE_FIELDS
       });
     }
 
     // 다이빙 타입 검증
-    if (!['freediving', 'scuba'].includes(dive_type)) {
+    if (!DIVE_TYPES.includes(dive_type)) {
       return res.status(400).json({
         error: 'Bad Request',
         message: '다이빙 타입은 freediving 또는 scuba여야 합니다.',
-        allowed_types: ['freediving', 'scuba']
+        allowed_types: DIVE_TYPES
+      });
+    }
+
+    // 다이빙 날짜 검증 (실제 달력 날짜)
+    const dateError = validateDiveDate(req.body.dive_date);
+    if (dateError) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: '다이빙 날짜가 올바르지 않습니다.',
+        errors: [dateError]
+      });
+    }
+
+    // 수심 / 시간 / 수온 / 시야 / 평점 범위 검증
+    const numberErrors = validateDiveNumbers(req.body);
+    if (numberErrors.length > 0) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: '다이빙 수치가 올바르지 않습니다.',
+        errors: numberErrors,
+        allowed_ranges: DIVE_NUMERIC_RANGES
+      });
+    }
+
+    // 공개 범위 / 좌표 공개 방식 검증 (기본값: public / exact)
+    const privacyErrors = [validateVisibility(visibility), validateLocationPrecision(location_precision)].filter(Boolean);
+    if (privacyErrors.length > 0) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: '공개 범위 설정이 올바르지 않습니다.',
+        errors: privacyErrors,
+        allowed_values: { visibility: VISIBILITY_LEVELS, location_precision: LOCATION_PRECISIONS }
       });
     }
 
+    // 함께 다이빙한 버디 태그 검증 (가입된 사용자만)
+    let buddyIds = [];
+    if (buddy_ids !== undefined) {
+      const validation = await validateBuddyIds(buddy_ids, user.id);
+      if (validation.errors.length > 0) {
+        return res.status(400).json({
+          error: 'Bad Request',
+          message: '태그할 버디 정보가 올바르지 않습니다.',
+          errors: validation.errors
+        });
+      }
+      buddyIds = validation.buddyIds;
+    }
+
+    // 사용 장비 검증 (내 장비 인벤토리의 장비만)
+    let gearIds = [];
+    if (gear_ids !== undefined) {
+      const validation = await validateGearIds(gear_ids, user.id);
+      if (validation.errors.length > 0) {
+        return res.status(400).json({
+          error: 'Bad Request',
+          message: '장비 정보가 올바르지 않습니다.',
+          errors: validation.errors
+        });
+      }
+      gearIds = validation.gearIds;
+    }
+
+    // 탱크/기체 검증 (스쿠버만, 최대 수심 기준 ppO2 한계 확인)
+    let diveTanks = [];
+    if (tanks !== undefined && dive_type === 'scuba') {
+      const tankErrors = [];
+      if (!Array.isArray(tanks) || tanks.length > MAX_TANKS_PER_DIVE) {
+        tankErrors.push(`tanks는 최대 ${MAX_TANKS_PER_DIVE}개의 탱크 배열이어야 합니다.`);
+      } else {
+        diveTanks = tanks.map((input, i) => {
+          const { tank, errors } = validateTank(input, i);
+          tankErrors.push(...errors);
+          return tank;
+        });
+        checkGasLimits(diveTanks, max_depth)
+          .filter(issue => issue.severity === 'danger')
+          .forEach(issue => tankErrors.push(issue.message));
+      }
+
+      if (tankErrors.length > 0) {
+        return res.status(400).json({
+          error: 'Bad Request',
+          message: '탱크 정보가 올바르지 않습니다.',
+          errors: tankErrors
+        });
+      }
+    }
+
     // 사용자의 현재 다이빙 횟수 조회 (dive_number 계산용)
-    const { count: currentDiveCount } = await supabase
-      .from('dives')
-      .select('*', { count: 'exact', head: true })
-      .eq('user_id', user.id);
+    const currentDiveCount = await divesRepository.countByUser(user.id);
 
-    const nextDiveNumber = (currentDiveCount || 0) + 1;
+    const nextDiveNumber = currentDiveCount + 1;
 
-    // 좌표 처리 (PostgreSQL POINT 형식)
-    let coordinatesPoint = null;
-    if (coordinates && coordinates.lat && coordinates.lng) {
-      coordinatesPoint = `POINT(${coordinates.lng} ${coordinates.lat})`;
+    // 다이빙 포인트 연결 (spot_id 지정 또는 좌표 기준 최근접 포인트)
+    const spotMatch = await resolveDiveSpot({
+      spotId: spot_id,
+      lat: Number(coordinates?.lat),
+      lng: Number(coordinates?.lng)
+    });
+
+    if (spot_id && !spotMatch) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: '존재하지 않는 다이빙 포인트입니다.',
+        spot_id
+      });
     }
 
-    // 🏗️ Supabase가 자동 처리:
+    // 좌표 처리 (PostgreSQL POINT 형식, 좌표가 없으면 포인트 좌표 사용)
+    let coordinatesPoint = toCoordinatesPoint(coordinates);
+    if (!coordinatesPoint && spotMatch) {
+      coordinatesPoint = `POINT(${spotMatch.spot.longitude} ${spotMatch.spot.latitude})`;
+    }
+
+    // 🏗️ 리포지토리가 자동 처리:
     // - UUID 자동 생성 ✅
     // - 타임스탬프 자동 설정 ✅
-    // - 데이터 타입 검증 ✅
-    // - 트랜잭션 처리 ✅
-    const { data: newDive, error: diveError } = await supabase
-      .from('dives')
-      .insert([
-        {
-          user_id: user.id,
-          dive_type,
-          dive_number: nextDiveNumber,
-          location_name,
-          country: country || null,
-          coordinates: coordinatesPoint,
-          dive_date,
-          duration_minutes: duration_minutes || null,
-          max_depth,
-          average_depth: average_depth || null,
-          water_temperature: water_temperature || null,
-          visibility_meters: visibility_meters || null,
-          weather: weather || null,
-          current_strength: current_strength || null,
-          equipment: equipment || {},
-          air_consumption: dive_type === 'scuba' ? air_consumption : null,
-          safety_buddy_name: safety_buddy_name || null,
-          marine_life: marine_life || [],
-          notes: notes || '',
-          rating: rating || null,
-          photos_count: 0,
-          videos_count: 0
-        }
-      ])
-      .select()
-      .single();
-
-    if (diveError) {
+    let newDive;
+    try {
+      newDive = await divesRepository.create({
+        ...buildDiveRecord(user.id, req.body, nextDiveNumber),
+        coordinates: coordinatesPoint,
+        spot_id: spotMatch?.spot.id || null
+      });
+    } catch (diveError) {
       console.error('❌ 다이빙 기록 생성 에러:', diveError);
       return res.status(500).json({
         error: 'Database Error',
@@ -152,37 +350,61 @@ router.post('/create', async (req, res) => {
       });
     }
 
-    // 사용자의 total_dives와 deepest_dive 업데이트
-    const updateData = {
-      total_dives: nextDiveNumber,
-      updated_at: new Date().toISOString()
-    };
+    // 버디 태그 (태그된 버디가 확인하면 인증 배지 표시)
+    const buddyTags = await tagBuddies(newDive.id, user.id, buddyIds);
 
-    // 최대 깊이 기록 갱신 확인
-    const { data: currentUser } = await supabase
-      .from('users')
-      .select('deepest_dive')
-      .eq('id', user.id)
-      .single();
+    // 탱크 저장 (air_consumption은 총 사용 압력으로 갱신)
+    const savedTanks = diveTanks.length > 0 ? await replaceDiveTanks(newDive, diveTanks) : [];
 
-    if (!currentUser?.deepest_dive || max_depth > currentUser.deepest_dive) {
-      updateData.deepest_dive = max_depth;
+    // 사용 장비 연결 (장비별 다이빙 수/시간 누적)
+    if (gearIds.length > 0) {
+      await setDiveGear(newDive.id, user.id, gearIds);
     }
 
-    // 🏗️ Supabase가 자동 처리:
-    // - 사용자 통계 업데이트 ✅
-    await supabase
-      .from('users')
-      .update(updateData)
-      .eq('id', user.id);
+    // 자격 범위 확인 (수심/기체 - 기록은 저장하고 경고만 반환)
+    const certificationWarnings = checkDiveAgainstCertifications(
+      await getUserCertifications(user.id),
+      { dive_type, max_depth },
+      diveTanks
+    );
+
+    // 최대 깊이 기록 갱신 확인 (통계 재계산 전 기존 기록)
+    const currentUser = await usersRepository.findById(user.id, { columns: 'deepest_dive' });
+
+    // 사용자의 total_dives와 deepest_dive 업데이트
+    // (과거 날짜의 다이빙이면 dive_number도 날짜 순으로 다시 매김)
+    const stats = await recalculateUserStats(user.id);
+
+    let diveNumber = nextDiveNumber;
+    if (stats.renumbered_dives > 0) {
+      const refreshedDive = await divesRepository.findById(newDive.id, { columns: 'dive_number' });
+      diveNumber = refreshedDive?.dive_number ?? nextDiveNumber;
+    }
 
     res.status(201).json({
       message: '다이빙 기록 생성 성공! 🎉',
-      dive: newDive,
+      dive: { ...newDive, dive_number: diveNumber },
       stats: {
-        dive_number: nextDiveNumber,
-        is_new_depth_record: updateData.deepest_dive === max_depth
-      }
+        dive_number: diveNumber,
+        is_new_depth_record: !currentUser?.deepest_dive || max_depth > currentUser.deepest_dive
+      },
+      spot: spotMatch ? {
+        id: spotMatch.spot.id,
+        name: spotMatch.spot.name,
+        matched_by: spotMatch.matched_by,
+        distance_km: spotMatch.distance_km ?? null
+      } : null,
+      buddy_tags: buddyTags.map(tag => ({
+        user_id: tag.buddy_id,
+        status: tag.status
+      })),
+      certification_warnings: certificationWarnings,
+      gear_ids: gearIds,
+      ...(savedTanks.length > 0 && {
+        tanks: savedTanks,
+        gas_checks: checkGasLimits(savedTanks, max_depth),
+        consumption: calculateConsumption(newDive, savedTanks)
+      })
     });
 
   } catch (error) {
@@ -197,57 +419,59 @@ router.post('/create', async (req, res) => {
 // ============================================
 // 📋 다이빙 로그 목록 조회 (실제 DB)
 // ============================================
-router.get('/list', async (req, res) => {
+router.get('/list', optionalAuth, async (req, res) => {
   try {
     // 쿼리 파라미터 처리
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 10;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 10, 1), 100);
     const user_id = req.query.user_id;
     const dive_type = req.query.type;
     const location = req.query.location;
 
+    // UUID 형식 검증 (사용자 로그북 필터)
+    const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+    if (user_id !== undefined && !uuidRegex.test(user_id)) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: '유효하지 않은 사용자 ID 형식입니다.'
+      });
+    }
+
     // 페이지네이션 계산
     const startIndex = (page - 1) * limit;
 
-    // 🏗️ Supabase가 자동 처리:
-    // - 복잡한 조인 쿼리 ✅
-    // - 필터링 및 정렬 ✅
-    // - 페이지네이션 ✅
-    let query = supabase
-      .from('dives')
-      .select(`
-        *,
-        users!inner(name, diving_experience)
-      `, { count: 'exact' })
-      .range(startIndex, startIndex + limit - 1)
-      .order('dive_date', { ascending: false });
-
-    // 필터 적용
-    if (user_id) {
-      query = query.eq('user_id', user_id);
-    }
-    if (dive_type) {
-      query = query.eq('dive_type', dive_type);
-    }
-    if (location) {
-      query = query.ilike('location_name', `%${location}%`);
-    }
+    // 보는 사람 기준 공개 범위 (전체 공개 + 내 다이빙 + 버디 공개 다이빙)
+    const viewer = req.user;
+    const viewerContext = await getViewerContext(viewer?.id);
 
-    const { data: dives, error, count } = await query;
+    // 🏗️ 리포지토리가 자동 처리:
+    // - 작성자 정보 조인 ✅
+    // - 공개 범위 / 필터링 및 정렬 ✅
+    // - 페이지네이션 ✅
+    // (사용자 로그북에는 버디로 인증된 공유 다이빙도 포함)
+    const { dives, total: count } = await divesRepository.listVisible({
+      viewer: viewerContext,
+      userId: user_id,
+      sharedDiveIds: user_id ? await getSharedDiveIds(user_id) : [],
+      diveType: dive_type,
+      location,
+      offset: startIndex,
+      limit,
+      owner: 'name, diving_experience'
+    });
 
-    if (error) {
-      console.error('❌ 다이빙 목록 조회 에러:', error);
-      return res.status(500).json({
-        error: 'Database Error',
-        message: '다이빙 목록 조회 중 오류가 발생했습니다.'
-      });
-    }
+    // 로그인한 경우 좋아요 여부 표시
+    const likedIds = await getLikedDiveIds(viewer?.id, dives.map(dive => dive.id));
 
-    // 응답 데이터 구조화
+    // 응답 데이터 구조화 (좌표는 작성자의 위치 공개 방식 적용)
     const formattedDives = dives.map(dive => ({
-      ...dive,
+      ...applyDivePrivacy(dive, relationFor(viewerContext, dive.user_id)),
       user_name: dive.users?.name || '알 수 없음',
-      user_experience: dive.users?.diving_experience || 'unknown'
+      user_experience: dive.users?.diving_experience || 'unknown',
+      is_shared: Boolean(user_id) && dive.user_id !== user_id,
+      likes_count: dive.likes_count || 0,
+      comments_count: dive.comments_count || 0,
+      liked_by_me: viewer ? likedIds.has(dive.id) : null
     }));
 
     res.json({
@@ -278,58 +502,466 @@ router.get('/list', async (req, res) => {
 });
 
 // ============================================
-// 🔍 특정 다이빙 기록 조회 (실제 DB)
+// 📰 팔로우한 다이버의 다이빙 피드 (커서 페이지네이션)
+// - created_at, id 내림차순 키셋 페이지네이션 (OFFSET 없음)
+// - 다음 페이지는 응답의 pagination.next_cursor를 ?cursor=로 전달
 // ============================================
-router.get('/:id', async (req, res) => {
+router.get('/feed', authenticate, async (req, res) => {
   try {
-    const diveId = req.params.id;
+    const { user } = req;
+
+    const limit = Math.min(parseInt(req.query.limit) || DEFAULT_FEED_LIMIT, MAX_FEED_LIMIT);
+
+    let cursor = null;
+    if (req.query.cursor) {
+      cursor = decodeFeedCursor(req.query.cursor);
+      if (!cursor) {
+        return res.status(400).json({
+          error: 'Bad Request',
+          message: '유효하지 않은 커서입니다.'
+        });
+      }
+    }
+
+    const followingIds = await getFollowingIds(user.id);
+    if (followingIds.length === 0) {
+      return res.json({
+        message: '다이빙 피드 조회 성공',
+        data: [],
+        pagination: { limit, next_cursor: null, has_next: false }
+      });
+    }
+
+    // 다음 페이지 존재 여부 확인을 위해 limit + 1개 조회
+    const viewerContext = await getViewerContext(user.id);
+
+    const dives = await divesRepository.listFeed({
+      viewer: viewerContext,
+      userIds: followingIds,
+      cursor,
+      limit: limit + 1,
+      owner: 'name, diving_experience'
+    });
+
+    const hasNext = dives.length > limit;
+    const pageDives = dives.slice(0, limit);
+
+    const likedIds = await getLikedDiveIds(user.id, pageDives.map(dive => dive.id));
+
+    // 응답 데이터 구조화 (목록 조회와 동일한 형태)
+    const formattedDives = pageDives.map(dive => ({
+      ...applyDivePrivacy(dive, relationFor(viewerContext, dive.user_id)),
+      user_name: dive.users?.name || '알 수 없음',
+      user_experience: dive.users?.diving_experience || 'unknown',
+      likes_count: dive.likes_count || 0,
+      comments_count: dive.comments_count || 0,
+      liked_by_me: likedIds.has(dive.id)
+    }));
+
+    res.json({
+      message: '다이빙 피드 조회 성공',
+      data: formattedDives,
+      pagination: {
+        limit,
+        next_cursor: hasNext ? encodeFeedCursor(pageDives[pageDives.length - 1]) : null,
+        has_next: hasNext
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ 다이빙 피드 조회 에러:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: '다이빙 피드 조회 중 오류가 발생했습니다.'
+    });
+  }
+});
+
+// ============================================
+// 📊 다이빙 통계 조회
+// ============================================
+router.get('/stats', optionalAuth, async (req, res) => {
+  try {
+    const { from, to, type } = req.query;
+    const bucketSize = parseInt(req.query.bucket_size) || 10;
+    let userId = req.query.user_id;
+
+    // user_id가 없으면 로그인한 사용자 본인의 통계
+    if (!userId) {
+      if (!req.user) {
+        return res.status(401).json({
+          error: 'Unauthorized',
+          message: '인증 토큰이 필요합니다.'
+        });
+      }
+      userId = req.user.id;
+    }
 
     // UUID 형식 검증
     const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
-    if (!uuidRegex.test(diveId)) {
+    if (!uuidRegex.test(userId)) {
       return res.status(400).json({
         error: 'Bad Request',
-        message: '유효하지 않은 다이빙 ID 형식입니다.'
+        message: '유효하지 않은 사용자 ID 형식입니다.'
       });
     }
 
-    // 🏗️ Supabase가 자동 처리:
-    // - 조인 쿼리로 사용자 정보도 함께 조회 ✅
-    const { data: dive, error } = await supabase
-      .from('dives')
-      .select(`
-        *,
-        users!inner(name, diving_experience, location)
-      `)
-      .eq('id', diveId)
-      .single();
+    // 다른 사용자의 통계는 프로필 공개 범위에 따라 (볼 수 있는 다이빙만 집계)
+    const levels = await resolveStatsAccess(req, res, userId);
+    if (!levels) return;
 
-    if (error) {
-      if (error.code === 'PGRST116') { // No rows found
-        return res.status(404).json({
-          error: 'Not Found',
-          message: '다이빙 기록을 찾을 수 없습니다.'
+    // 날짜 필터 검증 (YYYY-MM-DD)
+    const dateRegex = /^\d{4}-\d{2}-\d{2}$/;
+    const invalidDates = [['from', from], ['to', to]]
+      .filter(([, value]) => value && !dateRegex.test(value))
+      .map(([name]) => name);
+
+    if (invalidDates.length > 0) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: '날짜는 YYYY-MM-DD 형식이어야 합니다.',
+        invalid_fields: invalidDates
+      });
+    }
+
+    // 다이빙 타입 검증
+    if (type && !DIVE_TYPES.includes(type)) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: '다이빙 타입은 freediving 또는 scuba여야 합니다.',
+        allowed_types: DIVE_TYPES
+      });
+    }
+
+    // 구간 크기 검증 (1~100m)
+    if (bucketSize < 1 || bucketSize > 100) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'bucket_size는 1에서 100 사이여야 합니다.'
+      });
+    }
+
+    const dives = await divesRepository.findByUser(userId, {
+      columns: 'dive_type, dive_date, duration_minutes, max_depth, average_depth, water_temperature, visibility_meters, location_name, country, rating',
+      visibility: levels,
+      diveType: type,
+      from,
+      to
+    });
+
+    res.json({
+      message: '다이빙 통계 조회 성공',
+      user_id: userId,
+      filters: {
+        from: from || null,
+        to: to || null,
+        dive_type: type || null
+      },
+      stats: calculateDiveStats(dives, { bucketSize })
+    });
+
+  } catch (error) {
+    console.error('❌ 다이빙 통계 조회 에러:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: '다이빙 통계 조회 중 오류가 발생했습니다.'
+    });
+  }
+});
+
+// ============================================
+// 📈 공기 소모량(SAC/RMV) 추이
+// - ?user_id=(기본 본인) &from=&to=
+// ============================================
+router.get('/sac-trend', optionalAuth, async (req, res) => {
+  try {
+    const { from, to } = req.query;
+    let userId = req.query.user_id;
+
+    // user_id가 없으면 로그인한 사용자 본인
+    if (!userId) {
+      if (!req.user) {
+        return res.status(401).json({
+          error: 'Unauthorized',
+          message: '인증 토큰이 필요합니다.'
         });
       }
+      userId = req.user.id;
+    }
+
+    // UUID 형식 검증
+    const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+    if (!uuidRegex.test(userId)) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: '유효하지 않은 사용자 ID 형식입니다.'
+      });
+    }
+
+    // 다른 사용자의 통계는 프로필 공개 범위에 따라 (볼 수 있는 다이빙만 집계)
+    const levels = await resolveStatsAccess(req, res, userId);
+    if (!levels) return;
+
+    // 날짜 필터 검증 (YYYY-MM-DD)
+    const dateRegex = /^\d{4}-\d{2}-\d{2}$/;
+    if ((from && !dateRegex.test(from)) || (to && !dateRegex.test(to))) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: '날짜는 YYYY-MM-DD 형식이어야 합니다.'
+      });
+    }
+
+    const dives = await divesRepository.findByUser(userId, {
+      columns: 'id, dive_number, dive_date, duration_minutes, max_depth, average_depth',
+      visibility: levels,
+      diveType: 'scuba',
+      from,
+      to,
+      order: ['dive_date']
+    });
+
+    // 탱크 기록이 있고 소모량을 계산할 수 있는 다이빙만
+    const tanksByDive = await getTanksByDive(dives.map(dive => dive.id));
+    const points = dives
+      .filter(dive => tanksByDive[dive.id])
+      .map(dive => ({ dive, consumption: calculateConsumption(dive, tanksByDive[dive.id]) }))
+      .filter(({ consumption }) => consumption.available)
+      .map(({ dive, consumption }) => ({
+        dive_id: dive.id,
+        dive_number: dive.dive_number,
+        dive_date: dive.dive_date,
+        sac_bar_per_min: consumption.sac_bar_per_min,
+        rmv_l_per_min: consumption.rmv_l_per_min
+      }));
 
-      console.error('❌ 다이빙 상세 조회 에러:', error);
+    res.json({
+      message: '공기 소모량 추이 조회 성공',
+      user_id: userId,
+      filters: {
+        from: from || null,
+        to: to || null
+      },
+      summary: calculateSacTrend(points),
+      points
+    });
+
+  } catch (error) {
+    console.error('❌ SAC 추이 조회 에러:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: '공기 소모량 추이 조회 중 오류가 발생했습니다.'
+    });
+  }
+});
+
+// ============================================
+// 🏝️ 다이빙 포인트 (/api/diving-spots와 동일)
+// ============================================
+router.use('/spots', require('./spots'));
+
+// ============================================
+// 🫧 감압/반복 다이빙 (ZHL-16C, NDL, 감압 정지)
+// ============================================
+router.use('/deco', require('./decompression'));
+
+// ============================================
+// 🏷️ 내가 태그된 다이빙 목록 (확인 대기 등)
+// ============================================
+router.get('/buddy-tags', authenticate, async (req, res) => {
+  try {
+    const { user } = req;
+
+    const status = req.query.status || TAG_STATUS.PENDING;
+    if (!Object.values(TAG_STATUS).includes(status)) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: '유효하지 않은 태그 상태입니다.',
+        allowed_statuses: Object.values(TAG_STATUS)
+      });
+    }
+
+    const { data: tags, error } = await supabase
+      .from('dive_buddy_tags')
+      .select('id, dive_id, tagged_by, status, created_at, responded_at')
+      .eq('buddy_id', user.id)
+      .eq('status', status)
+      .order('created_at', { ascending: false });
+
+    if (error) {
+      console.error('❌ 버디 태그 목록 조회 에러:', error);
       return res.status(500).json({
         error: 'Database Error',
-        message: '다이빙 상세 조회 중 오류가 발생했습니다.'
+        message: '버디 태그 목록 조회 중 오류가 발생했습니다.'
+      });
+    }
+
+    // 태그된 다이빙 요약 정보
+    const diveIds = tags.map(tag => tag.dive_id);
+    const dives = await divesRepository.findByIds(diveIds, {
+      columns: 'id, user_id, dive_type, dive_number, location_name, dive_date, max_depth',
+      owner: 'name'
+    });
+
+    const divesById = dives.reduce((acc, dive) => ({ ...acc, [dive.id]: dive }), {});
+
+    res.json({
+      message: '버디 태그 목록 조회 성공',
+      status,
+      data: tags.map(tag => {
+        const dive = divesById[tag.dive_id];
+        return {
+          ...tag,
+          dive: dive ? {
+            id: dive.id,
+            dive_type: dive.dive_type,
+            location_name: dive.location_name,
+            dive_date: dive.dive_date,
+            max_depth: dive.max_depth,
+            owner_id: dive.user_id,
+            owner_name: dive.users?.name || '알 수 없음'
+          } : null
+        };
+      }),
+      total: tags.length
+    });
+
+  } catch (error) {
+    console.error('❌ 버디 태그 목록 조회 에러:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: '버디 태그 목록 조회 중 오류가 발생했습니다.'
+    });
+  }
+});
+
+// ============================================
+// 🔒 다이빙별 경로 공개 범위 확인 (아래 모든 /:id 경로에 적용)
+// ============================================
+router.use('/:id', optionalAuth, requireVisibleDive);
+
+// ============================================
+// 🤝 다이빙 버디 태그 (태그, 확인/거절, 삭제)
+// ============================================
+router.use('/:id/buddies', require('./diveBuddies'));
+
+// ============================================
+// 📸 다이빙 사진/영상 (업로드, 목록, 삭제)
+// ============================================
+router.use('/:id/photos', require('./media'));
+
+// ============================================
+// 📈 다이빙 수심 프로필 (샘플 저장, 차트 조회)
+// ============================================
+router.use('/:id/profile', require('./diveProfile'));
+
+// ============================================
+// 🧜 프리다이빙 세션 시도 (STA, DYN, DNF, CWT, FIM, CNF)
+// ============================================
+router.use('/:id/attempts', require('./freediving'));
+
+// ============================================
+// 🫙 다이빙 탱크/기체 (SAC/RMV, MOD/ppO2 검사)
+// ============================================
+router.use('/:id/tanks', require('./diveTanks'));
+
+// ============================================
+// 🧰 다이빙 사용 장비 (/api/gear 인벤토리 연결)
+// ============================================
+router.use('/:id/gear', require('./diveGear'));
+
+// ============================================
+// ❤️ 다이빙 좋아요
+// ============================================
+router.use('/:id/likes', require('./diveLikes'));
+
+// ============================================
+// 💬 다이빙 댓글 (답글 스레드)
+// ============================================
+router.use('/:id/comments', require('./diveComments'));
+
+// ============================================
+// 🔍 특정 다이빙 기록 조회 (실제 DB)
+// ============================================
+router.get('/:id', optionalAuth, async (req, res) => {
+  try {
+    const diveId = req.params.id;
+
+    // UUID 형식 검증
+    const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+    if (!uuidRegex.test(diveId)) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: '유효하지 않은 다이빙 ID 형식입니다.'
       });
     }
 
-    // 응답 데이터 구조화
+    // 🏗️ 리포지토리가 자동 처리:
+    // - 조인 쿼리로 사용자 정보도 함께 조회 ✅
+    const dive = await divesRepository.findById(diveId, {
+      owner: 'name, diving_experience, location, privacy'
+    });
+
+    if (!dive) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: '다이빙 기록을 찾을 수 없습니다.'
+      });
+    }
+
+    // 응답 데이터 구조화 (좌표는 작성자의 위치 공개 방식 적용)
     const formattedDive = {
-      ...dive,
+      ...applyDivePrivacy(dive, req.diveViewerRelation),
       user_name: dive.users?.name || '알 수 없음',
       user_experience: dive.users?.diving_experience || 'unknown',
-      user_location: dive.users?.location || null
+      user_location: canViewProfileField(dive.users, 'location', req.diveViewerRelation)
+        ? dive.users?.location || null
+        : null,
+      likes_count: dive.likes_count || 0,
+      comments_count: dive.comments_count || 0
     };
 
     // users 객체 제거 (중복 데이터)
     delete formattedDive.users;
 
+    // 로그인한 경우 좋아요 여부 (댓글은 /api/dives/:id/comments)
+    const viewer = req.user;
+    formattedDive.liked_by_me = viewer
+      ? (await getLikedDiveIds(viewer.id, [diveId])).has(diveId)
+      : null;
+
+    // 버디 인증 배지
+    formattedDive.verification = await getDiveVerification(diveId);
+
+    // 수심 프로필 분석 (상승 속도, 안전 정지) - 프로필이 없으면 null
+    const samples = await getDiveSamples(diveId);
+    formattedDive.profile_analysis = samples ? analyzeProfile(samples, dive.dive_type) : null;
+
+    // 사용 장비
+    formattedDive.gear = await getDiveGear(diveId);
+
+    // 탱크/기체 + 공기 소모량
+    if (dive.dive_type === 'scuba') {
+      const tanksByDive = await getTanksByDive([diveId]);
+      const tanks = tanksByDive[diveId] || [];
+      formattedDive.tanks = tanks;
+      formattedDive.gas_checks = checkGasLimits(tanks, dive.max_depth);
+      formattedDive.consumption = tanks.length ? calculateConsumption(dive, tanks) : null;
+    }
+
+    // 프리다이빙 세션 요약
+    if (dive.dive_type === 'freediving') {
+      const { data: attempts, error: attemptsError } = await supabase
+        .from('freedive_attempts')
+        .select('*')
+        .eq('dive_id', diveId)
+        .order('attempt_number', { ascending: true });
+
+      if (attemptsError) {
+        console.error('❌ 프리다이빙 시도 조회 에러:', attemptsError);
+      }
+      formattedDive.freediving_session = summarizeSession(attempts || []);
+    }
+
     res.json({
       message: '다이빙 상세 정보 조회 성공',
       dive: formattedDive
@@ -344,5 +976,227 @@ router.get('/:id', async (req, res) => {
   }
 });
 
+// ============================================
+// ✏️ 다이빙 기록 수정 (본인만 가능)
+// ============================================
+router.put('/:id', authenticate, requireOwnership({ select: 'id, user_id, dive_type' }), async (req, res) => {
+  try {
+    const diveId = req.params.id;
+    const { user, dive: existingDive } = req;
+
+    // 수정 가능한 필드만 허용
+    const allowedFields = [
+      'dive_type', 'location_name', 'country', 'coordinates', 'dive_date',
+      'duration_minutes', 'max_depth', 'average_depth', 'water_temperature',
+      'visibility_meters', 'weather', 'current_strength', 'equipment',
+      'air_consumption', 'safety_buddy_name', 'marine_life', 'notes', 'rating',
+      'spot_id', 'entry_time', 'visibility', 'location_precision'
+    ];
+
+    // 공개 범위 / 좌표 공개 방식 검증
+    const privacyErrors = [
+      validateVisibility(req.body.visibility),
+      validateLocationPrecision(req.body.location_precision)
+    ].filter(Boolean);
+    if (privacyErrors.length > 0) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: '공개 범위 설정이 올바르지 않습니다.',
+        errors: privacyErrors,
+        allowed_values: { visibility: VISIBILITY_LEVELS, location_precision: LOCATION_PRECISIONS }
+      });
+    }
+
+    const filteredData = {};
+    allowedFields.forEach(field => {
+      if (req.body[field] !== undefined) {
+        filteredData[field] = req.body[field];
+      }
+    });
+
+    // 수정할 데이터가 없는 경우
+    if (Object.keys(filteredData).length === 0) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: '수정할 데이터가 없습니다.',
+        allowed_fields: allowedFields
+      });
+    }
+
+    // 필수 필드는 빈 값으로 수정할 수 없음
+    const emptiedFields = REQUIRED_DIVE_FIELDS.filter(
+      field => field in filteredData && !filteredData[field]
+    );
+
+    if (emptiedFields.length > 0) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: '필수 필드는 비워둘 수 없습니다.',
+        invalid_fields: emptiedFields
+      });
+    }
+
+    // 다이빙 타입 검증
+    if (filteredData.dive_type && !DIVE_TYPES.includes(filteredData.dive_type)) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: '다이빙 타입은 freediving 또는 scuba여야 합니다.',
+        allowed_types: DIVE_TYPES
+      });
+    }
+
+    // 다이빙 날짜 검증 (실제 달력 날짜)
+    const dateError = filteredData.dive_date !== undefined ? validateDiveDate(filteredData.dive_date) : null;
+    if (dateError) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: '다이빙 날짜가 올바르지 않습니다.',
+        errors: [dateError]
+      });
+    }
+
+    // 수심 / 시간 / 수온 / 시야 / 평점 범위 검증
+    const numberErrors = validateDiveNumbers(filteredData);
+    if (numberErrors.length > 0) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: '다이빙 수치가 올바르지 않습니다.',
+        errors: numberErrors,
+        allowed_ranges: DIVE_NUMERIC_RANGES
+      });
+    }
+
+    // 선택 숫자 필드의 빈 값은 null로 저장
+    Object.keys(DIVE_NUMERIC_RANGES).forEach(field => {
+      if (filteredData[field] === '') {
+        filteredData[field] = null;
+      }
+    });
+
+    // 다이빙 포인트 재연결 (spot_id 지정 또는 바뀐 좌표 기준)
+    if (filteredData.spot_id) {
+      const spotMatch = await resolveDiveSpot({ spotId: filteredData.spot_id });
+      if (!spotMatch) {
+        return res.status(400).json({
+          error: 'Bad Request',
+          message: '존재하지 않는 다이빙 포인트입니다.',
+          spot_id: filteredData.spot_id
+        });
+      }
+    } else if (filteredData.spot_id === undefined && filteredData.coordinates) {
+      const spotMatch = await resolveDiveSpot({
+        lat: Number(filteredData.coordinates.lat),
+        lng: Number(filteredData.coordinates.lng)
+      });
+      filteredData.spot_id = spotMatch?.spot.id || null;
+    }
+
+    // 좌표 처리 (PostgreSQL POINT 형식)
+    if (filteredData.coordinates !== undefined) {
+      filteredData.coordinates = toCoordinatesPoint(filteredData.coordinates);
+    }
+
+    // 프리다이빙에는 공기 소모량을 저장하지 않음
+    const diveType = filteredData.dive_type || existingDive.dive_type;
+    if (diveType !== 'scuba') {
+      filteredData.air_consumption = null;
+    }
+
+    filteredData.updated_at = new Date().toISOString();
+
+    let updatedDive;
+    try {
+      updatedDive = await divesRepository.update(diveId, filteredData);
+    } catch (updateError) {
+      console.error('❌ 다이빙 기록 수정 에러:', updateError);
+      return res.status(500).json({
+        error: 'Database Error',
+        message: '다이빙 기록 수정 중 오류가 발생했습니다.',
+        details: updateError.message
+      });
+    }
+
+    // 날짜나 깊이가 바뀌면 번호/통계가 달라지므로 다시 계산
+    const stats = await recalculateUserStats(user.id);
+
+    // 재번호 매김으로 dive_number가 바뀌었을 수 있으니 최신 값 반영
+    const refreshedDive = await divesRepository.findById(diveId, { columns: 'dive_number' });
+
+    res.json({
+      message: '다이빙 기록 수정 성공! ✨',
+      dive: {
+        ...updatedDive,
+        dive_number: refreshedDive?.dive_number ?? updatedDive.dive_number
+      },
+      updated_fields: Object.keys(filteredData),
+      stats
+    });
+
+  } catch (error) {
+    console.error('❌ 다이빙 기록 수정 에러:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: '다이빙 기록 수정 중 오류가 발생했습니다.'
+    });
+  }
+});
+
+// ============================================
+// 🗑️ 다이빙 기록 삭제 (본인 또는 관리자)
+// ============================================
+router.delete('/:id', authenticate, requireOwnership({
+  select: 'id, user_id, dive_number',
+  message: '본인의 다이빙 기록만 삭제할 수 있습니다.',
+  allowAdmin: true
+}), async (req, res) => {
+  try {
+    const diveId = req.params.id;
+    const existingDive = req.dive;
+
+    // 첨부된 사진/영상 정보 (DB 행은 cascade로 함께 삭제됨)
+    const { data: mediaRecords } = await supabase
+      .from('dive_media')
+      .select('storage_path, thumbnail_path')
+      .eq('dive_id', diveId);
+
+    try {
+      await divesRepository.remove(diveId);
+    } catch (deleteError) {
+      console.error('❌ 다이빙 기록 삭제 에러:', deleteError);
+      return res.status(500).json({
+        error: 'Database Error',
+        message: '다이빙 기록 삭제 중 오류가 발생했습니다.',
+        details: deleteError.message
+      });
+    }
+
+    // 저장소의 미디어 파일 정리 (실패해도 삭제는 완료된 상태)
+    if (mediaRecords?.length) {
+      await removeMediaFiles(mediaRecords).catch(fileError => {
+        console.error('❌ 미디어 파일 삭제 에러:', fileError);
+      });
+    }
+
+    // 남은 다이빙 번호 재정렬 및 작성자 통계 갱신 (관리자가 삭제한 경우에도 작성자 기준)
+    const stats = await recalculateUserStats(existingDive.user_id);
+
+    res.json({
+      message: '다이빙 기록 삭제 성공! 🗑️',
+      deleted_dive: {
+        id: existingDive.id,
+        dive_number: existingDive.dive_number
+      },
+      stats
+    });
+
+  } catch (error) {
+    console.error('❌ 다이빙 기록 삭제 에러:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: '다이빙 기록 삭제 중 오류가 발생했습니다.'
+    });
+  }
+});
+
 // 라우터 내보내기
 module.exports = router;
\ No newline at end of file
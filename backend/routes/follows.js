@@ -0,0 +1,254 @@
+// ============================================
+// 👣 팔로우 API 라우트 (/api/users/:id/follow, /followers, /following)
+// ============================================
+// 📋 필요한 테이블 (Supabase SQL Editor에서 생성)
+//
+// create table follows (
+//   follower_id uuid not null references users(id) on delete cascade,
+//   following_id uuid not null references users(id) on delete cascade,
+//   created_at timestamptz default now(),
+//   primary key (follower_id, following_id),
+//   check (follower_id <> following_id)
+// );
+// -- 팔로워 목록/수 조회용 (팔로잉 쪽은 기본 키로 처리)
+// create index follows_following_idx on follows (following_id, created_at desc);
+//
+// -- 피드(GET /api/dives/feed) 키셋 페이지네이션용
+// create index dives_user_created_idx on dives (user_id, created_at desc, id desc);
+// ============================================
+const express = require('express');
+const router = express.Router({ mergeParams: true }); // :id (사용자 ID) 사용
+
+// Supabase 클라이언트 및 헬퍼 가져오기
+const { supabase } = require('../utils/supabase');
+const { authenticate, optionalAuth } = require('../middleware/auth');
+const { isFollowing } = require('../utils/follows');
+const { getViewerContext, relationFor, filterProfile } = require('../utils/privacy');
+const { notify } = require('../utils/notifications');
+
+// ============================================
+// 🔍 대상 사용자 존재 확인 (실패 시 응답 후 null 반환)
+// ============================================
+const findTargetUser = async (req, res) => {
+  const userId = req.params.id;
+
+  // UUID 형식 검증
+  const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+  if (!uuidRegex.test(userId)) {
+    res.status(400).json({
+      error: 'Bad Request',
+      message: '유효하지 않은 사용자 ID 형식입니다.'
+    });
+    return null;
+  }
+
+  const { data: target, error } = await supabase
+    .from('users')
+    .select('id, name')
+    .eq('id', userId)
+    .maybeSingle();
+
+  if (error) {
+    throw error;
+  }
+
+  if (!target) {
+    res.status(404).json({
+      error: 'Not Found',
+      message: '사용자를 찾을 수 없습니다.'
+    });
+    return null;
+  }
+
+  return target;
+};
+
+// ============================================
+// ➕ 팔로우
+// ============================================
+router.post('/follow', authenticate, async (req, res) => {
+  try {
+    const { user } = req;
+
+    const target = await findTargetUser(req, res);
+    if (!target) return;
+
+    if (target.id === user.id) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: '자기 자신은 팔로우할 수 없습니다.'
+      });
+    }
+
+    if (await isFollowing(user.id, target.id)) {
+      return res.status(409).json({
+        error: 'Conflict',
+        message: '이미 팔로우 중인 사용자입니다.'
+      });
+    }
+
+    const { data: follow, error } = await supabase
+      .from('follows')
+      .insert([{ follower_id: user.id, following_id: target.id }])
+      .select()
+      .single();
+
+    if (error) {
+      console.error('❌ 팔로우 에러:', error);
+      return res.status(500).json({
+        error: 'Database Error',
+        message: '팔로우 중 오류가 발생했습니다.'
+      });
+    }
+
+    await notify({ userId: target.id, actorId: user.id, type: 'follow' });
+
+    res.status(201).json({
+      message: '팔로우 성공',
+      follow,
+      following: { id: target.id, name: target.name }
+    });
+
+  } catch (error) {
+    console.error('❌ 팔로우 에러:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: '팔로우 중 오류가 발생했습니다.'
+    });
+  }
+});
+
+// ============================================
+// ➖ 언팔로우
+// ============================================
+router.delete('/follow', authenticate, async (req, res) => {
+  try {
+    const { user } = req;
+
+    const target = await findTargetUser(req, res);
+    if (!target) return;
+
+    const { data: removed, error } = await supabase
+      .from('follows')
+      .delete()
+      .eq('follower_id', user.id)
+      .eq('following_id', target.id)
+      .select();
+
+    if (error) {
+      console.error('❌ 언팔로우 에러:', error);
+      return res.status(500).json({
+        error: 'Database Error',
+        message: '언팔로우 중 오류가 발생했습니다.'
+      });
+    }
+
+    if (!removed.length) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: '팔로우 중인 사용자가 아닙니다.'
+      });
+    }
+
+    res.json({
+      message: '언팔로우 성공',
+      unfollowed_user_id: target.id
+    });
+
+  } catch (error) {
+    console.error('❌ 언팔로우 에러:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: '언팔로우 중 오류가 발생했습니다.'
+    });
+  }
+});
+
+// ============================================
+// 👥 팔로워 / 팔로잉 목록 (페이지네이션 포함, 최근 팔로우 순)
+// ============================================
+const listFollows = (direction) => async (req, res) => {
+  const label = direction === 'followers' ? '팔로워' : '팔로잉';
+
+  try {
+    const target = await findTargetUser(req, res);
+    if (!target) return;
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const startIndex = (page - 1) * limit;
+
+    // followers: 나를 팔로우하는 사람 / following: 내가 팔로우하는 사람
+    const matchColumn = direction === 'followers' ? 'following_id' : 'follower_id';
+    const otherColumn = direction === 'followers' ? 'follower_id' : 'following_id';
+
+    const { data: rows, error, count } = await supabase
+      .from('follows')
+      .select(`${otherColumn}, created_at`, { count: 'exact' })
+      .eq(matchColumn, target.id)
+      .order('created_at', { ascending: false })
+      .range(startIndex, startIndex + limit - 1);
+
+    if (error) {
+      console.error(`❌ ${label} 목록 조회 에러:`, error);
+      return res.status(500).json({
+        error: 'Database Error',
+        message: `${label} 목록 조회 중 오류가 발생했습니다.`
+      });
+    }
+
+    const pageIds = rows.map(row => row[otherColumn]);
+    const { data: users, error: usersError } = pageIds.length
+      ? await supabase
+        .from('users')
+        .select('id, name, diving_experience, total_dives, deepest_dive, location, privacy')
+        .in('id', pageIds)
+      : { data: [], error: null };
+
+    if (usersError) {
+      console.error(`❌ ${label} 사용자 조회 에러:`, usersError);
+      return res.status(500).json({
+        error: 'Database Error',
+        message: `${label} 목록 조회 중 오류가 발생했습니다.`
+      });
+    }
+
+    // in() 조회는 순서를 보장하지 않으므로 팔로우한 순서로 정렬 (비공개 항목 숨김)
+    const viewer = req.user;
+    const viewerContext = await getViewerContext(viewer?.id);
+    const data = rows
+      .map(row => {
+        const profile = users.find(u => u.id === row[otherColumn]);
+        return profile
+          ? { ...filterProfile(profile, relationFor(viewerContext, profile.id)), followed_at: row.created_at }
+          : null;
+      })
+      .filter(Boolean);
+
+    res.json({
+      message: `${label} 목록 조회 성공`,
+      user_id: target.id,
+      data,
+      pagination: {
+        current_page: page,
+        per_page: limit,
+        [`total_${direction}`]: count,
+        total_pages: Math.ceil(count / limit),
+        has_next: startIndex + limit < count,
+        has_prev: page > 1
+      }
+    });
+
+  } catch (error) {
+    console.error(`❌ ${label} 목록 조회 에러:`, error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: `${label} 목록 조회 중 오류가 발생했습니다.`
+    });
+  }
+};
+
+router.get('/followers', optionalAuth, listFollows('followers'));
+router.get('/following', optionalAuth, listFollows('following'));
+
+module.exports = router;
@@ -0,0 +1,345 @@
+// ============================================
+// 🧜 프리다이빙 세션 시도 API 라우트 (/api/dives/:id/attempts)
+// ============================================
+// 📋 필요한 테이블 (Supabase SQL Editor에서 생성)
+//
+// create table freedive_attempts (
+//   id uuid primary key default gen_random_uuid(),
+//   dive_id uuid not null references dives(id) on delete cascade,
+//   user_id uuid not null references users(id) on delete cascade,
+//   attempt_number integer not null,
+//   discipline text not null,            -- STA | DYN | DNF | CWT | FIM | CNF
+//   breath_hold_seconds numeric,
+//   distance_m numeric,
+//   depth_m numeric,
+//   target numeric,                      -- 목표 거리/깊이/시간
+//   turns integer default 0,             -- 풀장 턴 횟수
+//   early_turn boolean default false,    -- 목표 전 조기 턴
+//   surface_interval_seconds numeric,    -- 직전 시도 이후 수면 휴식
+//   notes text,
+//   created_at timestamptz default now(),
+//   unique (dive_id, attempt_number)
+// );
+// create index freedive_attempts_user_idx on freedive_attempts (user_id, discipline);
+// ============================================
+const express = require('express');
+const router = express.Router({ mergeParams: true }); // :id (다이빙 ID) 사용
+
+// Supabase 클라이언트 및 헬퍼 가져오기
+const { supabase } = require('../utils/supabase');
+const { authenticate, requireOwnership } = require('../middleware/auth');
+const { recalculateUserStats } = require('../utils/diveStats');
+const { validateDiveNumbers } = require('../utils/diveValidation');
+const {
+  DISCIPLINES,
+  MAX_ATTEMPTS_PER_SESSION,
+  NUMERIC_FIELD_MAX,
+  validateAttempt,
+  summarizeSession
+} = require('../utils/freediving');
+
+// 다이빙 조회 컬럼 (findDive, 소유자 확인 공통)
+const DIVE_COLUMNS = 'id, user_id, dive_type, max_depth';
+
+// ============================================
+// 🔍 프리다이빙 기록 확인 (실패 시 응답 후 null 반환)
+// ============================================
+const findDive = async (req, res) => {
+  const diveId = req.params.id;
+
+  // UUID 형식 검증
+  const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+  if (!uuidRegex.test(diveId)) {
+    res.status(400).json({
+      error: 'Bad Request',
+      message: '유효하지 않은 다이빙 ID 형식입니다.'
+    });
+    return null;
+  }
+
+  const { data: dive, error } = await supabase
+    .from('dives')
+    .select(DIVE_COLUMNS)
+    .eq('id', diveId)
+    .single();
+
+  if (error || !dive) {
+    res.status(404).json({
+      error: 'Not Found',
+      message: '다이빙 기록을 찾을 수 없습니다.'
+    });
+    return null;
+  }
+
+  return dive;
+};
+
+// 🔐 본인 다이빙 기록인지 확인 (req.dive에 저장)
+const requireOwnDive = requireOwnership({ select: DIVE_COLUMNS });
+
+// 🤿 프리다이빙 기록인지 확인 (실패 시 응답 후 false 반환)
+const checkFreedive = (dive, res) => {
+  if (dive.dive_type !== 'freediving') {
+    res.status(400).json({
+      error: 'Bad Request',
+      message: '프리다이빙 기록에만 시도를 추가할 수 있습니다.'
+    });
+    return false;
+  }
+  return true;
+};
+
+// 📋 세션의 시도 목록 (순서대로)
+const fetchAttempts = async (diveId) => {
+  const { data, error } = await supabase
+    .from('freedive_attempts')
+    .select('*')
+    .eq('dive_id', diveId)
+    .order('attempt_number', { ascending: true });
+
+  if (error) {
+    throw error;
+  }
+  return data || [];
+};
+
+// 🌊 깊이 종목 기록이 다이빙 최대 수심보다 깊으면 반영 + 사용자 통계 재계산
+// - 다이빙 수치 범위(validateDiveNumbers)를 벗어나는 값은 반영하지 않음
+const syncDiveDepth = async (dive, attempts, userId) => {
+  const deepest = Math.max(0, ...attempts.map(attempt => Number(attempt.depth_m) || 0));
+  if (deepest <= Number(dive.max_depth || 0)) return null;
+  if (validateDiveNumbers({ max_depth: deepest }).length > 0) return null;
+
+  const { error } = await supabase
+    .from('dives')
+    .update({ max_depth: deepest, updated_at: new Date().toISOString() })
+    .eq('id', dive.id);
+
+  if (error) {
+    throw error;
+  }
+  return recalculateUserStats(userId);
+};
+
+// ============================================
+// 📋 세션 시도 목록 + 요약
+// ============================================
+router.get('/', async (req, res) => {
+  try {
+    const dive = await findDive(req, res);
+    if (!dive) return;
+
+    const attempts = await fetchAttempts(dive.id);
+
+    res.json({
+      message: '프리다이빙 시도 조회 성공',
+      dive_id: dive.id,
+      attempts,
+      session: summarizeSession(attempts),
+      disciplines: DISCIPLINES
+    });
+
+  } catch (error) {
+    console.error('❌ 프리다이빙 시도 조회 에러:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: '프리다이빙 시도 조회 중 오류가 발생했습니다.'
+    });
+  }
+});
+
+// ============================================
+// 🆕 시도 추가 (다이빙 작성자만 가능)
+// - body: 시도 1개 또는 { attempts: [...] }
+// ============================================
+router.post('/', authenticate, requireOwnDive, async (req, res) => {
+  try {
+    const { user, dive } = req;
+    if (!checkFreedive(dive, res)) return;
+
+    const inputs = Array.isArray(req.body.attempts) ? req.body.attempts : [req.body];
+    const existing = await fetchAttempts(dive.id);
+
+    if (inputs.length === 0) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: '추가할 시도가 없습니다.'
+      });
+    }
+    if (existing.length + inputs.length > MAX_ATTEMPTS_PER_SESSION) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: `한 세션에는 최대 ${MAX_ATTEMPTS_PER_SESSION}개의 시도만 기록할 수 있습니다.`
+      });
+    }
+
+    // 전체 검증 후 한 번에 저장
+    const errors = [];
+    const nextNumber = existing.reduce((max, attempt) => Math.max(max, attempt.attempt_number), 0) + 1;
+    const records = inputs.map((input, i) => {
+      const { attempt, errors: attemptErrors } = validateAttempt(input);
+      attemptErrors.forEach(message => errors.push(inputs.length > 1 ? `attempts[${i}]: ${message}` : message));
+      return {
+        ...attempt,
+        dive_id: dive.id,
+        user_id: user.id,
+        attempt_number: nextNumber + i
+      };
+    });
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: '시도 정보가 올바르지 않습니다.',
+        errors,
+        allowed_ranges: NUMERIC_FIELD_MAX
+      });
+    }
+
+    const { data: inserted, error } = await supabase
+      .from('freedive_attempts')
+      .insert(records)
+      .select();
+
+    if (error) {
+      console.error('❌ 프리다이빙 시도 저장 DB 에러:', error);
+      return res.status(500).json({
+        error: 'Database Error',
+        message: '프리다이빙 시도 저장 중 오류가 발생했습니다.'
+      });
+    }
+
+    const attempts = [...existing, ...inserted];
+    const stats = await syncDiveDepth(dive, attempts, user.id);
+
+    res.status(201).json({
+      message: `프리다이빙 시도 ${inserted.length}개가 기록되었습니다! 🧜`,
+      attempts: inserted,
+      session: summarizeSession(attempts),
+      ...(stats && { user_stats: stats })
+    });
+
+  } catch (error) {
+    console.error('❌ 프리다이빙 시도 추가 에러:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: '프리다이빙 시도 추가 중 오류가 발생했습니다.'
+    });
+  }
+});
+
+// ============================================
+// ✏️ 시도 수정 (다이빙 작성자만 가능)
+// ============================================
+router.put('/:attemptId', authenticate, requireOwnDive, async (req, res) => {
+  try {
+    const { user, dive } = req;
+    if (!checkFreedive(dive, res)) return;
+
+    const attempts = await fetchAttempts(dive.id);
+    const current = attempts.find(attempt => attempt.id === req.params.attemptId);
+    if (!current) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: '프리다이빙 시도를 찾을 수 없습니다.'
+      });
+    }
+
+    const { attempt: updates, errors } = validateAttempt(req.body, { partial: true });
+
+    // 종목이 바뀌거나 기록값을 지우는 경우에도 종목별 필수값 확인
+    const merged = { ...current, ...updates };
+    const metric = DISCIPLINES[merged.discipline]?.metric;
+    if (metric && (merged[metric] === null || merged[metric] === undefined)) {
+      errors.push(`${merged.discipline} 종목은 ${metric} 값이 필요합니다.`);
+    }
+
+    if (errors.length > 0 || Object.keys(updates).length === 0) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: '수정할 시도 정보가 올바르지 않습니다.',
+        errors: errors.length > 0 ? errors : ['수정할 필드가 없습니다.'],
+        allowed_ranges: NUMERIC_FIELD_MAX
+      });
+    }
+
+    const { data: updated, error } = await supabase
+      .from('freedive_attempts')
+      .update(updates)
+      .eq('id', current.id)
+      .select()
+      .single();
+
+    if (error) {
+      console.error('❌ 프리다이빙 시도 수정 DB 에러:', error);
+      return res.status(500).json({
+        error: 'Database Error',
+        message: '프리다이빙 시도 수정 중 오류가 발생했습니다.'
+      });
+    }
+
+    const session = attempts.map(attempt => (attempt.id === updated.id ? updated : attempt));
+    const stats = await syncDiveDepth(dive, session, user.id);
+
+    res.json({
+      message: '프리다이빙 시도가 수정되었습니다.',
+      attempt: updated,
+      session: summarizeSession(session),
+      ...(stats && { user_stats: stats })
+    });
+
+  } catch (error) {
+    console.error('❌ 프리다이빙 시도 수정 에러:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: '프리다이빙 시도 수정 중 오류가 발생했습니다.'
+    });
+  }
+});
+
+// ============================================
+// 🗑️ 시도 삭제 (다이빙 작성자만 가능)
+// ============================================
+router.delete('/:attemptId', authenticate, requireOwnDive, async (req, res) => {
+  try {
+    const { dive } = req;
+    if (!checkFreedive(dive, res)) return;
+
+    const { data: deleted, error } = await supabase
+      .from('freedive_attempts')
+      .delete()
+      .eq('id', req.params.attemptId)
+      .eq('dive_id', dive.id)
+      .select('id');
+
+    if (error) {
+      console.error('❌ 프리다이빙 시도 삭제 DB 에러:', error);
+      return res.status(500).json({
+        error: 'Database Error',
+        message: '프리다이빙 시도 삭제 중 오류가 발생했습니다.'
+      });
+    }
+
+    if (!deleted || deleted.length === 0) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: '프리다이빙 시도를 찾을 수 없습니다.'
+      });
+    }
+
+    res.json({
+      message: '프리다이빙 시도가 삭제되었습니다.',
+      deleted_id: deleted[0].id,
+      session: summarizeSession(await fetchAttempts(dive.id))
+    });
+
+  } catch (error) {
+    console.error('❌ 프리다이빙 시도 삭제 에러:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: '프리다이빙 시도 삭제 중 오류가 발생했습니다.'
+    });
+  }
+});
+
+module.exports = router;
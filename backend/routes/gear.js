@@ -0,0 +1,405 @@
+// ============================================
+// 🧰 장비 인벤토리 API 라우트 (/api/gear)
+// ============================================
+// 📋 필요한 테이블 (Supabase SQL Editor에서 생성)
+//
+// create table gear_items (
+//   id uuid primary key default gen_random_uuid(),
+//   user_id uuid not null references users(id) on delete cascade,
+//   category text not null,            -- regulator | bcd | computer | tank | suit | fins | mask | light | other
+//   name text not null,
+//   brand text,
+//   model text,
+//   serial_number text,
+//   purchase_date date,
+//   last_service_date date,
+//   service_interval_months integer,   -- 날짜 기준 점검 주기
+//   service_interval_dives integer,    -- 다이빙 수 기준 점검 주기
+//   retired boolean not null default false,
+//   notes text,
+//   created_at timestamptz default now(),
+//   updated_at timestamptz default now()
+// );
+// create index gear_items_user_idx on gear_items (user_id);
+//
+// create table dive_gear (
+//   dive_id uuid not null references dives(id) on delete cascade,
+//   gear_id uuid not null references gear_items(id) on delete cascade,
+//   user_id uuid not null references users(id) on delete cascade,
+//   primary key (dive_id, gear_id)
+// );
+// create index dive_gear_gear_idx on dive_gear (gear_id);
+// ============================================
+const express = require('express');
+const router = express.Router();
+
+// Supabase 클라이언트 및 헬퍼 가져오기
+const { supabase } = require('../utils/supabase');
+const { authenticate } = require('../middleware/auth');
+const {
+  GEAR_CATEGORIES,
+  validateGearItem,
+  getGearUsage,
+  describeGear
+} = require('../utils/gear');
+
+// ============================================
+// 🔍 본인 장비 확인 (실패 시 응답 후 null 반환)
+// ============================================
+const findOwnGear = async (req, res, user) => {
+  const gearId = req.params.id;
+
+  // UUID 형식 검증
+  const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+  if (!uuidRegex.test(gearId)) {
+    res.status(400).json({
+      error: 'Bad Request',
+      message: '유효하지 않은 장비 ID 형식입니다.'
+    });
+    return null;
+  }
+
+  const { data: item, error } = await supabase
+    .from('gear_items')
+    .select('*')
+    .eq('id', gearId)
+    .single();
+
+  if (error || !item) {
+    res.status(404).json({
+      error: 'Not Found',
+      message: '장비를 찾을 수 없습니다.'
+    });
+    return null;
+  }
+
+  if (item.user_id !== user.id) {
+    res.status(403).json({
+      error: 'Forbidden',
+      message: '본인의 장비만 조회/수정할 수 있습니다.'
+    });
+    return null;
+  }
+
+  return item;
+};
+
+// 📋 사용자의 장비 목록 (사용량/점검 상태 포함)
+const fetchGearWithUsage = async (userId, { category, includeRetired = false } = {}) => {
+  let query = supabase
+    .from('gear_items')
+    .select('*')
+    .eq('user_id', userId)
+    .order('category', { ascending: true })
+    .order('created_at', { ascending: true });
+
+  if (category) {
+    query = query.eq('category', category);
+  }
+  if (!includeRetired) {
+    query = query.eq('retired', false);
+  }
+
+  const { data: items, error } = await query;
+
+  if (error) {
+    throw error;
+  }
+
+  const usage = await getGearUsage(items || []);
+  return (items || []).map(item => describeGear(item, usage[item.id]));
+};
+
+// ============================================
+// 📋 내 장비 목록
+// - ?category=regulator &include_retired=true
+// ============================================
+router.get('/', authenticate, async (req, res) => {
+  try {
+    const { user } = req;
+
+    const { category } = req.query;
+    if (category && !GEAR_CATEGORIES[category]) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: '지원하지 않는 장비 종류입니다.',
+        allowed_categories: Object.keys(GEAR_CATEGORIES)
+      });
+    }
+
+    const gear = await fetchGearWithUsage(user.id, {
+      category,
+      includeRetired: req.query.include_retired === 'true'
+    });
+
+    res.json({
+      message: '장비 목록 조회 성공',
+      gear,
+      categories: GEAR_CATEGORIES
+    });
+
+  } catch (error) {
+    console.error('❌ 장비 목록 조회 에러:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: '장비 목록 조회 중 오류가 발생했습니다.'
+    });
+  }
+});
+
+// ============================================
+// 🔧 점검이 필요한 장비 (기한 초과 + 곧 도래)
+// ============================================
+router.get('/service-due', authenticate, async (req, res) => {
+  try {
+    const { user } = req;
+
+    const gear = await fetchGearWithUsage(user.id);
+    const overdue = gear.filter(item => item.service.status === 'overdue');
+    const dueSoon = gear.filter(item => item.service.status === 'due_soon');
+
+    res.json({
+      message: '점검 필요 장비 조회 성공',
+      summary: {
+        overdue: overdue.length,
+        due_soon: dueSoon.length
+      },
+      overdue,
+      due_soon: dueSoon
+    });
+
+  } catch (error) {
+    console.error('❌ 점검 필요 장비 조회 에러:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: '점검 필요 장비 조회 중 오류가 발생했습니다.'
+    });
+  }
+});
+
+// ============================================
+// 🆕 장비 등록
+// ============================================
+router.post('/', authenticate, async (req, res) => {
+  try {
+    const { user } = req;
+
+    const { item, errors } = validateGearItem(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: '장비 정보가 올바르지 않습니다.',
+        errors
+      });
+    }
+
+    const { data: created, error } = await supabase
+      .from('gear_items')
+      .insert([{ retired: false, ...item, user_id: user.id }])
+      .select()
+      .single();
+
+    if (error) {
+      console.error('❌ 장비 등록 DB 에러:', error);
+      return res.status(500).json({
+        error: 'Database Error',
+        message: '장비 등록 중 오류가 발생했습니다.'
+      });
+    }
+
+    res.status(201).json({
+      message: '장비가 등록되었습니다! 🧰',
+      gear: describeGear(created)
+    });
+
+  } catch (error) {
+    console.error('❌ 장비 등록 에러:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: '장비 등록 중 오류가 발생했습니다.'
+    });
+  }
+});
+
+// ============================================
+// 🔍 장비 상세 (사용량, 점검 상태, 최근 다이빙)
+// ============================================
+router.get('/:id', authenticate, async (req, res) => {
+  try {
+    const { user } = req;
+
+    const item = await findOwnGear(req, res, user);
+    if (!item) return;
+
+    const usage = await getGearUsage([item]);
+
+    const { data: rows, error } = await supabase
+      .from('dive_gear')
+      .select('dive_id, dives(dive_number, dive_date, location_name, duration_minutes)')
+      .eq('gear_id', item.id);
+
+    if (error) {
+      throw error;
+    }
+
+    const recentDives = (rows || [])
+      .filter(row => row.dives)
+      .map(row => ({ dive_id: row.dive_id, ...row.dives }))
+      .sort((a, b) => String(b.dive_date).localeCompare(String(a.dive_date)))
+      .slice(0, 10);
+
+    res.json({
+      message: '장비 상세 조회 성공',
+      gear: describeGear(item, usage[item.id]),
+      recent_dives: recentDives
+    });
+
+  } catch (error) {
+    console.error('❌ 장비 상세 조회 에러:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: '장비 상세 조회 중 오류가 발생했습니다.'
+    });
+  }
+});
+
+// ============================================
+// ✏️ 장비 수정 (본인만 가능)
+// ============================================
+router.put('/:id', authenticate, async (req, res) => {
+  try {
+    const { user } = req;
+
+    const current = await findOwnGear(req, res, user);
+    if (!current) return;
+
+    const { item, errors } = validateGearItem(req.body, { partial: true });
+    if (errors.length > 0 || Object.keys(item).length === 0) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: '수정할 장비 정보가 올바르지 않습니다.',
+        errors: errors.length > 0 ? errors : ['수정할 필드가 없습니다.']
+      });
+    }
+
+    const { data: updated, error } = await supabase
+      .from('gear_items')
+      .update({ ...item, updated_at: new Date().toISOString() })
+      .eq('id', current.id)
+      .select()
+      .single();
+
+    if (error) {
+      console.error('❌ 장비 수정 DB 에러:', error);
+      return res.status(500).json({
+        error: 'Database Error',
+        message: '장비 수정 중 오류가 발생했습니다.'
+      });
+    }
+
+    const usage = await getGearUsage([updated]);
+
+    res.json({
+      message: '장비 정보가 수정되었습니다.',
+      gear: describeGear(updated, usage[updated.id])
+    });
+
+  } catch (error) {
+    console.error('❌ 장비 수정 에러:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: '장비 수정 중 오류가 발생했습니다.'
+    });
+  }
+});
+
+// ============================================
+// 🔧 점검 완료 기록 (last_service_date 갱신)
+// - body: { service_date?: YYYY-MM-DD (기본 오늘) }
+// ============================================
+router.post('/:id/service', authenticate, async (req, res) => {
+  try {
+    const { user } = req;
+
+    const item = await findOwnGear(req, res, user);
+    if (!item) return;
+
+    const today = new Date().toISOString().slice(0, 10);
+    const serviceDate = req.body.service_date || today;
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(serviceDate) || isNaN(Date.parse(serviceDate)) || serviceDate > today) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'service_date는 오늘 이전의 YYYY-MM-DD 날짜여야 합니다.'
+      });
+    }
+
+    const { data: updated, error } = await supabase
+      .from('gear_items')
+      .update({ last_service_date: serviceDate, updated_at: new Date().toISOString() })
+      .eq('id', item.id)
+      .select()
+      .single();
+
+    if (error) {
+      console.error('❌ 장비 점검 기록 DB 에러:', error);
+      return res.status(500).json({
+        error: 'Database Error',
+        message: '장비 점검 기록 중 오류가 발생했습니다.'
+      });
+    }
+
+    const usage = await getGearUsage([updated]);
+
+    res.json({
+      message: '장비 점검이 기록되었습니다! 🔧',
+      gear: describeGear(updated, usage[updated.id])
+    });
+
+  } catch (error) {
+    console.error('❌ 장비 점검 기록 에러:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: '장비 점검 기록 중 오류가 발생했습니다.'
+    });
+  }
+});
+
+// ============================================
+// 🗑️ 장비 삭제 (본인만 가능, 다이빙 연결도 함께 삭제)
+// - 사용 기록을 남기려면 삭제 대신 retired: true로 수정
+// ============================================
+router.delete('/:id', authenticate, async (req, res) => {
+  try {
+    const { user } = req;
+
+    const item = await findOwnGear(req, res, user);
+    if (!item) return;
+
+    const { error } = await supabase
+      .from('gear_items')
+      .delete()
+      .eq('id', item.id);
+
+    if (error) {
+      console.error('❌ 장비 삭제 DB 에러:', error);
+      return res.status(500).json({
+        error: 'Database Error',
+        message: '장비 삭제 중 오류가 발생했습니다.'
+      });
+    }
+
+    res.json({
+      message: '장비가 삭제되었습니다.',
+      deleted_id: item.id
+    });
+
+  } catch (error) {
+    console.error('❌ 장비 삭제 에러:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: '장비 삭제 중 오류가 발생했습니다.'
+    });
+  }
+});
+
+module.exports = router;
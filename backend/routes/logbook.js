@@ -0,0 +1,364 @@
+// ============================================
+// 📒 로그북 가져오기/내보내기 API 라우트
+// ============================================
+const express = require('express');
+const multer = require('multer');
+const router = express.Router();
+
+// Supabase 클라이언트 및 헬퍼 가져오기
+const { supabase } = require('../utils/supabase');
+const { authenticate } = require('../middleware/auth');
+const { parsePoint } = require('../utils/geo');
+const { DIVE_TYPES } = require('../utils/diveValidation');
+const { fetchAllPages, fetchInBatches } = require('../utils/batchQuery');
+const { analyzeImport, commitImport, summarizeImport } = require('../utils/diveImport');
+const { parseUddf, buildUddf } = require('../utils/uddf');
+const { parseDiveCsv, MAPPABLE_FIELDS } = require('../utils/csvImport');
+const { parseSubsurface } = require('../utils/subsurface');
+const { renderLogbookPdf } = require('../utils/pdfLogbook');
+const { getTanksByDive } = require('../utils/gas');
+const { getUserCertifications, describeCertification } = require('../utils/certifications');
+const { getDiveVerifications } = require('../utils/diveBuddies');
+
+// 가져오기 파일 최대 크기 (MB)
+const MAX_IMPORT_MB = parseInt(process.env.MAX_IMPORT_MB) || 20;
+
+// 📦 파일 업로드 설정 (multipart 필드명: file)
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_IMPORT_MB * 1024 * 1024, files: 1 }
+});
+
+// multipart 파일 또는 XML 본문을 문자열로 받기
+const receiveImportFile = (req, res, next) => {
+  upload.single('file')(req, res, (err) => {
+    if (err instanceof multer.MulterError) {
+      const tooLarge = err.code === 'LIMIT_FILE_SIZE';
+      return res.status(tooLarge ? 413 : 400).json({
+        error: tooLarge ? 'Payload Too Large' : 'Bad Request',
+        message: tooLarge
+          ? `가져오기 파일은 최대 ${MAX_IMPORT_MB}MB까지 가능합니다.`
+          : '업로드 요청이 올바르지 않습니다. (multipart 필드명: file)',
+        code: err.code
+      });
+    }
+    if (err) return next(err);
+
+    if (req.file) {
+      req.importContent = req.file.buffer.toString('utf8');
+      return next();
+    }
+
+    // Content-Type: application/xml 등으로 본문에 직접 보낸 경우
+    express.text({ type: ['application/xml', 'text/xml', 'text/plain', 'text/csv'], limit: `${MAX_IMPORT_MB}mb` })(req, res, (textErr) => {
+      if (textErr) return next(textErr);
+      req.importContent = typeof req.body === 'string' ? req.body : null;
+      next();
+    });
+  });
+};
+
+// ============================================
+// 🔎 내 다이빙 조회 (내보내기 공통 필터)
+// - 실패 시 응답 후 null 반환
+// ============================================
+const fetchOwnDives = async (req, res, user) => {
+  const { from, to, type } = req.query;
+  const dateRegex = /^\d{4}-\d{2}-\d{2}$/;
+
+  if ((from && !dateRegex.test(from)) || (to && !dateRegex.test(to))) {
+    res.status(400).json({
+      error: 'Bad Request',
+      message: '날짜는 YYYY-MM-DD 형식이어야 합니다.'
+    });
+    return null;
+  }
+
+  if (type && !DIVE_TYPES.includes(type)) {
+    res.status(400).json({
+      error: 'Bad Request',
+      message: '다이빙 타입은 freediving 또는 scuba여야 합니다.',
+      allowed_types: DIVE_TYPES
+    });
+    return null;
+  }
+
+  // 페이지마다 같은 조건의 새 쿼리 (max-rows 제한으로 잘리지 않도록 전체 페이지 조회)
+  const buildQuery = () => {
+    let query = supabase
+      .from('dives')
+      .select('*')
+      .eq('user_id', user.id)
+      .order('dive_date', { ascending: true })
+      .order('dive_number', { ascending: true })
+      .order('id', { ascending: true });
+
+    if (from) {
+      query = query.gte('dive_date', from);
+    }
+    if (to) {
+      query = query.lte('dive_date', to);
+    }
+    if (type) {
+      query = query.eq('dive_type', type);
+    }
+    return query;
+  };
+
+  let dives;
+  try {
+    dives = await fetchAllPages(buildQuery);
+  } catch (error) {
+    console.error('❌ 로그북 조회 에러:', error);
+    res.status(500).json({
+      error: 'Database Error',
+      message: '로그북 조회 중 오류가 발생했습니다.'
+    });
+    return null;
+  }
+
+  return dives;
+};
+
+// ============================================
+// 📋 로그북 라우트 목록
+// ============================================
+router.get('/', (req, res) => {
+  res.json({
+    message: '📒 Logbook API',
+    available_endpoints: {
+      import_uddf: 'POST /api/logbook/import/uddf?dry_run=true (UDDF 파일 가져오기, multipart 필드명: file)',
+      import_csv: 'POST /api/logbook/import/csv?dry_run=true (CSV 가져오기, mapping/default_dive_type/delimiter 옵션)',
+      import_subsurface: 'POST /api/logbook/import/subsurface?dry_run=true (Subsurface XML 가져오기)',
+      export_uddf: 'GET /api/logbook/export/uddf?from=&to=&type= (UDDF로 내보내기)',
+      export_pdf: 'GET /api/logbook/export/pdf?from=&to=&type= (인쇄용 PDF 로그북)'
+    },
+    csv_mappable_fields: MAPPABLE_FIELDS
+  });
+});
+
+// ============================================
+// 📥 가져오기 공통 처리
+// - parse(content, req): { candidates, ...source 정보 } 반환
+// - ?dry_run=true 이면 저장하지 않고 행별 검증 결과만 반환
+// ============================================
+const runImport = (format, label, parse) => async (req, res) => {
+  try {
+    const { user } = req;
+
+    if (!req.importContent || !req.importContent.trim()) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: `${label} 파일이 필요합니다. (multipart 필드명: file 또는 본문에 직접 전송)`
+      });
+    }
+
+    const dryRun = String(req.query.dry_run ?? req.body?.dry_run ?? 'false') === 'true';
+
+    let parsed;
+    try {
+      parsed = parse(req.importContent, req);
+    } catch (parseError) {
+      if (parseError.status === 400) {
+        return res.status(400).json({
+          error: 'Bad Request',
+          message: parseError.message,
+          ...(parseError.details && { errors: parseError.details })
+        });
+      }
+      throw parseError;
+    }
+
+    const { candidates, ...source } = parsed;
+    if (candidates.length === 0) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: `${label} 파일에 다이빙 기록이 없습니다.`
+      });
+    }
+
+    const analyzed = await analyzeImport(user.id, candidates);
+
+    // 🔍 미리보기: 저장 없이 검증 결과만
+    if (dryRun) {
+      return res.json({
+        message: `${label} 가져오기 미리보기 (저장되지 않음)`,
+        dry_run: true,
+        source: { format, ...source },
+        ...summarizeImport(analyzed, [], { includeData: true })
+      });
+    }
+
+    const { inserted, stats } = await commitImport(user.id, analyzed);
+
+    res.status(inserted.length > 0 ? 201 : 200).json({
+      message: `${label} 가져오기 완료: ${inserted.length}개 저장 🎉`,
+      dry_run: false,
+      source: { format, ...source },
+      ...summarizeImport(analyzed, inserted),
+      stats
+    });
+
+  } catch (error) {
+    console.error(`❌ ${label} 가져오기 에러:`, error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: `${label} 가져오기 중 오류가 발생했습니다.`
+    });
+  }
+};
+
+// ============================================
+// 📥 UDDF 가져오기
+// ============================================
+router.post('/import/uddf', authenticate, receiveImportFile, runImport('uddf', 'UDDF', (content) => parseUddf(content)));
+
+// ============================================
+// 📥 CSV 가져오기 (컬럼 매핑)
+// - mapping: {"CSV 헤더": "다이빙 필드"} JSON (없으면 헤더 이름으로 자동 매핑)
+// - default_dive_type: dive_type 컬럼이 없을 때 사용할 값 (기본 scuba)
+// - delimiter: 구분자 (기본 ,)
+// ============================================
+router.post('/import/csv', authenticate, receiveImportFile, runImport('csv', 'CSV', (content, req) => {
+  const options = { ...req.query, ...(typeof req.body === 'object' ? req.body : {}) };
+
+  let mapping = null;
+  if (options.mapping) {
+    try {
+      mapping = typeof options.mapping === 'string' ? JSON.parse(options.mapping) : options.mapping;
+    } catch (error) {
+      const invalid = new Error('mapping은 {"CSV 헤더": "다이빙 필드"} 형식의 JSON이어야 합니다.');
+      invalid.status = 400;
+      throw invalid;
+    }
+  }
+
+  if (options.default_dive_type && !DIVE_TYPES.includes(options.default_dive_type)) {
+    const invalid = new Error('default_dive_type은 freediving 또는 scuba여야 합니다.');
+    invalid.status = 400;
+    throw invalid;
+  }
+
+  return parseDiveCsv(content, {
+    mapping,
+    defaultDiveType: options.default_dive_type || 'scuba',
+    delimiter: options.delimiter
+  });
+}));
+
+// ============================================
+// 📥 Subsurface XML 가져오기
+// ============================================
+router.post('/import/subsurface', authenticate, receiveImportFile, runImport('subsurface', 'Subsurface', (content) => parseSubsurface(content)));
+
+// ============================================
+// 📤 UDDF 내보내기
+// ============================================
+router.get('/export/uddf', authenticate, async (req, res) => {
+  try {
+    const { user } = req;
+
+    const dives = await fetchOwnDives(req, res, user);
+    if (!dives) return;
+
+    const { data: profile } = await supabase
+      .from('users')
+      .select('name')
+      .eq('id', user.id)
+      .maybeSingle();
+
+    // 🫙 탱크 정보 (dive_tanks)
+    const tanksByDive = await getTanksByDive(dives.map(dive => dive.id));
+
+    // 📈 저장된 수심 프로필 샘플 포함
+    const samplesByDive = {};
+    if (dives.length > 0) {
+      const profiles = await fetchInBatches(dives.map(dive => dive.id), (ids) => supabase
+        .from('dive_profiles')
+        .select('dive_id, samples')
+        .in('dive_id', ids));
+
+      profiles.forEach(row => {
+        samplesByDive[row.dive_id] = row.samples;
+      });
+    }
+
+    const xml = buildUddf(
+      dives.map(dive => ({ ...dive, tanks: tanksByDive[dive.id], coordinates_parsed: parsePoint(dive.coordinates) })),
+      { diverName: profile?.name, samplesByDive }
+    );
+
+    const today = new Date().toISOString().slice(0, 10).replace(/-/g, '');
+    res.set('Content-Type', 'application/xml; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="logbook-${today}.uddf"`);
+    res.send(xml);
+
+  } catch (error) {
+    console.error('❌ UDDF 내보내기 에러:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'UDDF 내보내기 중 오류가 발생했습니다.'
+    });
+  }
+});
+
+// ============================================
+// 🖨️ PDF 로그북 내보내기
+// ============================================
+router.get('/export/pdf', authenticate, async (req, res) => {
+  try {
+    const { user } = req;
+
+    const dives = await fetchOwnDives(req, res, user);
+    if (!dives) return;
+
+    const { data: profile } = await supabase
+      .from('users')
+      .select('name')
+      .eq('id', user.id)
+      .maybeSingle();
+
+    // 등록된 자격증 (단체 + 레벨 이름)
+    const certifications = (await getUserCertifications(user.id))
+      .map(certification => describeCertification(certification, { owner: true }));
+
+    // 버디 인증이 완료된 버디 이름도 카드에 표시
+    const verifications = await getDiveVerifications(dives.map(dive => dive.id));
+    dives.forEach(dive => {
+      dive.verified_buddies = verifications[dive.id].buddies
+        .filter(buddy => buddy.status === 'confirmed')
+        .map(buddy => buddy.name);
+    });
+
+    const today = new Date().toISOString().slice(0, 10).replace(/-/g, '');
+    res.set('Content-Type', 'application/pdf');
+    res.set('Content-Disposition', `attachment; filename="logbook-${today}.pdf"`);
+
+    renderLogbookPdf(dives, {
+      diver: {
+        name: profile?.name,
+        certifications: certifications
+          .map(certification => `${certification.agency} ${certification.level_name}`)
+          .join(', ')
+      },
+      filters: {
+        from: req.query.from,
+        to: req.query.to,
+        dive_type: req.query.type
+      }
+    }, res);
+
+  } catch (error) {
+    console.error('❌ PDF 로그북 내보내기 에러:', error);
+    if (res.headersSent) {
+      return res.end();
+    }
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'PDF 로그북 생성 중 오류가 발생했습니다.'
+    });
+  }
+});
+
+// 라우터 내보내기
+module.exports = router;
@@ -0,0 +1,371 @@
+// ============================================
+// 📸 다이빙 사진/영상 API 라우트 (/api/dives/:id/photos)
+// - 파일은 정적 공개하지 않고 GET /:mediaId/file 에서 제공
+//   (상위 라우터의 다이빙 공개 범위 확인을 거침)
+// - 썸네일은 사진만 생성 (영상은 thumbnail_url: null)
+// ============================================
+// 📋 필요한 테이블 (Supabase SQL Editor에서 생성)
+//
+// create table dive_media (
+//   id uuid primary key,
+//   dive_id uuid not null references dives(id) on delete cascade,
+//   user_id uuid not null references users(id) on delete cascade,
+//   media_type text not null,      -- photo | video
+//   mime_type text not null,
+//   original_name text,
+//   size_bytes bigint,
+//   width int,
+//   height int,
+//   caption text,
+//   storage_backend text not null, -- local | supabase
+//   storage_path text not null,
+//   url text not null,             -- /api/dives/:id/photos/:mediaId/file
+//   thumbnail_path text,
+//   thumbnail_url text,
+//   created_at timestamptz default now()
+// );
+// create index dive_media_dive_id_idx on dive_media (dive_id);
+// ============================================
+const express = require('express');
+const multer = require('multer');
+const router = express.Router({ mergeParams: true }); // :id (다이빙 ID) 사용
+
+// Supabase 클라이언트 및 헬퍼 가져오기
+const { supabase } = require('../utils/supabase');
+const { authenticate, requireOwnership } = require('../middleware/auth');
+const {
+  ALLOWED_MIME_TYPES,
+  MAX_PHOTO_MB,
+  MAX_VIDEO_MB,
+  MAX_FILES_PER_UPLOAD,
+  UPLOAD_TMP_DIR,
+  VIDEO_THUMBNAIL_NOTE,
+  validateMediaFile,
+  storeMediaFile,
+  removeUploadedFiles,
+  getMediaDownload,
+  removeMediaFiles,
+  refreshMediaCounters
+} = require('../utils/media');
+
+// 📦 multipart 업로드 설정 (임시 파일로 받은 뒤 검증/썸네일 처리, 영상을 메모리에 올리지 않음)
+const upload = multer({
+  dest: UPLOAD_TMP_DIR,
+  limits: {
+    fileSize: Math.max(MAX_PHOTO_MB, MAX_VIDEO_MB) * 1024 * 1024,
+    files: MAX_FILES_PER_UPLOAD
+  }
+});
+
+// multer 에러를 API 응답 형식으로 변환
+const receiveFiles = (req, res, next) => {
+  upload.array('files', MAX_FILES_PER_UPLOAD)(req, res, (err) => {
+    if (!err) return next();
+
+    if (err instanceof multer.MulterError) {
+      const tooLarge = err.code === 'LIMIT_FILE_SIZE';
+      return res.status(tooLarge ? 413 : 400).json({
+        error: tooLarge ? 'Payload Too Large' : 'Bad Request',
+        message: tooLarge
+          ? `파일이 너무 큽니다. (사진 최대 ${MAX_PHOTO_MB}MB, 영상 최대 ${MAX_VIDEO_MB}MB)`
+          : `업로드 요청이 올바르지 않습니다. (files 필드, 최대 ${MAX_FILES_PER_UPLOAD}개)`,
+        code: err.code
+      });
+    }
+    next(err);
+  });
+};
+
+// 다이빙 조회 컬럼 (findDive, 소유자 확인 공통)
+const DIVE_COLUMNS = 'id, user_id';
+
+// ============================================
+// 🔍 다이빙 존재 확인 (실패 시 응답 후 null 반환)
+// ============================================
+const findDive = async (req, res) => {
+  const diveId = req.params.id;
+
+  // UUID 형식 검증
+  const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+  if (!uuidRegex.test(diveId)) {
+    res.status(400).json({
+      error: 'Bad Request',
+      message: '유효하지 않은 다이빙 ID 형식입니다.'
+    });
+    return null;
+  }
+
+  const { data: dive, error } = await supabase
+    .from('dives')
+    .select(DIVE_COLUMNS)
+    .eq('id', diveId)
+    .single();
+
+  if (error || !dive) {
+    res.status(404).json({
+      error: 'Not Found',
+      message: '다이빙 기록을 찾을 수 없습니다.'
+    });
+    return null;
+  }
+
+  return dive;
+};
+
+// ============================================
+// 📋 다이빙 사진/영상 목록
+// ============================================
+router.get('/', async (req, res) => {
+  try {
+    const mediaType = req.query.type; // photo | video
+
+    if (mediaType && !['photo', 'video'].includes(mediaType)) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'type은 photo 또는 video여야 합니다.'
+      });
+    }
+
+    const dive = await findDive(req, res);
+    if (!dive) return;
+
+    let query = supabase
+      .from('dive_media')
+      .select('id, media_type, mime_type, size_bytes, width, height, caption, url, thumbnail_url, created_at')
+      .eq('dive_id', dive.id)
+      .order('created_at', { ascending: true });
+
+    if (mediaType) {
+      query = query.eq('media_type', mediaType);
+    }
+
+    const { data: media, error } = await query;
+
+    if (error) {
+      console.error('❌ 미디어 목록 조회 에러:', error);
+      return res.status(500).json({
+        error: 'Database Error',
+        message: '미디어 목록 조회 중 오류가 발생했습니다.'
+      });
+    }
+
+    res.json({
+      message: '미디어 목록 조회 성공',
+      dive_id: dive.id,
+      data: media,
+      total: media.length
+    });
+
+  } catch (error) {
+    console.error('❌ 미디어 목록 조회 에러:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: '미디어 목록 조회 중 오류가 발생했습니다.'
+    });
+  }
+});
+
+// ============================================
+// 📤 사진/영상 업로드 (다이빙 작성자만 가능)
+// - multipart/form-data, 필드명: files (여러 개), caption (선택)
+// ============================================
+router.post('/', authenticate, requireOwnership({
+  select: DIVE_COLUMNS,
+  message: '본인의 다이빙 기록에만 사진/영상을 올릴 수 있습니다.'
+}), receiveFiles, async (req, res) => {
+  try {
+    const { user, dive } = req;
+
+    const files = req.files || [];
+    if (files.length === 0) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: '업로드할 파일이 없습니다. (multipart 필드명: files)',
+        allowed_types: Object.keys(ALLOWED_MIME_TYPES)
+      });
+    }
+
+    // 모든 파일을 먼저 검증 (하나라도 실패하면 아무것도 저장하지 않음)
+    const validationErrors = (await Promise.all(files.map(validateMediaFile))).filter(Boolean);
+    if (validationErrors.length > 0) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: '업로드할 수 없는 파일이 있습니다.',
+        errors: validationErrors,
+        allowed_types: Object.keys(ALLOWED_MIME_TYPES)
+      });
+    }
+
+    // 저장소에 저장 + 썸네일 생성
+    const records = [];
+    try {
+      for (const file of files) {
+        records.push({
+          ...(await storeMediaFile(file, { userId: user.id, diveId: dive.id })),
+          caption: req.body.caption || null
+        });
+      }
+    } catch (storeError) {
+      // 이미 저장된 파일 정리
+      await removeMediaFiles(records).catch(() => {});
+      if (storeError.status === 400) {
+        return res.status(400).json({
+          error: 'Bad Request',
+          message: storeError.message
+        });
+      }
+      throw storeError;
+    }
+
+    const { data: media, error } = await supabase
+      .from('dive_media')
+      .insert(records)
+      .select();
+
+    if (error) {
+      await removeMediaFiles(records).catch(() => {});
+      console.error('❌ 미디어 저장 에러:', error);
+      return res.status(500).json({
+        error: 'Database Error',
+        message: '미디어 정보 저장 중 오류가 발생했습니다.',
+        details: error.message
+      });
+    }
+
+    const counters = await refreshMediaCounters(dive.id);
+
+    res.status(201).json({
+      message: `사진/영상 ${media.length}개 업로드 성공! 📸`,
+      data: media,
+      counters,
+      ...(media.some(item => item.media_type === 'video') && { note: VIDEO_THUMBNAIL_NOTE })
+    });
+
+  } catch (error) {
+    console.error('❌ 미디어 업로드 에러:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: '미디어 업로드 중 오류가 발생했습니다.'
+    });
+  } finally {
+    // 임시 파일 정리 (저장소에 옮긴 뒤에도, 실패했을 때도)
+    await removeUploadedFiles(req.files).catch(fileError => {
+      console.error('❌ 업로드 임시 파일 삭제 에러:', fileError);
+    });
+  }
+});
+
+// ============================================
+// 🖼️ 사진/영상 파일 보기 (?variant=thumbnail: 썸네일)
+// - 다이빙을 볼 수 있는 사용자만 (상위 라우터에서 확인)
+// - 로컬 저장소: 파일 전송, Supabase Storage: 짧은 서명 URL로 리다이렉트
+// ============================================
+router.get('/:mediaId/file', async (req, res) => {
+  try {
+    const dive = await findDive(req, res);
+    if (!dive) return;
+
+    const { data: media, error } = await supabase
+      .from('dive_media')
+      .select('id, mime_type, storage_path, thumbnail_path')
+      .eq('id', req.params.mediaId)
+      .eq('dive_id', dive.id)
+      .maybeSingle();
+
+    const download = !error && media
+      ? await getMediaDownload(media, { thumbnail: req.query.variant === 'thumbnail' })
+      : null;
+
+    if (!download) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: '사진/영상을 찾을 수 없습니다.'
+      });
+    }
+
+    // 공개 범위가 바뀔 수 있으므로 공유 캐시에는 저장하지 않음
+    res.set('Cache-Control', 'private, max-age=300');
+
+    if (download.url) {
+      return res.redirect(download.url);
+    }
+
+    res.sendFile(download.filePath, { cacheControl: false }, (sendError) => {
+      if (!sendError || res.headersSent) return;
+      console.error('❌ 미디어 파일 전송 에러:', sendError);
+      res.status(sendError.code === 'ENOENT' ? 404 : 500).json({
+        error: sendError.code === 'ENOENT' ? 'Not Found' : 'Internal Server Error',
+        message: sendError.code === 'ENOENT' ? '사진/영상 파일을 찾을 수 없습니다.' : '사진/영상 파일 전송 중 오류가 발생했습니다.'
+      });
+    });
+
+  } catch (error) {
+    console.error('❌ 미디어 파일 조회 에러:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: '사진/영상 파일 조회 중 오류가 발생했습니다.'
+    });
+  }
+});
+
+// ============================================
+// 🗑️ 사진/영상 삭제 (다이빙 작성자만 가능)
+// ============================================
+router.delete('/:mediaId', authenticate, requireOwnership({
+  select: DIVE_COLUMNS,
+  message: '본인의 다이빙 기록의 사진/영상만 삭제할 수 있습니다.'
+}), async (req, res) => {
+  try {
+    const { dive } = req;
+
+    const { data: media, error: findError } = await supabase
+      .from('dive_media')
+      .select('*')
+      .eq('id', req.params.mediaId)
+      .eq('dive_id', dive.id)
+      .maybeSingle();
+
+    if (findError || !media) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: '사진/영상을 찾을 수 없습니다.'
+      });
+    }
+
+    const { error } = await supabase
+      .from('dive_media')
+      .delete()
+      .eq('id', media.id);
+
+    if (error) {
+      console.error('❌ 미디어 삭제 에러:', error);
+      return res.status(500).json({
+        error: 'Database Error',
+        message: '미디어 삭제 중 오류가 발생했습니다.'
+      });
+    }
+
+    // DB 삭제 후 파일 정리 (파일 삭제 실패는 로그만 남김)
+    await removeMediaFiles([media]).catch(fileError => {
+      console.error('❌ 미디어 파일 삭제 에러:', fileError);
+    });
+
+    const counters = await refreshMediaCounters(dive.id);
+
+    res.json({
+      message: '사진/영상 삭제 성공! 🗑️',
+      deleted_media: { id: media.id, media_type: media.media_type },
+      counters
+    });
+
+  } catch (error) {
+    console.error('❌ 미디어 삭제 에러:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: '미디어 삭제 중 오류가 발생했습니다.'
+    });
+  }
+});
+
+// 라우터 내보내기
+module.exports = router;
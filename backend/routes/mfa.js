@@ -0,0 +1,339 @@
+// ============================================
+// 🛡️ 2단계 인증 (TOTP) API 라우트 (/api/auth/mfa)
+// - 테이블/검증 로직은 utils/mfa.js, 코드 계산은 utils/totp.js 참고
+// - 등록 순서: POST /enroll → 인증 앱에 등록 → POST /verify { code }
+// - 활성화 후 로그인은 POST /api/auth/login → POST /api/auth/login/mfa
+// - 활성화하면 2단계 인증을 거치지 않은 다른 기기의 세션은 더 이상 인증되지 않음
+// ============================================
+const express = require('express');
+const router = express.Router();
+
+// Supabase 클라이언트 및 헬퍼 가져오기
+const { supabase } = require('../utils/supabase');
+const { authenticate } = require('../middleware/auth');
+const {
+  TOTP_DIGITS,
+  TOTP_PERIOD_SECONDS,
+  TOTP_ALGORITHM,
+  generateSecret,
+  verifyTotp,
+  buildProvisioningUri
+} = require('../utils/totp');
+const { markSessionMfaVerified } = require('../utils/sessions');
+const {
+  generateRecoveryCodes,
+  getUserMfa,
+  isMfaEnabled,
+  verifyMfaCode
+} = require('../utils/mfa');
+
+const MFA_ISSUER = process.env.APP_NAME || 'Diving Social';
+
+// 모든 2단계 인증 설정 API는 로그인 필요
+router.use(authenticate);
+
+// 코드 누락 응답 (code 또는 recovery_code)
+const requireCodeResponse = (res, allowRecoveryCode = true) => res.status(400).json({
+  error: 'Bad Request',
+  message: allowRecoveryCode
+    ? '인증 코드(code 또는 recovery_code)가 필요합니다.'
+    : '인증 앱의 6자리 코드(code)가 필요합니다.',
+  required_fields: [allowRecoveryCode ? 'code | recovery_code' : 'code']
+});
+
+// 2단계 인증이 꺼져 있을 때 응답
+const notEnabledResponse = (res) => res.status(400).json({
+  error: 'Bad Request',
+  message: '2단계 인증이 활성화되어 있지 않습니다.'
+});
+
+// ============================================
+// 📋 2단계 인증 상태
+// ============================================
+router.get('/', async (req, res) => {
+  try {
+    const { user } = req;
+
+    const mfa = await getUserMfa(user.id);
+
+    res.json({
+      message: '2단계 인증 상태 조회 성공',
+      data: {
+        enabled: isMfaEnabled(mfa),
+        enabled_at: mfa?.enabled_at || null,
+        pending_enrollment: Boolean(mfa && !isMfaEnabled(mfa)),
+        recovery_codes_remaining: isMfaEnabled(mfa) ? mfa.recovery_codes.length : 0
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ 2단계 인증 상태 조회 에러:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: '2단계 인증 상태 조회 중 오류가 발생했습니다.'
+    });
+  }
+});
+
+// ============================================
+// 🆕 등록 시작 (비밀키 + otpauth URI 발급)
+// - 확인 전까지는 로그인에 영향 없음, 다시 호출하면 새 비밀키로 교체
+// ============================================
+router.post('/enroll', async (req, res) => {
+  try {
+    const { user } = req;
+
+    const mfa = await getUserMfa(user.id);
+    if (isMfaEnabled(mfa)) {
+      return res.status(409).json({
+        error: 'Conflict',
+        message: '이미 2단계 인증이 활성화되어 있습니다.'
+      });
+    }
+
+    const secret = generateSecret();
+
+    const { error } = await supabase
+      .from('user_mfa')
+      .upsert({
+        user_id: user.id,
+        secret,
+        enabled_at: null,
+        last_used_step: null,
+        recovery_codes: []
+      }, { onConflict: 'user_id' });
+
+    if (error) {
+      console.error('❌ 2단계 인증 등록 에러:', error);
+      return res.status(500).json({
+        error: 'Database Error',
+        message: '2단계 인증 등록 중 오류가 발생했습니다.'
+      });
+    }
+
+    res.status(201).json({
+      message: '2단계 인증 등록을 시작했습니다. 인증 앱에 등록한 뒤 코드를 확인해주세요. 📱',
+      data: {
+        secret,
+        otpauth_uri: buildProvisioningUri({ secret, accountName: user.email, issuer: MFA_ISSUER }),
+        issuer: MFA_ISSUER,
+        algorithm: TOTP_ALGORITHM,
+        digits: TOTP_DIGITS,
+        period: TOTP_PERIOD_SECONDS
+      },
+      next: 'POST /api/auth/mfa/verify { code }'
+    });
+
+  } catch (error) {
+    console.error('❌ 2단계 인증 등록 에러:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: '2단계 인증 등록 중 오류가 발생했습니다.'
+    });
+  }
+});
+
+// ============================================
+// ✅ 등록 확인 (활성화 + 복구 코드 발급)
+// - 복구 코드 원문은 이 응답에서 한 번만 보여줌
+// ============================================
+router.post('/verify', async (req, res) => {
+  try {
+    const { user } = req;
+    const { code } = req.body;
+
+    if (!code) {
+      return requireCodeResponse(res, false);
+    }
+
+    const mfa = await getUserMfa(user.id);
+    if (!mfa) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: '먼저 2단계 인증 등록을 시작해주세요.',
+        next: 'POST /api/auth/mfa/enroll'
+      });
+    }
+    if (isMfaEnabled(mfa)) {
+      return res.status(409).json({
+        error: 'Conflict',
+        message: '이미 2단계 인증이 활성화되어 있습니다.'
+      });
+    }
+
+    const step = verifyTotp(mfa.secret, code);
+    if (step === null) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: '인증 코드가 올바르지 않습니다. 인증 앱의 시간을 확인해주세요.',
+        code: 'INVALID_MFA_CODE'
+      });
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+
+    const { data: updated, error } = await supabase
+      .from('user_mfa')
+      .update({
+        enabled_at: new Date().toISOString(),
+        last_used_step: step,
+        recovery_codes: hashes
+      })
+      .eq('user_id', user.id)
+      .eq('secret', mfa.secret)
+      .is('enabled_at', null)
+      .select('enabled_at');
+
+    if (error) {
+      console.error('❌ 2단계 인증 활성화 에러:', error);
+      return res.status(500).json({
+        error: 'Database Error',
+        message: '2단계 인증 활성화 중 오류가 발생했습니다.'
+      });
+    }
+
+    // 확인 중에 등록이 다시 시작되었거나 이미 활성화된 경우
+    if (updated.length === 0) {
+      return res.status(409).json({
+        error: 'Conflict',
+        message: '등록 정보가 변경되었습니다. 다시 시도해주세요.'
+      });
+    }
+
+    // 코드를 확인한 이 기기는 계속 사용 (다른 기기는 다시 로그인해 2단계 인증 필요)
+    await markSessionMfaVerified(req.sessionId);
+
+    res.json({
+      message: '2단계 인증 활성화 성공! 🔐',
+      data: {
+        enabled: true,
+        enabled_at: updated[0].enabled_at,
+        recovery_codes: codes
+      },
+      note: '복구 코드는 다시 볼 수 없습니다. 안전한 곳에 보관해주세요. 각 코드는 한 번만 사용할 수 있습니다.'
+    });
+
+  } catch (error) {
+    console.error('❌ 2단계 인증 활성화 에러:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: '2단계 인증 활성화 중 오류가 발생했습니다.'
+    });
+  }
+});
+
+// ============================================
+// 🔁 복구 코드 재발급 (기존 코드는 모두 무효)
+// ============================================
+router.post('/recovery-codes', async (req, res) => {
+  try {
+    const { user } = req;
+    const { code } = req.body;
+
+    if (!code) {
+      return requireCodeResponse(res, false);
+    }
+
+    const mfa = await getUserMfa(user.id);
+    if (!isMfaEnabled(mfa)) {
+      return notEnabledResponse(res);
+    }
+
+    const result = await verifyMfaCode(mfa, { code });
+    if (!result.valid) {
+      return res.status(401).json({
+        error: 'Unauthorized',
+        message: '인증 코드가 올바르지 않습니다.',
+        code: 'INVALID_MFA_CODE'
+      });
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+
+    const { error } = await supabase
+      .from('user_mfa')
+      .update({ recovery_codes: hashes })
+      .eq('user_id', user.id);
+
+    if (error) {
+      console.error('❌ 복구 코드 재발급 에러:', error);
+      return res.status(500).json({
+        error: 'Database Error',
+        message: '복구 코드 재발급 중 오류가 발생했습니다.'
+      });
+    }
+
+    res.json({
+      message: '복구 코드 재발급 성공! 🔁',
+      data: {
+        recovery_codes: codes
+      },
+      note: '이전 복구 코드는 더 이상 사용할 수 없습니다.'
+    });
+
+  } catch (error) {
+    console.error('❌ 복구 코드 재발급 에러:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: '복구 코드 재발급 중 오류가 발생했습니다.'
+    });
+  }
+});
+
+// ============================================
+// 🗑️ 2단계 인증 해제 (TOTP 코드 또는 복구 코드 확인)
+// ============================================
+router.post('/disable', async (req, res) => {
+  try {
+    const { user } = req;
+    const { code, recovery_code } = req.body;
+
+    if (!code && !recovery_code) {
+      return requireCodeResponse(res);
+    }
+
+    const mfa = await getUserMfa(user.id);
+    if (!isMfaEnabled(mfa)) {
+      return notEnabledResponse(res);
+    }
+
+    const result = await verifyMfaCode(mfa, { code, recoveryCode: recovery_code });
+    if (!result.valid) {
+      return res.status(401).json({
+        error: 'Unauthorized',
+        message: '인증 코드가 올바르지 않습니다.',
+        code: 'INVALID_MFA_CODE'
+      });
+    }
+
+    const { error } = await supabase
+      .from('user_mfa')
+      .delete()
+      .eq('user_id', user.id);
+
+    if (error) {
+      console.error('❌ 2단계 인증 해제 에러:', error);
+      return res.status(500).json({
+        error: 'Database Error',
+        message: '2단계 인증 해제 중 오류가 발생했습니다.'
+      });
+    }
+
+    res.json({
+      message: '2단계 인증 해제 성공',
+      data: {
+        enabled: false
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ 2단계 인증 해제 에러:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: '2단계 인증 해제 중 오류가 발생했습니다.'
+    });
+  }
+});
+
+// 라우터 내보내기
+module.exports = router;
@@ -0,0 +1,469 @@
+// ============================================
+// 🔔 알림 API 라우트 (/api/notifications)
+// ============================================
+// 📋 필요한 테이블 (Supabase SQL Editor에서 생성)
+//
+// create table notifications (
+//   id uuid primary key default gen_random_uuid(),
+//   user_id uuid not null references users(id) on delete cascade,   -- 받는 사람
+//   actor_id uuid references users(id) on delete cascade,            -- 알림을 발생시킨 사람
+//   type text not null,      -- follow | like | comment | comment_reply | buddy_request | buddy_accept | buddy_tag
+//   dive_id uuid references dives(id) on delete cascade,
+//   comment_id uuid references dive_comments(id) on delete cascade,
+//   message text not null,
+//   data jsonb not null default '{}',
+//   read_at timestamptz,
+//   created_at timestamptz default now()
+// );
+// create index notifications_user_idx on notifications (user_id, created_at desc);
+// create index notifications_unread_idx on notifications (user_id) where read_at is null;
+//
+// -- 종류별 수신 설정은 users.preferences.notifications 에 저장
+// -- 예: { "notifications": { "like": false, "follow": true } }
+// ============================================
+const express = require('express');
+const router = express.Router();
+
+// Supabase 클라이언트 및 헬퍼 가져오기
+const { supabase } = require('../utils/supabase');
+const { authenticate, extractToken, getUserFromToken } = require('../middleware/auth');
+const { isSessionRevoked } = require('../utils/sessions');
+const {
+  NOTIFICATION_TYPES,
+  validateNotificationPreferences,
+  resolveNotificationPreferences,
+  getUserPreferences,
+  formatNotification,
+  subscribe,
+  createStreamTicket,
+  consumeStreamTicket,
+  getUnreadCount
+} = require('../utils/notifications');
+
+const NOTIFICATION_COLUMNS = 'id, type, message, actor_id, dive_id, comment_id, data, read_at, created_at, actor:users!notifications_actor_id_fkey(name)';
+
+// SSE 연결 유지 설정
+const HEARTBEAT_INTERVAL_MS = 25 * 1000;     // 프록시 타임아웃 방지용 주석 전송 주기
+const TOKEN_RECHECK_INTERVAL_MS = 5 * 60 * 1000; // 토큰 만료 재확인 주기
+const MAX_REPLAY = 50;                       // 재연결 시 다시 보내는 최대 알림 수
+
+// ============================================
+// 📋 알림 목록 (페이지네이션 포함, 최신 순)
+// - ?unread_only=true : 읽지 않은 알림만
+// ============================================
+router.get('/', authenticate, async (req, res) => {
+  try {
+    const { user } = req;
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const startIndex = (page - 1) * limit;
+    const unreadOnly = req.query.unread_only === 'true';
+
+    let query = supabase
+      .from('notifications')
+      .select(NOTIFICATION_COLUMNS, { count: 'exact' })
+      .eq('user_id', user.id)
+      .order('created_at', { ascending: false })
+      .range(startIndex, startIndex + limit - 1);
+
+    if (unreadOnly) {
+      query = query.is('read_at', null);
+    }
+
+    const { data: notifications, error, count } = await query;
+
+    if (error) {
+      console.error('❌ 알림 목록 조회 에러:', error);
+      return res.status(500).json({
+        error: 'Database Error',
+        message: '알림 목록 조회 중 오류가 발생했습니다.'
+      });
+    }
+
+    res.json({
+      message: '알림 목록 조회 성공',
+      data: notifications.map(formatNotification),
+      unread_count: await getUnreadCount(user.id),
+      pagination: {
+        current_page: page,
+        per_page: limit,
+        total_notifications: count,
+        total_pages: Math.ceil(count / limit),
+        has_next: startIndex + limit < count,
+        has_prev: page > 1
+      },
+      filters: {
+        unread_only: unreadOnly
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ 알림 목록 조회 에러:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: '알림 목록 조회 중 오류가 발생했습니다.'
+    });
+  }
+});
+
+// ============================================
+// 🎟️ 스트림 티켓 발급 (브라우저 EventSource용)
+// - GET /stream?ticket= 으로 60초 안에 한 번만 사용 (URL에 access_token을 넣지 않도록)
+// ============================================
+router.post('/stream-ticket', authenticate, (req, res) => {
+  try {
+    const { ticket, expiresIn } = createStreamTicket(extractToken(req));
+
+    res.status(201).json({
+      message: '스트림 티켓 발급 성공',
+      ticket,
+      expires_in: expiresIn,
+      stream_url: `/api/notifications/stream?ticket=${ticket}`
+    });
+
+  } catch (error) {
+    console.error('❌ 스트림 티켓 발급 에러:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: '스트림 티켓 발급 중 오류가 발생했습니다.'
+    });
+  }
+});
+
+// ?ticket= 을 발급 당시의 Authorization 헤더로 옮김 (authenticate 전에 사용, 1회용)
+const acceptStreamTicket = (req, res, next) => {
+  if (!req.headers.authorization && req.query.ticket) {
+    const token = consumeStreamTicket(req.query.ticket);
+    if (!token) {
+      return res.status(401).json({
+        error: 'Unauthorized',
+        message: '유효하지 않거나 이미 사용한 스트림 티켓입니다. 새 티켓을 발급받아주세요.',
+        code: 'INVALID_STREAM_TICKET'
+      });
+    }
+    req.headers.authorization = `Bearer ${token}`;
+  }
+  next();
+};
+
+// ============================================
+// 📡 실시간 알림 스트림 (Server-Sent Events)
+// - Authorization: Bearer 토큰 (/api/auth/profile과 동일)
+// - 브라우저 EventSource는 헤더를 보낼 수 없으므로 ?ticket= (POST /stream-ticket) 허용
+// - 이벤트: ready (연결 + 읽지 않은 수), notification (새 알림), auth_expired (토큰 만료)
+// - 재연결 시 Last-Event-ID 이후의 알림을 다시 전송
+// ============================================
+router.get('/stream', acceptStreamTicket, authenticate, async (req, res) => {
+  try {
+    const { user } = req;
+    const token = extractToken(req);
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no' // nginx 버퍼링 끄기
+    });
+    res.flushHeaders();
+
+    let closed = false;
+    let heartbeat = null;
+    let tokenCheck = null;
+
+    const send = (event, data, id) => {
+      if (closed) return;
+      if (id) res.write(`id: ${id}\n`);
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+
+    // 연결 직후 버퍼링 전에 들어온 알림도 놓치지 않도록 먼저 구독
+    const unsubscribe = subscribe(user.id, notification => send('notification', notification, notification.id));
+
+    // 정리는 조회 전에 등록 (아래 조회 중에 연결이 끊겨도 구독/타이머가 남지 않도록)
+    res.on('close', () => {
+      closed = true;
+      clearInterval(heartbeat);
+      clearInterval(tokenCheck);
+      unsubscribe();
+    });
+
+    send('ready', {
+      user_id: user.id,
+      unread_count: await getUnreadCount(user.id)
+    });
+
+    // 🔁 놓친 알림 다시 보내기
+    const lastEventId = req.headers['last-event-id'] || req.query.last_event_id;
+    if (lastEventId) {
+      const { data: last } = await supabase
+        .from('notifications')
+        .select('created_at')
+        .eq('id', lastEventId)
+        .eq('user_id', user.id)
+        .maybeSingle();
+
+      if (last) {
+        const { data: missed } = await supabase
+          .from('notifications')
+          .select(NOTIFICATION_COLUMNS)
+          .eq('user_id', user.id)
+          .gt('created_at', last.created_at)
+          .order('created_at', { ascending: true })
+          .limit(MAX_REPLAY);
+
+        (missed || []).forEach(notification => send('notification', formatNotification(notification), notification.id));
+      }
+    }
+
+    // 조회 중에 연결이 끊겼으면 타이머를 만들지 않음
+    if (closed) return;
+
+    heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_INTERVAL_MS);
+
+    // ⏰ 토큰이 만료되거나 세션이 종료되면 스트림 종료 (클라이언트는 새 토큰으로 재연결)
+    // - 확인 중 DB 에러는 로그만 남기고 다음 주기에 다시 확인
+    tokenCheck = setInterval(async () => {
+      try {
+        if (!await getUserFromToken(token) || await isSessionRevoked(req.sessionId)) {
+          send('auth_expired', { message: '토큰이 만료되었습니다. 새 토큰으로 다시 연결해주세요.' });
+          res.end();
+        }
+      } catch (error) {
+        console.error('❌ 알림 스트림 토큰 확인 에러:', error);
+      }
+    }, TOKEN_RECHECK_INTERVAL_MS);
+
+  } catch (error) {
+    console.error('❌ 알림 스트림 에러:', error);
+    if (!res.headersSent) {
+      res.status(500).json({
+        error: 'Internal Server Error',
+        message: '알림 스트림 연결 중 오류가 발생했습니다.'
+      });
+    } else {
+      res.end();
+    }
+  }
+});
+
+// ============================================
+// ⚙️ 알림 설정 조회 / 변경
+// - users.preferences.notifications 에 저장 (PUT /api/users/:id 로도 변경 가능)
+// ============================================
+router.get('/preferences', authenticate, async (req, res) => {
+  try {
+    const { user } = req;
+
+    const preferences = await getUserPreferences(user.id);
+
+    res.json({
+      message: '알림 설정 조회 성공',
+      notifications: resolveNotificationPreferences(preferences),
+      available_types: Object.keys(NOTIFICATION_TYPES)
+    });
+
+  } catch (error) {
+    console.error('❌ 알림 설정 조회 에러:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: '알림 설정 조회 중 오류가 발생했습니다.'
+    });
+  }
+});
+
+router.put('/preferences', authenticate, async (req, res) => {
+  try {
+    const { user } = req;
+
+    const validationError = validateNotificationPreferences(req.body.notifications);
+    if (validationError) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: validationError,
+        example: { notifications: { like: false, comment: true } }
+      });
+    }
+
+    // 다른 preferences 항목은 유지하고 알림 설정만 병합
+    const preferences = await getUserPreferences(user.id);
+    const updated = {
+      ...preferences,
+      notifications: { ...(preferences.notifications || {}), ...req.body.notifications }
+    };
+
+    const { error } = await supabase
+      .from('users')
+      .update({ preferences: updated, updated_at: new Date().toISOString() })
+      .eq('id', user.id);
+
+    if (error) {
+      console.error('❌ 알림 설정 변경 에러:', error);
+      return res.status(500).json({
+        error: 'Database Error',
+        message: '알림 설정 변경 중 오류가 발생했습니다.'
+      });
+    }
+
+    res.json({
+      message: '알림 설정 변경 성공! ⚙️',
+      notifications: resolveNotificationPreferences(updated)
+    });
+
+  } catch (error) {
+    console.error('❌ 알림 설정 변경 에러:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: '알림 설정 변경 중 오류가 발생했습니다.'
+    });
+  }
+});
+
+// ============================================
+// ✅ 모든 알림 읽음 처리
+// ============================================
+router.post('/read-all', authenticate, async (req, res) => {
+  try {
+    const { user } = req;
+
+    const { data: updated, error } = await supabase
+      .from('notifications')
+      .update({ read_at: new Date().toISOString() })
+      .eq('user_id', user.id)
+      .is('read_at', null)
+      .select('id');
+
+    if (error) {
+      console.error('❌ 알림 전체 읽음 처리 에러:', error);
+      return res.status(500).json({
+        error: 'Database Error',
+        message: '알림 읽음 처리 중 오류가 발생했습니다.'
+      });
+    }
+
+    res.json({
+      message: '모든 알림 읽음 처리 성공',
+      updated_count: updated.length,
+      unread_count: 0
+    });
+
+  } catch (error) {
+    console.error('❌ 알림 전체 읽음 처리 에러:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: '알림 읽음 처리 중 오류가 발생했습니다.'
+    });
+  }
+});
+
+// ============================================
+// ✅ 알림 하나 읽음 / 읽지 않음 처리
+// ============================================
+const setReadState = (read) => async (req, res) => {
+  try {
+    const { user } = req;
+
+    // UUID 형식 검증
+    const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+    if (!uuidRegex.test(req.params.notificationId)) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: '유효하지 않은 알림 ID 형식입니다.'
+      });
+    }
+
+    const { data: notification, error } = await supabase
+      .from('notifications')
+      .update({ read_at: read ? new Date().toISOString() : null })
+      .eq('id', req.params.notificationId)
+      .eq('user_id', user.id)
+      .select(NOTIFICATION_COLUMNS)
+      .maybeSingle();
+
+    if (error) {
+      console.error('❌ 알림 읽음 처리 에러:', error);
+      return res.status(500).json({
+        error: 'Database Error',
+        message: '알림 읽음 처리 중 오류가 발생했습니다.'
+      });
+    }
+
+    if (!notification) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: '알림을 찾을 수 없습니다.'
+      });
+    }
+
+    res.json({
+      message: read ? '알림 읽음 처리 성공' : '알림 읽지 않음 처리 성공',
+      notification: formatNotification(notification),
+      unread_count: await getUnreadCount(user.id)
+    });
+
+  } catch (error) {
+    console.error('❌ 알림 읽음 처리 에러:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: '알림 읽음 처리 중 오류가 발생했습니다.'
+    });
+  }
+};
+
+router.post('/:notificationId/read', authenticate, setReadState(true));
+router.delete('/:notificationId/read', authenticate, setReadState(false));
+
+// ============================================
+// 🗑️ 알림 삭제
+// ============================================
+router.delete('/:notificationId', authenticate, async (req, res) => {
+  try {
+    const { user } = req;
+
+    // UUID 형식 검증
+    const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+    if (!uuidRegex.test(req.params.notificationId)) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: '유효하지 않은 알림 ID 형식입니다.'
+      });
+    }
+
+    const { data: removed, error } = await supabase
+      .from('notifications')
+      .delete()
+      .eq('id', req.params.notificationId)
+      .eq('user_id', user.id)
+      .select('id');
+
+    if (error) {
+      console.error('❌ 알림 삭제 에러:', error);
+      return res.status(500).json({
+        error: 'Database Error',
+        message: '알림 삭제 중 오류가 발생했습니다.'
+      });
+    }
+
+    if (!removed.length) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: '알림을 찾을 수 없습니다.'
+      });
+    }
+
+    res.json({
+      message: '알림 삭제 성공! 🗑️',
+      deleted_notification_id: req.params.notificationId
+    });
+
+  } catch (error) {
+    console.error('❌ 알림 삭제 에러:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: '알림 삭제 중 오류가 발생했습니다.'
+    });
+  }
+});
+
+// 라우터 내보내기
+module.exports = router;
@@ -0,0 +1,145 @@
+// ============================================
+// 📱 기기별 로그인 세션 API 라우트 (/api/auth/sessions)
+// - 세션 테이블은 utils/sessions.js 참고
+// - 다른 기기의 세션을 종료하면 그 기기의 토큰은 인증 미들웨어와
+//   /api/auth/refresh에서 거부됨
+// ============================================
+const express = require('express');
+const router = express.Router();
+
+// Supabase 클라이언트 및 헬퍼 가져오기
+const { supabase } = require('../utils/supabase');
+const { getRepositories } = require('../repositories');
+const { authenticate, extractToken } = require('../middleware/auth');
+const { revokeSessions } = require('../utils/sessions');
+
+const { auth: authRepository } = getRepositories();
+
+// 모든 세션 API는 로그인 필요 (/api/auth/profile과 같은 토큰 확인)
+router.use(authenticate);
+
+// ============================================
+// 📋 로그인한 기기 목록 (최근 사용 순)
+// ============================================
+router.get('/', async (req, res) => {
+  try {
+    const { user } = req;
+
+    const { data: sessions, error } = await supabase
+      .from('user_sessions')
+      .select('id, device_name, user_agent, ip_address, created_at, last_seen_at')
+      .eq('user_id', user.id)
+      .is('revoked_at', null)
+      .order('last_seen_at', { ascending: false });
+
+    if (error) {
+      console.error('❌ 세션 목록 조회 에러:', error);
+      return res.status(500).json({
+        error: 'Database Error',
+        message: '세션 목록 조회 중 오류가 발생했습니다.'
+      });
+    }
+
+    res.json({
+      message: '세션 목록 조회 성공',
+      current_session_id: req.sessionId || null,
+      data: sessions.map(session => ({
+        ...session,
+        current: session.id === req.sessionId
+      })),
+      total_sessions: sessions.length
+    });
+
+  } catch (error) {
+    console.error('❌ 세션 목록 조회 에러:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: '세션 목록 조회 중 오류가 발생했습니다.'
+    });
+  }
+});
+
+// ============================================
+// 🚪 다른 기기 모두 로그아웃 (현재 기기는 유지)
+// ============================================
+router.post('/revoke-others', async (req, res) => {
+  try {
+    const { user } = req;
+
+    const revoked = await revokeSessions(user.id, { exceptSessionId: req.sessionId });
+
+    // 🏗️ 인증 리포지토리가 자동 처리:
+    // - 현재 세션을 제외한 모든 세션의 refresh_token 무효화 ✅
+    const { error } = await authRepository.signOut(extractToken(req), 'others');
+    if (error) {
+      console.error('❌ 다른 기기 로그아웃 에러:', error);
+    }
+
+    res.json({
+      message: '다른 기기 로그아웃 성공! 👋',
+      revoked_sessions: revoked,
+      revoked_count: revoked.length
+    });
+
+  } catch (error) {
+    console.error('❌ 다른 기기 로그아웃 에러:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: '다른 기기 로그아웃 중 오류가 발생했습니다.'
+    });
+  }
+});
+
+// ============================================
+// 🚪 특정 기기 로그아웃
+// ============================================
+router.delete('/:sessionId', async (req, res) => {
+  try {
+    const { user } = req;
+    const { sessionId } = req.params;
+
+    // UUID 형식 검증
+    const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+    if (!uuidRegex.test(sessionId)) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: '유효하지 않은 세션 ID 형식입니다.'
+      });
+    }
+
+    // 본인 세션만 종료 (다른 사용자의 세션은 존재 여부도 알리지 않음)
+    const revoked = await revokeSessions(user.id, { sessionId });
+
+    if (revoked.length === 0) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: '활성 세션을 찾을 수 없습니다.'
+      });
+    }
+
+    // 현재 기기면 인증 세션도 바로 종료
+    const isCurrent = sessionId === req.sessionId;
+    if (isCurrent) {
+      const { error } = await authRepository.signOut(extractToken(req), 'local');
+      if (error) {
+        console.error('❌ 세션 종료 에러:', error);
+      }
+    }
+
+    res.json({
+      message: '기기 로그아웃 성공! 👋',
+      revoked_session: revoked[0],
+      current: isCurrent
+    });
+
+  } catch (error) {
+    console.error('❌ 세션 종료 에러:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: '세션 종료 중 오류가 발생했습니다.'
+    });
+  }
+});
+
+// 라우터 내보내기
+module.exports = router;
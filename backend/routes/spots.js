@@ -0,0 +1,507 @@
+// ============================================
+// 🏝️ 다이빙 포인트 API 라우트 (Supabase 연동)
+// ============================================
+// 📋 필요한 테이블 (Supabase SQL Editor에서 생성)
+//
+// create table dive_spots (
+//   id uuid primary key default gen_random_uuid(),
+//   name text not null,
+//   description text,
+//   country text,
+//   region text,
+//   latitude double precision not null,
+//   longitude double precision not null,
+//   min_depth numeric,
+//   max_depth numeric,
+//   entry_type text,        -- shore | boat | pier | liveaboard
+//   difficulty text,        -- beginner | intermediate | advanced | expert
+//   created_by uuid references users(id) on delete set null,
+//   created_at timestamptz default now(),
+//   updated_at timestamptz default now()
+// );
+// create index dive_spots_lat_lng_idx on dive_spots (latitude, longitude);
+// alter table dives add column spot_id uuid references dive_spots(id) on delete set null;
+// ============================================
+const express = require('express');
+const router = express.Router();
+
+// Supabase 클라이언트 및 헬퍼 가져오기
+const { supabase } = require('../utils/supabase');
+const { authenticate } = require('../middleware/auth');
+const { isValidLatLng, parseBoundingBox } = require('../utils/geo');
+const { ENTRY_TYPES, DIFFICULTIES, findSpotsWithinRadius } = require('../utils/spots');
+
+// 반경 검색 최대값 (km)
+const MAX_RADIUS_KM = 500;
+
+// 숫자 또는 숫자 문자열인지 (null, '', true 등은 Number()가 0/1로 바꾸므로 제외)
+const isNumeric = (value) => (
+  typeof value === 'number'
+    ? Number.isFinite(value)
+    : typeof value === 'string' && value.trim() !== '' && Number.isFinite(Number(value))
+);
+
+// ============================================
+// 🧪 포인트 입력값 검증
+// - partial: 수정 시에는 전달된 필드만 검증
+// ============================================
+const validateSpot = (body, partial = false) => {
+  const errors = [];
+  const has = (field) => body[field] !== undefined && body[field] !== null && body[field] !== '';
+
+  if (!partial || body.name !== undefined) {
+    if (!has('name') || String(body.name).trim().length < 2) {
+      errors.push('name은 2글자 이상이어야 합니다.');
+    }
+  }
+
+  if (!partial || body.latitude !== undefined || body.longitude !== undefined) {
+    if (!isNumeric(body.latitude) || !isNumeric(body.longitude) ||
+        !isValidLatLng(Number(body.latitude), Number(body.longitude))) {
+      errors.push('latitude(-90~90)와 longitude(-180~180)가 올바르지 않습니다.');
+    }
+  }
+
+  ['min_depth', 'max_depth'].forEach(field => {
+    if (has(field) && (!isNumeric(body[field]) || Number(body[field]) < 0)) {
+      errors.push(`${field}는 0 이상의 숫자여야 합니다.`);
+    }
+  });
+
+  if (has('min_depth') && has('max_depth') && Number(body.min_depth) > Number(body.max_depth)) {
+    errors.push('min_depth는 max_depth보다 클 수 없습니다.');
+  }
+
+  if (has('entry_type') && !ENTRY_TYPES.includes(body.entry_type)) {
+    errors.push(`entry_type은 ${ENTRY_TYPES.join(', ')} 중 하나여야 합니다.`);
+  }
+
+  if (has('difficulty') && !DIFFICULTIES.includes(body.difficulty)) {
+    errors.push(`difficulty는 ${DIFFICULTIES.join(', ')} 중 하나여야 합니다.`);
+  }
+
+  return errors;
+};
+
+// 요청 본문에서 저장 가능한 필드만 추출
+const pickSpotFields = (body) => {
+  const allowedFields = [
+    'name', 'description', 'country', 'region', 'latitude', 'longitude',
+    'min_depth', 'max_depth', 'entry_type', 'difficulty'
+  ];
+  const numericFields = ['latitude', 'longitude', 'min_depth', 'max_depth'];
+
+  return allowedFields.reduce((acc, field) => {
+    if (body[field] !== undefined) {
+      acc[field] = numericFields.includes(field) && body[field] !== null
+        ? Number(body[field])
+        : body[field];
+    }
+    return acc;
+  }, {});
+};
+
+// ============================================
+// 📋 다이빙 포인트 목록 / 지도 검색
+// - ?lat=&lng=&radius_km= : 반경 검색 (가까운 순)
+// - ?bbox=minLng,minLat,maxLng,maxLat : 지도 영역 검색
+// ============================================
+router.get('/', async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const { country, difficulty, entry_type, q } = req.query;
+    const startIndex = (page - 1) * limit;
+
+    // 필터 값 검증
+    if (difficulty && !DIFFICULTIES.includes(difficulty)) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: '유효하지 않은 난이도입니다.',
+        allowed_difficulties: DIFFICULTIES
+      });
+    }
+    if (entry_type && !ENTRY_TYPES.includes(entry_type)) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: '유효하지 않은 입수 방식입니다.',
+        allowed_entry_types: ENTRY_TYPES
+      });
+    }
+
+    // 📍 반경 검색 ("내 주변 포인트")
+    if (req.query.lat !== undefined || req.query.lng !== undefined) {
+      const lat = parseFloat(req.query.lat);
+      const lng = parseFloat(req.query.lng);
+      const radiusKm = parseFloat(req.query.radius_km) || 10;
+
+      if (!isValidLatLng(lat, lng)) {
+        return res.status(400).json({
+          error: 'Bad Request',
+          message: 'lat, lng 좌표가 올바르지 않습니다.',
+          example: '/api/diving-spots?lat=33.24&lng=126.56&radius_km=10'
+        });
+      }
+      if (radiusKm <= 0 || radiusKm > MAX_RADIUS_KM) {
+        return res.status(400).json({
+          error: 'Bad Request',
+          message: `radius_km는 0보다 크고 ${MAX_RADIUS_KM} 이하여야 합니다.`
+        });
+      }
+
+      const spots = await findSpotsWithinRadius(lat, lng, radiusKm, { difficulty, entry_type });
+      const pageSpots = spots.slice(startIndex, startIndex + limit);
+
+      return res.json({
+        message: '주변 다이빙 포인트 조회 성공',
+        data: pageSpots,
+        pagination: {
+          current_page: page,
+          per_page: limit,
+          total_spots: spots.length,
+          total_pages: Math.ceil(spots.length / limit),
+          has_next: startIndex + limit < spots.length,
+          has_prev: page > 1
+        },
+        search: { lat, lng, radius_km: radiusKm }
+      });
+    }
+
+    // 🗺️ 지도 영역(bbox) 검색 또는 일반 목록
+    const bbox = parseBoundingBox(req.query.bbox);
+    if (req.query.bbox && !bbox) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'bbox는 minLng,minLat,maxLng,maxLat 형식이어야 합니다.',
+        example: '/api/diving-spots?bbox=126.1,33.1,127.0,33.6'
+      });
+    }
+
+    let query = supabase
+      .from('dive_spots')
+      .select('*', { count: 'exact' })
+      .range(startIndex, startIndex + limit - 1)
+      .order('name', { ascending: true });
+
+    if (bbox) {
+      query = query
+        .gte('latitude', bbox.minLat)
+        .lte('latitude', bbox.maxLat)
+        .gte('longitude', bbox.minLng)
+        .lte('longitude', bbox.maxLng);
+    }
+    if (country) {
+      query = query.ilike('country', `%${country}%`);
+    }
+    if (q) {
+      query = query.ilike('name', `%${q}%`);
+    }
+    if (difficulty) {
+      query = query.eq('difficulty', difficulty);
+    }
+    if (entry_type) {
+      query = query.eq('entry_type', entry_type);
+    }
+
+    const { data: spots, error, count } = await query;
+
+    if (error) {
+      console.error('❌ 다이빙 포인트 목록 조회 에러:', error);
+      return res.status(500).json({
+        error: 'Database Error',
+        message: '다이빙 포인트 목록 조회 중 오류가 발생했습니다.'
+      });
+    }
+
+    res.json({
+      message: '다이빙 포인트 목록 조회 성공',
+      data: spots,
+      pagination: {
+        current_page: page,
+        per_page: limit,
+        total_spots: count,
+        total_pages: Math.ceil(count / limit),
+        has_next: startIndex + limit < count,
+        has_prev: page > 1
+      },
+      filters: {
+        bbox: bbox || null,
+        country: country || null,
+        q: q || null,
+        difficulty: difficulty || null,
+        entry_type: entry_type || null
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ 다이빙 포인트 목록 조회 에러:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: '다이빙 포인트 목록 조회 중 오류가 발생했습니다.'
+    });
+  }
+});
+
+// ============================================
+// 🆕 다이빙 포인트 등록
+// ============================================
+router.post('/', authenticate, async (req, res) => {
+  try {
+    const { user } = req;
+
+    const errors = validateSpot(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: '다이빙 포인트 정보가 올바르지 않습니다.',
+        errors
+      });
+    }
+
+    const { data: newSpot, error } = await supabase
+      .from('dive_spots')
+      .insert([
+        {
+          ...pickSpotFields(req.body),
+          created_by: user.id
+        }
+      ])
+      .select()
+      .single();
+
+    if (error) {
+      console.error('❌ 다이빙 포인트 등록 에러:', error);
+      return res.status(500).json({
+        error: 'Database Error',
+        message: '다이빙 포인트 등록 중 오류가 발생했습니다.',
+        details: error.message
+      });
+    }
+
+    res.status(201).json({
+      message: '다이빙 포인트 등록 성공! 🏝️',
+      spot: newSpot
+    });
+
+  } catch (error) {
+    console.error('❌ 다이빙 포인트 등록 에러:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: '다이빙 포인트 등록 중 오류가 발생했습니다.'
+    });
+  }
+});
+
+// ============================================
+// 🔍 특정 다이빙 포인트 조회
+// ============================================
+router.get('/:id', async (req, res) => {
+  try {
+    const spotId = req.params.id;
+
+    // UUID 형식 검증
+    const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+    if (!uuidRegex.test(spotId)) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: '유효하지 않은 포인트 ID 형식입니다.'
+      });
+    }
+
+    const { data: spot, error } = await supabase
+      .from('dive_spots')
+      .select('*')
+      .eq('id', spotId)
+      .single();
+
+    if (error) {
+      if (error.code === 'PGRST116') { // No rows found
+        return res.status(404).json({
+          error: 'Not Found',
+          message: '다이빙 포인트를 찾을 수 없습니다.'
+        });
+      }
+
+      console.error('❌ 다이빙 포인트 조회 에러:', error);
+      return res.status(500).json({
+        error: 'Database Error',
+        message: '다이빙 포인트 조회 중 오류가 발생했습니다.'
+      });
+    }
+
+    // 이 포인트에 연결된 다이빙 수
+    const { count: diveCount } = await supabase
+      .from('dives')
+      .select('*', { count: 'exact', head: true })
+      .eq('spot_id', spotId);
+
+    res.json({
+      message: '다이빙 포인트 조회 성공',
+      spot: {
+        ...spot,
+        dive_count: diveCount || 0
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ 다이빙 포인트 조회 에러:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: '다이빙 포인트 조회 중 오류가 발생했습니다.'
+    });
+  }
+});
+
+// ============================================
+// 🔒 포인트 등록자 확인 (수정/삭제 공통)
+// - 실패 시 응답을 보내고 null 반환
+// ============================================
+const findOwnedSpot = async (req, res, user) => {
+  const spotId = req.params.id;
+
+  // UUID 형식 검증
+  const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+  if (!uuidRegex.test(spotId)) {
+    res.status(400).json({
+      error: 'Bad Request',
+      message: '유효하지 않은 포인트 ID 형식입니다.'
+    });
+    return null;
+  }
+
+  const { data: spot, error } = await supabase
+    .from('dive_spots')
+    .select('*')
+    .eq('id', spotId)
+    .single();
+
+  if (error || !spot) {
+    res.status(404).json({
+      error: 'Not Found',
+      message: '다이빙 포인트를 찾을 수 없습니다.'
+    });
+    return null;
+  }
+
+  if (spot.created_by !== user.id) {
+    res.status(403).json({
+      error: 'Forbidden',
+      message: '본인이 등록한 다이빙 포인트만 수정/삭제할 수 있습니다.'
+    });
+    return null;
+  }
+
+  return spot;
+};
+
+// ============================================
+// ✏️ 다이빙 포인트 수정 (등록자만 가능)
+// ============================================
+router.put('/:id', authenticate, async (req, res) => {
+  try {
+    const { user } = req;
+
+    const spot = await findOwnedSpot(req, res, user);
+    if (!spot) return;
+
+    const filteredData = pickSpotFields(req.body);
+    if (Object.keys(filteredData).length === 0) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: '수정할 데이터가 없습니다.'
+      });
+    }
+
+    // 좌표는 한쪽만 바꿔도 기존 값과 함께 검증
+    const errors = validateSpot({
+      latitude: spot.latitude,
+      longitude: spot.longitude,
+      min_depth: spot.min_depth,
+      max_depth: spot.max_depth,
+      ...req.body
+    }, true);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: '다이빙 포인트 정보가 올바르지 않습니다.',
+        errors
+      });
+    }
+
+    filteredData.updated_at = new Date().toISOString();
+
+    const { data: updatedSpot, error } = await supabase
+      .from('dive_spots')
+      .update(filteredData)
+      .eq('id', spot.id)
+      .select()
+      .single();
+
+    if (error) {
+      console.error('❌ 다이빙 포인트 수정 에러:', error);
+      return res.status(500).json({
+        error: 'Database Error',
+        message: '다이빙 포인트 수정 중 오류가 발생했습니다.'
+      });
+    }
+
+    res.json({
+      message: '다이빙 포인트 수정 성공! ✨',
+      spot: updatedSpot,
+      updated_fields: Object.keys(filteredData)
+    });
+
+  } catch (error) {
+    console.error('❌ 다이빙 포인트 수정 에러:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: '다이빙 포인트 수정 중 오류가 발생했습니다.'
+    });
+  }
+});
+
+// ============================================
+// 🗑️ 다이빙 포인트 삭제 (등록자만 가능)
+// ============================================
+router.delete('/:id', authenticate, async (req, res) => {
+  try {
+    const { user } = req;
+
+    const spot = await findOwnedSpot(req, res, user);
+    if (!spot) return;
+
+    // 연결된 다이빙 기록은 유지하고 포인트 연결만 해제
+    await supabase
+      .from('dives')
+      .update({ spot_id: null })
+      .eq('spot_id', spot.id);
+
+    const { error } = await supabase
+      .from('dive_spots')
+      .delete()
+      .eq('id', spot.id);
+
+    if (error) {
+      console.error('❌ 다이빙 포인트 삭제 에러:', error);
+      return res.status(500).json({
+        error: 'Database Error',
+        message: '다이빙 포인트 삭제 중 오류가 발생했습니다.'
+      });
+    }
+
+    res.json({
+      message: '다이빙 포인트 삭제 성공! 🗑️',
+      deleted_spot: { id: spot.id, name: spot.name }
+    });
+
+  } catch (error) {
+    console.error('❌ 다이빙 포인트 삭제 에러:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: '다이빙 포인트 삭제 중 오류가 발생했습니다.'
+    });
+  }
+});
+
+// 라우터 내보내기
+module.exports = router;
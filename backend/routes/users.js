@@ -4,8 +4,33 @@
 const express = require('express');
 const router = express.Router();
 
-// Supabase 클라이언트 가져오기
-const { supabase, supabaseAdmin } = require('../utils/supabase');
+// 사용자 / 다이빙 리포지토리 가져오기 (DATA_BACKEND: supabase | memory)
+const { getRepositories } = require('../repositories');
+const { calculateDiveStats } = require('../utils/diveStats');
+const { getBuddyIds } = require('../utils/buddies');
+const { authenticate, optionalAuth, requireSelf } = require('../middleware/auth');
+const { isFollowing, getFollowCounts } = require('../utils/follows');
+const { validateNotificationPreferences } = require('../utils/notifications');
+const {
+  DEFAULT_PROFILE_PRIVACY,
+  getViewerRelation,
+  getViewerContext,
+  relationFor,
+  visibleLevels,
+  canView,
+  validateProfilePrivacy,
+  getProfilePrivacy,
+  filterProfile,
+  canViewProfileField
+} = require('../utils/privacy');
+const { getPersonalBests } = require('../utils/freediving');
+const {
+  describeCertification,
+  summarizeCertifications,
+  getUserCertifications
+} = require('../utils/certifications');
+
+const { users: usersRepository, dives: divesRepository } = getRepositories();
 
 // ============================================
 // 📋 사용자 라우트 목록
@@ -18,10 +43,15 @@ router.get('/', (req, res) => {
     available_endpoints: {
       list: 'GET /api/users (모든 사용자 조회)',
       profile: 'GET /api/users/:id (특정 사용자 프로필)',
-      update: 'PUT /api/users/:id (프로필 수정)',
+      update: 'PUT /api/users/:id (프로필 수정, 본인 토큰 필요)',
       settings: 'GET/PUT /api/users/:id/settings (설정 관리)',
       search: 'GET /api/users/search?q=keyword (사용자 검색)',
-      buddies: 'GET /api/users/:id/buddies (버디 목록)'
+      privacy: 'PUT /api/users/:id { privacy: { email|location|bio|social_links|stats|certifications|personal_bests: public|buddies|private } } (프로필 공개 범위)',
+      buddies: 'GET /api/users/:id/buddies?mutual_with=userId (버디 목록)',
+      certifications: 'GET /api/users/:id/certifications (자격증 목록, 등록은 /api/certifications)',
+      follow: 'POST/DELETE /api/users/:id/follow (팔로우 / 언팔로우)',
+      followers: 'GET /api/users/:id/followers (팔로워 목록)',
+      following: 'GET /api/users/:id/following (팔로잉 목록)'
     }
   });
 });
@@ -29,7 +59,7 @@ router.get('/', (req, res) => {
 // ============================================
 // 📋 모든 사용자 조회 (페이지네이션 포함)
 // ============================================
-router.get('/list', async (req, res) => {
+router.get('/list', optionalAuth, async (req, res) => {
   try {
     // 쿼리 파라미터 처리
     const page = parseInt(req.query.page) || 1;
@@ -39,38 +69,27 @@ router.get('/list', async (req, res) => {
     // 페이지네이션 계산
     const startIndex = (page - 1) * limit;
 
-    // 🏗️ Supabase가 자동 처리:
-    // - SQL 쿼리 생성 및 실행 ✅
+    // 🏗️ 리포지토리가 자동 처리:
     // - 페이지네이션 처리 ✅
-    // - 정렬 처리 ✅
-    let query = supabase
-      .from('users')
-      .select('id, name, email, diving_experience, total_dives, deepest_dive, location, created_at', { count: 'exact' })
-      .range(startIndex, startIndex + limit - 1);
-
-    // 정렬 적용
-    if (sort === 'total_dives') {
-      query = query.order('total_dives', { ascending: false });
-    } else if (sort === 'name') {
-      query = query.order('name', { ascending: true });
-    } else {
-      query = query.order('created_at', { ascending: false });
-    }
-
-    const { data: users, error, count } = await query;
+    // - 정렬 처리 (total_dives, name, 그 외 created_at) ✅
+    // - total_dives 정렬은 통계를 전체 공개한 사용자만 (순서로 숨긴 다이빙 수가 드러나지 않도록) ✅
+    const statsSort = sort === 'total_dives';
+    const { users, total: count } = await usersRepository.list({
+      offset: startIndex,
+      limit,
+      sort,
+      publicStatsOnly: statsSort,
+      columns: 'id, name, email, diving_experience, total_dives, deepest_dive, location, privacy, created_at'
+    });
 
-    if (error) {
-      console.error('❌ 사용자 목록 조회 에러:', error);
-      return res.status(500).json({
-        error: 'Database Error',
-        message: '사용자 목록 조회 중 오류가 발생했습니다.'
-      });
-    }
+    // 보는 사람 기준으로 비공개 항목 숨기기 (email은 기본 비공개)
+    const viewer = req.user;
+    const viewerContext = await getViewerContext(viewer?.id);
 
     // 응답 데이터 구조화
     res.json({
       message: '사용자 목록 조회 성공',
-      data: users,
+      data: users.map(user => filterProfile(user, relationFor(viewerContext, user.id))),
       pagination: {
         current_page: page,
         per_page: limit,
@@ -79,7 +98,8 @@ router.get('/list', async (req, res) => {
         has_next: startIndex + limit < count,
         has_prev: page > 1
       },
-      sort: sort
+      sort: sort,
+      ...(statsSort && { note: '다이빙 수 정렬에는 통계를 전체 공개한 사용자만 포함됩니다.' })
     });
 
   } catch (error) {
@@ -91,10 +111,73 @@ router.get('/list', async (req, res) => {
   }
 });
 
+// ============================================
+// 🔍 사용자 검색
+// ============================================
+router.get('/search', optionalAuth, async (req, res) => {
+  try {
+    const query = req.query.q;
+    const location = req.query.location;
+    const experience = req.query.experience;
+
+    // 검색어 검증
+    if (!query || query.trim().length < 2) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: '검색어는 최소 2글자 이상이어야 합니다.',
+        example: '/api/users/search?q=김다이버&location=제주도'
+      });
+    }
+
+    // 🏗️ 리포지토리가 자동 처리:
+    // - 이름 부분 검색 (대소문자 무시) ✅
+    // - 지역 / 경력 필터링 ✅
+    // - 최대 20개 결과로 제한 ✅
+    const searchResults = await usersRepository.search({
+      name: query,
+      location,
+      experience,
+      limit: 20,
+      columns: 'id, name, location, diving_experience, total_dives, deepest_dive, privacy, created_at'
+    });
+
+    // 비공개 항목 숨기기 (지역 필터는 지역을 볼 수 있는 사용자에게만 적용)
+    const viewer = req.user;
+    const viewerContext = await getViewerContext(viewer?.id);
+    const results = searchResults
+      .map(user => filterProfile(user, relationFor(viewerContext, user.id)))
+      .filter(user => !location || user.location !== null);
+
+    res.json({
+      message: '사용자 검색 성공',
+      query: {
+        search_term: query,
+        location_filter: location || null,
+        experience_filter: experience || null
+      },
+      results,
+      total_found: results.length
+    });
+
+  } catch (error) {
+    console.error('❌ 사용자 검색 에러:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: '사용자 검색 중 오류가 발생했습니다.'
+    });
+  }
+});
+
+// ============================================
+// 👣 팔로우 (follows.js)
+// - /:id 보다 먼저 등록
+// ============================================
+router.use('/:id', require('./follows'));
+
 // ============================================
 // 👤 특정 사용자 프로필 조회
 // ============================================
-router.get('/:id', async (req, res) => {
+router.get('/:id', optionalAuth, async (req, res) => {
   try {
     const userId = req.params.id;
 
@@ -108,51 +191,85 @@ router.get('/:id', async (req, res) => {
       });
     }
 
-    // 🏗️ Supabase가 자동 처리:
-    // - UUID 기반 사용자 조회 ✅
-    // - 존재하지 않는 사용자 처리 ✅
-    const { data: user, error } = await supabase
-      .from('users')
-      .select('*')
-      .eq('id', userId)
-      .single();
-
-    if (error) {
-      if (error.code === 'PGRST116') { // No rows found
-        return res.status(404).json({
-          error: 'Not Found',
-          message: '사용자를 찾을 수 없습니다.'
-        });
-      }
+    const user = await usersRepository.findById(userId);
 
-      console.error('❌ 사용자 조회 에러:', error);
-      return res.status(500).json({
-        error: 'Database Error',
-        message: '사용자 조회 중 오류가 발생했습니다.'
+    if (!user) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: '사용자를 찾을 수 없습니다.'
       });
     }
 
-    // 사용자의 다이빙 통계 조회
-    const { data: diveStats, error: statsError } = await supabase
-      .from('dives')
-      .select('dive_type, max_depth, dive_date')
-      .eq('user_id', userId);
+    // 보는 사람과의 관계 (본인 / 버디 / 그 외)에 따라 공개 항목 결정
+    const viewer = req.user;
+    const relation = await getViewerRelation(viewer?.id, userId);
+    const levels = visibleLevels(relation);
+    const showStats = canViewProfileField(user, 'stats', relation);
+
+    // 사용자의 다이빙 통계 조회 (볼 수 있는 다이빙만, 실패해도 프로필은 반환)
+    const diveStats = showStats
+      ? await divesRepository.findByUser(userId, {
+        columns: 'dive_type, dive_date, duration_minutes, max_depth, average_depth, water_temperature, visibility_meters, location_name, country, rating, photos_count',
+        visibility: levels
+      }).catch(statsError => {
+        console.error('❌ 사용자 다이빙 통계 조회 에러:', statsError);
+        return null;
+      })
+      : [];
+
+    // 수락된 버디 수
+    const buddyIds = await getBuddyIds(userId);
 
     // 통계 계산 (다이빙 기록이 없어도 에러는 아님)
+    const dives = diveStats || [];
+    const summary = calculateDiveStats(dives, { topLimit: 3 });
+    // 팔로워 / 팔로잉 수
+    const followCounts = await getFollowCounts(userId);
+
     const stats = {
-      total_photos: 0, // 추후 구현
-      buddies_count: 0, // 추후 구현
-      recent_dives: diveStats?.length || 0,
-      dive_types: diveStats?.reduce((acc, dive) => {
-        acc[dive.dive_type] = (acc[dive.dive_type] || 0) + 1;
-        return acc;
-      }, {}) || {}
+      buddies_count: buddyIds.length,
+      followers_count: followCounts.followers_count,
+      following_count: followCounts.following_count,
+      ...(showStats && {
+        total_photos: dives.reduce((sum, dive) => sum + (dive.photos_count || 0), 0),
+        recent_dives: dives.length,
+        dive_types: summary.dive_types,
+        total_bottom_minutes: summary.bottom_time.total_minutes,
+        average_max_depth: summary.depth.average_max_depth,
+        average_rating: summary.average_rating,
+        top_locations: summary.top_locations,
+        countries_visited: Object.keys(dives.reduce((acc, dive) => {
+          if (dive.country) acc[dive.country] = true;
+          return acc;
+        }, {})).length
+      })
     };
 
+    // 프리다이빙 종목별 개인 최고 기록 (볼 수 있는 다이빙 기준)
+    const personalBests = canViewProfileField(user, 'personal_bests', relation)
+      ? await getPersonalBests(userId, { visibilityLevels: levels })
+      : null;
+
+    // 등록된 자격증 (/api/certifications)
+    const certifications = canViewProfileField(user, 'certifications', relation)
+      ? await getUserCertifications(userId)
+      : null;
+
+    // 로그인한 사용자가 보는 경우 팔로우 여부 (본인 프로필이거나 비로그인이면 null)
+    const viewerFollows = viewer && viewer.id !== userId
+      ? await isFollowing(viewer.id, userId)
+      : null;
+
     res.json({
       message: '사용자 프로필 조회 성공',
       user: {
-        ...user,
+        ...filterProfile(user, relation),
+        is_following: viewerFollows,
+        personal_bests: personalBests,
+        certifications: certifications
+          ? certifications.map(certification => describeCertification(certification, { owner: viewer?.id === userId }))
+          : null,
+        certification_summary: certifications ? summarizeCertifications(certifications) : null,
         stats
       }
     });
@@ -167,12 +284,11 @@ router.get('/:id', async (req, res) => {
 });
 
 // ============================================
-// ✏️ 사용자 프로필 수정
+// 🎓 사용자의 자격증 목록
 // ============================================
-router.put('/:id', async (req, res) => {
+router.get('/:id/certifications', optionalAuth, async (req, res) => {
   try {
     const userId = req.params.id;
-    const updateData = req.body;
 
     // UUID 형식 검증
     const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
@@ -183,137 +299,234 @@ router.put('/:id', async (req, res) => {
       });
     }
 
-    // 수정 가능한 필드만 허용
-    const allowedFields = [
-      'name', 'bio', 'location', 'diving_experience', 
-      'certifications', 'social_links', 'preferences'
-    ];
+    // 프로필의 자격증 공개 범위 확인
+    const privacy = await getProfilePrivacy(userId);
+    if (!privacy) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: '사용자를 찾을 수 없습니다.'
+      });
+    }
 
-    const filteredData = {};
-    allowedFields.forEach(field => {
-      if (updateData[field] !== undefined) {
-        filteredData[field] = updateData[field];
-      }
+    const viewer = req.user;
+    const relation = await getViewerRelation(viewer?.id, userId);
+    if (!canView(privacy.certifications, relation)) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: '이 사용자의 자격증은 공개되지 않았습니다.'
+      });
+    }
+
+    const certifications = await getUserCertifications(userId);
+
+    res.json({
+      message: '사용자 자격증 조회 성공',
+      user_id: userId,
+      certifications: certifications.map(certification => describeCertification(certification, { owner: viewer?.id === userId })),
+      summary: summarizeCertifications(certifications)
     });
 
-    // 수정할 데이터가 없는 경우
-    if (Object.keys(filteredData).length === 0) {
+  } catch (error) {
+    console.error('❌ 사용자 자격증 조회 에러:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: '사용자 자격증 조회 중 오류가 발생했습니다.'
+    });
+  }
+});
+
+// ============================================
+// 🤝 사용자의 버디 목록 (페이지네이션 포함)
+// - ?mutual_with=userId : 두 사용자의 공통 버디만 조회
+// ============================================
+router.get('/:id/buddies', optionalAuth, async (req, res) => {
+  try {
+    const userId = req.params.id;
+    const mutualWith = req.query.mutual_with;
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const startIndex = (page - 1) * limit;
+
+    // UUID 형식 검증
+    const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+    if (!uuidRegex.test(userId) || (mutualWith && !uuidRegex.test(mutualWith))) {
       return res.status(400).json({
         error: 'Bad Request',
-        message: '수정할 데이터가 없습니다.',
-        allowed_fields: allowedFields
+        message: '유효하지 않은 사용자 ID 형식입니다.'
       });
     }
 
-    // updated_at 추가
-    filteredData.updated_at = new Date().toISOString();
-
-    // 🏗️ Supabase가 자동 처리:
-    // - 사용자 존재 여부 확인 ✅
-    // - UPDATE 쿼리 실행 ✅
-    // - 수정된 데이터 반환 ✅
-    const { data: updatedUser, error } = await supabase
-      .from('users')
-      .update(filteredData)
-      .eq('id', userId)
-      .select()
-      .single();
-
-    if (error) {
-      if (error.code === 'PGRST116') { // No rows found
-        return res.status(404).json({
-          error: 'Not Found',
-          message: '사용자를 찾을 수 없습니다.'
-        });
-      }
+    // 🏗️ 버디 ID 목록 (최근 맺은 순)
+    let buddyIds = await getBuddyIds(userId);
 
-      console.error('❌ 프로필 수정 에러:', error);
-      return res.status(500).json({
-        error: 'Database Error',
-        message: '프로필 수정 중 오류가 발생했습니다.'
-      });
+    if (mutualWith) {
+      const otherBuddyIds = new Set(await getBuddyIds(mutualWith));
+      buddyIds = buddyIds.filter(id => otherBuddyIds.has(id));
     }
 
+    const pageIds = buddyIds.slice(startIndex, startIndex + limit);
+
+    const buddies = await usersRepository.findByIds(pageIds, {
+      columns: 'id, name, diving_experience, total_dives, deepest_dive, location, privacy'
+    });
+
+    // in() 조회는 순서를 보장하지 않으므로 버디 맺은 순서로 정렬 (비공개 항목 숨김)
+    const viewer = req.user;
+    const viewerContext = await getViewerContext(viewer?.id);
+    const orderedBuddies = pageIds
+      .map(id => buddies.find(buddy => buddy.id === id))
+      .filter(Boolean)
+      .map(buddy => filterProfile(buddy, relationFor(viewerContext, buddy.id)));
+
     res.json({
-      message: '프로필 수정 성공! ✨',
-      user: updatedUser,
-      updated_fields: Object.keys(filteredData)
+      message: '버디 목록 조회 성공',
+      user_id: userId,
+      mutual_with: mutualWith || null,
+      data: orderedBuddies,
+      pagination: {
+        current_page: page,
+        per_page: limit,
+        total_buddies: buddyIds.length,
+        total_pages: Math.ceil(buddyIds.length / limit),
+        has_next: startIndex + limit < buddyIds.length,
+        has_prev: page > 1
+      }
     });
 
   } catch (error) {
-    console.error('❌ 프로필 수정 에러:', error);
+    console.error('❌ 버디 목록 조회 에러:', error);
     res.status(500).json({
       error: 'Internal Server Error',
-      message: '프로필 수정 중 오류가 발생했습니다.'
+      message: '버디 목록 조회 중 오류가 발생했습니다.'
     });
   }
 });
 
 // ============================================
-// 🔍 사용자 검색
+// ✏️ 사용자 프로필 수정 (본인 또는 관리자)
 // ============================================
-router.get('/search', async (req, res) => {
+router.put('/:id', authenticate, requireSelf('본인의 프로필만 수정할 수 있습니다.'), async (req, res) => {
   try {
-    const query = req.query.q;
-    const location = req.query.location;
-    const experience = req.query.experience;
+    const userId = req.params.id;
+    const updateData = req.body;
 
-    // 검색어 검증
-    if (!query || query.trim().length < 2) {
+    // UUID 형식 검증
+    const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+    if (!uuidRegex.test(userId)) {
       return res.status(400).json({
         error: 'Bad Request',
-        message: '검색어는 최소 2글자 이상이어야 합니다.',
-        example: '/api/users/search?q=김다이버&location=제주도'
+        message: '유효하지 않은 사용자 ID 형식입니다.'
       });
     }
 
-    // 🏗️ Supabase가 자동 처리:
-    // - LIKE 검색 쿼리 ✅
-    // - 다중 조건 필터링 ✅
-    // - 정확한 매칭 및 부분 매칭 ✅
-    let searchQuery = supabase
-      .from('users')
-      .select('id, name, location, diving_experience, total_dives, deepest_dive, created_at')
-      .ilike('name', `%${query}%`); // 대소문자 무시 LIKE 검색
-
-    // 추가 필터 적용
-    if (location) {
-      searchQuery = searchQuery.ilike('location', `%${location}%`);
+    // 자격증은 구조화된 등록 API로 관리
+    if (updateData.certifications !== undefined) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: '자격증은 /api/certifications에서 등록/수정할 수 있습니다.'
+      });
     }
 
-    if (experience) {
-      searchQuery = searchQuery.eq('diving_experience', experience);
+    // 설정(preferences)은 객체만 허용 (기존 설정에 병합)
+    if (updateData.preferences !== undefined &&
+        (!updateData.preferences || typeof updateData.preferences !== 'object' || Array.isArray(updateData.preferences))) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'preferences는 객체여야 합니다.'
+      });
     }
 
-    // 최대 20개 결과로 제한
-    searchQuery = searchQuery.limit(20);
+    // 알림 종류별 수신 설정 검증 (preferences.notifications)
+    if (updateData.preferences?.notifications !== undefined) {
+      const preferencesError = validateNotificationPreferences(updateData.preferences.notifications);
+      if (preferencesError) {
+        return res.status(400).json({
+          error: 'Bad Request',
+          message: preferencesError
+        });
+      }
+    }
 
-    const { data: searchResults, error } = await searchQuery;
+    // 프로필 공개 범위 검증
+    if (updateData.privacy !== undefined) {
+      const privacyErrors = validateProfilePrivacy(updateData.privacy);
+      if (privacyErrors.length > 0) {
+        return res.status(400).json({
+          error: 'Bad Request',
+          message: '프로필 공개 범위 설정이 올바르지 않습니다.',
+          errors: privacyErrors,
+          defaults: DEFAULT_PROFILE_PRIVACY
+        });
+      }
+    }
+
+    // 수정 가능한 필드만 허용
+    const allowedFields = [
+      'name', 'bio', 'location', 'diving_experience',
+      'social_links', 'preferences', 'privacy'
+    ];
+
+    const filteredData = {};
+    allowedFields.forEach(field => {
+      if (updateData[field] !== undefined) {
+        filteredData[field] = updateData[field];
+      }
+    });
+
+    // 수정할 데이터가 없는 경우
+    if (Object.keys(filteredData).length === 0) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: '수정할 데이터가 없습니다.',
+        allowed_fields: allowedFields
+      });
+    }
 
-    if (error) {
-      console.error('❌ 사용자 검색 에러:', error);
-      return res.status(500).json({
-        error: 'Database Error',
-        message: '사용자 검색 중 오류가 발생했습니다.'
+    // 공개 범위는 보낸 항목만 기존 설정에 병합
+    if (filteredData.privacy) {
+      const current = await usersRepository.findById(userId, { columns: 'privacy' });
+      filteredData.privacy = { ...(current?.privacy || {}), ...filteredData.privacy };
+    }
+
+    // 설정도 보낸 항목만 병합 (알림 설정은 종류별로 병합, PUT /api/notifications/preferences와 같은 방식)
+    if (filteredData.preferences) {
+      const current = await usersRepository.findById(userId, { columns: 'preferences' });
+      const preferences = current?.preferences || {};
+      filteredData.preferences = {
+        ...preferences,
+        ...filteredData.preferences,
+        ...(filteredData.preferences.notifications && {
+          notifications: { ...(preferences.notifications || {}), ...filteredData.preferences.notifications }
+        })
+      };
+    }
+
+    // updated_at 추가
+    filteredData.updated_at = new Date().toISOString();
+
+    // 🏗️ 리포지토리가 자동 처리:
+    // - UPDATE 쿼리 실행 ✅
+    // - 수정된 데이터 반환 (없는 사용자면 null) ✅
+    const updatedUser = await usersRepository.update(userId, filteredData);
+
+    if (!updatedUser) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: '사용자를 찾을 수 없습니다.'
       });
     }
 
     res.json({
-      message: '사용자 검색 성공',
-      query: {
-        search_term: query,
-        location_filter: location || null,
-        experience_filter: experience || null
-      },
-      results: searchResults,
-      total_found: searchResults.length
+      message: '프로필 수정 성공! ✨',
+      user: updatedUser,
+      updated_fields: Object.keys(filteredData)
     });
 
   } catch (error) {
-    console.error('❌ 사용자 검색 에러:', error);
+    console.error('❌ 프로필 수정 에러:', error);
     res.status(500).json({
       error: 'Internal Server Error',
-      message: '사용자 검색 중 오류가 발생했습니다.'
+      message: '프로필 수정 중 오류가 발생했습니다.'
     });
   }
 });
@@ -9,6 +9,8 @@ require('dotenv').config();          // .env 파일의 환경변수 로드
 
 // 🗄️ Supabase 클라이언트 불러오기
 const { supabase, testConnection, getDatabaseInfo } = require('./utils/supabase');
+const { DATA_BACKEND } = require('./repositories');
+const { apiLimiter } = require('./middleware/rateLimit');
 // ============================================
 // 🚀 Express 앱 초기화
 // ============================================
@@ -20,6 +22,12 @@ const APP_NAME = process.env.APP_NAME || 'Diving Social API';
 const NODE_ENV = process.env.NODE_ENV || 'development';
 const FRONTEND_URL = process.env.FRONTEND_URL || 'http://localhost:3000';
 
+// 🌐 프록시(nginx 등) 뒤에서 실행할 때 실제 클라이언트 IP 사용 (TRUST_PROXY=1 또는 true)
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY;
+  app.set('trust proxy', /^\d+$/.test(trustProxy) ? parseInt(trustProxy) : trustProxy === 'true');
+}
+
 // ============================================
 // 🛡️ 보안 및 기본 미들웨어 설정
 // ============================================
@@ -40,11 +48,23 @@ app.use(cors({
 }));
 
 // Morgan: HTTP 요청 로그 기록 (개발 시 요청 추적에 유용)
+// - 알림 스트림 티켓(?ticket=) 등 URL의 인증 값은 로그에 남기지 않음
+morgan.token('url', (req) => req.originalUrl.replace(/(access_token|ticket)=[^&]*/g, '$1=[FILTERED]'));
 app.use(morgan('combined'));
 
+// 🚦 API 요청 제한 (읽기/쓰기 예산, 본문 파싱 전에 확인)
+app.use('/api', apiLimiter);
+
 // Body Parser: JSON 및 URL-encoded 데이터 파싱
-app.use(express.json({ limit: '10mb' }));           // JSON 형태 요청 본문 파싱
-app.use(express.urlencoded({ extended: true }));    // 폼 데이터 파싱
+// - 기본 100kb (환경변수 JSON_BODY_LIMIT), 파일은 multer 업로드 라우트로 받음
+// - 다이빙 프로필 샘플(최대 20,000개)만 큰 본문 허용
+const JSON_BODY_LIMIT = process.env.JSON_BODY_LIMIT || '100kb';
+app.use('/api/dives/:id/profile', express.json({ limit: process.env.PROFILE_BODY_LIMIT || '2mb' }));
+app.use(express.json({ limit: JSON_BODY_LIMIT }));                             // JSON 형태 요청 본문 파싱
+app.use(express.urlencoded({ extended: true, limit: JSON_BODY_LIMIT }));        // 폼 데이터 파싱
+
+// 📸 업로드된 사진/영상은 정적 공개하지 않음
+// - GET /api/dives/:id/photos/:mediaId/file 에서 다이빙 공개 범위 확인 후 제공
 
 // ============================================
 // 📍 기본 라우트 설정
@@ -68,7 +88,7 @@ app.get('/', async (req, res) => {
         jwt_expires: process.env.JWT_EXPIRES_IN || 'not set'
       },
       database: {
-        provider: 'Supabase',
+        provider: dbInfo.backend === 'memory' ? 'Memory (DATA_BACKEND=memory)' : 'Supabase',
         connected: dbInfo.connected,
         url: process.env.SUPABASE_URL ? 'configured' : 'not configured',
         ...(dbInfo.connected && { version: dbInfo.version })
@@ -163,6 +183,12 @@ app.get('/health', (req, res) => {
 app.use('/api/auth', require('./routes/auth'));     // 인증 관련
 app.use('/api/users', require('./routes/users'));   // 사용자 관련  
 app.use('/api/dives', require('./routes/dives'));   // 다이빙 기록 관련
+app.use('/api/diving-spots', require('./routes/spots')); // 다이빙 포인트 관련
+app.use('/api/buddies', require('./routes/buddies')); // 버디 요청 관련
+app.use('/api/logbook', require('./routes/logbook')); // 로그북 가져오기/내보내기
+app.use('/api/certifications', require('./routes/certifications')); // 자격증 관련
+app.use('/api/gear', require('./routes/gear'));     // 장비 인벤토리 관련
+app.use('/api/notifications', require('./routes/notifications')); // 알림 관련
 
 // 📝 임시 API 엔드포인트들 (테스트용)
 app.get('/api/test', (req, res) => {
@@ -175,19 +201,6 @@ app.get('/api/test', (req, res) => {
   });
 });
 
-// 🆕 새로운 엔드포인트 추가
-app.get('/api/diving-spots', (req, res) => {
-  res.json({
-    message: 'nodemon 테스트용 새 엔드포인트! 🏝️',
-    spots: [
-      { name: '제주도 서귀포', depth: '15m', visibility: 'good' },
-      { name: '울릉도 촛대바위', depth: '25m', visibility: 'excellent' },
-      { name: '강릉 사근진해변', depth: '10m', visibility: 'fair' }
-    ],
-    created_at: new Date().toISOString()
-  });
-});
-
 // ============================================
 // ❌ 에러 핸들링 미들웨어
 // ============================================
@@ -201,6 +214,23 @@ app.use('*', (req, res) => {
   });
 });
 
+// 400/413 에러 처리 - 잘못된 JSON 또는 너무 큰 요청 본문
+app.use((err, req, res, next) => {
+  if (err.type === 'entity.too.large') {
+    return res.status(413).json({
+      error: 'Payload Too Large',
+      message: `요청 본문이 너무 큽니다. (최대 ${err.limit} bytes)`
+    });
+  }
+  if (err.type === 'entity.parse.failed') {
+    return res.status(400).json({
+      error: 'Bad Request',
+      message: '요청 본문의 JSON 형식이 올바르지 않습니다.'
+    });
+  }
+  next(err);
+});
+
 // 500 에러 처리 - 서버 내부 오류 처리
 app.use((err, req, res, next) => {
   console.error('❌ 서버 에러:', err.stack);
@@ -218,26 +248,30 @@ app.use((err, req, res, next) => {
 
 // ============================================
 // 🚀 서버 시작 (환경변수 활용)
+// - 테스트에서 require한 경우에는 직접 listen하지 않음
 // ============================================
-app.listen(PORT, '0.0.0.0', async () => {
-  console.log('\n🎉 ====================================');
-  console.log(`🌊 ${APP_NAME} Started!`);
-  console.log(`📡 Port: ${PORT}`);
-  console.log(`🌍 Environment: ${NODE_ENV}`);
-  console.log(`🔗 URL: http://localhost:${PORT}`);
-  console.log(`🎯 Frontend: ${FRONTEND_URL}`);
-  console.log(`🔐 JWT Expires: ${process.env.JWT_EXPIRES_IN || 'not set'}`);
-  
-  // 🗄️ Supabase 연결 테스트
-  console.log('\n🗄️ Supabase 연결 확인 중...');
-  const isConnected = await testConnection();
-  if (isConnected) {
-    console.log('✅ Supabase 연결 성공!');
-  } else {
-    console.log('❌ Supabase 연결 실패 - 환경변수를 확인해주세요');
-  }
-  console.log('🎉 ====================================\n');
-});
+if (require.main === module) {
+  app.listen(PORT, '0.0.0.0', async () => {
+    console.log('\n🎉 ====================================');
+    console.log(`🌊 ${APP_NAME} Started!`);
+    console.log(`📡 Port: ${PORT}`);
+    console.log(`🌍 Environment: ${NODE_ENV}`);
+    console.log(`🔗 URL: http://localhost:${PORT}`);
+    console.log(`🎯 Frontend: ${FRONTEND_URL}`);
+    console.log(`🔐 JWT Expires: ${process.env.JWT_EXPIRES_IN || 'not set'}`);
+
+    // 🗄️ 데이터 백엔드 확인 (DATA_BACKEND: supabase | memory)
+    console.log(`\n🗄️ 데이터 백엔드: ${DATA_BACKEND}`);
+    const isConnected = await testConnection();
+    if (isConnected) {
+      console.log(`✅ ${DATA_BACKEND} 백엔드 준비 완료!`);
+    } else {
+      console.log('❌ Supabase 연결 실패 - 환경변수를 확인해주세요');
+    }
+    console.log('🎉 ====================================\n');
+  });
+}
+
 // Graceful shutdown 처리 (Ctrl+C로 종료 시 정리 작업)
 process.on('SIGINT', () => {
   console.log('\n🛑 서버를 안전하게 종료합니다...');
@@ -0,0 +1,91 @@
+// ============================================
+// 🔐 인증 흐름 테스트 (회원가입 → 로그인 → 토큰 갱신 → 로그아웃)
+// ============================================
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers');
+
+let server;
+
+before(async () => {
+  server = await startServer();
+});
+
+after(async () => {
+  await server.close();
+});
+
+test('회원가입 후 발급된 토큰으로 내 프로필을 조회할 수 있다', async () => {
+  const diver = await server.register('signup@example.com', 'Signup');
+
+  const { status, body } = await server.request('GET', '/api/auth/profile', { token: diver.token });
+  assert.equal(status, 200);
+  assert.equal(body.user.id, diver.id);
+});
+
+test('같은 이메일로 다시 가입할 수 없다', async () => {
+  await server.register('duplicate@example.com');
+
+  const { status } = await server.request('POST', '/api/auth/register', {
+    body: { email: 'duplicate@example.com', password: 'secret-pass-12', name: 'Again' }
+  });
+  assert.ok(status >= 400 && status < 500, `예상: 4xx, 실제: ${status}`);
+});
+
+test('잘못된 비밀번호로는 로그인할 수 없다', async () => {
+  const diver = await server.register('wrong-password@example.com');
+
+  const { status, body } = await server.request('POST', '/api/auth/login', {
+    body: { email: diver.email, password: 'not-the-password' }
+  });
+  assert.equal(status, 401);
+  assert.equal(body.auth, undefined);
+});
+
+test('토큰 없이 인증이 필요한 API를 호출하면 401', async () => {
+  const { status } = await server.request('GET', '/api/auth/profile');
+  assert.equal(status, 401);
+});
+
+test('refresh_token은 한 번만 사용할 수 있다', async () => {
+  const diver = await server.register('refresh@example.com');
+
+  const first = await server.request('POST', '/api/auth/refresh', {
+    body: { refresh_token: diver.refreshToken }
+  });
+  assert.equal(first.status, 200);
+  assert.ok(first.body.auth.access_token);
+
+  const reused = await server.request('POST', '/api/auth/refresh', {
+    body: { refresh_token: diver.refreshToken }
+  });
+  assert.equal(reused.status, 401);
+
+  const profile = await server.request('GET', '/api/auth/profile', { token: first.body.auth.access_token });
+  assert.equal(profile.status, 200);
+});
+
+test('로그아웃한 토큰과 refresh_token은 더 이상 사용할 수 없다', async () => {
+  const diver = await server.register('logout@example.com');
+
+  const login = await server.request('POST', '/api/auth/login', {
+    body: { email: diver.email, password: diver.password }
+  });
+  assert.equal(login.status, 200);
+  const { access_token: token, refresh_token: refreshToken } = login.body.auth;
+
+  const logout = await server.request('POST', '/api/auth/logout', { token });
+  assert.equal(logout.status, 200);
+
+  const profile = await server.request('GET', '/api/auth/profile', { token });
+  assert.equal(profile.status, 401);
+
+  const refresh = await server.request('POST', '/api/auth/refresh', {
+    body: { refresh_token: refreshToken }
+  });
+  assert.equal(refresh.status, 401);
+
+  // 다른 기기(회원가입 시 세션)는 유지
+  const otherDevice = await server.request('GET', '/api/auth/profile', { token: diver.token });
+  assert.equal(otherDevice.status, 200);
+});
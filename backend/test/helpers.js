@@ -0,0 +1,63 @@
+// ============================================
+// 🧪 테스트 공통 헬퍼
+// - DATA_BACKEND=memory로 앱을 띄우고 실제 HTTP 요청으로 검증
+// - 테스트 파일마다 별도 프로세스 (node --test) 이므로 메모리 DB도 파일별로 분리됨
+// ============================================
+process.env.DATA_BACKEND = 'memory';
+process.env.MAIL_DRIVER = 'console';
+process.env.RATE_LIMIT_ENABLED = 'false';
+process.env.NODE_ENV = 'test';
+
+const app = require('../server');
+
+// 🚀 임의 포트로 서버 시작 - 반환: { request, register, close }
+const startServer = async () => {
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  // 📡 JSON 요청 - 반환: { status, body }
+  const request = async (method, path, { body, token } = {}) => {
+    const response = await fetch(baseUrl + path, {
+      method,
+      headers: {
+        ...(body && { 'content-type': 'application/json' }),
+        ...(token && { authorization: `Bearer ${token}` })
+      },
+      body: body && JSON.stringify(body)
+    });
+    const text = await response.text();
+    let json = null;
+    try {
+      json = JSON.parse(text);
+    } catch {
+      json = text;
+    }
+    return { status: response.status, body: json };
+  };
+
+  // 👤 회원가입 - 반환: { id, email, password, token, refreshToken }
+  const register = async (email, name = email.split('@')[0]) => {
+    const password = 'secret-pass-12';
+    const { status, body } = await request('POST', '/api/auth/register', {
+      body: { email, password, name }
+    });
+    if (status !== 201) {
+      throw new Error(`회원가입 실패 (${status}): ${JSON.stringify(body)}`);
+    }
+    return {
+      id: body.user.id,
+      email,
+      password,
+      token: body.auth.access_token,
+      refreshToken: body.auth.refresh_token
+    };
+  };
+
+  const close = () => new Promise(resolve => server.close(resolve));
+
+  return { request, register, close };
+};
+
+module.exports = { startServer };
@@ -0,0 +1,38 @@
+// ============================================
+// 🔔 알림 테스트 (알림 대상 / 보낸 사람 정보)
+// ============================================
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers');
+
+let server;
+let diver;
+let follower;
+
+before(async () => {
+  server = await startServer();
+  diver = await server.register('followed@example.com', 'Followed');
+  follower = await server.register('follower@example.com', 'Follower');
+});
+
+after(async () => {
+  await server.close();
+});
+
+test('팔로우 알림에는 보낸 사람의 이름이 포함된다', async () => {
+  const follow = await server.request('POST', `/api/users/${diver.id}/follow`, { token: follower.token });
+  assert.equal(follow.status, 201);
+
+  const { status, body } = await server.request('GET', '/api/notifications', { token: diver.token });
+  assert.equal(status, 200);
+
+  const notification = body.data.find(item => item.actor_id === follower.id);
+  assert.ok(notification, '팔로우 알림이 없습니다.');
+  assert.equal(notification.actor_name, 'Follower');
+});
+
+test('알림은 받은 사람에게만 보인다', async () => {
+  const { status, body } = await server.request('GET', '/api/notifications', { token: follower.token });
+  assert.equal(status, 200);
+  assert.equal(body.data.length, 0);
+});
@@ -0,0 +1,80 @@
+// ============================================
+// 🔐 소유권 테스트 (다른 사람의 다이빙/프로필 수정·삭제 금지)
+// ============================================
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers');
+
+const DIVE = {
+  dive_type: 'scuba',
+  location_name: 'Jeju Munseom',
+  dive_date: '2024-05-02',
+  max_depth: 18,
+  duration_minutes: 40
+};
+
+let server;
+let owner;
+let other;
+let diveId;
+
+before(async () => {
+  server = await startServer();
+  owner = await server.register('owner@example.com', 'Owner');
+  other = await server.register('other@example.com', 'Other');
+
+  const { status, body } = await server.request('POST', '/api/dives/create', { body: DIVE, token: owner.token });
+  assert.equal(status, 201);
+  diveId = body.dive.id;
+});
+
+after(async () => {
+  await server.close();
+});
+
+test('다른 사람의 다이빙 기록은 수정할 수 없다', async () => {
+  const { status } = await server.request('PUT', `/api/dives/${diveId}`, {
+    body: { max_depth: 30 },
+    token: other.token
+  });
+  assert.equal(status, 403);
+
+  const { body } = await server.request('GET', `/api/dives/${diveId}`, { token: owner.token });
+  assert.equal(body.dive.max_depth, 18);
+});
+
+test('다른 사람의 다이빙 기록은 삭제할 수 없다', async () => {
+  const { status } = await server.request('DELETE', `/api/dives/${diveId}`, { token: other.token });
+  assert.equal(status, 403);
+
+  const detail = await server.request('GET', `/api/dives/${diveId}`, { token: owner.token });
+  assert.equal(detail.status, 200);
+});
+
+test('로그인하지 않으면 다이빙 기록을 수정할 수 없다', async () => {
+  const { status } = await server.request('PUT', `/api/dives/${diveId}`, { body: { max_depth: 30 } });
+  assert.equal(status, 401);
+});
+
+test('작성자는 자신의 다이빙 기록을 수정하고 삭제할 수 있다', async () => {
+  const update = await server.request('PUT', `/api/dives/${diveId}`, {
+    body: { max_depth: 21 },
+    token: owner.token
+  });
+  assert.equal(update.status, 200);
+  assert.equal(update.body.dive.max_depth, 21);
+
+  const removal = await server.request('DELETE', `/api/dives/${diveId}`, { token: owner.token });
+  assert.equal(removal.status, 200);
+
+  const detail = await server.request('GET', `/api/dives/${diveId}`, { token: owner.token });
+  assert.equal(detail.status, 404);
+});
+
+test('다른 사람의 프로필은 수정할 수 없다', async () => {
+  const { status } = await server.request('PUT', `/api/users/${owner.id}`, {
+    body: { bio: 'hacked' },
+    token: other.token
+  });
+  assert.equal(status, 403);
+});
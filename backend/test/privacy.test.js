@@ -0,0 +1,103 @@
+// ============================================
+// 🙈 공개 범위 테스트 (다이빙 visibility, 프로필 항목 공개 범위)
+// ============================================
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers');
+
+let server;
+let owner;
+let buddy;
+let stranger;
+
+// 🤝 버디 요청 + 수락
+const makeBuddies = async (requester, addressee) => {
+  const request = await server.request('POST', '/api/buddies/requests', {
+    body: { user_id: addressee.id },
+    token: requester.token
+  });
+  assert.equal(request.status, 201);
+
+  const accept = await server.request('POST', `/api/buddies/requests/${request.body.relationship.id}/accept`, {
+    token: addressee.token
+  });
+  assert.equal(accept.status, 200);
+};
+
+// 🤿 다이빙 작성 - 반환: 다이빙 ID
+const createDive = async (visibility) => {
+  const { status, body } = await server.request('POST', '/api/dives/create', {
+    body: {
+      dive_type: 'scuba',
+      location_name: `Seogwipo ${visibility}`,
+      dive_date: '2024-06-01',
+      max_depth: 20,
+      duration_minutes: 45,
+      visibility
+    },
+    token: owner.token
+  });
+  assert.equal(status, 201);
+  return body.dive.id;
+};
+
+before(async () => {
+  server = await startServer();
+  owner = await server.register('private-owner@example.com', 'Owner');
+  buddy = await server.register('buddy@example.com', 'Buddy');
+  stranger = await server.register('stranger@example.com', 'Stranger');
+  await makeBuddies(owner, buddy);
+});
+
+after(async () => {
+  await server.close();
+});
+
+test('비공개 다이빙은 작성자만 볼 수 있다', async () => {
+  const diveId = await createDive('private');
+
+  assert.equal((await server.request('GET', `/api/dives/${diveId}`, { token: owner.token })).status, 200);
+  assert.equal((await server.request('GET', `/api/dives/${diveId}`, { token: buddy.token })).status, 404);
+  assert.equal((await server.request('GET', `/api/dives/${diveId}`, { token: stranger.token })).status, 404);
+  assert.equal((await server.request('GET', `/api/dives/${diveId}`)).status, 404);
+});
+
+test('버디 공개 다이빙은 버디에게만 보인다', async () => {
+  const diveId = await createDive('buddies');
+
+  assert.equal((await server.request('GET', `/api/dives/${diveId}`, { token: buddy.token })).status, 200);
+  assert.equal((await server.request('GET', `/api/dives/${diveId}`, { token: stranger.token })).status, 404);
+});
+
+test('다이빙 목록에는 볼 수 있는 다이빙만 포함된다', async () => {
+  const publicId = await createDive('public');
+  const privateId = await createDive('private');
+
+  const { status, body } = await server.request('GET', `/api/dives/list?user_id=${owner.id}&limit=100`, {
+    token: stranger.token
+  });
+  assert.equal(status, 200);
+
+  const ids = body.data.map(dive => dive.id);
+  assert.ok(ids.includes(publicId));
+  assert.ok(!ids.includes(privateId));
+});
+
+test('프로필 항목 공개 범위가 보는 사람에 따라 적용된다', async () => {
+  const update = await server.request('PUT', `/api/users/${owner.id}`, {
+    body: { bio: 'Buddies only bio', privacy: { bio: 'buddies' } },
+    token: owner.token
+  });
+  assert.equal(update.status, 200);
+
+  const asBuddy = await server.request('GET', `/api/users/${owner.id}`, { token: buddy.token });
+  assert.equal(asBuddy.body.user.bio, 'Buddies only bio');
+
+  const asStranger = await server.request('GET', `/api/users/${owner.id}`, { token: stranger.token });
+  assert.equal(asStranger.status, 200);
+  assert.ok(!asStranger.body.user.bio);
+
+  // 이메일과 설정값은 기본적으로 본인에게만 공개
+  assert.ok(!asStranger.body.user.email);
+  assert.ok(!asStranger.body.user.preferences);
+});
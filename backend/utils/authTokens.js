@@ -0,0 +1,99 @@
+// ============================================
+// 🎟️ 일회용 인증 토큰 (이메일 인증 / 비밀번호 재설정)
+// - 원문 토큰은 메일로만 전달하고 DB에는 SHA-256 해시만 저장
+// - 새 토큰을 만들면 같은 용도의 이전 토큰은 사용 불가
+// ============================================
+// 📋 필요한 테이블 (Supabase SQL Editor에서 생성)
+//
+// create table auth_tokens (
+//   id uuid primary key default gen_random_uuid(),
+//   user_id uuid not null references users(id) on delete cascade,
+//   purpose text not null,             -- email_verification | password_reset
+//   token_hash text not null unique,
+//   expires_at timestamptz not null,
+//   used_at timestamptz,
+//   created_at timestamptz default now()
+// );
+// create index auth_tokens_user_idx on auth_tokens (user_id, purpose);
+//
+// alter table users add column email_verified_at timestamptz;
+// ============================================
+const crypto = require('crypto');
+const { supabase } = require('./supabase');
+
+// 토큰 용도별 유효 시간
+const TOKEN_PURPOSES = {
+  EMAIL_VERIFICATION: 'email_verification',
+  PASSWORD_RESET: 'password_reset'
+};
+
+const TOKEN_TTL_HOURS = {
+  [TOKEN_PURPOSES.EMAIL_VERIFICATION]: 24,
+  [TOKEN_PURPOSES.PASSWORD_RESET]: 1
+};
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// 🆕 토큰 발급 (원문 토큰 반환)
+const createAuthToken = async (userId, purpose) => {
+  const now = new Date();
+
+  // 아직 쓰지 않은 이전 토큰 무효화
+  const { error: revokeError } = await supabase
+    .from('auth_tokens')
+    .update({ used_at: now.toISOString() })
+    .eq('user_id', userId)
+    .eq('purpose', purpose)
+    .is('used_at', null);
+
+  if (revokeError) {
+    throw revokeError;
+  }
+
+  const token = crypto.randomBytes(32).toString('base64url');
+  const expiresAt = new Date(now.getTime() + TOKEN_TTL_HOURS[purpose] * 60 * 60 * 1000);
+
+  const { error } = await supabase
+    .from('auth_tokens')
+    .insert([{
+      user_id: userId,
+      purpose,
+      token_hash: hashToken(token),
+      expires_at: expiresAt.toISOString()
+    }]);
+
+  if (error) {
+    throw error;
+  }
+
+  return token;
+};
+
+// ✅ 토큰 사용 (유효하면 토큰 행 반환, 아니면 null)
+// - used_at이 비어 있을 때만 갱신하므로 동시에 두 번 사용해도 한 번만 성공
+const consumeAuthToken = async (token, purpose) => {
+  if (typeof token !== 'string' || !token) return null;
+
+  const { data, error } = await supabase
+    .from('auth_tokens')
+    .update({ used_at: new Date().toISOString() })
+    .eq('token_hash', hashToken(token))
+    .eq('purpose', purpose)
+    .is('used_at', null)
+    .gt('expires_at', new Date().toISOString())
+    .select('id, user_id, purpose, expires_at');
+
+  if (error) {
+    throw error;
+  }
+
+  return data[0] || null;
+};
+
+// 내보내기
+module.exports = {
+  TOKEN_PURPOSES,     // 토큰 용도
+  TOKEN_TTL_HOURS,    // 용도별 유효 시간
+  createAuthToken,    // 토큰 발급
+  consumeAuthToken    // 토큰 사용
+};
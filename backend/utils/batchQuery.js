@@ -0,0 +1,53 @@
+// ============================================
+// 🧺 대량 조회 유틸리티
+// - PostgREST max-rows 제한과 URL 길이 제한을 넘지 않도록 나눠서 조회
+// ============================================
+
+// 한 번에 가져오는 최대 행 수 (PostgREST 기본 max-rows)
+const PAGE_SIZE = 1000;
+
+// .in() 한 번에 넣는 최대 ID 수 (UUID 36자 기준 약 7KB)
+const ID_BATCH_SIZE = 150;
+
+// 📄 모든 페이지 조회
+// - buildQuery: 매 페이지마다 새 쿼리를 만드는 함수 (정렬 조건 포함)
+const fetchAllPages = async (buildQuery, pageSize = PAGE_SIZE) => {
+  const rows = [];
+
+  for (let offset = 0; ; offset += pageSize) {
+    const { data, error } = await buildQuery().range(offset, offset + pageSize - 1);
+
+    if (error) {
+      throw error;
+    }
+    rows.push(...(data || []));
+    if (!data || data.length < pageSize) break;
+  }
+
+  return rows;
+};
+
+// 🧩 ID 목록을 나눠서 조회 후 합치기
+// - fetchBatch: ID 일부를 받아 { data, error } 를 반환하는 함수
+const fetchInBatches = async (ids, fetchBatch, batchSize = ID_BATCH_SIZE) => {
+  const rows = [];
+
+  for (let i = 0; i < ids.length; i += batchSize) {
+    const { data, error } = await fetchBatch(ids.slice(i, i + batchSize));
+
+    if (error) {
+      throw error;
+    }
+    rows.push(...(data || []));
+  }
+
+  return rows;
+};
+
+// 내보내기
+module.exports = {
+  PAGE_SIZE,        // 페이지 크기
+  ID_BATCH_SIZE,    // ID 묶음 크기
+  fetchAllPages,    // 전체 페이지 조회
+  fetchInBatches    // ID 묶음 조회
+};
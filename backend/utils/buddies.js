@@ -0,0 +1,63 @@
+// ============================================
+// 🤝 버디 관계 유틸리티
+// ============================================
+const { supabase } = require('./supabase');
+
+// 관계 상태
+const BUDDY_STATUS = {
+  PENDING: 'pending',
+  ACCEPTED: 'accepted',
+  DECLINED: 'declined'
+};
+
+// UUID 형식 (.or() 필터 문자열에 넣기 전에 확인)
+const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+const isUuid = (value) => typeof value === 'string' && uuidRegex.test(value);
+
+// 🔍 두 사용자 사이의 관계 조회 (방향 무관, 없으면 null)
+const findRelationship = async (userA, userB) => {
+  if (!isUuid(userA) || !isUuid(userB)) return null;
+
+  const { data, error } = await supabase
+    .from('buddy_relationships')
+    .select('*')
+    .or(`and(requester_id.eq.${userA},addressee_id.eq.${userB}),and(requester_id.eq.${userB},addressee_id.eq.${userA})`)
+    .maybeSingle();
+
+  if (error) {
+    throw error;
+  }
+  return data;
+};
+
+// 👥 수락된 버디의 사용자 ID 목록
+const getBuddyIds = async (userId) => {
+  if (!isUuid(userId)) return [];
+
+  const { data, error } = await supabase
+    .from('buddy_relationships')
+    .select('requester_id, addressee_id, responded_at')
+    .eq('status', BUDDY_STATUS.ACCEPTED)
+    .or(`requester_id.eq.${userId},addressee_id.eq.${userId}`)
+    .order('responded_at', { ascending: false });
+
+  if (error) {
+    throw error;
+  }
+
+  return data.map(rel => (rel.requester_id === userId ? rel.addressee_id : rel.requester_id));
+};
+
+// ✅ 두 사용자가 버디인지 확인
+const areBuddies = async (userA, userB) => {
+  const relationship = await findRelationship(userA, userB);
+  return relationship?.status === BUDDY_STATUS.ACCEPTED;
+};
+
+// 내보내기
+module.exports = {
+  BUDDY_STATUS,       // 관계 상태
+  findRelationship,   // 관계 조회
+  getBuddyIds,        // 버디 ID 목록
+  areBuddies          // 버디 여부
+};
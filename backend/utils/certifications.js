@@ -0,0 +1,321 @@
+// ============================================
+// 🎓 다이빙 자격증 유틸리티
+// - 단체/레벨 카탈로그, 자격증 검증, 다이빙 수심/기체 경고
+// ============================================
+const crypto = require('crypto');
+const sharp = require('sharp');
+const { supabase } = require('./supabase');
+const { getStorage } = require('./storage');
+
+// 기체 자격 (상위 자격은 하위 기체 포함)
+const GAS_LEVELS = ['air', 'nitrox', 'advanced_nitrox', 'trimix', 'hypoxic_trimix'];
+
+// ============================================
+// 📚 단체별 레벨 카탈로그
+// - max_depth: 해당 레벨의 권장 최대 수심 (m), null이면 수심 제한을 바꾸지 않는 자격
+// - gas: 사용할 수 있는 기체 자격 (없으면 기체 자격 없음)
+// ============================================
+const scuba = (name, maxDepth, gas = 'air') => ({ name, dive_type: 'scuba', max_depth: maxDepth, gas });
+const freediving = (name, maxDepth) => ({ name, dive_type: 'freediving', max_depth: maxDepth, gas: null });
+
+const CERTIFICATION_CATALOG = {
+  PADI: {
+    scuba_diver: scuba('Scuba Diver', 12),
+    open_water: scuba('Open Water Diver', 18),
+    advanced_open_water: scuba('Advanced Open Water Diver', 30),
+    rescue: scuba('Rescue Diver', 30),
+    deep: scuba('Deep Diver', 40),
+    divemaster: scuba('Divemaster', 40),
+    instructor: scuba('Open Water Scuba Instructor', 40),
+    enriched_air: scuba('Enriched Air (Nitrox) Diver', null, 'nitrox'),
+    tec_40: scuba('Tec 40', 40, 'advanced_nitrox'),
+    tec_50: scuba('Tec 50', 50, 'advanced_nitrox'),
+    tec_trimix_65: scuba('Tec Trimix 65', 65, 'trimix'),
+    tec_trimix: scuba('Tec Trimix', 90, 'hypoxic_trimix'),
+    freediver: freediving('Freediver', 16),
+    advanced_freediver: freediving('Advanced Freediver', 24),
+    master_freediver: freediving('Master Freediver', 32)
+  },
+  SSI: {
+    open_water: scuba('Open Water Diver', 18),
+    advanced_adventurer: scuba('Advanced Adventurer', 30),
+    deep: scuba('Deep Diving', 40),
+    divemaster: scuba('Dive Guide / Divemaster', 40),
+    enriched_air: scuba('Enriched Air Nitrox', null, 'nitrox'),
+    extended_range_nitrox: scuba('XR Extended Range Nitrox', 45, 'advanced_nitrox'),
+    extended_range_trimix: scuba('XR Extended Range Trimix', 60, 'trimix'),
+    hypoxic_trimix: scuba('XR Hypoxic Trimix', 100, 'hypoxic_trimix'),
+    freediving_level_1: freediving('Freediving Level 1', 20),
+    freediving_level_2: freediving('Freediving Level 2', 30),
+    freediving_level_3: freediving('Freediving Level 3', 40)
+  },
+  NAUI: {
+    scuba_diver: scuba('Scuba Diver', 18),
+    advanced_scuba_diver: scuba('Advanced Scuba Diver', 30),
+    master_scuba_diver: scuba('Master Scuba Diver', 40),
+    nitrox: scuba('Nitrox Diver', null, 'nitrox'),
+    technical_nitrox: scuba('Technical Nitrox Diver', 45, 'advanced_nitrox'),
+    trimix: scuba('Trimix Diver', 60, 'trimix')
+  },
+  CMAS: {
+    one_star: scuba('1 Star Diver', 20),
+    two_star: scuba('2 Star Diver', 30),
+    three_star: scuba('3 Star Diver', 40),
+    nitrox: scuba('Nitrox Diver', null, 'nitrox'),
+    advanced_nitrox: scuba('Advanced Nitrox Diver', 40, 'advanced_nitrox'),
+    normoxic_trimix: scuba('Normoxic Trimix Diver', 60, 'trimix'),
+    freediver_one_star: freediving('1 Star Freediver', 12),
+    freediver_two_star: freediving('2 Star Freediver', 20),
+    freediver_three_star: freediving('3 Star Freediver', 30),
+    freediver_four_star: freediving('4 Star Freediver', 40)
+  },
+  TDI: {
+    nitrox: scuba('Nitrox Diver', null, 'nitrox'),
+    advanced_nitrox: scuba('Advanced Nitrox Diver', 45, 'advanced_nitrox'),
+    decompression: scuba('Decompression Procedures Diver', 45, 'advanced_nitrox'),
+    entry_level_trimix: scuba('Entry Level Trimix Diver', 60, 'trimix'),
+    advanced_trimix: scuba('Advanced Trimix Diver', 100, 'hypoxic_trimix')
+  },
+  AIDA: {
+    aida_1: freediving('AIDA 1 Freediver', 5),
+    aida_2: freediving('AIDA 2 Freediver', 20),
+    aida_3: freediving('AIDA 3 Advanced Freediver', 30),
+    aida_4: freediving('AIDA 4 Master Freediver', 40)
+  },
+  Molchanovs: {
+    wave_1: freediving('Wave 1', 20),
+    wave_2: freediving('Wave 2', 30),
+    wave_3: freediving('Wave 3', 40)
+  }
+};
+const AGENCIES = Object.keys(CERTIFICATION_CATALOG);
+
+// 카드 이미지 설정
+const CARD_IMAGE_MIME_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+const MAX_CARD_IMAGE_MB = 10;
+const CARD_IMAGE_WIDTH = 1600;
+
+// 레벨 정보 조회 (없으면 null)
+const getLevel = (agency, level) => CERTIFICATION_CATALOG[agency]?.[level] || null;
+
+// ============================================
+// 🧪 자격증 검증 + 정규화
+// - partial: 수정(PUT) 시 전달된 필드만 검증
+// - 반환: { certification, errors }
+// ============================================
+const validateCertification = (input = {}, { partial = false, current = {} } = {}) => {
+  const errors = [];
+  const certification = {};
+
+  const agency = input.agency !== undefined ? input.agency : current.agency;
+  const level = input.level !== undefined ? input.level : current.level;
+
+  if (input.agency !== undefined || input.level !== undefined || !partial) {
+    if (!CERTIFICATION_CATALOG[agency]) {
+      errors.push(`agency는 ${AGENCIES.join(', ')} 중 하나여야 합니다.`);
+    } else if (!getLevel(agency, level)) {
+      errors.push(`${agency}의 level은 ${Object.keys(CERTIFICATION_CATALOG[agency]).join(', ')} 중 하나여야 합니다.`);
+    } else {
+      certification.agency = agency;
+      certification.level = level;
+      certification.dive_type = getLevel(agency, level).dive_type;
+    }
+  }
+
+  if (input.certification_number !== undefined) {
+    certification.certification_number = input.certification_number
+      ? String(input.certification_number).trim().slice(0, 50)
+      : null;
+  }
+
+  if (input.issue_date !== undefined) {
+    const dateRegex = /^\d{4}-\d{2}-\d{2}$/;
+    if (input.issue_date && (!dateRegex.test(input.issue_date) || isNaN(Date.parse(input.issue_date)))) {
+      errors.push('issue_date는 YYYY-MM-DD 형식이어야 합니다.');
+    } else if (input.issue_date && input.issue_date > new Date().toISOString().slice(0, 10)) {
+      errors.push('issue_date는 미래 날짜일 수 없습니다.');
+    } else {
+      certification.issue_date = input.issue_date || null;
+    }
+  }
+
+  return { certification, errors };
+};
+
+// 응답에 포함하는 자격증 컬럼 (번호/카드 이미지 경로는 제외)
+const PUBLIC_CERTIFICATION_FIELDS = ['id', 'user_id', 'agency', 'level', 'dive_type', 'issue_date', 'created_at', 'updated_at'];
+
+// 본인 카드 이미지 URL (저장소 경로 대신 본인 확인 API로 제공)
+const cardImageUrl = (certification) => `/api/certifications/${certification.id}/card`;
+
+// ============================================
+// 📋 자격증에 카탈로그 정보 추가
+// - owner: 본인에게만 자격증 번호 + 카드 이미지 URL 포함
+// ============================================
+const describeCertification = (certification, { owner = false } = {}) => {
+  const level = getLevel(certification.agency, certification.level);
+  const described = {};
+  PUBLIC_CERTIFICATION_FIELDS.forEach(field => {
+    if (certification[field] !== undefined) described[field] = certification[field];
+  });
+
+  Object.assign(described, {
+    level_name: level?.name || certification.level,
+    max_depth: level?.max_depth ?? null,
+    gas: level?.gas || null
+  });
+
+  if (owner) {
+    described.certification_number = certification.certification_number ?? null;
+    described.card_image_url = certification.card_image_path ? cardImageUrl(certification) : null;
+  }
+  return described;
+};
+
+// ============================================
+// 🏅 사용자의 자격 요약 (종류별 최대 수심, 최고 기체 자격)
+// ============================================
+const summarizeCertifications = (certifications) => {
+  const summary = {
+    scuba_max_depth: null,
+    freediving_max_depth: null,
+    gas: null
+  };
+
+  certifications.forEach(certification => {
+    const level = getLevel(certification.agency, certification.level);
+    if (!level) return;
+
+    const key = `${level.dive_type}_max_depth`;
+    if (level.max_depth !== null && (summary[key] === null || level.max_depth > summary[key])) {
+      summary[key] = level.max_depth;
+    }
+    if (level.gas && GAS_LEVELS.indexOf(level.gas) > GAS_LEVELS.indexOf(summary.gas)) {
+      summary.gas = level.gas;
+    }
+  });
+
+  // 스쿠버 자격이 있으면 공기는 기본
+  if (summary.scuba_max_depth !== null && !summary.gas) {
+    summary.gas = 'air';
+  }
+
+  return summary;
+};
+
+// 🫧 기체에 필요한 자격 (o2/he: 비율)
+const requiredGasLevel = (tank) => {
+  const o2 = Number(tank.o2) || 0.21;
+  const he = Number(tank.he) || 0;
+  if (he > 0) return o2 < 0.18 ? 'hypoxic_trimix' : 'trimix';
+  if (o2 > 0.40) return 'advanced_nitrox';
+  if (o2 > 0.22) return 'nitrox';
+  return 'air';
+};
+
+// ============================================
+// ⚠️ 다이빙이 자격 범위를 넘는지 확인
+// - dive: { dive_type, max_depth }, tanks: [{ o2, he }]
+// - 반환: 경고 메시지 배열 (생성을 막지는 않음)
+// ============================================
+const checkDiveAgainstCertifications = (certifications, dive, tanks = []) => {
+  const warnings = [];
+  const summary = summarizeCertifications(certifications);
+  const typeName = dive.dive_type === 'freediving' ? '프리다이빙' : '스쿠버';
+  const certifiedDepth = summary[`${dive.dive_type}_max_depth`];
+
+  if (certifiedDepth === null) {
+    warnings.push(`등록된 ${typeName} 자격증이 없습니다.`);
+  } else if (Number(dive.max_depth) > certifiedDepth) {
+    warnings.push(`최대 수심 ${dive.max_depth}m가 ${typeName} 자격 수심(${certifiedDepth}m)을 넘습니다.`);
+  }
+
+  if (dive.dive_type === 'scuba') {
+    tanks.forEach(tank => {
+      const required = requiredGasLevel(tank);
+      if (GAS_LEVELS.indexOf(required) > GAS_LEVELS.indexOf(summary.gas || 'air')) {
+        warnings.push(`${tank.gas || required} 기체를 사용하려면 ${required} 자격이 필요합니다.`);
+      }
+    });
+  }
+
+  return warnings;
+};
+
+// 🔍 사용자의 자격증 목록
+const getUserCertifications = async (userId) => {
+  const { data, error } = await supabase
+    .from('certifications')
+    .select('*')
+    .eq('user_id', userId)
+    .order('issue_date', { ascending: false });
+
+  if (error) {
+    throw error;
+  }
+  return data || [];
+};
+
+// ============================================
+// 🖼️ 카드 이미지 저장 (방향 보정 + 리사이즈, EXIF 제거)
+// ============================================
+const storeCardImage = async (file, { userId, certificationId }) => {
+  if (!CARD_IMAGE_MIME_TYPES.includes(file.mimetype)) {
+    const invalid = new Error(`지원하지 않는 이미지 형식입니다 (${file.mimetype}).`);
+    invalid.status = 400;
+    throw invalid;
+  }
+
+  let buffer;
+  try {
+    buffer = await sharp(file.buffer)
+      .rotate()
+      .resize({ width: CARD_IMAGE_WIDTH, withoutEnlargement: true })
+      .jpeg({ quality: 85 })
+      .toBuffer();
+  } catch (error) {
+    const invalid = new Error('이미지를 읽을 수 없습니다.');
+    invalid.status = 400;
+    throw invalid;
+  }
+
+  const storage = getStorage();
+  const saved = await storage.save(
+    `${userId}/certifications/${certificationId}_${crypto.randomUUID()}.jpg`,
+    buffer,
+    'image/jpeg'
+  );
+
+  return {
+    card_image_path: saved.path,
+    card_image_url: cardImageUrl({ id: certificationId }),
+    card_storage_backend: storage.name
+  };
+};
+
+// 📥 카드 이미지 읽기 (본인 확인은 라우트에서)
+const readCardImage = (certification) => getStorage().read(certification.card_image_path);
+
+// 🗑️ 카드 이미지 삭제
+const removeCardImage = async (certification) => {
+  if (certification.card_image_path) {
+    await getStorage().remove([certification.card_image_path]);
+  }
+};
+
+// 내보내기
+module.exports = {
+  CERTIFICATION_CATALOG,            // 단체별 레벨 카탈로그
+  AGENCIES,                         // 단체 목록
+  GAS_LEVELS,                       // 기체 자격 단계
+  MAX_CARD_IMAGE_MB,                // 카드 이미지 최대 크기
+  getLevel,                         // 레벨 정보
+  validateCertification,            // 자격증 검증
+  describeCertification,            // 카탈로그 정보 추가
+  summarizeCertifications,          // 자격 요약
+  checkDiveAgainstCertifications,   // 다이빙 경고
+  getUserCertifications,            // 자격증 조회
+  storeCardImage,                   // 카드 이미지 저장
+  readCardImage,                    // 카드 이미지 읽기
+  removeCardImage                   // 카드 이미지 삭제
+};
@@ -0,0 +1,178 @@
+// ============================================
+// 📄 CSV 다이빙 기록 파싱 (컬럼 매핑 지원)
+// ============================================
+const { parse } = require('csv-parse/sync');
+const { parseMeasurement, parseDurationMinutes, normalizeDate } = require('./diveImport');
+
+// 매핑 가능한 다이빙 필드와 값 변환 방식
+const FIELD_PARSERS = {
+  dive_type: (value) => String(value).trim().toLowerCase(),
+  location_name: (value) => String(value).trim(),
+  country: (value) => String(value).trim(),
+  latitude: parseMeasurement,
+  longitude: parseMeasurement,
+  dive_date: normalizeDate,
+  duration_minutes: parseDurationMinutes,
+  max_depth: parseMeasurement,
+  average_depth: parseMeasurement,
+  water_temperature: parseMeasurement,
+  visibility_meters: parseMeasurement,
+  weather: (value) => String(value).trim(),
+  current_strength: (value) => String(value).trim(),
+  air_consumption: parseMeasurement,
+  safety_buddy_name: (value) => String(value).trim(),
+  notes: (value) => String(value),
+  rating: parseMeasurement
+};
+
+const MAPPABLE_FIELDS = Object.keys(FIELD_PARSERS);
+
+// 숫자로 변환해야 하는 필드 (변환 실패 시 행 에러)
+const NUMERIC_FIELDS = [
+  'latitude', 'longitude', 'duration_minutes', 'max_depth', 'average_depth',
+  'water_temperature', 'visibility_meters', 'air_consumption', 'rating'
+];
+
+// 자동 매핑용 헤더 별칭 (소문자, 공백/기호 제거 후 비교)
+const HEADER_ALIASES = {
+  dive_type: ['divetype', 'type', 'mode', '다이빙타입', '종류'],
+  location_name: ['locationname', 'location', 'site', 'divesite', 'spot', '장소', '포인트'],
+  country: ['country', '국가'],
+  latitude: ['latitude', 'lat', '위도'],
+  longitude: ['longitude', 'lng', 'lon', '경도'],
+  dive_date: ['divedate', 'date', '날짜'],
+  duration_minutes: ['durationminutes', 'duration', 'divetime', 'bottomtime', 'time', '시간'],
+  max_depth: ['maxdepth', 'maxdepthm', 'depth', 'maximumdepth', '최대수심', '수심'],
+  average_depth: ['averagedepth', 'avgdepth', 'meandepth', '평균수심'],
+  water_temperature: ['watertemperature', 'watertemp', 'temperature', 'temp', '수온'],
+  visibility_meters: ['visibilitymeters', 'visibility', 'vis', '시야'],
+  weather: ['weather', '날씨'],
+  current_strength: ['currentstrength', 'current', '조류'],
+  air_consumption: ['airconsumption', 'airused', '공기소모량'],
+  safety_buddy_name: ['safetybuddyname', 'buddy', 'buddyname', '버디'],
+  notes: ['notes', 'note', 'comments', 'memo', '메모'],
+  rating: ['rating', 'stars', '평점']
+};
+
+const normalizeHeader = (header) => String(header).toLowerCase().replace(/[^a-z0-9가-힣]/g, '');
+
+// 📐 헤더 → 필드 자동 매핑
+const buildAutoMapping = (headers) => {
+  const mapping = {};
+  const usedFields = new Set();
+
+  headers.forEach(header => {
+    const normalized = normalizeHeader(header);
+    const field = Object.keys(HEADER_ALIASES).find(
+      candidate => !usedFields.has(candidate) && HEADER_ALIASES[candidate].includes(normalized)
+    );
+    if (field) {
+      mapping[header] = field;
+      usedFields.add(field);
+    }
+  });
+
+  return mapping;
+};
+
+// 🧪 사용자 지정 매핑 검증 ({ "CSV 헤더": "다이빙 필드" })
+const validateMapping = (mapping, headers) => {
+  const errors = [];
+
+  Object.entries(mapping).forEach(([header, field]) => {
+    if (!headers.includes(header)) {
+      errors.push(`CSV에 '${header}' 컬럼이 없습니다.`);
+    }
+    if (!MAPPABLE_FIELDS.includes(field)) {
+      errors.push(`'${field}'는 매핑할 수 없는 필드입니다.`);
+    }
+  });
+
+  const targets = Object.values(mapping);
+  const duplicated = targets.filter((field, i) => targets.indexOf(field) !== i);
+  if (duplicated.length > 0) {
+    errors.push(`같은 필드에 여러 컬럼이 매핑되었습니다: ${[...new Set(duplicated)].join(', ')}`);
+  }
+
+  return errors;
+};
+
+// ============================================
+// 📥 CSV 문자열 → 가져오기 후보 목록
+// - options.mapping: 사용자 지정 컬럼 매핑 (없으면 자동 매핑)
+// - options.defaultDiveType: dive_type 컬럼이 없을 때 사용할 값
+// ============================================
+const parseDiveCsv = (content, { mapping, defaultDiveType = 'scuba', delimiter } = {}) => {
+  let rows;
+  try {
+    rows = parse(content, {
+      bom: true,
+      columns: true,
+      skip_empty_lines: true,
+      trim: true,
+      relax_column_count: true,
+      ...(delimiter && { delimiter })
+    });
+  } catch (error) {
+    const invalid = new Error(`CSV 파일을 읽을 수 없습니다: ${error.message}`);
+    invalid.status = 400;
+    throw invalid;
+  }
+
+  const headers = rows.length > 0 ? Object.keys(rows[0]) : [];
+  const columnMapping = mapping || buildAutoMapping(headers);
+
+  const mappingErrors = mapping ? validateMapping(mapping, headers) : [];
+  if (mappingErrors.length > 0) {
+    const invalid = new Error('컬럼 매핑이 올바르지 않습니다.');
+    invalid.status = 400;
+    invalid.details = mappingErrors;
+    throw invalid;
+  }
+
+  const candidates = rows.map((row, index) => {
+    const errors = [];
+    const values = {};
+
+    Object.entries(columnMapping).forEach(([header, field]) => {
+      const raw = row[header];
+      if (raw === undefined || raw === '') return;
+
+      const parsed = FIELD_PARSERS[field](raw);
+      if (parsed === null || parsed === '' || (NUMERIC_FIELDS.includes(field) && !Number.isFinite(parsed))) {
+        errors.push(`${header}(${field}) 값을 해석할 수 없습니다: '${raw}'`);
+        return;
+      }
+      values[field] = parsed;
+    });
+
+    const { latitude, longitude, ...data } = values;
+
+    return {
+      index,
+      label: `CSV row ${index + 2}`, // 헤더가 1행
+      data: {
+        ...data,
+        dive_type: data.dive_type || defaultDiveType,
+        coordinates: latitude !== undefined && longitude !== undefined
+          ? { lat: latitude, lng: longitude }
+          : null
+      },
+      errors
+    };
+  });
+
+  return {
+    headers,
+    mapping: columnMapping,
+    unmapped_headers: headers.filter(header => !columnMapping[header]),
+    candidates
+  };
+};
+
+// 내보내기
+module.exports = {
+  MAPPABLE_FIELDS,     // 매핑 가능한 필드
+  buildAutoMapping,    // 자동 매핑
+  parseDiveCsv         // CSV 파싱
+};
@@ -0,0 +1,348 @@
+// ============================================
+// 🫧 감압 계산 (Bühlmann ZHL-16C + Gradient Factor)
+// - 같은 날 다이빙의 조직 질소/헬륨 축적, NDL, 감압 정지 계산
+// - 수심 프로필 샘플이 있으면 샘플 기준, 없으면 사각 프로필로 근사
+// ============================================
+
+// ZHL-16C 계수 (1b 구획 포함)
+const N2_HALF_TIMES = [5.0, 8.0, 12.5, 18.5, 27.0, 38.3, 54.3, 77.0, 109.0, 146.0, 187.0, 239.0, 305.0, 390.0, 498.0, 635.0];
+const N2_A = [1.1696, 1.0, 0.8618, 0.7562, 0.62, 0.5043, 0.441, 0.4, 0.375, 0.35, 0.3295, 0.3065, 0.2835, 0.261, 0.248, 0.2327];
+const N2_B = [0.5578, 0.6514, 0.7222, 0.7825, 0.8126, 0.8434, 0.8693, 0.891, 0.9092, 0.9222, 0.9319, 0.9403, 0.9477, 0.9544, 0.9602, 0.9653];
+const HE_HALF_TIMES = [1.88, 3.02, 4.72, 6.99, 10.21, 14.48, 20.53, 29.11, 41.2, 55.19, 70.69, 90.34, 115.29, 147.42, 188.24, 240.03];
+const HE_A = [1.6189, 1.383, 1.1919, 1.0458, 0.922, 0.8205, 0.7305, 0.6502, 0.595, 0.5545, 0.5333, 0.5189, 0.5181, 0.5176, 0.5172, 0.5119];
+const HE_B = [0.477, 0.5747, 0.6527, 0.7223, 0.7582, 0.7957, 0.8279, 0.8553, 0.8757, 0.8903, 0.8997, 0.9073, 0.9122, 0.9171, 0.9217, 0.9267];
+
+// 압력 상수 (bar)
+const SURFACE_PRESSURE = 1.01325;
+const WATER_VAPOR_PRESSURE = 0.0627;
+const METERS_PER_BAR = 10;
+
+// 기본 설정
+const DEFAULT_GF_LOW = parseInt(process.env.DECO_GF_LOW) || 30;
+const DEFAULT_GF_HIGH = parseInt(process.env.DECO_GF_HIGH) || 85;
+const DESCENT_RATE = 18;            // m/min
+const ASCENT_RATE = 9;              // m/min
+const STOP_INTERVAL = 3;            // 감압 정지 간격 (m)
+const LAST_STOP_DEPTH = 3;          // 마지막 정지 수심 (m)
+const MAX_NDL_MINUTES = 240;        // 이 이상이면 사실상 무제한
+const MAX_STOP_MINUTES = 999;
+const MAX_SIMULATION_MINUTES = 24 * 60;  // 시뮬레이션할 수 있는 최대 다이빙 시간 (1분 단위 계산)
+const MAX_SIMULATION_DEPTH = 350;        // 시뮬레이션할 수 있는 최대 수심 (m)
+const DEFAULT_SURFACE_INTERVAL_MINUTES = 60;  // 입수 시간이 없을 때 가정하는 수면 휴식
+
+const AIR = { o2: 0.21, he: 0 };
+
+const round1 = (value) => Math.round(value * 10) / 10;
+const ambientPressure = (depth) => SURFACE_PRESSURE + depth / METERS_PER_BAR;
+const inspired = (pressure, fraction) => Math.max(pressure - WATER_VAPOR_PRESSURE, 0) * fraction;
+
+// 🧪 기체 정규화 (퍼센트/비율 모두 허용, 없으면 공기)
+const normalizeGas = (gas = {}) => {
+  const toFraction = (value, fallback) => {
+    const number = Number(value);
+    if (value === undefined || value === null || value === '' || !Number.isFinite(number)) return fallback;
+    return number > 1 ? number / 100 : number;
+  };
+  const o2 = toFraction(gas.o2, AIR.o2);
+  const he = toFraction(gas.he, AIR.he);
+  return { o2, he, n2: Math.max(1 - o2 - he, 0) };
+};
+
+// 🧪 GF 검증 (1~100, low ≤ high) - 반환: { gfLow, gfHigh, errors }
+const parseGradientFactors = (low, high) => {
+  const gfLow = low !== undefined && low !== '' ? Number(low) : DEFAULT_GF_LOW;
+  const gfHigh = high !== undefined && high !== '' ? Number(high) : DEFAULT_GF_HIGH;
+  const errors = [];
+
+  if (!Number.isInteger(gfLow) || gfLow < 1 || gfLow > 100) errors.push('gf_low는 1~100 사이 정수여야 합니다.');
+  if (!Number.isInteger(gfHigh) || gfHigh < 1 || gfHigh > 100) errors.push('gf_high는 1~100 사이 정수여야 합니다.');
+  if (errors.length === 0 && gfLow > gfHigh) errors.push('gf_low는 gf_high보다 클 수 없습니다.');
+
+  return { gfLow, gfHigh, errors };
+};
+
+// ============================================
+// 🧬 조직 상태
+// ============================================
+
+// 수면 평형 상태 (공기)
+const createTissues = () => {
+  const n2 = inspired(SURFACE_PRESSURE, 1 - AIR.o2);
+  return {
+    n2: N2_HALF_TIMES.map(() => n2),
+    he: HE_HALF_TIMES.map(() => 0)
+  };
+};
+
+const cloneTissues = (tissues) => ({ n2: [...tissues.n2], he: [...tissues.he] });
+
+// 📈 구간 로딩 (Schreiner 식: 수심이 선형으로 변하는 구간)
+const loadSegment = (tissues, fromDepth, toDepth, minutes, gas) => {
+  if (!(minutes > 0)) return tissues;
+
+  const startPressure = ambientPressure(fromDepth);
+  const pressureRate = (ambientPressure(toDepth) - startPressure) / minutes;
+
+  const update = (values, halfTimes, fraction) => values.map((current, i) => {
+    if (fraction === 0 && current === 0) return 0;
+    const k = Math.LN2 / halfTimes[i];
+    const initial = inspired(startPressure, fraction);
+    const rate = pressureRate * fraction;
+    return initial + rate * (minutes - 1 / k) - (initial - current - rate / k) * Math.exp(-k * minutes);
+  });
+
+  tissues.n2 = update(tissues.n2, N2_HALF_TIMES, gas.n2);
+  tissues.he = update(tissues.he, HE_HALF_TIMES, gas.he);
+  return tissues;
+};
+
+// 🌬️ 수면 휴식 (공기, 수면 압력)
+const surfaceInterval = (tissues, minutes) => loadSegment(tissues, 0, 0, minutes, normalizeGas(AIR));
+
+// ⛔ 천장 수심 (m) - gf: 0~1
+const ceilingDepth = (tissues, gf) => {
+  let ceiling = 0;
+  for (let i = 0; i < N2_HALF_TIMES.length; i++) {
+    const n2 = tissues.n2[i];
+    const he = tissues.he[i];
+    const total = n2 + he;
+    const a = (N2_A[i] * n2 + HE_A[i] * he) / total;
+    const b = (N2_B[i] * n2 + HE_B[i] * he) / total;
+    const tolerated = (total - a * gf) / (gf / b + 1 - gf);
+    ceiling = Math.max(ceiling, (tolerated - SURFACE_PRESSURE) * METERS_PER_BAR);
+  }
+  return Math.max(ceiling, 0);
+};
+
+// 📊 구획별 부하 (수면 M-value 대비 %)
+const describeTissues = (tissues) => tissues.n2.map((n2, i) => {
+  const he = tissues.he[i];
+  const total = n2 + he;
+  const a = (N2_A[i] * n2 + HE_A[i] * he) / total;
+  const b = (N2_B[i] * n2 + HE_B[i] * he) / total;
+  return {
+    compartment: i + 1,
+    n2_bar: Math.round(n2 * 1000) / 1000,
+    he_bar: Math.round(he * 1000) / 1000,
+    loading_pct: round1((total / (a + SURFACE_PRESSURE / b)) * 100)
+  };
+});
+
+// ============================================
+// ⏱️ 무감압 한계 (NDL, 분)
+// - 현재 조직 상태에서 해당 수심에 머무를 수 있는 시간
+// - 반환: 분 (MAX_NDL_MINUTES 이상이면 null = 사실상 무제한)
+// ============================================
+const noDecoLimit = (tissues, depth, gas, gfHigh) => {
+  const state = cloneTissues(tissues);
+  for (let minute = 0; minute < MAX_NDL_MINUTES; minute++) {
+    if (ceilingDepth(state, gfHigh / 100) > 0) return minute;
+    loadSegment(state, depth, depth, 1, gas);
+  }
+  return null;
+};
+
+// ============================================
+// 🛑 감압 정지 계획 (GF low → high 선형 보간)
+// - 반환: { stops: [{ depth, minutes }], total_stop_minutes, time_to_surface_minutes }
+// ============================================
+const planAscent = (tissues, depth, gas, { gfLow, gfHigh }) => {
+  const state = cloneTissues(tissues);
+  const stops = [];
+  let current = depth;
+  let runtime = 0;
+
+  const ascendTo = (target) => {
+    const minutes = (current - target) / ASCENT_RATE;
+    loadSegment(state, current, target, minutes, gas);
+    runtime += minutes;
+    current = target;
+  };
+
+  // 감압 의무가 없으면 바로 상승
+  if (ceilingDepth(state, gfHigh / 100) <= 0) {
+    ascendTo(0);
+    return { stops, total_stop_minutes: 0, time_to_surface_minutes: round1(runtime) };
+  }
+
+  // 첫 정지 수심 (GF low 기준 천장)
+  const firstCeiling = ceilingDepth(state, gfLow / 100);
+  let stopDepth = Math.max(Math.ceil(firstCeiling / STOP_INTERVAL) * STOP_INTERVAL, LAST_STOP_DEPTH);
+  stopDepth = Math.min(stopDepth, Math.ceil(current / STOP_INTERVAL) * STOP_INTERVAL);
+  ascendTo(Math.min(stopDepth, current));
+
+  const firstStop = stopDepth;
+  const gfAt = (targetDepth) => (gfHigh + (gfLow - gfHigh) * (targetDepth / firstStop)) / 100;
+
+  let totalStopMinutes = 0;
+  while (current > 0) {
+    const next = current - STOP_INTERVAL < LAST_STOP_DEPTH ? 0 : current - STOP_INTERVAL;
+    let minutes = 0;
+
+    while (ceilingDepth(state, gfAt(next)) > next && totalStopMinutes + minutes < MAX_STOP_MINUTES) {
+      loadSegment(state, current, current, 1, gas);
+      minutes++;
+    }
+
+    if (minutes > 0) {
+      stops.push({ depth: current, minutes });
+      totalStopMinutes += minutes;
+      runtime += minutes;
+    }
+    ascendTo(next);
+  }
+
+  return {
+    stops,
+    total_stop_minutes: totalStopMinutes,
+    time_to_surface_minutes: round1(runtime)
+  };
+};
+
+// ============================================
+// 🗺️ 다이빙 → 구간 목록
+// ============================================
+
+// 사각 프로필 (하강 → 최대 수심 체류 → 상승): 보수적으로 최대 수심 기준
+const squareSegments = (dive) => {
+  const depth = Number(dive.max_depth);
+  const duration = Number(dive.duration_minutes);
+  const descent = depth / DESCENT_RATE;
+  const ascent = depth / ASCENT_RATE;
+  const bottom = Math.max(duration - descent - ascent, 0);
+
+  return [
+    { from: 0, to: depth, minutes: descent },
+    { from: depth, to: depth, minutes: bottom, bottom_end: true },
+    { from: depth, to: 0, minutes: ascent }
+  ];
+};
+
+// 샘플 프로필 (time: 초)
+const sampleSegments = (samples) => {
+  const segments = [];
+  let previous = { time: 0, depth: 0 };
+  samples.forEach(sample => {
+    if (sample.time > previous.time) {
+      segments.push({ from: previous.depth, to: sample.depth, minutes: (sample.time - previous.time) / 60 });
+    }
+    previous = sample;
+  });
+  if (previous.depth > 0) {
+    segments.push({ from: previous.depth, to: 0, minutes: previous.depth / ASCENT_RATE });
+  }
+  return segments;
+};
+
+// 다이빙 시간(분)을 계산할 수 있는지
+const canSimulate = (dive, samples) => Boolean(
+  (samples && samples.length >= 2) || (Number(dive.max_depth) > 0 && Number(dive.duration_minutes) > 0)
+);
+
+// 시뮬레이션 한도를 넘는 다이빙인지 (계산량이 다이빙 시간/수심에 비례하므로 미리 거름)
+const exceedsSimulationLimits = (dive, samples) => {
+  const hasSamples = samples && samples.length >= 2;
+  const minutes = hasSamples ? samples[samples.length - 1].time / 60 : Number(dive.duration_minutes);
+  const depth = hasSamples
+    ? samples.reduce((max, sample) => Math.max(max, sample.depth), 0)
+    : Number(dive.max_depth);
+  return !(minutes <= MAX_SIMULATION_MINUTES) || !(depth <= MAX_SIMULATION_DEPTH);
+};
+
+// ============================================
+// 🤿 한 다이빙 시뮬레이션
+// - 반환: 다이빙 중 최대 천장, NDL 초과 여부, 감압 정지, 종료 시 조직 상태
+// ============================================
+const simulateDive = (tissues, dive, { samples = null, gas = AIR, gfLow, gfHigh }) => {
+  const breathing = normalizeGas(gas);
+  const segments = samples && samples.length >= 2 ? sampleSegments(samples) : squareSegments(dive);
+  const state = cloneTissues(tissues);
+
+  let maxCeiling = 0;
+  let worst = null;  // 천장이 가장 깊었던 시점 (감압 계획 기준)
+
+  segments.forEach((segment, i) => {
+    // 1분 단위로 나눠 천장 추적
+    const steps = Math.max(Math.ceil(segment.minutes), 1);
+    for (let step = 0; step < steps; step++) {
+      const from = segment.from + (segment.to - segment.from) * (step / steps);
+      const to = segment.from + (segment.to - segment.from) * ((step + 1) / steps);
+      loadSegment(state, from, to, segment.minutes / steps, breathing);
+
+      // 마지막 상승 구간은 정지 없이 올라온 것으로 계산하므로 천장 판단에서 제외
+      if (i === segments.length - 1 && to < segment.from) continue;
+      const ceiling = ceilingDepth(state, gfHigh / 100);
+      if (ceiling > maxCeiling) {
+        maxCeiling = ceiling;
+        worst = { depth: to, tissues: cloneTissues(state) };
+      }
+    }
+  });
+
+  const ascent = worst ? planAscent(worst.tissues, worst.depth, breathing, { gfLow, gfHigh }) : null;
+
+  return {
+    source: samples && samples.length >= 2 ? 'profile' : 'square',
+    gas: { o2: breathing.o2, he: breathing.he },
+    exceeded_ndl: maxCeiling > 0,
+    max_ceiling_m: round1(maxCeiling),
+    required_stops: ascent ? ascent.stops : [],
+    total_stop_minutes: ascent ? ascent.total_stop_minutes : 0,
+    tissues: state
+  };
+};
+
+// ⏰ 'HH:MM' → 분
+const timeToMinutes = (value) => {
+  const match = /^(\d{1,2}):(\d{2})/.exec(String(value || ''));
+  return match ? Number(match[1]) * 60 + Number(match[2]) : null;
+};
+
+// 🕐 두 다이빙 사이 수면 휴식 (입수 시간이 없으면 기본값)
+const surfaceIntervalBetween = (previous, next) => {
+  const start = timeToMinutes(previous.entry_time);
+  const nextStart = timeToMinutes(next.entry_time);
+  if (start === null || nextStart === null) return DEFAULT_SURFACE_INTERVAL_MINUTES;
+  return Math.max(nextStart - (start + (Number(previous.duration_minutes) || 0)), 0);
+};
+
+// 📅 같은 날 다이빙 순서 (입수 시간 → 다이빙 번호)
+const sortSameDayDives = (dives) => [...dives].sort((a, b) => {
+  const timeA = timeToMinutes(a.entry_time);
+  const timeB = timeToMinutes(b.entry_time);
+  if (timeA !== null && timeB !== null && timeA !== timeB) return timeA - timeB;
+  return (a.dive_number || 0) - (b.dive_number || 0);
+});
+
+// 🏊 다이빙 기록의 바닥 기체 (dive_tanks → equipment.tanks → 공기, 감압 탱크 제외)
+const diveGas = (dive) => {
+  const tanks = dive.tanks?.length ? dive.tanks : dive.equipment?.tanks || [];
+  const tank = tanks.find(item => item.role !== 'deco');
+  return tank ? { o2: tank.o2, he: tank.he } : AIR;
+};
+
+// 내보내기
+module.exports = {
+  DEFAULT_GF_LOW,                    // 기본 GF low
+  DEFAULT_GF_HIGH,                   // 기본 GF high
+  DESCENT_RATE,                      // 하강 속도
+  MAX_NDL_MINUTES,                   // NDL 계산 상한
+  MAX_SIMULATION_MINUTES,            // 시뮬레이션 최대 다이빙 시간
+  MAX_SIMULATION_DEPTH,              // 시뮬레이션 최대 수심
+  DEFAULT_SURFACE_INTERVAL_MINUTES,  // 기본 수면 휴식
+  normalizeGas,                      // 기체 정규화
+  parseGradientFactors,              // GF 검증
+  createTissues,                     // 수면 평형 조직
+  surfaceInterval,                   // 수면 휴식 적용
+  loadSegment,                       // 구간 로딩
+  ceilingDepth,                      // 천장 수심
+  describeTissues,                   // 구획별 부하
+  noDecoLimit,                       // NDL
+  planAscent,                        // 감압 정지 계획
+  canSimulate,                       // 시뮬레이션 가능 여부
+  exceedsSimulationLimits,           // 시뮬레이션 한도 초과 여부
+  simulateDive,                      // 다이빙 시뮬레이션
+  surfaceIntervalBetween,            // 다이빙 간 수면 휴식
+  sortSameDayDives,                  // 같은 날 다이빙 정렬
+  diveGas                            // 다이빙 기체
+};
@@ -0,0 +1,195 @@
+// ============================================
+// 🏷️ 다이빙 버디 태그/인증 유틸리티
+// ============================================
+const { supabase } = require('./supabase');
+const { notify } = require('./notifications');
+const { fetchInBatches } = require('./batchQuery');
+
+// 태그 상태
+const TAG_STATUS = {
+  PENDING: 'pending',
+  CONFIRMED: 'confirmed',
+  REJECTED: 'rejected'
+};
+
+// 다이빙 하나에 태그할 수 있는 최대 인원
+const MAX_BUDDY_TAGS = 10;
+
+// UUID 형식 검증
+const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+
+// ============================================
+// 🧪 태그할 버디 ID 목록 검증
+// - 반환: { buddyIds, errors }
+// ============================================
+const validateBuddyIds = async (buddyIds, ownerId) => {
+  if (!Array.isArray(buddyIds)) {
+    return { buddyIds: [], errors: ['buddy_ids는 사용자 ID 배열이어야 합니다.'] };
+  }
+
+  const uniqueIds = [...new Set(buddyIds)];
+  const errors = [];
+
+  if (uniqueIds.length > MAX_BUDDY_TAGS) {
+    errors.push(`버디는 최대 ${MAX_BUDDY_TAGS}명까지 태그할 수 있습니다.`);
+  }
+
+  const invalidIds = uniqueIds.filter(id => !uuidRegex.test(id));
+  if (invalidIds.length > 0) {
+    errors.push(`유효하지 않은 사용자 ID: ${invalidIds.join(', ')}`);
+  }
+
+  if (uniqueIds.includes(ownerId)) {
+    errors.push('자기 자신은 버디로 태그할 수 없습니다.');
+  }
+
+  if (errors.length > 0 || uniqueIds.length === 0) {
+    return { buddyIds: uniqueIds, errors };
+  }
+
+  // 가입된 사용자인지 확인
+  const { data: users, error } = await supabase
+    .from('users')
+    .select('id')
+    .in('id', uniqueIds);
+
+  if (error) {
+    throw error;
+  }
+
+  const foundIds = new Set(users.map(u => u.id));
+  const unknownIds = uniqueIds.filter(id => !foundIds.has(id));
+  if (unknownIds.length > 0) {
+    errors.push(`존재하지 않는 사용자: ${unknownIds.join(', ')}`);
+  }
+
+  return { buddyIds: uniqueIds, errors };
+};
+
+// ============================================
+// 🏷️ 다이빙에 버디 태그 추가 (이미 태그된 사용자는 건너뜀)
+// - 새로 태그된 버디에게 buddy_tag 알림
+// ============================================
+const tagBuddies = async (diveId, taggedBy, buddyIds) => {
+  if (buddyIds.length === 0) return [];
+
+  const { data: existing, error: findError } = await supabase
+    .from('dive_buddy_tags')
+    .select('buddy_id')
+    .eq('dive_id', diveId);
+
+  if (findError) {
+    throw findError;
+  }
+
+  const alreadyTagged = new Set(existing.map(tag => tag.buddy_id));
+  const newIds = buddyIds.filter(id => !alreadyTagged.has(id));
+  if (newIds.length === 0) return [];
+
+  const { data: tags, error } = await supabase
+    .from('dive_buddy_tags')
+    .insert(newIds.map(buddyId => ({
+      dive_id: diveId,
+      buddy_id: buddyId,
+      tagged_by: taggedBy,
+      status: TAG_STATUS.PENDING
+    })))
+    .select();
+
+  if (error) {
+    throw error;
+  }
+
+  const { data: dive } = await supabase
+    .from('dives')
+    .select('location_name')
+    .eq('id', diveId)
+    .maybeSingle();
+
+  await Promise.all(tags.map(tag => notify({
+    userId: tag.buddy_id,
+    actorId: taggedBy,
+    type: 'buddy_tag',
+    diveId,
+    data: { location_name: dive?.location_name, tag_id: tag.id }
+  })));
+
+  return tags;
+};
+
+// ============================================
+// ✅ 다이빙의 버디 인증 정보 (GET /api/dives/:id 응답용)
+// ============================================
+const getDiveVerification = async (diveId) => {
+  const verifications = await getDiveVerifications([diveId]);
+  return verifications[diveId];
+};
+
+// 📚 여러 다이빙의 버디 인증 정보 (로그북 내보내기용, 다이빙 ID → 인증 정보)
+const getDiveVerifications = async (diveIds) => {
+  const tags = await fetchInBatches(diveIds, (ids) => supabase
+    .from('dive_buddy_tags')
+    .select('dive_id, buddy_id, status, responded_at')
+    .in('dive_id', ids));
+
+  const buddyIds = [...new Set(tags.map(tag => tag.buddy_id))];
+  const users = await fetchInBatches(buddyIds, (ids) => supabase
+    .from('users')
+    .select('id, name')
+    .in('id', ids));
+
+  const namesById = users.reduce((acc, u) => {
+    acc[u.id] = u.name;
+    return acc;
+  }, {});
+  const tagsByDive = tags.reduce((acc, tag) => {
+    (acc[tag.dive_id] = acc[tag.dive_id] || []).push(tag);
+    return acc;
+  }, {});
+
+  return diveIds.reduce((acc, diveId) => {
+    const diveTags = tagsByDive[diveId] || [];
+    const confirmed = diveTags.filter(tag => tag.status === TAG_STATUS.CONFIRMED);
+
+    acc[diveId] = {
+      verified: confirmed.length > 0,
+      badge: confirmed.length > 0 ? 'buddy_verified' : null,
+      confirmed_count: confirmed.length,
+      pending_count: diveTags.filter(tag => tag.status === TAG_STATUS.PENDING).length,
+      buddies: diveTags
+        .filter(tag => tag.status !== TAG_STATUS.REJECTED)
+        .map(tag => ({
+          user_id: tag.buddy_id,
+          name: namesById[tag.buddy_id] || '알 수 없음',
+          status: tag.status,
+          responded_at: tag.responded_at || null
+        }))
+    };
+    return acc;
+  }, {});
+};
+
+// 🤿 사용자가 버디로 인증한 (공유) 다이빙 ID 목록
+const getSharedDiveIds = async (userId) => {
+  const { data, error } = await supabase
+    .from('dive_buddy_tags')
+    .select('dive_id')
+    .eq('buddy_id', userId)
+    .eq('status', TAG_STATUS.CONFIRMED);
+
+  if (error) {
+    throw error;
+  }
+  return data.map(tag => tag.dive_id);
+};
+
+// 내보내기
+module.exports = {
+  TAG_STATUS,            // 태그 상태
+  MAX_BUDDY_TAGS,        // 최대 태그 수
+  validateBuddyIds,      // 버디 ID 검증
+  tagBuddies,            // 버디 태그 추가
+  getDiveVerification,   // 버디 인증 정보
+  getDiveVerifications,  // 여러 다이빙 버디 인증 정보
+  getSharedDiveIds       // 공유 다이빙 ID 목록
+};
@@ -0,0 +1,233 @@
+// ============================================
+// 📥 다이빙 기록 일괄 가져오기 (UDDF 등 공통 파이프라인)
+// - 검증 → 중복 확인 → 한 번에 저장 → 통계/번호 재계산
+// ============================================
+const { supabase } = require('./supabase');
+const { validateDive, buildDiveRecord, isValidDate } = require('./diveValidation');
+const { recalculateUserStats } = require('./diveStats');
+const { resolveDiveSpot } = require('./spots');
+const { normalizeSamples } = require('./diveProfile');
+const { validateTank } = require('./gas');
+
+// 중복 판단 허용 오차
+const DUPLICATE_DEPTH_TOLERANCE_M = 0.5;
+const DUPLICATE_DURATION_TOLERANCE_MIN = 2;
+
+// 🔁 같은 다이빙인지 판단 (같은 날짜 + 비슷한 깊이/시간)
+const isDuplicateDive = (a, b) => {
+  if (String(a.dive_date).slice(0, 10) !== String(b.dive_date).slice(0, 10)) return false;
+  if (Math.abs(Number(a.max_depth) - Number(b.max_depth)) > DUPLICATE_DEPTH_TOLERANCE_M) return false;
+
+  // 둘 중 하나라도 시간이 없으면 날짜/깊이만으로 판단
+  if (!a.duration_minutes || !b.duration_minutes) return true;
+  return Math.abs(Number(a.duration_minutes) - Number(b.duration_minutes)) <= DUPLICATE_DURATION_TOLERANCE_MIN;
+};
+
+// ============================================
+// 🔢 가져오기 값 파싱 헬퍼 (CSV, Subsurface 공통)
+// ============================================
+
+// "18.5 m", "200 bar", "32.0%" → 숫자 (단위 무시, 쉼표 소수점 허용)
+const parseMeasurement = (value) => {
+  if (value === undefined || value === null) return null;
+  const match = String(value).replace(',', '.').match(/-?\d+(?:\.\d+)?/);
+  return match ? Number(match[0]) : null;
+};
+
+// "45", "45:30 min"(분:초), "1:05:00"(시:분:초) → 분
+const parseDurationMinutes = (value) => {
+  if (value === undefined || value === null || String(value).trim() === '') return null;
+
+  const parts = String(value).trim().split(/\s+/)[0].split(':').map(Number);
+  if (parts.some(part => !Number.isFinite(part))) return null;
+
+  if (parts.length === 3) return Math.round(parts[0] * 60 + parts[1] + parts[2] / 60);
+  if (parts.length === 2) return Math.round(parts[0] + parts[1] / 60);
+  return Math.round(parts[0]);
+};
+
+// "2024-05-01", "2024/05/01", "2024.05.01", "2024-05-01T10:00" → "2024-05-01"
+const normalizeDate = (value) => {
+  if (!value) return null;
+
+  const match = String(value).trim().match(/^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})/);
+  if (!match) return null;
+
+  const [, year, month, day] = match;
+  const date = `${year}-${month.padStart(2, '0')}-${day.padStart(2, '0')}`;
+  return isValidDate(date) ? date : null;
+};
+
+// ============================================
+// 📋 가져올 다이빙 목록 분석
+// - candidates: [{ index, label, data, samples?, errors }]
+// - 반환: 항목별 status (ready | duplicate | invalid)
+// ============================================
+const analyzeImport = async (userId, candidates) => {
+  const { data: existingDives, error } = await supabase
+    .from('dives')
+    .select('id, dive_number, dive_date, max_depth, duration_minutes')
+    .eq('user_id', userId);
+
+  if (error) {
+    throw error;
+  }
+
+  const accepted = [];
+
+  return candidates.map(candidate => {
+    const errors = [...(candidate.errors || []), ...validateDive(candidate.data)];
+    const base = {
+      index: candidate.index,
+      label: candidate.label || null,
+      dive_date: candidate.data.dive_date || null,
+      max_depth: candidate.data.max_depth || null
+    };
+
+    if (errors.length > 0) {
+      return { ...base, status: 'invalid', errors, data: candidate.data };
+    }
+
+    const existing = existingDives.find(dive => isDuplicateDive(dive, candidate.data));
+    if (existing) {
+      return { ...base, status: 'duplicate', duplicate_of: { dive_id: existing.id, dive_number: existing.dive_number }, data: candidate.data };
+    }
+
+    const earlier = accepted.find(item => isDuplicateDive(item.data, candidate.data));
+    if (earlier) {
+      return { ...base, status: 'duplicate', duplicate_of: { import_index: earlier.index }, data: candidate.data };
+    }
+
+    const ready = { ...base, status: 'ready', data: candidate.data, samples: candidate.samples };
+    accepted.push(ready);
+    return ready;
+  });
+};
+
+// ============================================
+// 💾 분석 결과 중 ready 항목을 한 번에 저장
+// - dive_number는 저장 후 날짜 순으로 한 번에 재계산
+// ============================================
+const commitImport = async (userId, analyzed) => {
+  const ready = analyzed.filter(item => item.status === 'ready');
+  if (ready.length === 0) {
+    return { inserted: [], stats: null };
+  }
+
+  const { count: currentDiveCount } = await supabase
+    .from('dives')
+    .select('*', { count: 'exact', head: true })
+    .eq('user_id', userId);
+
+  // 좌표가 있으면 가까운 다이빙 포인트 연결
+  const records = [];
+  for (let i = 0; i < ready.length; i++) {
+    const { data } = ready[i];
+    const spotMatch = data.coordinates
+      ? await resolveDiveSpot({ lat: Number(data.coordinates.lat), lng: Number(data.coordinates.lng) })
+      : null;
+
+    records.push(buildDiveRecord(userId, {
+      ...data,
+      spot_id: spotMatch?.spot.id || null
+    }, (currentDiveCount || 0) + i + 1));
+  }
+
+  const { data: inserted, error } = await supabase
+    .from('dives')
+    .insert(records)
+    .select('id, dive_date, max_depth');
+
+  if (error) {
+    throw error;
+  }
+
+  // 📈 수심 프로필 샘플이 있는 다이빙은 프로필도 함께 저장
+  const profiles = inserted
+    .map((dive, i) => {
+      const samples = (ready[i].samples || []).filter(sample => sample.depth !== null);
+      const normalized = normalizeSamples(samples);
+      if (normalized.errors.length > 0) return null;
+      return {
+        dive_id: dive.id,
+        samples: normalized.samples,
+        sample_count: normalized.samples.length
+      };
+    })
+    .filter(Boolean);
+
+  if (profiles.length > 0) {
+    const { error: profileError } = await supabase
+      .from('dive_profiles')
+      .insert(profiles);
+
+    // 프로필 저장 실패는 다이빙 기록 가져오기 자체를 실패로 보지 않음
+    if (profileError) {
+      console.error('❌ 가져온 다이빙 프로필 저장 에러:', profileError);
+    }
+  }
+
+  // 🫙 탱크 정보 (equipment.tanks)도 dive_tanks에 저장
+  const tankRows = [];
+  inserted.forEach((dive, i) => {
+    (ready[i].data.equipment?.tanks || []).forEach((input, position) => {
+      const { tank, errors } = validateTank(input, position);
+      if (errors.length === 0) {
+        tankRows.push({ ...tank, dive_id: dive.id, user_id: userId, position: position + 1 });
+      }
+    });
+  });
+
+  if (tankRows.length > 0) {
+    const { error: tankError } = await supabase
+      .from('dive_tanks')
+      .insert(tankRows);
+
+    if (tankError) {
+      console.error('❌ 가져온 다이빙 탱크 저장 에러:', tankError);
+    }
+  }
+
+  // 🔄 번호 재정렬 + total_dives / deepest_dive 한 번만 갱신
+  const stats = await recalculateUserStats(userId);
+
+  return { inserted, stats };
+};
+
+// 📊 분석 결과 요약 + 응답용 항목
+// - includeData: 미리보기(dry run)에서 변환된 값까지 포함
+const summarizeImport = (analyzed, inserted = [], { includeData = false } = {}) => {
+  const readyItems = analyzed.filter(item => item.status === 'ready');
+
+  return {
+    summary: {
+      total: analyzed.length,
+      imported: inserted.length,
+      ready: readyItems.length,
+      duplicates: analyzed.filter(item => item.status === 'duplicate').length,
+      invalid: analyzed.filter(item => item.status === 'invalid').length
+    },
+    dives: analyzed.map(item => {
+      const { data, samples, ...rest } = item;
+      const insertedIndex = readyItems.indexOf(item);
+      return {
+        ...rest,
+        status: inserted.length && item.status === 'ready' ? 'imported' : item.status,
+        dive_id: insertedIndex >= 0 ? inserted[insertedIndex]?.id || null : null,
+        sample_count: samples?.length || 0,
+        ...(includeData && { data })
+      };
+    })
+  };
+};
+
+// 내보내기
+module.exports = {
+  parseMeasurement,      // 단위 포함 숫자 파싱
+  parseDurationMinutes,  // 시간 → 분
+  normalizeDate,         // 날짜 정규화
+  isDuplicateDive,       // 중복 판단
+  analyzeImport,         // 검증 + 중복 분석
+  commitImport,          // 일괄 저장
+  summarizeImport        // 결과 리포트
+};
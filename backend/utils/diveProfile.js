@@ -0,0 +1,292 @@
+// ============================================
+// 📈 다이빙 수심 프로필 유틸리티
+// - 샘플: { time(초), depth(m), temperature(°C), pressure(bar) }
+// ============================================
+const { supabase } = require('./supabase');
+
+// 제한값
+const MAX_SAMPLES = 20000;
+const DEFAULT_CHART_POINTS = 500;
+
+// 상승 속도 기준 (m/min) 및 측정 구간 (초)
+const MAX_ASCENT_RATE = parseFloat(process.env.MAX_ASCENT_RATE) || 10;
+const ASCENT_WINDOW_SECONDS = 30;
+
+// 안전 정지 기준
+const SAFETY_STOP_REQUIRED_DEPTH = 10;  // 이보다 깊으면 안전 정지 필요
+const SAFETY_STOP_MIN_DEPTH = 3;
+const SAFETY_STOP_MAX_DEPTH = 6;
+const SAFETY_STOP_SECONDS = 180;
+
+const round1 = (value) => Math.round(value * 10) / 10;
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+// ============================================
+// 🧪 샘플 검증 + 정규화
+// - 반환: { samples, errors }
+// ============================================
+const normalizeSamples = (input) => {
+  if (!Array.isArray(input) || input.length < 2) {
+    return { samples: [], errors: ['samples는 2개 이상의 샘플 배열이어야 합니다.'] };
+  }
+  if (input.length > MAX_SAMPLES) {
+    return { samples: [], errors: [`샘플은 최대 ${MAX_SAMPLES}개까지 저장할 수 있습니다.`] };
+  }
+
+  const errors = [];
+  const samples = input.map((sample, i) => {
+    const time = Number(sample?.time);
+    const depth = Number(sample?.depth);
+
+    if (!Number.isFinite(time) || time < 0) {
+      errors.push(`samples[${i}].time은 0 이상의 숫자(초)여야 합니다.`);
+    }
+    if (!Number.isFinite(depth) || depth < 0) {
+      errors.push(`samples[${i}].depth는 0 이상의 숫자(m)여야 합니다.`);
+    }
+
+    const optional = (value) => (value === undefined || value === null || value === '' ? null : Number(value));
+    const temperature = optional(sample?.temperature);
+    const pressure = optional(sample?.pressure);
+
+    if (temperature !== null && !Number.isFinite(temperature)) {
+      errors.push(`samples[${i}].temperature가 숫자가 아닙니다.`);
+    }
+    if (pressure !== null && (!Number.isFinite(pressure) || pressure < 0)) {
+      errors.push(`samples[${i}].pressure는 0 이상의 숫자(bar)여야 합니다.`);
+    }
+
+    return { time, depth, temperature, pressure };
+  });
+
+  for (let i = 1; i < samples.length && errors.length === 0; i++) {
+    if (samples[i].time <= samples[i - 1].time) {
+      errors.push(`samples[${i}].time은 이전 샘플보다 커야 합니다. (시간 순 정렬 필요)`);
+    }
+  }
+
+  return { samples: errors.length ? [] : samples, errors: errors.slice(0, 20) };
+};
+
+// ============================================
+// 📊 프로필에서 다이빙 수치 계산
+// ============================================
+const deriveProfileStats = (samples) => {
+  let weightedDepth = 0;
+  for (let i = 1; i < samples.length; i++) {
+    const dt = samples[i].time - samples[i - 1].time;
+    weightedDepth += ((samples[i].depth + samples[i - 1].depth) / 2) * dt;
+  }
+
+  const totalSeconds = samples[samples.length - 1].time - samples[0].time;
+  const temperatures = samples.map(s => s.temperature).filter(isNumber);
+
+  return {
+    max_depth: round1(Math.max(...samples.map(s => s.depth))),
+    average_depth: totalSeconds > 0 ? round1(weightedDepth / totalSeconds) : null,
+    duration_minutes: Math.round(totalSeconds / 60),
+    water_temperature: temperatures.length ? Math.min(...temperatures) : null
+  };
+};
+
+// ============================================
+// 📉 차트용 다운샘플링 (LTTB: Largest-Triangle-Three-Buckets)
+// - 최대/최소 수심 같은 모양을 최대한 유지
+// ============================================
+const downsampleSamples = (samples, maxPoints = DEFAULT_CHART_POINTS) => {
+  if (samples.length <= maxPoints || maxPoints < 3) return samples;
+
+  const sampled = [samples[0]];
+  const bucketSize = (samples.length - 2) / (maxPoints - 2);
+  let previous = 0;
+
+  for (let i = 0; i < maxPoints - 2; i++) {
+    // 다음 버킷 평균점
+    const nextStart = Math.floor((i + 1) * bucketSize) + 1;
+    const nextEnd = Math.min(Math.floor((i + 2) * bucketSize) + 1, samples.length);
+    let avgTime = 0;
+    let avgDepth = 0;
+    for (let j = nextStart; j < nextEnd; j++) {
+      avgTime += samples[j].time;
+      avgDepth += samples[j].depth;
+    }
+    const nextCount = Math.max(nextEnd - nextStart, 1);
+    avgTime /= nextCount;
+    avgDepth /= nextCount;
+
+    // 현재 버킷에서 삼각형 넓이가 가장 큰 점 선택
+    const start = Math.floor(i * bucketSize) + 1;
+    const end = Math.floor((i + 1) * bucketSize) + 1;
+    const a = samples[previous];
+    let maxArea = -1;
+    let chosen = start;
+    for (let j = start; j < end; j++) {
+      const area = Math.abs(
+        (a.time - avgTime) * (samples[j].depth - a.depth) -
+        (a.time - samples[j].time) * (avgDepth - a.depth)
+      );
+      if (area > maxArea) {
+        maxArea = area;
+        chosen = j;
+      }
+    }
+
+    sampled.push(samples[chosen]);
+    previous = chosen;
+  }
+
+  sampled.push(samples[samples.length - 1]);
+  return sampled;
+};
+
+// ============================================
+// ⚠️ 상승 속도 위반 구간 찾기
+// - ASCENT_WINDOW_SECONDS 이상 구간의 평균 속도로 판단 (센서 노이즈 완화)
+// ============================================
+const findAscentViolations = (samples, maxRate = MAX_ASCENT_RATE) => {
+  const violations = [];
+  let maxObservedRate = 0;
+  let start = 0;
+
+  for (let end = 1; end < samples.length; end++) {
+    // 구간 길이가 기준 이상이 되도록 시작점 조정
+    while (start < end - 1 && samples[end].time - samples[start + 1].time >= ASCENT_WINDOW_SECONDS) {
+      start++;
+    }
+
+    const dt = samples[end].time - samples[start].time;
+    if (dt < ASCENT_WINDOW_SECONDS) continue;
+
+    const ascended = samples[start].depth - samples[end].depth;
+    const rate = (ascended / dt) * 60;
+    if (rate > maxObservedRate) maxObservedRate = rate;
+
+    if (rate > maxRate) {
+      const last = violations[violations.length - 1];
+      // 겹치는 구간은 하나로 합침
+      if (last && samples[start].time <= last.end_time) {
+        last.end_time = samples[end].time;
+        last.to_depth = samples[end].depth;
+        last.max_rate_m_per_min = Math.max(last.max_rate_m_per_min, round1(rate));
+      } else {
+        violations.push({
+          start_time: samples[start].time,
+          end_time: samples[end].time,
+          from_depth: samples[start].depth,
+          to_depth: samples[end].depth,
+          max_rate_m_per_min: round1(rate)
+        });
+      }
+    }
+  }
+
+  return { violations, max_ascent_rate: round1(maxObservedRate) };
+};
+
+// ============================================
+// 🛑 안전 정지 확인
+// - 최대 수심 이후 3~6m 구간에 연속 3분 이상 머물렀는지
+// ============================================
+const checkSafetyStop = (samples) => {
+  const maxDepth = Math.max(...samples.map(s => s.depth));
+  const required = maxDepth > SAFETY_STOP_REQUIRED_DEPTH;
+  const deepestIndex = samples.findIndex(s => s.depth === maxDepth);
+
+  let longest = 0;
+  let current = 0;
+  for (let i = Math.max(deepestIndex, 1); i < samples.length; i++) {
+    const inBand = (s) => s.depth >= SAFETY_STOP_MIN_DEPTH && s.depth <= SAFETY_STOP_MAX_DEPTH;
+    if (inBand(samples[i]) && inBand(samples[i - 1])) {
+      current += samples[i].time - samples[i - 1].time;
+      longest = Math.max(longest, current);
+    } else {
+      current = 0;
+    }
+  }
+
+  return {
+    required,
+    performed: longest >= SAFETY_STOP_SECONDS,
+    longest_stop_seconds: longest,
+    required_seconds: SAFETY_STOP_SECONDS,
+    depth_range: `${SAFETY_STOP_MIN_DEPTH}-${SAFETY_STOP_MAX_DEPTH}m`
+  };
+};
+
+// ============================================
+// 🩺 프로필 분석 (GET /api/dives/:id 응답용)
+// ============================================
+const analyzeProfile = (samples, diveType) => {
+  // 프리다이빙은 상승 속도/안전 정지 기준이 적용되지 않음
+  if (diveType !== 'scuba') {
+    return {
+      applicable: false,
+      sample_count: samples.length,
+      warnings: []
+    };
+  }
+
+  const ascent = findAscentViolations(samples);
+  const safetyStop = checkSafetyStop(samples);
+  const warnings = [];
+
+  if (ascent.violations.length > 0) {
+    warnings.push(`상승 속도 초과 ${ascent.violations.length}회 (기준 ${MAX_ASCENT_RATE} m/min, 최대 ${ascent.max_ascent_rate} m/min)`);
+  }
+  if (safetyStop.required && !safetyStop.performed) {
+    warnings.push(`안전 정지 누락 (${safetyStop.depth_range}에서 ${SAFETY_STOP_SECONDS / 60}분 필요)`);
+  }
+
+  return {
+    applicable: true,
+    sample_count: samples.length,
+    max_ascent_rate_limit: MAX_ASCENT_RATE,
+    max_ascent_rate: ascent.max_ascent_rate,
+    ascent_rate_violations: ascent.violations,
+    safety_stop: safetyStop,
+    missed_safety_stop: safetyStop.required && !safetyStop.performed,
+    warnings
+  };
+};
+
+// 🔍 다이빙의 저장된 샘플 조회 (없으면 null)
+const getDiveSamples = async (diveId) => {
+  const { data, error } = await supabase
+    .from('dive_profiles')
+    .select('samples')
+    .eq('dive_id', diveId)
+    .maybeSingle();
+
+  if (error) {
+    throw error;
+  }
+  return data?.samples || null;
+};
+
+// 💾 다이빙 샘플 저장 (덮어쓰기)
+const saveDiveSamples = async (diveId, samples) => {
+  const { error } = await supabase
+    .from('dive_profiles')
+    .upsert({
+      dive_id: diveId,
+      samples,
+      sample_count: samples.length,
+      updated_at: new Date().toISOString()
+    }, { onConflict: 'dive_id' });
+
+  if (error) {
+    throw error;
+  }
+};
+
+// 내보내기
+module.exports = {
+  MAX_SAMPLES,            // 최대 샘플 수
+  DEFAULT_CHART_POINTS,   // 기본 차트 포인트 수
+  normalizeSamples,       // 샘플 검증
+  deriveProfileStats,     // 수치 계산
+  downsampleSamples,      // 다운샘플링
+  analyzeProfile,         // 상승 속도/안전 정지 분석
+  getDiveSamples,         // 샘플 조회
+  saveDiveSamples         // 샘플 저장
+};
@@ -0,0 +1,104 @@
+// ============================================
+// ❤️ 다이빙 좋아요 / 댓글 유틸리티
+// ============================================
+const { supabase } = require('./supabase');
+
+// 댓글 제한
+const MAX_COMMENT_LENGTH = 1000;
+const REPLY_PREVIEW_LIMIT = 3; // 댓글 목록에서 미리 보여줄 답글 수
+
+// 삭제된 댓글(답글이 남아 있는 경우) 표시 문구
+const DELETED_COMMENT_TEXT = '삭제된 댓글입니다.';
+
+// 🧪 댓글 내용 검증 (문제가 없으면 null, 있으면 에러 메시지)
+const validateCommentContent = (content) => {
+  if (typeof content !== 'string' || !content.trim()) {
+    return 'content는 비어 있지 않은 문자열이어야 합니다.';
+  }
+  if (content.trim().length > MAX_COMMENT_LENGTH) {
+    return `댓글은 최대 ${MAX_COMMENT_LENGTH}자까지 작성할 수 있습니다.`;
+  }
+  return null;
+};
+
+// 📝 응답용 댓글 (작성자 정보 평탄화, 삭제된 댓글은 내용/작성자 숨김)
+const formatComment = (comment) => {
+  const isDeleted = Boolean(comment.deleted_at);
+  return {
+    id: comment.id,
+    dive_id: comment.dive_id,
+    parent_id: comment.parent_id,
+    user_id: isDeleted ? null : comment.user_id,
+    user_name: isDeleted ? null : (comment.users?.name || '알 수 없음'),
+    content: isDeleted ? DELETED_COMMENT_TEXT : comment.content,
+    is_deleted: isDeleted,
+    is_edited: !isDeleted && Boolean(comment.updated_at),
+    created_at: comment.created_at,
+    updated_at: comment.updated_at || null
+  };
+};
+
+// ============================================
+// 🔄 dives.likes_count / comments_count 재계산
+// - 행을 가져오지 않고 count만 조회, 삭제 표시된 댓글은 제외
+// ============================================
+const refreshSocialCounters = async (diveId) => {
+  const [likes, comments] = await Promise.all([
+    supabase
+      .from('dive_likes')
+      .select('user_id', { count: 'exact', head: true })
+      .eq('dive_id', diveId),
+    supabase
+      .from('dive_comments')
+      .select('id', { count: 'exact', head: true })
+      .eq('dive_id', diveId)
+      .is('deleted_at', null)
+  ]);
+
+  if (likes.error) throw likes.error;
+  if (comments.error) throw comments.error;
+
+  const counters = {
+    likes_count: likes.count || 0,
+    comments_count: comments.count || 0
+  };
+
+  const { error } = await supabase
+    .from('dives')
+    .update(counters)
+    .eq('id', diveId);
+
+  if (error) {
+    throw error;
+  }
+
+  return counters;
+};
+
+// 👍 사용자가 좋아요한 다이빙 ID (목록 중에서만)
+const getLikedDiveIds = async (userId, diveIds) => {
+  if (!userId || diveIds.length === 0) {
+    return new Set();
+  }
+
+  const { data, error } = await supabase
+    .from('dive_likes')
+    .select('dive_id')
+    .eq('user_id', userId)
+    .in('dive_id', diveIds);
+
+  if (error) {
+    throw error;
+  }
+  return new Set(data.map(row => row.dive_id));
+};
+
+// 내보내기
+module.exports = {
+  MAX_COMMENT_LENGTH,       // 댓글 최대 길이
+  REPLY_PREVIEW_LIMIT,      // 답글 미리보기 수
+  validateCommentContent,   // 댓글 내용 검증
+  formatComment,            // 응답용 댓글
+  refreshSocialCounters,    // 카운터 갱신
+  getLikedDiveIds           // 좋아요한 다이빙 ID
+};
@@ -0,0 +1,168 @@
+// ============================================
+// 📊 다이빙 통계 유틸리티
+// ============================================
+const { getRepositories } = require('../repositories');
+
+const { users: usersRepository, dives: divesRepository } = getRepositories();
+
+// ============================================
+// 🔄 사용자 다이빙 통계 재계산
+// - dive_number를 다이빙 날짜 순으로 다시 매김
+// - users.total_dives / users.deepest_dive 동기화
+// ============================================
+const recalculateUserStats = async (userId) => {
+  // 사용자의 모든 다이빙을 시간 순으로 조회
+  const dives = await divesRepository.findByUser(userId, {
+    columns: 'id, dive_number, dive_date, max_depth, created_at',
+    order: ['dive_date', 'created_at']
+  });
+
+  // 번호가 바뀐 다이빙만 업데이트
+  const renumbered = [];
+  for (let i = 0; i < dives.length; i++) {
+    const expectedNumber = i + 1;
+    if (dives[i].dive_number !== expectedNumber) {
+      await divesRepository.update(dives[i].id, { dive_number: expectedNumber });
+      renumbered.push(dives[i].id);
+    }
+  }
+
+  // 최대 깊이 계산 (다이빙이 없으면 null)
+  const deepestDive = dives.reduce((max, dive) => {
+    const depth = Number(dive.max_depth);
+    return Number.isFinite(depth) && (max === null || depth > max) ? depth : max;
+  }, null);
+
+  const stats = {
+    total_dives: dives.length,
+    deepest_dive: deepestDive,
+    updated_at: new Date().toISOString()
+  };
+
+  await usersRepository.update(userId, stats);
+
+  return {
+    total_dives: stats.total_dives,
+    deepest_dive: stats.deepest_dive,
+    renumbered_dives: renumbered.length
+  };
+};
+
+// ============================================
+// 🧮 다이빙 통계 계산 (순수 함수)
+// ============================================
+
+// 숫자 필드만 골라내기 (null/빈 값 제외)
+const numericValues = (dives, field) => dives
+  .map(dive => dive[field])
+  .filter(value => value !== null && value !== undefined && value !== '')
+  .map(Number)
+  .filter(Number.isFinite);
+
+// 소수점 한 자리 반올림
+const round1 = (value) => Math.round(value * 10) / 10;
+
+// 최소/최대/평균 범위 계산
+const summarizeRange = (values) => {
+  if (values.length === 0) {
+    return { min: null, max: null, average: null, samples: 0 };
+  }
+  return {
+    min: Math.min(...values),
+    max: Math.max(...values),
+    average: round1(values.reduce((sum, v) => sum + v, 0) / values.length),
+    samples: values.length
+  };
+};
+
+// 키별 개수 세기
+const countBy = (dives, keyFn) => dives.reduce((acc, dive) => {
+  const key = keyFn(dive);
+  if (key) {
+    acc[key] = (acc[key] || 0) + 1;
+  }
+  return acc;
+}, {});
+
+// 키 순서대로 정렬된 객체 (월/연도별 집계용)
+const sortByKey = (counts) => Object.keys(counts).sort().reduce((acc, key) => {
+  acc[key] = counts[key];
+  return acc;
+}, {});
+
+// 깊이 히스토그램 (bucketSize 미터 단위 구간, 0m 이하 / 숫자가 아닌 깊이는 제외)
+const buildDepthHistogram = (values, bucketSize) => {
+  const depths = values.filter(depth => Number.isFinite(depth) && depth > 0);
+  if (depths.length === 0) return [];
+
+  const bucketCount = Math.floor(Math.max(...depths) / bucketSize) + 1;
+  const buckets = Array.from({ length: bucketCount }, (_, i) => ({
+    range: `${i * bucketSize}-${(i + 1) * bucketSize}m`,
+    min_depth: i * bucketSize,
+    max_depth: (i + 1) * bucketSize,
+    count: 0
+  }));
+
+  depths.forEach(depth => {
+    buckets[Math.floor(depth / bucketSize)].count += 1;
+  });
+
+  return buckets;
+};
+
+// 가장 많이 방문한 장소 / 국가
+const topEntries = (counts, limit, keyName) => Object.entries(counts)
+  .sort((a, b) => b[1] - a[1])
+  .slice(0, limit)
+  .map(([key, count]) => ({ [keyName]: key, count }));
+
+const calculateDiveStats = (dives, options = {}) => {
+  const bucketSize = options.bucketSize || 10;
+  const topLimit = options.topLimit || 5;
+
+  const durations = numericValues(dives, 'duration_minutes');
+  const depths = numericValues(dives, 'max_depth');
+  const ratings = numericValues(dives, 'rating');
+  const totalBottomTime = durations.reduce((sum, v) => sum + v, 0);
+
+  // 장소는 "장소명|국가" 조합으로 집계
+  const locationCounts = countBy(dives, dive => dive.location_name
+    ? `${dive.location_name}|${dive.country || ''}`
+    : null);
+
+  return {
+    total_dives: dives.length,
+    dive_types: countBy(dives, dive => dive.dive_type),
+    bottom_time: {
+      total_minutes: totalBottomTime,
+      total_hours: round1(totalBottomTime / 60),
+      average_minutes: durations.length ? round1(totalBottomTime / durations.length) : null,
+      longest_minutes: durations.length ? Math.max(...durations) : null
+    },
+    depth: {
+      deepest: depths.length ? Math.max(...depths) : null,
+      average_max_depth: depths.length ? round1(depths.reduce((sum, v) => sum + v, 0) / depths.length) : null,
+      average_depth: summarizeRange(numericValues(dives, 'average_depth')).average,
+      bucket_size: bucketSize,
+      histogram: buildDepthHistogram(depths, bucketSize)
+    },
+    by_month: sortByKey(countBy(dives, dive => dive.dive_date ? String(dive.dive_date).slice(0, 7) : null)),
+    by_year: sortByKey(countBy(dives, dive => dive.dive_date ? String(dive.dive_date).slice(0, 4) : null)),
+    top_locations: topEntries(locationCounts, topLimit, 'key').map(({ key, count }) => {
+      const [location_name, country] = key.split('|');
+      return { location_name, country: country || null, count };
+    }),
+    top_countries: topEntries(countBy(dives, dive => dive.country), topLimit, 'country'),
+    water_temperature: summarizeRange(numericValues(dives, 'water_temperature')),
+    visibility: summarizeRange(numericValues(dives, 'visibility_meters')),
+    average_rating: ratings.length ? round1(ratings.reduce((sum, v) => sum + v, 0) / ratings.length) : null,
+    first_dive_date: dives.length ? dives.map(d => d.dive_date).sort()[0] : null,
+    last_dive_date: dives.length ? dives.map(d => d.dive_date).sort().slice(-1)[0] : null
+  };
+};
+
+// 내보내기
+module.exports = {
+  recalculateUserStats,  // 사용자 통계 재계산
+  calculateDiveStats     // 통계 계산 (순수 함수)
+};
@@ -0,0 +1,162 @@
+// ============================================
+// 🧪 다이빙 기록 검증 / 레코드 생성 (생성·가져오기 공통 규칙)
+// ============================================
+const { validateVisibility, validateLocationPrecision } = require('./privacy');
+
+// 허용 다이빙 타입
+const DIVE_TYPES = ['freediving', 'scuba'];
+
+// 필수 필드
+const REQUIRED_DIVE_FIELDS = ['dive_type', 'location_name', 'dive_date', 'max_depth'];
+
+// 누락된 필수 필드 목록
+const getMissingFields = (data) => REQUIRED_DIVE_FIELDS.filter(field => !data[field]);
+
+// 숫자 필드 허용 범위 (minExclusive: 최소값 제외, integer: 정수만)
+const DIVE_NUMERIC_RANGES = {
+  max_depth: { min: 0, max: 350, minExclusive: true, label: '최대 수심(m)' },
+  average_depth: { min: 0, max: 350, label: '평균 수심(m)' },
+  duration_minutes: { min: 0, max: 24 * 60, minExclusive: true, label: '다이빙 시간(분)' },
+  water_temperature: { min: -2, max: 40, label: '수온(°C)' },
+  visibility_meters: { min: 0, max: 100, label: '시야(m)' },
+  rating: { min: 1, max: 5, integer: true, label: '평점' }
+};
+
+// 📅 실제 달력 날짜인지 확인 (YYYY-MM-DD, 2024-02-31처럼 넘어가는 날짜는 거부)
+const isValidDate = (value) => {
+  const match = typeof value === 'string' && value.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (!match) return false;
+
+  const [year, month, day] = match.slice(1).map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day));
+  return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+};
+
+// 다이빙 날짜 검증 (에러 메시지 또는 null)
+const validateDiveDate = (value) => (
+  isValidDate(value) ? null : `dive_date는 YYYY-MM-DD 형식의 올바른 날짜여야 합니다: ${value}`
+);
+
+// 숫자 또는 숫자 문자열만 숫자로 (그 외는 NaN)
+const toNumber = (value) => {
+  if (typeof value === 'number') return value;
+  if (typeof value === 'string' && value.trim() !== '') return Number(value);
+  return NaN;
+};
+
+// ============================================
+// 🔢 숫자 필드 범위 검증 (생성·수정·가져오기 공통)
+// - 값이 있는 필드만 확인 (빈 값은 필수 필드 검증에서 처리)
+// - 반환: 에러 메시지 배열 (빈 배열이면 통과)
+// ============================================
+const validateDiveNumbers = (data) => {
+  const errors = [];
+
+  Object.entries(DIVE_NUMERIC_RANGES).forEach(([field, range]) => {
+    const value = data[field];
+    if (value === undefined || value === null || value === '') return;
+
+    const number = toNumber(value);
+    const tooLow = range.minExclusive ? number <= range.min : number < range.min;
+    if (!Number.isFinite(number) || tooLow || number > range.max || (range.integer && !Number.isInteger(number))) {
+      const lower = range.minExclusive ? `${range.min} 초과` : `${range.min} 이상`;
+      errors.push(`${range.label}은(는) ${lower} ${range.max} 이하의 ${range.integer ? '정수' : '숫자'}여야 합니다: ${field}`);
+    }
+  });
+
+  // 평균 수심은 최대 수심보다 깊을 수 없음 (둘 다 있을 때만)
+  const maxDepth = toNumber(data.max_depth);
+  const averageDepth = toNumber(data.average_depth);
+  if (errors.length === 0 && Number.isFinite(maxDepth) && Number.isFinite(averageDepth) && averageDepth > maxDepth) {
+    errors.push('평균 수심은 최대 수심보다 깊을 수 없습니다: average_depth');
+  }
+
+  return errors;
+};
+
+// ============================================
+// ✅ POST /api/dives/create 와 같은 규칙으로 검증
+// - 반환: 에러 메시지 배열 (빈 배열이면 통과)
+// ============================================
+const validateDive = (data) => {
+  const errors = [];
+
+  const missingFields = getMissingFields(data);
+  if (missingFields.length > 0) {
+    errors.push(`필수 필드가 누락되었습니다: ${missingFields.join(', ')}`);
+  }
+
+  if (data.dive_type && !DIVE_TYPES.includes(data.dive_type)) {
+    errors.push('다이빙 타입은 freediving 또는 scuba여야 합니다.');
+  }
+
+  // 날짜 (필수 필드 누락은 위에서 처리)
+  if (data.dive_date) {
+    const dateError = validateDiveDate(data.dive_date);
+    if (dateError) errors.push(dateError);
+  }
+
+  // 수심 / 시간 / 수온 / 시야 / 평점 범위
+  errors.push(...validateDiveNumbers(data));
+
+  // 공개 범위 / 좌표 공개 방식 (없으면 public / exact)
+  [validateVisibility(data.visibility), validateLocationPrecision(data.location_precision)]
+    .filter(Boolean)
+    .forEach(error => errors.push(error));
+
+  return errors;
+};
+
+// { lat, lng } → PostgreSQL POINT 문자열
+const toCoordinatesPoint = (coordinates) => {
+  if (coordinates && coordinates.lat && coordinates.lng) {
+    return `POINT(${coordinates.lng} ${coordinates.lat})`;
+  }
+  return null;
+};
+
+// ============================================
+// 🏗️ dives 테이블에 저장할 레코드 생성
+// ============================================
+const buildDiveRecord = (userId, data, diveNumber) => ({
+  user_id: userId,
+  dive_type: data.dive_type,
+  dive_number: diveNumber,
+  location_name: data.location_name,
+  country: data.country || null,
+  coordinates: toCoordinatesPoint(data.coordinates),
+  spot_id: data.spot_id || null,
+  dive_date: data.dive_date,
+  entry_time: data.entry_time || null,
+  duration_minutes: data.duration_minutes || null,
+  max_depth: data.max_depth,
+  average_depth: data.average_depth || null,
+  water_temperature: data.water_temperature || null,
+  visibility_meters: data.visibility_meters || null,
+  weather: data.weather || null,
+  current_strength: data.current_strength || null,
+  equipment: data.equipment || {},
+  air_consumption: data.dive_type === 'scuba' ? data.air_consumption : null,
+  safety_buddy_name: data.safety_buddy_name || null,
+  marine_life: data.marine_life || [],
+  notes: data.notes || '',
+  rating: data.rating || null,
+  visibility: data.visibility || 'public',
+  location_precision: data.location_precision || 'exact',
+  photos_count: 0,
+  videos_count: 0
+});
+
+// 내보내기
+module.exports = {
+  DIVE_TYPES,             // 허용 다이빙 타입
+  REQUIRED_DIVE_FIELDS,   // 필수 필드
+  DIVE_NUMERIC_RANGES,    // 숫자 필드 허용 범위
+  getMissingFields,       // 누락 필드 확인
+  isValidDate,            // 달력 날짜 확인
+  validateDiveDate,       // 다이빙 날짜 검증
+  validateDiveNumbers,    // 숫자 필드 범위 검증
+  validateDive,           // 다이빙 검증
+  toCoordinatesPoint,     // 좌표 변환
+  buildDiveRecord         // 저장용 레코드 생성
+};
@@ -0,0 +1,91 @@
+// ============================================
+// 👣 팔로우 관계 / 피드 커서 유틸리티
+// ============================================
+const { supabase } = require('./supabase');
+
+// 피드 한 페이지 크기
+const DEFAULT_FEED_LIMIT = 20;
+const MAX_FEED_LIMIT = 50;
+
+// ✅ follower가 following을 팔로우 중인지 확인
+const isFollowing = async (followerId, followingId) => {
+  const { data, error } = await supabase
+    .from('follows')
+    .select('follower_id')
+    .eq('follower_id', followerId)
+    .eq('following_id', followingId)
+    .maybeSingle();
+
+  if (error) {
+    throw error;
+  }
+  return Boolean(data);
+};
+
+// 👥 사용자가 팔로우하는 사용자 ID 목록
+const getFollowingIds = async (userId) => {
+  const { data, error } = await supabase
+    .from('follows')
+    .select('following_id')
+    .eq('follower_id', userId);
+
+  if (error) {
+    throw error;
+  }
+  return data.map(row => row.following_id);
+};
+
+// 🔢 팔로워 / 팔로잉 수 (행을 가져오지 않고 count만 조회)
+const getFollowCounts = async (userId) => {
+  const [followers, following] = await Promise.all([
+    supabase
+      .from('follows')
+      .select('follower_id', { count: 'exact', head: true })
+      .eq('following_id', userId),
+    supabase
+      .from('follows')
+      .select('following_id', { count: 'exact', head: true })
+      .eq('follower_id', userId)
+  ]);
+
+  if (followers.error) throw followers.error;
+  if (following.error) throw following.error;
+
+  return {
+    followers_count: followers.count || 0,
+    following_count: following.count || 0
+  };
+};
+
+// ============================================
+// 🧭 피드 커서 (마지막 항목의 created_at + id)
+// - base64url JSON 문자열, 잘못된 커서는 null
+// ============================================
+const encodeFeedCursor = (dive) => {
+  return Buffer.from(JSON.stringify({ created_at: dive.created_at, id: dive.id })).toString('base64url');
+};
+
+const decodeFeedCursor = (cursor) => {
+  try {
+    const parsed = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+    if (!parsed || typeof parsed.created_at !== 'string' || isNaN(Date.parse(parsed.created_at)) || !uuidRegex.test(parsed.id)) {
+      return null;
+    }
+    // created_at은 DB 값 그대로 사용 (마이크로초 정밀도 유지)
+    return { created_at: parsed.created_at, id: parsed.id };
+  } catch (error) {
+    return null;
+  }
+};
+
+// 내보내기
+module.exports = {
+  DEFAULT_FEED_LIMIT,   // 피드 기본 크기
+  MAX_FEED_LIMIT,       // 피드 최대 크기
+  isFollowing,          // 팔로우 여부
+  getFollowingIds,      // 팔로잉 ID 목록
+  getFollowCounts,      // 팔로워/팔로잉 수
+  encodeFeedCursor,     // 커서 생성
+  decodeFeedCursor      // 커서 해석
+};
@@ -0,0 +1,211 @@
+// ============================================
+// 🧜 프리다이빙 세션/기록 유틸리티
+// - 종목별 측정값, 시도 검증, 세션 요약, 개인 최고 기록(PB)
+// ============================================
+const { supabase } = require('./supabase');
+
+// 종목 정의 (metric: 기록으로 쓰는 컬럼)
+const DISCIPLINES = {
+  STA: { name: 'Static Apnea', metric: 'breath_hold_seconds', unit: 's' },
+  DYN: { name: 'Dynamic with Fins', metric: 'distance_m', unit: 'm' },
+  DNF: { name: 'Dynamic No Fins', metric: 'distance_m', unit: 'm' },
+  CWT: { name: 'Constant Weight', metric: 'depth_m', unit: 'm' },
+  FIM: { name: 'Free Immersion', metric: 'depth_m', unit: 'm' },
+  CNF: { name: 'Constant Weight No Fins', metric: 'depth_m', unit: 'm' }
+};
+const DISCIPLINE_CODES = Object.keys(DISCIPLINES);
+
+// 한 세션에 기록할 수 있는 최대 시도 수
+const MAX_ATTEMPTS_PER_SESSION = 100;
+
+// 권장 수면 휴식: 직전 숨참기 시간의 2배 이상
+const SURFACE_INTERVAL_RATIO = 2;
+
+// 숫자 필드 → 최대값 (값이 없으면 null, 세계 기록을 넉넉히 넘는 수준으로 제한)
+const NUMERIC_FIELD_MAX = {
+  breath_hold_seconds: 30 * 60,         // STA 세계 기록 약 11분
+  distance_m: 400,                      // DYN 세계 기록 약 320m
+  depth_m: 250,                         // 무제한 종목 세계 기록 약 214m
+  target: 30 * 60,                      // 종목 단위(초 또는 m)의 목표값
+  surface_interval_seconds: 24 * 60 * 60
+};
+const NUMERIC_FIELDS = Object.keys(NUMERIC_FIELD_MAX);
+
+// ============================================
+// 🧪 시도 데이터 검증 + 정규화
+// - partial: 수정(PUT) 시 전달된 필드만 검증
+// - 반환: { attempt, errors }
+// ============================================
+const validateAttempt = (input = {}, { partial = false } = {}) => {
+  const errors = [];
+  const attempt = {};
+
+  if (input.discipline !== undefined || !partial) {
+    const discipline = String(input.discipline || '').toUpperCase();
+    if (!DISCIPLINES[discipline]) {
+      errors.push(`discipline은 ${DISCIPLINE_CODES.join(', ')} 중 하나여야 합니다.`);
+    } else {
+      attempt.discipline = discipline;
+    }
+  }
+
+  NUMERIC_FIELDS.forEach(field => {
+    if (input[field] === undefined) return;
+    if (input[field] === null || input[field] === '') {
+      attempt[field] = null;
+      return;
+    }
+    const value = Number(input[field]);
+    if (!Number.isFinite(value) || value < 0 || value > NUMERIC_FIELD_MAX[field]) {
+      errors.push(`${field}는 0 이상 ${NUMERIC_FIELD_MAX[field]} 이하의 숫자여야 합니다.`);
+    } else {
+      attempt[field] = value;
+    }
+  });
+
+  if (input.turns !== undefined) {
+    const turns = Number(input.turns);
+    if (!Number.isInteger(turns) || turns < 0) {
+      errors.push('turns는 0 이상의 정수여야 합니다.');
+    } else {
+      attempt.turns = turns;
+    }
+  }
+
+  if (input.early_turn !== undefined) {
+    attempt.early_turn = input.early_turn === true || input.early_turn === 'true';
+  }
+
+  if (input.notes !== undefined) {
+    attempt.notes = input.notes ? String(input.notes).slice(0, 500) : null;
+  }
+
+  // 종목별 필수 기록값
+  if (!partial && attempt.discipline) {
+    const { metric } = DISCIPLINES[attempt.discipline];
+    if (attempt[metric] === undefined || attempt[metric] === null) {
+      errors.push(`${attempt.discipline} 종목은 ${metric} 값이 필요합니다.`);
+    }
+  }
+
+  return { attempt, errors };
+};
+
+// 🎯 시도의 기록값 (종목별 metric)
+const attemptValue = (attempt) => {
+  const discipline = DISCIPLINES[attempt.discipline];
+  if (!discipline) return null;
+  const value = attempt[discipline.metric];
+  return value === null || value === undefined ? null : Number(value);
+};
+
+// ============================================
+// 📊 세션 요약 (종목별 최고/평균, 수면 휴식 경고)
+// - attempts: attempt_number 순서
+// ============================================
+const summarizeSession = (attempts) => {
+  const byDiscipline = {};
+  const warnings = [];
+
+  attempts.forEach((attempt, i) => {
+    const value = attemptValue(attempt);
+    const { unit } = DISCIPLINES[attempt.discipline] || {};
+
+    if (!byDiscipline[attempt.discipline]) {
+      byDiscipline[attempt.discipline] = { attempts: 0, best: null, total: 0, early_turns: 0, unit };
+    }
+    const entry = byDiscipline[attempt.discipline];
+    entry.attempts++;
+    if (attempt.early_turn) entry.early_turns++;
+    if (value !== null) {
+      entry.total += value;
+      entry.best = entry.best === null ? value : Math.max(entry.best, value);
+    }
+
+    // 직전 시도 숨참기 시간 대비 수면 휴식이 짧으면 경고
+    const previous = attempts[i - 1];
+    if (previous?.breath_hold_seconds && attempt.surface_interval_seconds !== null && attempt.surface_interval_seconds !== undefined) {
+      const recommended = previous.breath_hold_seconds * SURFACE_INTERVAL_RATIO;
+      if (attempt.surface_interval_seconds < recommended) {
+        warnings.push(`#${attempt.attempt_number} 수면 휴식 ${attempt.surface_interval_seconds}초 (권장 ${recommended}초 이상)`);
+      }
+    }
+  });
+
+  Object.values(byDiscipline).forEach(entry => {
+    entry.average = entry.attempts > 0 ? Math.round((entry.total / entry.attempts) * 10) / 10 : null;
+    delete entry.total;
+  });
+
+  const intervals = attempts
+    .map(attempt => attempt.surface_interval_seconds)
+    .filter(value => value !== null && value !== undefined);
+
+  return {
+    total_attempts: attempts.length,
+    disciplines: byDiscipline,
+    total_breath_hold_seconds: attempts.reduce((sum, attempt) => sum + (Number(attempt.breath_hold_seconds) || 0), 0),
+    deepest_m: Math.max(0, ...attempts.map(attempt => Number(attempt.depth_m) || 0)) || null,
+    average_surface_interval_seconds: intervals.length
+      ? Math.round(intervals.reduce((sum, value) => sum + Number(value), 0) / intervals.length)
+      : null,
+    early_turns: attempts.filter(attempt => attempt.early_turn).length,
+    warnings
+  };
+};
+
+// ============================================
+// 🏆 개인 최고 기록 계산 (종목별 최대값)
+// - attempts: dives(dive_date) 조인 포함
+// ============================================
+const calculatePersonalBests = (attempts) => {
+  const bests = {};
+
+  attempts.forEach(attempt => {
+    const value = attemptValue(attempt);
+    if (value === null) return;
+
+    const current = bests[attempt.discipline];
+    if (!current || value > current.value) {
+      bests[attempt.discipline] = {
+        value,
+        unit: DISCIPLINES[attempt.discipline].unit,
+        dive_id: attempt.dive_id,
+        attempt_id: attempt.id,
+        dive_date: attempt.dives?.dive_date || null
+      };
+    }
+  });
+
+  return bests;
+};
+
+// 🔍 사용자의 종목별 개인 최고 기록 조회
+// - visibilityLevels: 지정하면 해당 공개 범위의 다이빙 기록만 반영
+const getPersonalBests = async (userId, { visibilityLevels = null } = {}) => {
+  const { data, error } = await supabase
+    .from('freedive_attempts')
+    .select('id, dive_id, discipline, breath_hold_seconds, distance_m, depth_m, dives(dive_date, visibility)')
+    .eq('user_id', userId);
+
+  if (error) {
+    throw error;
+  }
+
+  const attempts = (data || []).filter(attempt =>
+    !visibilityLevels || visibilityLevels.includes(attempt.dives?.visibility || 'public')
+  );
+  return calculatePersonalBests(attempts);
+};
+
+// 내보내기
+module.exports = {
+  DISCIPLINES,               // 종목 정의
+  DISCIPLINE_CODES,          // 종목 코드 목록
+  MAX_ATTEMPTS_PER_SESSION,  // 세션당 최대 시도 수
+  NUMERIC_FIELD_MAX,         // 숫자 필드 최대값
+  validateAttempt,           // 시도 검증
+  summarizeSession,          // 세션 요약
+  calculatePersonalBests,    // PB 계산
+  getPersonalBests           // PB 조회
+};
@@ -0,0 +1,322 @@
+// ============================================
+// 🫙 탱크/기체 유틸리티
+// - 탱크 검증, 기체 이름, MOD/ppO2 검사, SAC/RMV 계산
+// ============================================
+const { supabase } = require('./supabase');
+const { fetchInBatches } = require('./batchQuery');
+
+// 한 다이빙에 기록할 수 있는 최대 탱크 수
+const MAX_TANKS_PER_DIVE = 6;
+
+// 탱크 용도 (deco 탱크는 최대 수심에서 호흡하지 않으므로 MOD 검사 제외)
+const TANK_ROLES = ['bottom', 'stage', 'deco'];
+
+// ppO2 기준 (bar)
+const PPO2_WORKING_MAX = parseFloat(process.env.PPO2_WORKING_MAX) || 1.4;
+const PPO2_CONTINGENCY_MAX = 1.6;
+const PPO2_HYPOXIC_MIN = 0.16;
+
+const SURFACE_PRESSURE = 1.01325;
+const METERS_PER_BAR = 10;
+
+const round1 = (value) => Math.round(value * 10) / 10;
+const round2 = (value) => Math.round(value * 100) / 100;
+
+// 비율/퍼센트 모두 허용 (32 → 0.32)
+const toFraction = (value) => {
+  const number = Number(value);
+  return number > 1 ? number / 100 : number;
+};
+
+// 🏷️ 기체 이름 (air, EAN32, TX18/45)
+const gasLabel = (o2, he = 0) => {
+  const o2Pct = Math.round(o2 * 100);
+  const hePct = Math.round(he * 100);
+  if (hePct > 0) return `TX${o2Pct}/${hePct}`;
+  if (o2Pct === 21) return 'air';
+  if (o2Pct === 100) return 'O2';
+  return `EAN${o2Pct}`;
+};
+
+// 수심의 절대압 (bar)
+const ambientPressure = (depth) => SURFACE_PRESSURE + depth / METERS_PER_BAR;
+
+// 수심에서의 ppO2
+const ppO2At = (o2, depth) => round2(o2 * ambientPressure(depth));
+
+// 최대 운용 수심 (MOD, m)
+const maxOperatingDepth = (o2, ppO2Max = PPO2_WORKING_MAX) => round1(((ppO2Max / o2) - SURFACE_PRESSURE) * METERS_PER_BAR);
+
+// 등가 마취 수심 (END, m) - 산소도 마취성으로 보는 방식
+const equivalentNarcoticDepth = (he, depth) => round1(Math.max(ambientPressure(depth) * (1 - he) - SURFACE_PRESSURE, 0) * METERS_PER_BAR);
+
+// ============================================
+// 🧪 탱크 검증 + 정규화
+// - 반환: { tank, errors }
+// ============================================
+const validateTank = (input = {}, index = 0) => {
+  const errors = [];
+  const prefix = `tanks[${index}]`;
+
+  const o2 = input.o2 === undefined || input.o2 === null || input.o2 === '' ? 0.21 : toFraction(input.o2);
+  const he = input.he === undefined || input.he === null || input.he === '' ? 0 : toFraction(input.he);
+
+  if (!Number.isFinite(o2) || o2 < 0.05 || o2 > 1) {
+    errors.push(`${prefix}.o2는 5~100% 사이여야 합니다.`);
+  }
+  if (!Number.isFinite(he) || he < 0 || he > 0.95) {
+    errors.push(`${prefix}.he는 0~95% 사이여야 합니다.`);
+  }
+  if (Number.isFinite(o2) && Number.isFinite(he) && o2 + he > 1.0001) {
+    errors.push(`${prefix}: o2와 he의 합은 100%를 넘을 수 없습니다.`);
+  }
+
+  const optionalNumber = (field, max) => {
+    const value = input[field];
+    if (value === undefined || value === null || value === '') return null;
+    const number = Number(value);
+    if (!Number.isFinite(number) || number <= 0 || number > max) {
+      errors.push(`${prefix}.${field}는 0보다 크고 ${max} 이하인 숫자여야 합니다.`);
+      return null;
+    }
+    return number;
+  };
+
+  const volume = optionalNumber('volume_liters', 50);
+  const start = optionalNumber('start_pressure_bar', 350);
+  const end = input.end_pressure_bar === 0 ? 0 : optionalNumber('end_pressure_bar', 350);
+
+  if (start !== null && end !== null && end > start) {
+    errors.push(`${prefix}: 종료 압력이 시작 압력보다 클 수 없습니다.`);
+  }
+
+  const role = input.role || 'bottom';
+  if (!TANK_ROLES.includes(role)) {
+    errors.push(`${prefix}.role은 ${TANK_ROLES.join(', ')} 중 하나여야 합니다.`);
+  }
+
+  return {
+    tank: {
+      gas: input.gas ? String(input.gas).slice(0, 30) : gasLabel(o2, he),
+      role,
+      o2: round2(o2),
+      he: round2(he),
+      volume_liters: volume,
+      start_pressure_bar: start,
+      end_pressure_bar: end
+    },
+    errors
+  };
+};
+
+// ============================================
+// ⚠️ 최대 수심 기준 기체 검사 (MOD, ppO2, 저산소)
+// - deco 탱크는 최대 수심 검사에서 제외
+// - 반환: [{ tank, severity: 'warning' | 'danger', message }]
+// ============================================
+const checkGasLimits = (tanks, maxDepth) => {
+  const depth = Number(maxDepth);
+  if (!Number.isFinite(depth) || depth <= 0) return [];
+
+  const issues = [];
+  tanks.forEach((tank, i) => {
+    const ppO2 = ppO2At(tank.o2, depth);
+    const mod = maxOperatingDepth(tank.o2);
+    const label = tank.gas || gasLabel(tank.o2, tank.he);
+
+    if (tank.role === 'deco') {
+      // 감압 기체는 최대 수심이 아닌 전환 수심(MOD)에서부터 사용
+    } else if (ppO2 > PPO2_CONTINGENCY_MAX) {
+      issues.push({ tank: i, severity: 'danger', message: `${label}: 최대 수심 ${depth}m에서 ppO2 ${ppO2} bar (한계 ${PPO2_CONTINGENCY_MAX} bar 초과)` });
+    } else if (ppO2 > PPO2_WORKING_MAX) {
+      issues.push({ tank: i, severity: 'warning', message: `${label}: MOD ${mod}m 초과 (최대 수심 ${depth}m, ppO2 ${ppO2} bar)` });
+    }
+
+    // 저산소 혼합기체는 수면에서 호흡할 수 없음
+    if (ppO2At(tank.o2, 0) < PPO2_HYPOXIC_MIN) {
+      issues.push({ tank: i, severity: 'warning', message: `${label}: 저산소 기체 (수면 ppO2 ${ppO2At(tank.o2, 0)} bar)` });
+    }
+  });
+
+  return issues;
+};
+
+// 기체 정보 (MOD, 최대 수심 ppO2, END)
+const describeGas = (tank, maxDepth) => {
+  const depth = Number(maxDepth) || 0;
+  return {
+    label: tank.gas || gasLabel(tank.o2, tank.he),
+    mod_m: maxOperatingDepth(tank.o2),
+    mod_contingency_m: maxOperatingDepth(tank.o2, PPO2_CONTINGENCY_MAX),
+    ppo2_at_max_depth: ppO2At(tank.o2, depth),
+    ...(tank.he > 0 && { end_at_max_depth_m: equivalentNarcoticDepth(tank.he, depth) })
+  };
+};
+
+// ============================================
+// 📊 공기 소모량 (SAC: bar/min, RMV: L/min)
+// - 평균 수심이 없으면 최대 수심 기준 (소모량이 낮게 계산됨)
+// - 반환: 계산 불가 시 { available: false, reason }
+// ============================================
+const calculateConsumption = (dive, tanks) => {
+  const duration = Number(dive.duration_minutes);
+  const depth = Number(dive.average_depth) || Number(dive.max_depth);
+
+  if (!(duration > 0) || !(depth >= 0)) {
+    return { available: false, reason: 'duration_minutes와 수심 정보가 필요합니다.' };
+  }
+
+  const ata = ambientPressure(depth) / SURFACE_PRESSURE;
+  const perTank = tanks.map(tank => {
+    if (tank.start_pressure_bar === null || tank.end_pressure_bar === null) return null;
+    const barUsed = tank.start_pressure_bar - tank.end_pressure_bar;
+    return {
+      bar_used: round1(barUsed),
+      liters_used: tank.volume_liters ? Math.round(barUsed * tank.volume_liters) : null,
+      sac_bar_per_min: round2(barUsed / duration / ata)
+    };
+  });
+
+  const measured = perTank.filter(Boolean);
+  if (measured.length === 0) {
+    return { available: false, reason: '시작/종료 압력이 기록된 탱크가 없습니다.' };
+  }
+
+  const withVolume = measured.filter(item => item.liters_used !== null);
+  const litersUsed = withVolume.reduce((sum, item) => sum + item.liters_used, 0);
+
+  return {
+    available: true,
+    depth_basis: Number(dive.average_depth) ? 'average_depth' : 'max_depth',
+    total_bar_used: round1(measured.reduce((sum, item) => sum + item.bar_used, 0)),
+    total_liters_used: withVolume.length ? litersUsed : null,
+    sac_bar_per_min: measured.length === 1 ? measured[0].sac_bar_per_min : null,
+    rmv_l_per_min: withVolume.length ? round1(litersUsed / duration / ata) : null,
+    tanks: perTank
+  };
+};
+
+// ============================================
+// 📈 SAC/RMV 추이 (월별 평균 + 전·후반 비교)
+// - points: [{ dive_date, sac_bar_per_min, rmv_l_per_min }] (날짜 순)
+// ============================================
+const calculateSacTrend = (points) => {
+  const average = (values) => (values.length ? round2(values.reduce((sum, value) => sum + value, 0) / values.length) : null);
+  const valuesOf = (items, key) => items.map(item => item[key]).filter(value => value !== null && value !== undefined);
+
+  const months = {};
+  points.forEach(point => {
+    const month = String(point.dive_date).slice(0, 7);
+    (months[month] = months[month] || []).push(point);
+  });
+
+  const byMonth = Object.keys(months).sort().map(month => ({
+    month,
+    dives: months[month].length,
+    average_sac_bar_per_min: average(valuesOf(months[month], 'sac_bar_per_min')),
+    average_rmv_l_per_min: average(valuesOf(months[month], 'rmv_l_per_min'))
+  }));
+
+  // RMV가 충분하면 RMV, 아니면 SAC로 추세 판단 (낮아질수록 개선)
+  const metric = valuesOf(points, 'rmv_l_per_min').length >= 2 ? 'rmv_l_per_min' : 'sac_bar_per_min';
+  const series = valuesOf(points, metric);
+  let trend = null;
+  if (series.length >= 4) {
+    const half = Math.floor(series.length / 2);
+    const earlier = average(series.slice(0, half));
+    const recent = average(series.slice(-half));
+    const changePct = earlier ? round1(((recent - earlier) / earlier) * 100) : 0;
+    trend = {
+      metric,
+      earlier_average: earlier,
+      recent_average: recent,
+      change_pct: changePct,
+      direction: changePct <= -5 ? 'improving' : changePct >= 5 ? 'worsening' : 'stable'
+    };
+  }
+
+  return {
+    dives: points.length,
+    average_sac_bar_per_min: average(valuesOf(points, 'sac_bar_per_min')),
+    average_rmv_l_per_min: average(valuesOf(points, 'rmv_l_per_min')),
+    by_month: byMonth,
+    trend
+  };
+};
+
+// 🔍 다이빙별 탱크 조회 - 반환: { [dive_id]: [tank, ...] }
+const getTanksByDive = async (diveIds) => {
+  if (diveIds.length === 0) return {};
+
+  const tanks = await fetchInBatches(diveIds, (ids) => supabase
+    .from('dive_tanks')
+    .select('*')
+    .in('dive_id', ids)
+    .order('position', { ascending: true }));
+
+  return tanks.reduce((acc, tank) => {
+    (acc[tank.dive_id] = acc[tank.dive_id] || []).push(tank);
+    return acc;
+  }, {});
+};
+
+// 💾 다이빙 탱크 교체 (기존 탱크 삭제 후 순서대로 저장)
+// - dives.air_consumption에는 총 사용 압력(bar)을 함께 기록
+const replaceDiveTanks = async (dive, tanks) => {
+  const { error: deleteError } = await supabase
+    .from('dive_tanks')
+    .delete()
+    .eq('dive_id', dive.id);
+
+  if (deleteError) {
+    throw deleteError;
+  }
+
+  let saved = [];
+  if (tanks.length > 0) {
+    const { data, error } = await supabase
+      .from('dive_tanks')
+      .insert(tanks.map((tank, i) => ({ ...tank, dive_id: dive.id, user_id: dive.user_id, position: i + 1 })))
+      .select();
+
+    if (error) {
+      throw error;
+    }
+    saved = (data || []).sort((a, b) => a.position - b.position);
+  }
+
+  const measured = saved.filter(tank => tank.start_pressure_bar !== null && tank.end_pressure_bar !== null);
+  const { error: updateError } = await supabase
+    .from('dives')
+    .update({
+      air_consumption: measured.length
+        ? round1(measured.reduce((sum, tank) => sum + tank.start_pressure_bar - tank.end_pressure_bar, 0))
+        : null,
+      updated_at: new Date().toISOString()
+    })
+    .eq('id', dive.id);
+
+  if (updateError) {
+    throw updateError;
+  }
+
+  return saved;
+};
+
+// 내보내기
+module.exports = {
+  MAX_TANKS_PER_DIVE,        // 다이빙당 최대 탱크 수
+  TANK_ROLES,                // 탱크 용도
+  PPO2_WORKING_MAX,          // 작업 ppO2 한계
+  PPO2_CONTINGENCY_MAX,      // 비상 ppO2 한계
+  gasLabel,                  // 기체 이름
+  ppO2At,                    // 수심 ppO2
+  maxOperatingDepth,         // MOD
+  validateTank,              // 탱크 검증
+  checkGasLimits,            // MOD/ppO2 검사
+  describeGas,               // 기체 정보
+  calculateConsumption,      // SAC/RMV
+  calculateSacTrend,         // SAC/RMV 추이
+  getTanksByDive,            // 탱크 조회
+  replaceDiveTanks           // 탱크 저장
+};
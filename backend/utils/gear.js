@@ -0,0 +1,289 @@
+// ============================================
+// 🧰 장비 인벤토리 유틸리티
+// - 장비 검증, 다이빙별 장비 연결, 사용량(다이빙 수/시간), 점검 일정
+// ============================================
+const { supabase } = require('./supabase');
+
+// 장비 종류 → 기본 점검 주기 (개월 / 다이빙 수, null이면 주기 없음)
+const GEAR_CATEGORIES = {
+  regulator: { name: '호흡기', service_interval_months: 12, service_interval_dives: 100 },
+  bcd: { name: 'BCD', service_interval_months: 12, service_interval_dives: null },
+  computer: { name: '다이브 컴퓨터', service_interval_months: 24, service_interval_dives: null },
+  tank: { name: '탱크', service_interval_months: 12, service_interval_dives: null },
+  suit: { name: '슈트', service_interval_months: null, service_interval_dives: null },
+  fins: { name: '핀', service_interval_months: null, service_interval_dives: null },
+  mask: { name: '마스크', service_interval_months: null, service_interval_dives: null },
+  light: { name: '라이트', service_interval_months: null, service_interval_dives: null },
+  other: { name: '기타', service_interval_months: null, service_interval_dives: null }
+};
+const GEAR_CATEGORY_CODES = Object.keys(GEAR_CATEGORIES);
+
+// 곧 점검이 필요한 기준 (남은 일수 / 주기 대비 남은 다이빙 비율)
+const SERVICE_DUE_SOON_DAYS = 30;
+const SERVICE_DUE_SOON_DIVE_RATIO = 0.1;
+
+// 다이빙 하나에 연결할 수 있는 최대 장비 수
+const MAX_GEAR_PER_DIVE = 20;
+
+const TEXT_FIELDS = { name: 100, brand: 50, model: 50, serial_number: 50, notes: 1000 };
+const DATE_FIELDS = ['purchase_date', 'last_service_date'];
+
+// ============================================
+// 🧪 장비 검증 + 정규화
+// - partial: 수정(PUT) 시 전달된 필드만 검증
+// - 새 장비는 점검 주기를 지정하지 않으면 종류별 기본값 사용
+// - 반환: { item, errors }
+// ============================================
+const validateGearItem = (input = {}, { partial = false } = {}) => {
+  const errors = [];
+  const item = {};
+
+  if (input.category !== undefined || !partial) {
+    if (!GEAR_CATEGORIES[input.category]) {
+      errors.push(`category는 ${GEAR_CATEGORY_CODES.join(', ')} 중 하나여야 합니다.`);
+    } else {
+      item.category = input.category;
+    }
+  }
+
+  if (!partial && !input.name) {
+    errors.push('name은 필수입니다.');
+  }
+
+  Object.entries(TEXT_FIELDS).forEach(([field, maxLength]) => {
+    if (input[field] === undefined) return;
+    const value = input[field] === null ? '' : String(input[field]).trim();
+    if (field === 'name' && !value) {
+      if (partial) errors.push('name은 비워둘 수 없습니다.');
+    } else if (value.length > maxLength) {
+      errors.push(`${field}는 최대 ${maxLength}자까지 입력할 수 있습니다.`);
+    } else {
+      item[field] = value || null;
+    }
+  });
+
+  const dateRegex = /^\d{4}-\d{2}-\d{2}$/;
+  DATE_FIELDS.forEach(field => {
+    if (input[field] === undefined) return;
+    if (input[field] && (!dateRegex.test(input[field]) || isNaN(Date.parse(input[field])))) {
+      errors.push(`${field}는 YYYY-MM-DD 형식이어야 합니다.`);
+    } else {
+      item[field] = input[field] || null;
+    }
+  });
+
+  ['service_interval_months', 'service_interval_dives'].forEach(field => {
+    if (input[field] === undefined) {
+      // 새 장비는 종류별 기본 주기
+      if (!partial && item.category) item[field] = GEAR_CATEGORIES[item.category][field];
+      return;
+    }
+    if (input[field] === null) {
+      item[field] = null;
+      return;
+    }
+    const value = Number(input[field]);
+    if (!Number.isInteger(value) || value < 1 || value > 1000) {
+      errors.push(`${field}는 1~1000 사이 정수여야 합니다.`);
+    } else {
+      item[field] = value;
+    }
+  });
+
+  if (input.retired !== undefined) {
+    item.retired = input.retired === true || input.retired === 'true';
+  }
+
+  return { item, errors };
+};
+
+// ============================================
+// 🔍 장비 ID 목록 검증 (본인 소유 + 사용 중인 장비만)
+// - 반환: { gearIds, errors }
+// ============================================
+const validateGearIds = async (gearIds, userId) => {
+  if (!Array.isArray(gearIds)) {
+    return { gearIds: [], errors: ['gear_ids는 배열이어야 합니다.'] };
+  }
+
+  const uniqueIds = [...new Set(gearIds)];
+  if (uniqueIds.length > MAX_GEAR_PER_DIVE) {
+    return { gearIds: [], errors: [`장비는 다이빙당 최대 ${MAX_GEAR_PER_DIVE}개까지 연결할 수 있습니다.`] };
+  }
+  if (uniqueIds.length === 0) {
+    return { gearIds: [], errors: [] };
+  }
+
+  const { data: items, error } = await supabase
+    .from('gear_items')
+    .select('id, user_id, retired')
+    .in('id', uniqueIds);
+
+  if (error) {
+    throw error;
+  }
+
+  const errors = [];
+  uniqueIds.forEach(id => {
+    const item = (items || []).find(candidate => candidate.id === id);
+    if (!item || item.user_id !== userId) {
+      errors.push(`${id}: 내 장비 목록에 없는 장비입니다.`);
+    } else if (item.retired) {
+      errors.push(`${id}: 사용 중지된 장비입니다.`);
+    }
+  });
+
+  return { gearIds: errors.length ? [] : uniqueIds, errors };
+};
+
+// 💾 다이빙 장비 연결 교체
+const setDiveGear = async (diveId, userId, gearIds) => {
+  const { error: deleteError } = await supabase
+    .from('dive_gear')
+    .delete()
+    .eq('dive_id', diveId);
+
+  if (deleteError) {
+    throw deleteError;
+  }
+
+  if (gearIds.length === 0) return [];
+
+  const { data, error } = await supabase
+    .from('dive_gear')
+    .insert(gearIds.map(gearId => ({ dive_id: diveId, gear_id: gearId, user_id: userId })))
+    .select();
+
+  if (error) {
+    throw error;
+  }
+  return data || [];
+};
+
+// 📋 다이빙에 연결된 장비 목록
+const getDiveGear = async (diveId) => {
+  const { data, error } = await supabase
+    .from('dive_gear')
+    .select('gear_id, gear_items(id, category, name, brand, model)')
+    .eq('dive_id', diveId);
+
+  if (error) {
+    throw error;
+  }
+  return (data || []).map(row => row.gear_items).filter(Boolean);
+};
+
+// ============================================
+// 📊 장비별 사용량 (다이빙 수, 시간, 점검 후 다이빙 수)
+// - items: 장비 목록 / 반환: { [gear_id]: usage }
+// ============================================
+const getGearUsage = async (items) => {
+  if (items.length === 0) return {};
+
+  const { data: rows, error } = await supabase
+    .from('dive_gear')
+    .select('gear_id, dive_id, dives(dive_date, duration_minutes)')
+    .in('gear_id', items.map(item => item.id));
+
+  if (error) {
+    throw error;
+  }
+
+  const usage = {};
+  items.forEach(item => {
+    const serviceBase = item.last_service_date || item.purchase_date || null;
+    const itemRows = (rows || []).filter(row => row.gear_id === item.id && row.dives);
+    const minutes = itemRows.reduce((sum, row) => sum + (Number(row.dives.duration_minutes) || 0), 0);
+    const dates = itemRows.map(row => String(row.dives.dive_date).slice(0, 10)).sort();
+
+    usage[item.id] = {
+      dive_count: itemRows.length,
+      total_minutes: minutes,
+      total_hours: Math.round((minutes / 60) * 10) / 10,
+      dives_since_service: serviceBase
+        ? itemRows.filter(row => String(row.dives.dive_date).slice(0, 10) > serviceBase).length
+        : itemRows.length,
+      last_used: dates.length ? dates[dates.length - 1] : null
+    };
+  });
+
+  return usage;
+};
+
+// 📅 날짜에 개월 수 더하기 (YYYY-MM-DD)
+const addMonths = (date, months) => {
+  const result = new Date(`${date}T00:00:00Z`);
+  result.setUTCMonth(result.getUTCMonth() + months);
+  return result.toISOString().slice(0, 10);
+};
+
+// ============================================
+// 🔧 점검 상태 (날짜 또는 다이빙 수 기준)
+// - status: ok | due_soon | overdue | no_schedule
+// ============================================
+const getServiceStatus = (item, usage, today = new Date().toISOString().slice(0, 10)) => {
+  const reasons = [];
+  let status = 'ok';
+  const raise = (next) => {
+    if (next === 'overdue' || (next === 'due_soon' && status === 'ok')) status = next;
+  };
+
+  let nextServiceDate = null;
+  const serviceBase = item.last_service_date || item.purchase_date;
+  if (item.service_interval_months && serviceBase) {
+    nextServiceDate = addMonths(serviceBase, item.service_interval_months);
+    const daysLeft = Math.round((Date.parse(nextServiceDate) - Date.parse(today)) / 86400000);
+    if (daysLeft < 0) {
+      raise('overdue');
+      reasons.push(`점검 예정일(${nextServiceDate})이 지났습니다.`);
+    } else if (daysLeft <= SERVICE_DUE_SOON_DAYS) {
+      raise('due_soon');
+      reasons.push(`점검 예정일까지 ${daysLeft}일 남았습니다.`);
+    }
+  }
+
+  let divesUntilService = null;
+  if (item.service_interval_dives) {
+    divesUntilService = item.service_interval_dives - (usage?.dives_since_service || 0);
+    if (divesUntilService <= 0) {
+      raise('overdue');
+      reasons.push(`마지막 점검 후 ${usage.dives_since_service}회 다이빙 (주기 ${item.service_interval_dives}회)`);
+    } else if (divesUntilService <= Math.ceil(item.service_interval_dives * SERVICE_DUE_SOON_DIVE_RATIO)) {
+      raise('due_soon');
+      reasons.push(`점검까지 다이빙 ${divesUntilService}회 남았습니다.`);
+    }
+  }
+
+  if (!item.service_interval_months && !item.service_interval_dives) {
+    status = 'no_schedule';
+  }
+
+  return {
+    status,
+    next_service_date: nextServiceDate,
+    dives_until_service: divesUntilService,
+    reasons
+  };
+};
+
+// 📋 장비 + 사용량 + 점검 상태
+const describeGear = (item, usage) => ({
+  ...item,
+  category_name: GEAR_CATEGORIES[item.category]?.name || item.category,
+  usage: usage || { dive_count: 0, total_minutes: 0, total_hours: 0, dives_since_service: 0, last_used: null },
+  service: getServiceStatus(item, usage)
+});
+
+// 내보내기
+module.exports = {
+  GEAR_CATEGORIES,       // 장비 종류 + 기본 점검 주기
+  GEAR_CATEGORY_CODES,   // 장비 종류 코드
+  MAX_GEAR_PER_DIVE,     // 다이빙당 최대 장비 수
+  validateGearItem,      // 장비 검증
+  validateGearIds,       // 장비 ID 검증
+  setDiveGear,           // 다이빙 장비 연결
+  getDiveGear,           // 다이빙 장비 조회
+  getGearUsage,          // 사용량
+  getServiceStatus,      // 점검 상태
+  describeGear           // 응답용 장비 정보
+};
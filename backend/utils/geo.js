@@ -0,0 +1,73 @@
+// ============================================
+// 🌍 위치/좌표 계산 유틸리티
+// ============================================
+
+const EARTH_RADIUS_KM = 6371;
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+
+// 위도/경도 범위 검증
+const isValidLatLng = (lat, lng) => {
+  return Number.isFinite(lat) && Number.isFinite(lng) &&
+    lat >= -90 && lat <= 90 && lng >= -180 && lng <= 180;
+};
+
+// 📏 두 지점 사이 거리 (Haversine 공식, km)
+const distanceKm = (lat1, lng1, lat2, lng2) => {
+  const dLat = toRadians(lat2 - lat1);
+  const dLng = toRadians(lng2 - lng1);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLng / 2) ** 2;
+
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+};
+
+// 📦 중심점 기준 반경을 감싸는 사각형 (DB 1차 필터용)
+const boundingBox = (lat, lng, radiusKm) => {
+  const latDelta = (radiusKm / EARTH_RADIUS_KM) * (180 / Math.PI);
+  const lngDelta = latDelta / Math.max(Math.cos(toRadians(lat)), 0.01);
+
+  return {
+    minLat: Math.max(lat - latDelta, -90),
+    maxLat: Math.min(lat + latDelta, 90),
+    minLng: Math.max(lng - lngDelta, -180),
+    maxLng: Math.min(lng + lngDelta, 180)
+  };
+};
+
+// "minLng,minLat,maxLng,maxLat" 형식의 bbox 파라미터 파싱
+const parseBoundingBox = (value) => {
+  if (!value) return null;
+
+  const parts = String(value).split(',').map(Number);
+  if (parts.length !== 4) return null;
+
+  const [minLng, minLat, maxLng, maxLat] = parts;
+  if (!isValidLatLng(minLat, minLng) || !isValidLatLng(maxLat, maxLng)) return null;
+  if (minLat > maxLat || minLng > maxLng) return null;
+
+  return { minLat, maxLat, minLng, maxLng };
+};
+
+// PostgreSQL POINT 문자열 → { lat, lng }
+// 'POINT(126.5 33.2)' 또는 '(126.5,33.2)' 형식 모두 지원
+const parsePoint = (value) => {
+  if (!value) return null;
+  if (typeof value === 'object' && value.lat !== undefined && value.lng !== undefined) {
+    return { lat: Number(value.lat), lng: Number(value.lng) };
+  }
+
+  const match = String(value).match(/(-?\d+(?:\.\d+)?)[\s,]+(-?\d+(?:\.\d+)?)/);
+  if (!match) return null;
+
+  return { lng: Number(match[1]), lat: Number(match[2]) };
+};
+
+// 내보내기
+module.exports = {
+  isValidLatLng,     // 좌표 검증
+  distanceKm,        // 거리 계산
+  boundingBox,       // 반경 → 사각형
+  parseBoundingBox,  // bbox 파라미터 파싱
+  parsePoint         // POINT 파싱
+};
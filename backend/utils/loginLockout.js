@@ -0,0 +1,79 @@
+// ============================================
+// 🔒 로그인 실패 잠금 (이메일 기준, 점진적)
+// - 연속 5번 실패하면 1분 잠금, 이후 실패할 때마다 2배 (최대 1시간)
+// - 실패 기록은 24시간 유지, 로그인 성공 시 초기화
+// - 2단계 인증 코드 실패도 같은 계정 실패로 계산
+// - 카운터는 요청 제한과 같은 저장소 사용 (utils/rateLimit)
+// ============================================
+const { getRateLimitStore } = require('./rateLimit');
+
+const LOCKOUT_THRESHOLD = parseInt(process.env.LOGIN_LOCKOUT_THRESHOLD) || 5;
+const LOCKOUT_BASE_SECONDS = 60;
+const LOCKOUT_MAX_SECONDS = 60 * 60;
+const FAILURE_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+const normalizeEmail = (email) => String(email ?? '').trim().toLowerCase();
+const failureKey = (email) => `login-failures:${normalizeEmail(email)}`;
+const lockKey = (email) => `login-lock:${normalizeEmail(email)}`;
+
+// 🕒 n번째 실패의 잠금 시간 (초)
+const lockoutSeconds = (failures) => Math.min(
+  LOCKOUT_BASE_SECONDS * 2 ** (failures - LOCKOUT_THRESHOLD),
+  LOCKOUT_MAX_SECONDS
+);
+
+// 🔍 잠금 상태 → { locked, retryAfter }
+// - 저장소 장애 시에는 잠기지 않은 것으로 처리 (로그인 자체는 막지 않음)
+const getLoginLock = async (email) => {
+  try {
+    const lock = await getRateLimitStore().get(lockKey(email));
+    if (!lock) return { locked: false };
+    return {
+      locked: true,
+      retryAfter: Math.max(1, Math.ceil((lock.resetAt - Date.now()) / 1000))
+    };
+  } catch (error) {
+    console.error('❌ 로그인 잠금 확인 에러:', error);
+    return { locked: false };
+  }
+};
+
+// ❌ 실패 기록 → { failures, locked, retryAfter, attemptsRemaining }
+const recordLoginFailure = async (email) => {
+  try {
+    const store = getRateLimitStore();
+    const { count: failures } = await store.increment(failureKey(email), FAILURE_WINDOW_MS);
+
+    if (failures < LOCKOUT_THRESHOLD) {
+      return { failures, locked: false, attemptsRemaining: LOCKOUT_THRESHOLD - failures };
+    }
+
+    const seconds = lockoutSeconds(failures);
+    await store.reset(lockKey(email));
+    await store.increment(lockKey(email), seconds * 1000);
+    return { failures, locked: true, retryAfter: seconds, attemptsRemaining: 0 };
+  } catch (error) {
+    console.error('❌ 로그인 실패 기록 에러:', error);
+    return { failures: 0, locked: false };
+  }
+};
+
+// ✅ 로그인 성공 시 초기화
+const clearLoginFailures = async (email) => {
+  try {
+    const store = getRateLimitStore();
+    await store.reset(failureKey(email));
+    await store.reset(lockKey(email));
+  } catch (error) {
+    console.error('❌ 로그인 실패 기록 초기화 에러:', error);
+  }
+};
+
+// 내보내기
+module.exports = {
+  LOCKOUT_THRESHOLD,     // 잠금까지 허용되는 실패 횟수
+  lockoutSeconds,        // 실패 횟수별 잠금 시간
+  getLoginLock,          // 잠금 상태
+  recordLoginFailure,    // 실패 기록
+  clearLoginFailures     // 실패 기록 초기화
+};
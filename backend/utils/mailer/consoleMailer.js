@@ -0,0 +1,18 @@
+// ============================================
+// 🖨️ 콘솔 메일러 (MAIL_DRIVER=console 일 때만)
+// - 실제로 보내지 않고 서버 로그에 출력 (로컬 개발 / 테스트용, 인증 링크가 로그에 남음)
+// ============================================
+const crypto = require('crypto');
+
+const consoleMailer = {
+  name: 'console',
+
+  // 📤 메일 내용을 로그로 출력
+  async send({ to, subject, text }) {
+    const id = crypto.randomUUID();
+    console.log(`✉️ [메일 미발송 - console] to: ${to} | subject: ${subject}\n${text}`);
+    return { id };
+  }
+};
+
+module.exports = consoleMailer;
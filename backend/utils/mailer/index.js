@@ -0,0 +1,42 @@
+// ============================================
+// ✉️ 메일 발송 드라이버 선택
+// - MAIL_DRIVER 환경변수: smtp (기본값) | console
+//   (console은 인증 링크가 로그에 남으므로 명시적으로 설정했을 때만 사용,
+//    smtp인데 SMTP_HOST가 없으면 시작 시 에러)
+// - 메일러 인터페이스: send({ to, subject, text, html }) → { id }
+// - 개발 환경에서는 로컬 SMTP 캡처 서버(Mailpit 등)로 보내서 확인
+//   docker run -p 1025:1025 -p 8025:8025 axllent/mailpit
+//   SMTP_HOST=localhost SMTP_PORT=1025 → http://localhost:8025 에서 확인
+// ============================================
+const MAIL_DRIVERS = {
+  console: () => require('./consoleMailer'),
+  smtp: () => require('./smtpMailer')
+};
+
+const MAIL_DRIVER = process.env.MAIL_DRIVER || 'smtp';
+
+// 📋 설정 검증 (서버 시작 시, 메일을 보낼 때가 아니라)
+if (!MAIL_DRIVERS[MAIL_DRIVER]) {
+  throw new Error(`지원하지 않는 MAIL_DRIVER 값입니다: ${MAIL_DRIVER} (console | smtp)`);
+}
+if (MAIL_DRIVER === 'smtp' && !process.env.SMTP_HOST) {
+  throw new Error('MAIL_DRIVER=smtp(기본값)에는 SMTP_HOST 환경변수가 필요합니다. (로컬 개발/테스트는 MAIL_DRIVER=console)');
+}
+
+let mailer = null;
+
+const getMailer = () => {
+  if (!mailer) {
+    mailer = MAIL_DRIVERS[MAIL_DRIVER]();
+  }
+  return mailer;
+};
+
+// 📤 메일 발송 (발송 실패는 호출한 쪽에서 처리)
+const sendMail = (message) => getMailer().send(message);
+
+// 내보내기
+module.exports = {
+  getMailer,  // 현재 설정된 메일러
+  sendMail    // 메일 발송
+};
@@ -0,0 +1,35 @@
+// ============================================
+// 📮 SMTP 메일러 (nodemailer)
+// - MAIL_DRIVER=smtp (기본값), SMTP_HOST 필수
+// - SMTP_HOST, SMTP_PORT (기본 587), SMTP_SECURE (465 포트면 true),
+//   SMTP_USER / SMTP_PASS (캡처 서버는 생략 가능), MAIL_FROM
+// ============================================
+const nodemailer = require('nodemailer');
+
+const SMTP_PORT = parseInt(process.env.SMTP_PORT) || 587;
+const MAIL_FROM = process.env.MAIL_FROM || 'Diving Social <no-reply@diving-social.local>';
+
+const transporter = nodemailer.createTransport({
+  host: process.env.SMTP_HOST,
+  port: SMTP_PORT,
+  secure: process.env.SMTP_SECURE ? process.env.SMTP_SECURE === 'true' : SMTP_PORT === 465,
+  ...(process.env.SMTP_USER && {
+    auth: {
+      user: process.env.SMTP_USER,
+      pass: process.env.SMTP_PASS
+    }
+  })
+});
+
+const smtpMailer = {
+  name: 'smtp',
+  from: MAIL_FROM,
+
+  // 📤 메일 발송
+  async send({ to, subject, text, html }) {
+    const info = await transporter.sendMail({ from: MAIL_FROM, to, subject, text, html });
+    return { id: info.messageId };
+  }
+};
+
+module.exports = smtpMailer;
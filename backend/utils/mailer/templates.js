@@ -0,0 +1,56 @@
+// ============================================
+// 📝 메일 템플릿 (제목 + 텍스트 + HTML)
+// ============================================
+const APP_NAME = process.env.APP_NAME || 'Diving Social';
+const FRONTEND_URL = process.env.FRONTEND_URL || 'http://localhost:3000';
+
+// 프론트엔드 링크 (토큰은 쿼리로 전달)
+const frontendLink = (pathname, token) => `${FRONTEND_URL}${pathname}?token=${encodeURIComponent(token)}`;
+
+const layout = (title, paragraphs, action) => [
+  `<h2>${title}</h2>`,
+  ...paragraphs.map(paragraph => `<p>${paragraph}</p>`),
+  action ? `<p><a href="${action.url}">${action.label}</a></p>` : '',
+  `<p style="color:#888">🌊 ${APP_NAME}</p>`
+].join('\n');
+
+// 📧 이메일 인증
+const verificationEmail = ({ name, token, expiresInHours }) => {
+  const url = frontendLink('/verify-email', token);
+  return {
+    subject: `[${APP_NAME}] 이메일 주소를 인증해주세요`,
+    text: `${name}님, 가입을 환영합니다! 🤿\n아래 링크에서 이메일 인증을 완료해주세요. (${expiresInHours}시간 동안 유효)\n${url}`,
+    html: layout(`${name}님, 가입을 환영합니다! 🤿`, [
+      `아래 버튼을 눌러 이메일 인증을 완료해주세요. (${expiresInHours}시간 동안 유효)`
+    ], { url, label: '이메일 인증하기' })
+  };
+};
+
+// 🔑 비밀번호 재설정
+const passwordResetEmail = ({ name, token, expiresInHours }) => {
+  const url = frontendLink('/reset-password', token);
+  return {
+    subject: `[${APP_NAME}] 비밀번호 재설정 안내`,
+    text: `${name}님, 비밀번호 재설정 요청을 받았습니다.\n아래 링크에서 새 비밀번호를 설정해주세요. (${expiresInHours}시간 동안 유효)\n${url}\n본인이 요청하지 않았다면 이 메일은 무시하셔도 됩니다.`,
+    html: layout(`${name}님, 비밀번호 재설정 요청을 받았습니다.`, [
+      `아래 버튼을 눌러 새 비밀번호를 설정해주세요. (${expiresInHours}시간 동안 유효)`,
+      '본인이 요청하지 않았다면 이 메일은 무시하셔도 됩니다.'
+    ], { url, label: '비밀번호 재설정' })
+  };
+};
+
+// 🔔 비밀번호 변경 알림
+const passwordChangedEmail = ({ name }) => ({
+  subject: `[${APP_NAME}] 비밀번호가 변경되었습니다`,
+  text: `${name}님, 계정 비밀번호가 변경되었습니다.\n본인이 변경하지 않았다면 즉시 비밀번호 재설정을 진행해주세요.`,
+  html: layout(`${name}님, 계정 비밀번호가 변경되었습니다.`, [
+    '본인이 변경하지 않았다면 즉시 비밀번호 재설정을 진행해주세요.'
+  ])
+});
+
+// 내보내기
+module.exports = {
+  verificationEmail,     // 이메일 인증
+  passwordResetEmail,    // 비밀번호 재설정
+  passwordChangedEmail   // 비밀번호 변경 알림
+};
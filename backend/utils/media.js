@@ -0,0 +1,202 @@
+// ============================================
+// 📸 다이빙 사진/영상 처리 유틸리티
+// ============================================
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const os = require('os');
+const sharp = require('sharp');
+const { supabase } = require('./supabase');
+const { getStorage } = require('./storage');
+
+// 허용 MIME 타입 → 미디어 종류 / 확장자
+// - HEIC는 sharp가 읽지 못해 받지 않음 (클라이언트에서 JPEG로 변환해 업로드)
+const ALLOWED_MIME_TYPES = {
+  'image/jpeg': { media_type: 'photo', extension: 'jpg' },
+  'image/png': { media_type: 'photo', extension: 'png' },
+  'image/webp': { media_type: 'photo', extension: 'webp' },
+  'video/mp4': { media_type: 'video', extension: 'mp4' },
+  'video/quicktime': { media_type: 'video', extension: 'mov' }
+};
+
+// 종류별 최대 크기 (MB, 환경변수로 조정 가능)
+const MAX_PHOTO_MB = parseInt(process.env.MAX_PHOTO_MB) || 15;
+const MAX_VIDEO_MB = parseInt(process.env.MAX_VIDEO_MB) || 200;
+const MAX_FILES_PER_UPLOAD = 10;
+
+// 업로드 임시 디렉토리 (multer가 디스크에 받은 뒤 저장소로 옮기고 삭제)
+const UPLOAD_TMP_DIR = process.env.UPLOAD_TMP_DIR || os.tmpdir();
+
+// 썸네일 설정
+// - 사진만 썸네일 생성, 영상은 thumbnail_url이 null (서버에서 영상 프레임을 추출하지 않음)
+const THUMBNAIL_WIDTH = 400;
+const VIDEO_THUMBNAIL_NOTE = '영상은 썸네일을 만들지 않습니다 (thumbnail_url: null). 미리보기는 클라이언트에서 영상 첫 프레임으로 표시해주세요.';
+
+// 🔗 미디어 파일 URL (다이빙 공개 범위를 확인하는 API 경로)
+const mediaFileUrl = (diveId, mediaId, variant = null) =>
+  `/api/dives/${diveId}/photos/${mediaId}/file${variant ? `?variant=${variant}` : ''}`;
+
+// 임시 파일 앞부분 읽기 (시그니처 확인용)
+const readFileHead = async (filePath, length) => {
+  const handle = await fs.open(filePath, 'r');
+  try {
+    const { buffer, bytesRead } = await handle.read(Buffer.alloc(length), 0, length, 0);
+    return buffer.subarray(0, bytesRead);
+  } finally {
+    await handle.close();
+  }
+};
+
+// ============================================
+// 🧪 업로드 파일 검증 (임시 파일 기준)
+// - 클라이언트가 보낸 MIME 타입 + 실제 파일 시그니처 확인
+// ============================================
+const validateMediaFile = async (file) => {
+  const typeInfo = ALLOWED_MIME_TYPES[file.mimetype];
+  if (!typeInfo) {
+    return `${file.originalname}: 지원하지 않는 파일 형식입니다 (${file.mimetype}).`;
+  }
+
+  const maxMb = typeInfo.media_type === 'photo' ? MAX_PHOTO_MB : MAX_VIDEO_MB;
+  if (file.size > maxMb * 1024 * 1024) {
+    return `${file.originalname}: ${typeInfo.media_type === 'photo' ? '사진' : '영상'}은 최대 ${maxMb}MB까지 업로드할 수 있습니다.`;
+  }
+
+  // MP4/MOV는 4번째 바이트부터 'ftyp' 박스가 있어야 함
+  if (typeInfo.media_type === 'video' && (await readFileHead(file.path, 8)).subarray(4, 8).toString('ascii') !== 'ftyp') {
+    return `${file.originalname}: 손상되었거나 올바르지 않은 영상 파일입니다.`;
+  }
+
+  return null;
+};
+
+// ============================================
+// 🖼️ 사진 처리: 방향 보정 + 썸네일 생성
+// - sharp가 읽지 못하면 올바른 이미지가 아닌 것으로 판단
+// ============================================
+const processPhoto = async (filePath) => {
+  const image = sharp(filePath).rotate();
+  const metadata = await image.metadata();
+
+  const thumbnail = await image
+    .clone()
+    .resize({ width: THUMBNAIL_WIDTH, withoutEnlargement: true })
+    .webp({ quality: 80 })
+    .toBuffer();
+
+  // EXIF 회전이 적용된 실제 가로/세로
+  const rotated = metadata.orientation && metadata.orientation >= 5;
+
+  return {
+    width: rotated ? metadata.height : metadata.width,
+    height: rotated ? metadata.width : metadata.height,
+    thumbnail
+  };
+};
+
+// ============================================
+// 📤 파일 하나를 저장소에 저장하고 DB 레코드용 데이터 반환
+// - file: multer 디스크 업로드 파일 ({ path, mimetype, size, originalname })
+// ============================================
+const storeMediaFile = async (file, { userId, diveId }) => {
+  const typeInfo = ALLOWED_MIME_TYPES[file.mimetype];
+  const storage = getStorage();
+  const fileId = crypto.randomUUID();
+  const basePath = `${userId}/${diveId}/${fileId}`;
+
+  let photoInfo = null;
+  if (typeInfo.media_type === 'photo') {
+    try {
+      photoInfo = await processPhoto(file.path);
+    } catch (error) {
+      const invalid = new Error(`${file.originalname}: 이미지를 읽을 수 없습니다.`);
+      invalid.status = 400;
+      throw invalid;
+    }
+  }
+
+  const original = await storage.saveFile(`${basePath}.${typeInfo.extension}`, file.path, file.mimetype);
+  const thumbnail = photoInfo
+    ? await storage.save(`${basePath}_thumb.webp`, photoInfo.thumbnail, 'image/webp')
+    : null;
+
+  return {
+    id: fileId,
+    dive_id: diveId,
+    user_id: userId,
+    media_type: typeInfo.media_type,
+    mime_type: file.mimetype,
+    original_name: file.originalname,
+    size_bytes: file.size,
+    width: photoInfo?.width || null,
+    height: photoInfo?.height || null,
+    storage_backend: storage.name,
+    storage_path: original.path,
+    url: mediaFileUrl(diveId, fileId),
+    thumbnail_path: thumbnail?.path || null,
+    thumbnail_url: thumbnail ? mediaFileUrl(diveId, fileId, 'thumbnail') : null
+  };
+};
+
+// 🧹 업로드 임시 파일 삭제 (요청 처리 후 항상 호출)
+const removeUploadedFiles = async (files = []) => {
+  await Promise.all(files.map(file => fs.rm(file.path, { force: true })));
+};
+
+// 🔗 미디어 파일 다운로드 위치 (원본 또는 썸네일, 없으면 null)
+const getMediaDownload = async (media, { thumbnail = false } = {}) => {
+  const storagePath = thumbnail ? media.thumbnail_path : media.storage_path;
+  if (!storagePath) return null;
+  return getStorage().getDownload(storagePath);
+};
+
+// 🗑️ 저장소에서 미디어 파일(원본 + 썸네일) 삭제
+const removeMediaFiles = async (mediaRecords) => {
+  const paths = mediaRecords.flatMap(media => [media.storage_path, media.thumbnail_path]);
+  await getStorage().remove(paths);
+};
+
+// ============================================
+// 🔄 dives.photos_count / videos_count 재계산
+// ============================================
+const refreshMediaCounters = async (diveId) => {
+  const { data: media, error } = await supabase
+    .from('dive_media')
+    .select('media_type')
+    .eq('dive_id', diveId);
+
+  if (error) {
+    throw error;
+  }
+
+  const counters = {
+    photos_count: media.filter(item => item.media_type === 'photo').length,
+    videos_count: media.filter(item => item.media_type === 'video').length
+  };
+
+  const { error: updateError } = await supabase
+    .from('dives')
+    .update(counters)
+    .eq('id', diveId);
+
+  if (updateError) {
+    throw updateError;
+  }
+
+  return counters;
+};
+
+// 내보내기
+module.exports = {
+  ALLOWED_MIME_TYPES,     // 허용 MIME 타입
+  MAX_PHOTO_MB,           // 사진 최대 크기
+  MAX_VIDEO_MB,           // 영상 최대 크기
+  MAX_FILES_PER_UPLOAD,   // 한 번에 올릴 수 있는 파일 수
+  UPLOAD_TMP_DIR,         // 업로드 임시 디렉토리
+  VIDEO_THUMBNAIL_NOTE,   // 영상 썸네일 안내
+  validateMediaFile,      // 파일 검증
+  storeMediaFile,         // 파일 저장
+  removeUploadedFiles,    // 업로드 임시 파일 삭제
+  getMediaDownload,       // 파일 다운로드 위치
+  removeMediaFiles,       // 파일 삭제
+  refreshMediaCounters    // 카운터 갱신
+};
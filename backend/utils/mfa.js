@@ -0,0 +1,271 @@
+// ============================================
+// 🛡️ 2단계 인증 (TOTP) 저장/검증 헬퍼
+// - 등록: 비밀키 저장 (enabled_at 없음) → 코드 확인 후 활성화 + 복구 코드 발급
+// - 로그인: 비밀번호 확인 후 challenge 토큰 발급 → 코드 확인 시 세션 전달
+// - challenge에 둔 세션은 challenge 토큰(클라이언트만 보관)으로 암호화해 저장
+//   (테이블만으로는 access_token / refresh_token을 꺼낼 수 없음)
+// ============================================
+// 📋 필요한 테이블 (Supabase SQL Editor에서 생성)
+//
+// create table user_mfa (
+//   user_id uuid primary key references users(id) on delete cascade,
+//   secret text not null,                      -- Base32 TOTP 비밀키
+//   enabled_at timestamptz,                    -- null이면 등록 확인 전
+//   last_used_step bigint,                     -- 같은 코드 재사용 방지
+//   recovery_codes text[] not null default '{}', -- SHA-256 해시 (1회용)
+//   created_at timestamptz default now()
+// );
+//
+// create table mfa_challenges (
+//   id uuid primary key default gen_random_uuid(),
+//   user_id uuid not null references users(id) on delete cascade,
+//   token_hash text not null unique,
+//   sealed_session text not null,              -- 2단계 통과 시 돌려줄 세션 (AES-256-GCM)
+//   device_name text,
+//   attempts int not null default 0,
+//   expires_at timestamptz not null,
+//   created_at timestamptz default now()
+// );
+// ============================================
+const crypto = require('crypto');
+const { supabase } = require('./supabase');
+const { getRepositories } = require('../repositories');
+const { verifyTotp } = require('./totp');
+
+const RECOVERY_CODE_COUNT = 10;
+const CHALLENGE_TTL_MINUTES = 5;
+const MAX_CHALLENGE_ATTEMPTS = 5;
+
+const { auth: authRepository } = getRepositories();
+
+const hashValue = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+// ============================================
+// 🔒 challenge 세션 암호화 (키는 challenge 토큰에서 유도, 서버에 저장하지 않음)
+// - 형식: iv.authTag.ciphertext (base64url)
+// ============================================
+const challengeKey = (token) => crypto.createHash('sha256').update(`mfa-challenge:${token}`).digest();
+
+const sealSession = (session, token) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', challengeKey(token), iv);
+  const encrypted = Buffer.concat([cipher.update(JSON.stringify(session), 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64url')).join('.');
+};
+
+// 복호화 (토큰이 맞지 않으면 null)
+const openSession = (sealed, token) => {
+  try {
+    const [iv, authTag, encrypted] = String(sealed).split('.').map(part => Buffer.from(part, 'base64url'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', challengeKey(token), iv);
+    decipher.setAuthTag(authTag);
+    return JSON.parse(Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8'));
+  } catch (error) {
+    return null;
+  }
+};
+
+// 복구 코드 정규화 (대소문자/하이픈/공백 무시)
+const normalizeRecoveryCode = (code) => String(code ?? '').replace(/[\s-]/g, '').toLowerCase();
+
+// 🆕 복구 코드 생성 (xxxxx-xxxxx, 원문과 해시 반환)
+const generateRecoveryCodes = () => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+  return {
+    codes,
+    hashes: codes.map(code => hashValue(normalizeRecoveryCode(code)))
+  };
+};
+
+// 👤 사용자의 2단계 인증 설정 (없으면 null)
+const getUserMfa = async (userId) => {
+  const { data, error } = await supabase
+    .from('user_mfa')
+    .select('*')
+    .eq('user_id', userId)
+    .maybeSingle();
+
+  if (error) {
+    throw error;
+  }
+  return data;
+};
+
+const isMfaEnabled = (mfa) => Boolean(mfa?.enabled_at);
+
+// ============================================
+// ✅ 코드 확인 (TOTP 또는 복구 코드)
+// - 성공 시 사용한 TOTP 단계 기록 / 복구 코드 제거
+//   (둘 다 이전 값 조건으로 갱신해 동시에 같은 코드를 두 번 쓰지 못함)
+// - 반환: { valid, method: 'totp' | 'recovery_code', recovery_codes_remaining }
+// ============================================
+const verifyMfaCode = async (mfa, { code, recoveryCode }) => {
+  if (code !== undefined && code !== null && code !== '') {
+    const step = verifyTotp(mfa.secret, code, { afterStep: mfa.last_used_step ?? null });
+    if (step === null) return { valid: false };
+
+    // 같은 단계의 코드가 동시에 두 번 쓰이지 않도록 이전 값 조건으로 갱신
+    let query = supabase
+      .from('user_mfa')
+      .update({ last_used_step: step })
+      .eq('user_id', mfa.user_id);
+    query = mfa.last_used_step === null || mfa.last_used_step === undefined
+      ? query.is('last_used_step', null)
+      : query.eq('last_used_step', mfa.last_used_step);
+
+    const { data, error } = await query.select('user_id');
+    if (error) {
+      throw error;
+    }
+    return data.length > 0
+      ? { valid: true, method: 'totp', recovery_codes_remaining: mfa.recovery_codes.length }
+      : { valid: false };
+  }
+
+  if (recoveryCode) {
+    const hash = hashValue(normalizeRecoveryCode(recoveryCode));
+    if (!mfa.recovery_codes.includes(hash)) return { valid: false };
+
+    // 읽은 뒤 다른 요청이 코드를 쓰지 않았을 때만 제거 (배열이 그대로인지 확인)
+    const remaining = mfa.recovery_codes.filter(item => item !== hash);
+    const { data, error } = await supabase
+      .from('user_mfa')
+      .update({ recovery_codes: remaining })
+      .eq('user_id', mfa.user_id)
+      .contains('recovery_codes', mfa.recovery_codes)
+      .containedBy('recovery_codes', mfa.recovery_codes)
+      .select('user_id');
+
+    if (error) {
+      throw error;
+    }
+    return data.length > 0
+      ? { valid: true, method: 'recovery_code', recovery_codes_remaining: remaining.length }
+      : { valid: false };
+  }
+
+  return { valid: false };
+};
+
+// ============================================
+// 🎫 로그인 2단계 challenge
+// ============================================
+
+// 🆕 challenge 발급 (원문 토큰 반환)
+const createLoginChallenge = async ({ userId, session, deviceName }) => {
+  const token = crypto.randomBytes(32).toString('base64url');
+  const expiresAt = new Date(Date.now() + CHALLENGE_TTL_MINUTES * 60 * 1000);
+
+  const { error } = await supabase
+    .from('mfa_challenges')
+    .insert([{
+      user_id: userId,
+      token_hash: hashValue(token),
+      sealed_session: sealSession({
+        access_token: session.access_token,
+        refresh_token: session.refresh_token,
+        expires_at: session.expires_at,
+        expires_in: session.expires_in
+      }, token),
+      device_name: deviceName || null,
+      attempts: 0,
+      expires_at: expiresAt.toISOString()
+    }]);
+
+  if (error) {
+    throw error;
+  }
+
+  return { token, expiresIn: CHALLENGE_TTL_MINUTES * 60 };
+};
+
+// challenge 조회 (없거나 만료면 null, 만료된 것은 세션까지 정리)
+// - 반환한 challenge.session: 복호화한 세션
+const findLoginChallenge = async (token) => {
+  if (typeof token !== 'string' || !token) return null;
+
+  const { data: challenge, error } = await supabase
+    .from('mfa_challenges')
+    .select('*')
+    .eq('token_hash', hashValue(token))
+    .maybeSingle();
+
+  if (error) {
+    throw error;
+  }
+  if (!challenge) return null;
+
+  const opened = { ...challenge, session: openSession(challenge.sealed_session, token) };
+  if (!opened.session || new Date(challenge.expires_at) <= new Date()) {
+    await discardLoginChallenge(opened);
+    return null;
+  }
+  return opened;
+};
+
+// ❌ 실패 횟수 기록 (한도를 넘으면 challenge 폐기, 남은 횟수 반환)
+// - 읽은 시점의 attempts와 같을 때만 증가 (동시 요청이 먼저 갱신했으면 challenge 폐기)
+const recordChallengeFailure = async (challenge) => {
+  const attempts = challenge.attempts + 1;
+
+  if (attempts >= MAX_CHALLENGE_ATTEMPTS) {
+    await discardLoginChallenge(challenge);
+    return 0;
+  }
+
+  const { data: updated, error } = await supabase
+    .from('mfa_challenges')
+    .update({ attempts })
+    .eq('id', challenge.id)
+    .eq('attempts', challenge.attempts)
+    .select('id');
+
+  if (error || !updated || updated.length === 0) {
+    await discardLoginChallenge(challenge);
+    return 0;
+  }
+
+  return MAX_CHALLENGE_ATTEMPTS - attempts;
+};
+
+// 🗑️ challenge 삭제 (성공 시)
+const deleteLoginChallenge = async (challenge) => {
+  const { error } = await supabase
+    .from('mfa_challenges')
+    .delete()
+    .eq('id', challenge.id);
+
+  if (error) {
+    throw error;
+  }
+};
+
+// 🗑️ challenge 폐기 (만료/실패 한도) + 발급해둔 인증 세션도 종료
+const discardLoginChallenge = async (challenge) => {
+  await deleteLoginChallenge(challenge);
+
+  if (!challenge.session) return;
+
+  const { error } = await authRepository.signOut(challenge.session.access_token, 'local');
+  if (error) {
+    console.error('❌ 2단계 인증 세션 정리 에러:', error);
+  }
+};
+
+// 내보내기
+module.exports = {
+  RECOVERY_CODE_COUNT,       // 복구 코드 개수
+  CHALLENGE_TTL_MINUTES,     // challenge 유효 시간
+  MAX_CHALLENGE_ATTEMPTS,    // challenge 최대 시도 횟수
+  generateRecoveryCodes,     // 복구 코드 생성
+  getUserMfa,                // 2단계 인증 설정 조회
+  isMfaEnabled,              // 활성화 여부
+  verifyMfaCode,             // TOTP / 복구 코드 확인
+  createLoginChallenge,      // challenge 발급
+  findLoginChallenge,        // challenge 조회
+  recordChallengeFailure,    // 실패 기록
+  deleteLoginChallenge       // challenge 삭제
+};
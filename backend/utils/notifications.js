@@ -0,0 +1,196 @@
+// ============================================
+// 🔔 알림 유틸리티 (저장, 사용자 설정, 실시간 전달)
+// ============================================
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const { supabase } = require('./supabase');
+
+// 알림 종류 → 기본 문구 (actor: 알림을 발생시킨 사용자 이름)
+const NOTIFICATION_TYPES = {
+  follow: ({ actor }) => `${actor}님이 회원님을 팔로우하기 시작했습니다.`,
+  like: ({ actor, location }) => `${actor}님이 ${location} 다이빙을 좋아합니다.`,
+  comment: ({ actor, location }) => `${actor}님이 ${location} 다이빙에 댓글을 남겼습니다.`,
+  comment_reply: ({ actor }) => `${actor}님이 회원님의 댓글에 답글을 남겼습니다.`,
+  buddy_request: ({ actor }) => `${actor}님이 버디 요청을 보냈습니다.`,
+  buddy_accept: ({ actor }) => `${actor}님이 버디 요청을 수락했습니다.`,
+  buddy_tag: ({ actor, location }) => `${actor}님이 ${location} 다이빙에 회원님을 버디로 태그했습니다.`
+};
+
+// users.preferences.notifications 에 저장되는 종류별 수신 여부 (기본값: 모두 수신)
+const DEFAULT_NOTIFICATION_PREFERENCES = Object.keys(NOTIFICATION_TYPES)
+  .reduce((acc, type) => ({ ...acc, [type]: true }), {});
+
+// ============================================
+// 📡 실시간 전달용 이벤트 허브 (프로세스 내부)
+// - SSE 연결마다 사용자 ID로 구독
+// - 여러 서버 인스턴스로 확장하면 공유 pub/sub(예: Supabase Realtime)으로 교체 필요
+// ============================================
+const hub = new EventEmitter();
+hub.setMaxListeners(0);
+
+const subscribe = (userId, listener) => {
+  hub.on(userId, listener);
+  return () => hub.off(userId, listener);
+};
+
+// ============================================
+// 🎟️ 스트림 티켓 (브라우저 EventSource용, 프로세스 내부)
+// - EventSource는 헤더를 보낼 수 없으므로 URL에는 토큰 대신 1회용 티켓을 사용
+// - 발급 후 STREAM_TICKET_TTL_SECONDS 안에 한 번만 사용 가능
+// ============================================
+const STREAM_TICKET_TTL_SECONDS = 60;
+const streamTickets = new Map(); // 티켓 → { token, expiresAt }
+
+// 🆕 티켓 발급 (만료된 티켓은 이때 정리)
+const createStreamTicket = (accessToken) => {
+  const now = Date.now();
+  streamTickets.forEach((entry, ticket) => {
+    if (entry.expiresAt <= now) streamTickets.delete(ticket);
+  });
+
+  const ticket = crypto.randomBytes(32).toString('base64url');
+  streamTickets.set(ticket, { token: accessToken, expiresAt: now + STREAM_TICKET_TTL_SECONDS * 1000 });
+  return { ticket, expiresIn: STREAM_TICKET_TTL_SECONDS };
+};
+
+// ✅ 티켓 사용 (발급한 access_token 반환, 없거나 만료면 null)
+const consumeStreamTicket = (ticket) => {
+  if (typeof ticket !== 'string' || !streamTickets.has(ticket)) return null;
+
+  const entry = streamTickets.get(ticket);
+  streamTickets.delete(ticket);
+  return entry.expiresAt > Date.now() ? entry.token : null;
+};
+
+// 🧪 알림 설정 검증 (문제가 없으면 null, 있으면 에러 메시지)
+const validateNotificationPreferences = (input) => {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return 'notifications 설정은 { 알림종류: true/false } 형태의 객체여야 합니다.';
+  }
+
+  const unknown = Object.keys(input).filter(type => !NOTIFICATION_TYPES[type]);
+  if (unknown.length) {
+    return `알 수 없는 알림 종류입니다: ${unknown.join(', ')} (${Object.keys(NOTIFICATION_TYPES).join(', ')})`;
+  }
+
+  const invalid = Object.keys(input).filter(type => typeof input[type] !== 'boolean');
+  if (invalid.length) {
+    return `알림 설정 값은 true 또는 false여야 합니다: ${invalid.join(', ')}`;
+  }
+
+  return null;
+};
+
+// ⚙️ 저장된 preferences에서 알림 설정 추출 (기본값과 병합)
+const resolveNotificationPreferences = (preferences) => {
+  return { ...DEFAULT_NOTIFICATION_PREFERENCES, ...(preferences?.notifications || {}) };
+};
+
+// 👤 사용자의 preferences 조회
+const getUserPreferences = async (userId) => {
+  const { data, error } = await supabase
+    .from('users')
+    .select('preferences')
+    .eq('id', userId)
+    .maybeSingle();
+
+  if (error) {
+    throw error;
+  }
+  return data?.preferences || {};
+};
+
+// 📝 응답/전송용 알림
+const formatNotification = (notification) => ({
+  id: notification.id,
+  type: notification.type,
+  message: notification.message,
+  actor_id: notification.actor_id,
+  actor_name: notification.actor?.name || null,
+  dive_id: notification.dive_id,
+  comment_id: notification.comment_id,
+  data: notification.data || {},
+  is_read: Boolean(notification.read_at),
+  read_at: notification.read_at,
+  created_at: notification.created_at
+});
+
+// ============================================
+// 📨 알림 생성 + 실시간 전달
+// - 본인 행동, 수신 거부한 종류는 저장하지 않음
+// - 알림 실패가 원래 요청(댓글, 팔로우 등)을 실패시키지 않도록 에러는 로그만 남김
+// ============================================
+const notify = async ({ userId, actorId, type, diveId = null, commentId = null, data = {} }) => {
+  try {
+    if (!userId || userId === actorId || !NOTIFICATION_TYPES[type]) {
+      return null;
+    }
+
+    const preferences = resolveNotificationPreferences(await getUserPreferences(userId));
+    if (!preferences[type]) {
+      return null;
+    }
+
+    const { data: actor } = actorId
+      ? await supabase.from('users').select('id, name').eq('id', actorId).maybeSingle()
+      : { data: null };
+
+    const { data: notification, error } = await supabase
+      .from('notifications')
+      .insert([{
+        user_id: userId,
+        actor_id: actorId || null,
+        type,
+        dive_id: diveId,
+        comment_id: commentId,
+        message: NOTIFICATION_TYPES[type]({
+          actor: actor?.name || '알 수 없는 사용자',
+          location: data.location_name || '회원님의'
+        }),
+        data
+      }])
+      .select()
+      .single();
+
+    if (error) {
+      throw error;
+    }
+
+    const formatted = formatNotification({ ...notification, actor });
+    hub.emit(userId, formatted);
+    return formatted;
+
+  } catch (error) {
+    console.error(`❌ 알림 생성 에러 (${type}):`, error);
+    return null;
+  }
+};
+
+// 🔢 읽지 않은 알림 수
+const getUnreadCount = async (userId) => {
+  const { count, error } = await supabase
+    .from('notifications')
+    .select('id', { count: 'exact', head: true })
+    .eq('user_id', userId)
+    .is('read_at', null);
+
+  if (error) {
+    throw error;
+  }
+  return count || 0;
+};
+
+// 내보내기
+module.exports = {
+  NOTIFICATION_TYPES,                // 알림 종류
+  DEFAULT_NOTIFICATION_PREFERENCES,  // 기본 알림 설정
+  validateNotificationPreferences,   // 알림 설정 검증
+  resolveNotificationPreferences,    // 알림 설정 (기본값 병합)
+  getUserPreferences,                // preferences 조회
+  formatNotification,                // 응답용 알림
+  notify,                            // 알림 생성 + 전달
+  subscribe,                         // 실시간 구독
+  createStreamTicket,                // 스트림 티켓 발급
+  consumeStreamTicket,               // 스트림 티켓 사용
+  getUnreadCount                     // 읽지 않은 수
+};
@@ -0,0 +1,208 @@
+// ============================================
+// 🖨️ PDF 로그북 생성 유틸리티 (pdfkit)
+// - 표지(요약) 1장 + 다이빙 카드 (페이지당 2개)
+// - 한글 출력: PDF_FONT_PATH에 한글 TTF/OTF 경로 지정 (예: NotoSansKR-Regular.otf)
+// ============================================
+const fs = require('fs');
+const PDFDocument = require('pdfkit');
+const { calculateDiveStats } = require('./diveStats');
+
+const FONT_PATH = process.env.PDF_FONT_PATH;
+const PAGE_MARGIN = 50;
+const CARDS_PER_PAGE = 2;
+const MAX_NOTES_LENGTH = 600;
+
+const COLORS = {
+  primary: '#0b4f6c',
+  muted: '#6b7b8c',
+  border: '#c9d6df',
+  text: '#1f2933'
+};
+
+// 값이 없으면 '-'
+const display = (value, unit = '') => {
+  if (value === null || value === undefined || value === '') return '-';
+  return `${value}${unit}`;
+};
+
+const diveTypeLabel = (type) => (type === 'freediving' ? 'Freediving' : 'Scuba');
+
+// 폰트 등록 (한글 폰트가 없으면 기본 Helvetica)
+const registerFonts = (doc) => {
+  if (FONT_PATH && fs.existsSync(FONT_PATH)) {
+    doc.registerFont('body', FONT_PATH);
+    doc.registerFont('bold', FONT_PATH);
+  } else {
+    doc.registerFont('body', 'Helvetica');
+    doc.registerFont('bold', 'Helvetica-Bold');
+  }
+};
+
+// ============================================
+// 📘 표지: 다이버 정보 + 요약 통계
+// ============================================
+const drawCover = (doc, { diver, filters, stats }) => {
+  const width = doc.page.width - PAGE_MARGIN * 2;
+
+  doc.font('bold').fontSize(28).fillColor(COLORS.primary)
+    .text('Dive Logbook', PAGE_MARGIN, 120, { width, align: 'center' });
+  doc.moveDown(0.5);
+  doc.font('body').fontSize(16).fillColor(COLORS.text)
+    .text(diver.name || '', { width, align: 'center' });
+
+  if (diver.certifications) {
+    doc.moveDown(0.3).fontSize(11).fillColor(COLORS.muted)
+      .text(String(diver.certifications), { width, align: 'center' });
+  }
+
+  const period = filters.from || filters.to
+    ? `${filters.from || '...'} ~ ${filters.to || '...'}`
+    : `${stats.first_dive_date || '-'} ~ ${stats.last_dive_date || '-'}`;
+
+  doc.moveDown(1).fontSize(11).fillColor(COLORS.muted)
+    .text(`Period: ${period}${filters.dive_type ? `   Type: ${diveTypeLabel(filters.dive_type)}` : ''}`, { width, align: 'center' });
+
+  // 요약 표
+  const rows = [
+    ['Total dives', stats.total_dives],
+    ['Scuba / Freediving', `${stats.dive_types.scuba || 0} / ${stats.dive_types.freediving || 0}`],
+    ['Total bottom time', `${stats.bottom_time.total_hours} h (${stats.bottom_time.total_minutes} min)`],
+    ['Deepest dive', display(stats.depth.deepest, ' m')],
+    ['Average max depth', display(stats.depth.average_max_depth, ' m')],
+    ['Water temperature', stats.water_temperature.samples
+      ? `${stats.water_temperature.min} ~ ${stats.water_temperature.max} °C`
+      : '-'],
+    ['Countries', stats.top_countries.map(c => c.country).join(', ') || '-'],
+    ['Favourite sites', stats.top_locations.map(l => l.location_name).join(', ') || '-']
+  ];
+
+  let y = 300;
+  const labelWidth = 170;
+  rows.forEach(([label, value]) => {
+    doc.font('bold').fontSize(11).fillColor(COLORS.muted)
+      .text(label, PAGE_MARGIN + 40, y, { width: labelWidth });
+    doc.font('body').fontSize(11).fillColor(COLORS.text)
+      .text(String(value), PAGE_MARGIN + 40 + labelWidth, y, { width: width - labelWidth - 80 });
+    y += 26;
+    doc.moveTo(PAGE_MARGIN + 40, y - 8).lineTo(PAGE_MARGIN + width - 40, y - 8)
+      .strokeColor(COLORS.border).lineWidth(0.5).stroke();
+  });
+
+  doc.font('body').fontSize(9).fillColor(COLORS.muted)
+    .text(`Generated ${new Date().toISOString().slice(0, 10)} · Diving Social`, PAGE_MARGIN, doc.page.height - 90, { width, align: 'center' });
+};
+
+// ============================================
+// 🃏 다이빙 카드 1개
+// ============================================
+const drawDiveCard = (doc, dive, top, height) => {
+  const left = PAGE_MARGIN;
+  const width = doc.page.width - PAGE_MARGIN * 2;
+  const padding = 14;
+  const innerWidth = width - padding * 2;
+
+  doc.roundedRect(left, top, width, height, 6).strokeColor(COLORS.border).lineWidth(1).stroke();
+
+  // 헤더: 번호 + 날짜 + 장소
+  doc.font('bold').fontSize(16).fillColor(COLORS.primary)
+    .text(`#${display(dive.dive_number)}`, left + padding, top + padding, { width: 70 });
+  doc.font('bold').fontSize(13).fillColor(COLORS.text)
+    .text(`${dive.location_name}${dive.country ? `, ${dive.country}` : ''}`, left + padding + 70, top + padding, { width: innerWidth - 70 });
+  doc.font('body').fontSize(10).fillColor(COLORS.muted)
+    .text(`${String(dive.dive_date).slice(0, 10)} · ${diveTypeLabel(dive.dive_type)}`, left + padding + 70, doc.y + 2, { width: innerWidth - 70 });
+
+  // 수치 그리드 (3열)
+  const fields = [
+    ['Max depth', display(dive.max_depth, ' m')],
+    ['Avg depth', display(dive.average_depth, ' m')],
+    ['Duration', display(dive.duration_minutes, ' min')],
+    ['Water temp', display(dive.water_temperature, ' °C')],
+    ['Visibility', display(dive.visibility_meters, ' m')],
+    ['Current', display(dive.current_strength)],
+    ['Weather', display(dive.weather)],
+    ['Air used', dive.dive_type === 'scuba' ? display(dive.air_consumption) : '-'],
+    ['Rating', dive.rating ? `${dive.rating} / 5` : '-']
+  ];
+
+  const gridTop = top + padding + 44;
+  const columnWidth = innerWidth / 3;
+  fields.forEach(([label, value], i) => {
+    const x = left + padding + (i % 3) * columnWidth;
+    const y = gridTop + Math.floor(i / 3) * 30;
+    doc.font('body').fontSize(8).fillColor(COLORS.muted).text(label.toUpperCase(), x, y, { width: columnWidth - 8 });
+    doc.font('bold').fontSize(11).fillColor(COLORS.text).text(value, x, y + 10, { width: columnWidth - 8 });
+  });
+
+  // 버디 + 메모
+  let y = gridTop + 3 * 30 + 4;
+  const buddyNames = [dive.safety_buddy_name, ...(dive.verified_buddies || [])].filter(Boolean);
+  doc.font('body').fontSize(8).fillColor(COLORS.muted).text('BUDDY', left + padding, y);
+  doc.font('body').fontSize(10).fillColor(COLORS.text)
+    .text(buddyNames.length ? [...new Set(buddyNames)].join(', ') : '-', left + padding, y + 10, { width: innerWidth });
+
+  y = doc.y + 6;
+  const notes = dive.notes && dive.notes.length > MAX_NOTES_LENGTH
+    ? `${dive.notes.slice(0, MAX_NOTES_LENGTH)}…`
+    : dive.notes;
+  const signatureTop = top + height - 36;
+  doc.font('body').fontSize(8).fillColor(COLORS.muted).text('NOTES', left + padding, y);
+  doc.font('body').fontSize(9).fillColor(COLORS.text)
+    .text(notes || '-', left + padding, y + 10, { width: innerWidth, height: Math.max(signatureTop - y - 16, 12), ellipsis: true });
+
+  // 서명란
+  doc.moveTo(left + width - padding - 200, signatureTop + 14).lineTo(left + width - padding, signatureTop + 14)
+    .strokeColor(COLORS.border).lineWidth(0.5).stroke();
+  doc.font('body').fontSize(8).fillColor(COLORS.muted)
+    .text('Buddy / Instructor signature', left + width - padding - 200, signatureTop + 18, { width: 200, align: 'right' });
+};
+
+// ============================================
+// 📄 PDF 로그북 생성 → writable stream으로 출력
+// ============================================
+const renderLogbookPdf = (dives, { diver = {}, filters = {} } = {}, output) => {
+  const doc = new PDFDocument({
+    size: 'A4',
+    margin: PAGE_MARGIN,
+    bufferPages: true,
+    info: {
+      Title: `Dive Logbook - ${diver.name || ''}`.trim(),
+      Author: diver.name || 'Diving Social',
+      Creator: 'Diving Social API'
+    }
+  });
+  registerFonts(doc);
+  doc.pipe(output);
+
+  drawCover(doc, { diver, filters, stats: calculateDiveStats(dives) });
+
+  // 다이빙 카드 (페이지당 CARDS_PER_PAGE개)
+  const usableHeight = doc.page.height - PAGE_MARGIN * 2 - 20;
+  const gap = 16;
+  const cardHeight = (usableHeight - gap * (CARDS_PER_PAGE - 1)) / CARDS_PER_PAGE;
+
+  dives.forEach((dive, i) => {
+    const slot = i % CARDS_PER_PAGE;
+    if (slot === 0) doc.addPage();
+    drawDiveCard(doc, dive, PAGE_MARGIN + slot * (cardHeight + gap), cardHeight);
+  });
+
+  // 페이지 번호 (표지 제외)
+  const range = doc.bufferedPageRange();
+  for (let i = 1; i < range.count; i++) {
+    doc.switchToPage(range.start + i);
+    doc.font('body').fontSize(8).fillColor(COLORS.muted)
+      .text(`${i} / ${range.count - 1}`, PAGE_MARGIN, doc.page.height - PAGE_MARGIN - 10, {
+        width: doc.page.width - PAGE_MARGIN * 2,
+        align: 'center',
+        lineBreak: false
+      });
+  }
+
+  doc.end();
+  return doc;
+};
+
+// 내보내기
+module.exports = {
+  renderLogbookPdf  // PDF 로그북 생성
+};
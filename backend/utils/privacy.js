@@ -0,0 +1,202 @@
+// ============================================
+// 🔒 공개 범위 / 위치 보호 유틸리티
+// - 다이빙: dives.visibility + dives.location_precision
+// - 프로필: users.privacy (항목별 공개 범위)
+// ============================================
+// 📋 필요한 컬럼 (Supabase SQL Editor에서 추가)
+//
+// alter table dives add column visibility text not null default 'public';          -- public | buddies | private
+// alter table dives add column location_precision text not null default 'exact';   -- exact | approximate | hidden
+// alter table users add column privacy jsonb not null default '{}';                 -- { email: 'private', location: 'buddies', ... }
+// create index dives_visibility_idx on dives (visibility, dive_date desc);
+// ============================================
+const { getRepositories } = require('../repositories');
+const { getBuddyIds } = require('./buddies');
+const { parsePoint } = require('./geo');
+
+const { users: usersRepository } = getRepositories();
+
+// 공개 범위: 전체 공개 | 버디 공개 | 나만 보기
+const VISIBILITY_LEVELS = ['public', 'buddies', 'private'];
+
+// 좌표 공개 방식: 정확한 좌표 | 대략적인 위치 | 숨김 (작성자 본인에게는 항상 정확한 좌표)
+const LOCATION_PRECISIONS = ['exact', 'approximate', 'hidden'];
+
+// 대략적인 위치 격자 크기 (도 단위, 기본 0.05° ≈ 5.5km)
+const FUZZ_GRID_DEGREES = parseFloat(process.env.LOCATION_FUZZ_GRID_DEGREES) || 0.05;
+
+// 프로필 항목별 기본 공개 범위
+const DEFAULT_PROFILE_PRIVACY = {
+  email: 'private',
+  location: 'public',
+  bio: 'public',
+  social_links: 'public',
+  stats: 'public',          // 다이빙 통계, total_dives, deepest_dive
+  certifications: 'public',
+  personal_bests: 'public'
+};
+
+// 항목 → 실제로 숨길 users 컬럼
+const PROFILE_FIELD_COLUMNS = {
+  email: ['email'],
+  location: ['location'],
+  bio: ['bio'],
+  social_links: ['social_links'],
+  stats: ['total_dives', 'deepest_dive'],
+  certifications: [],
+  personal_bests: []
+};
+
+// 본인에게만 보이는 컬럼
+const OWNER_ONLY_COLUMNS = ['preferences', 'privacy'];
+
+// ============================================
+// 👀 보는 사람과의 관계: self | buddy | public(비로그인 포함)
+// ============================================
+const getViewerRelation = async (viewerId, ownerId) => {
+  if (!viewerId) return 'public';
+  if (viewerId === ownerId) return 'self';
+
+  const buddyIds = await getBuddyIds(viewerId);
+  return buddyIds.includes(ownerId) ? 'buddy' : 'public';
+};
+
+// 여러 사용자에 대한 관계를 한 번에 계산하기 위한 컨텍스트
+const getViewerContext = async (viewerId) => ({
+  viewerId: viewerId || null,
+  buddyIds: new Set(viewerId ? await getBuddyIds(viewerId) : [])
+});
+
+const relationFor = (context, ownerId) => {
+  if (!context.viewerId) return 'public';
+  if (context.viewerId === ownerId) return 'self';
+  return context.buddyIds.has(ownerId) ? 'buddy' : 'public';
+};
+
+// 관계별로 볼 수 있는 공개 범위
+const visibleLevels = (relation) => {
+  if (relation === 'self') return VISIBILITY_LEVELS;
+  if (relation === 'buddy') return ['public', 'buddies'];
+  return ['public'];
+};
+
+const canView = (level, relation) => visibleLevels(relation).includes(level || 'public');
+
+// 🧪 공개 범위 값 검증 (문제가 없으면 null)
+const validateVisibility = (value, field = 'visibility') => {
+  if (value !== undefined && !VISIBILITY_LEVELS.includes(value)) {
+    return `${field}는 ${VISIBILITY_LEVELS.join(', ')} 중 하나여야 합니다.`;
+  }
+  return null;
+};
+
+const validateLocationPrecision = (value) => {
+  if (value !== undefined && !LOCATION_PRECISIONS.includes(value)) {
+    return `location_precision은 ${LOCATION_PRECISIONS.join(', ')} 중 하나여야 합니다.`;
+  }
+  return null;
+};
+
+// 🧪 프로필 공개 범위 설정 검증 (에러 메시지 배열)
+const validateProfilePrivacy = (input) => {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return ['privacy는 { 항목: 공개범위 } 형태의 객체여야 합니다.'];
+  }
+
+  return Object.entries(input).flatMap(([field, level]) => {
+    if (!DEFAULT_PROFILE_PRIVACY[field]) {
+      return [`알 수 없는 프로필 항목입니다: ${field} (${Object.keys(DEFAULT_PROFILE_PRIVACY).join(', ')})`];
+    }
+    const error = validateVisibility(level, `privacy.${field}`);
+    return error ? [error] : [];
+  });
+};
+
+// 저장된 설정과 기본값 병합
+const resolveProfilePrivacy = (user) => ({ ...DEFAULT_PROFILE_PRIVACY, ...(user?.privacy || {}) });
+
+// 👤 사용자의 프로필 공개 범위 조회 (없는 사용자면 null)
+const getProfilePrivacy = async (userId) => {
+  const user = await usersRepository.findById(userId, { columns: 'id, privacy' });
+  return user ? resolveProfilePrivacy(user) : null;
+};
+
+// ============================================
+// 👤 보는 사람에 맞게 프로필 항목 숨기기
+// - 숨긴 항목은 null, hidden_fields에 항목 이름 표시
+// ============================================
+const filterProfile = (user, relation) => {
+  const privacy = resolveProfilePrivacy(user);
+  const filtered = { ...user };
+
+  if (relation !== 'self') {
+    OWNER_ONLY_COLUMNS.forEach(column => delete filtered[column]);
+  }
+
+  const hiddenFields = Object.keys(DEFAULT_PROFILE_PRIVACY).filter(field => !canView(privacy[field], relation));
+  hiddenFields.forEach(field => {
+    PROFILE_FIELD_COLUMNS[field].forEach(column => {
+      if (column in filtered) filtered[column] = null;
+    });
+  });
+
+  filtered.hidden_fields = hiddenFields;
+  return filtered;
+};
+
+// 항목 하나를 볼 수 있는지 (certifications, personal_bests 등 별도 조회 항목용)
+const canViewProfileField = (user, field, relation) => canView(resolveProfilePrivacy(user)[field], relation);
+
+// ============================================
+// 📍 좌표 흐리기
+// - 격자 중심으로 고정 (요청마다 같은 값이라 여러 번 조회해 평균을 내도 원래 위치를 알 수 없음)
+// ============================================
+const fuzzCoordinates = (coordinates) => {
+  const point = parsePoint(coordinates);
+  if (!point) return null;
+
+  const snap = (value) => Number(((Math.floor(value / FUZZ_GRID_DEGREES) + 0.5) * FUZZ_GRID_DEGREES).toFixed(4));
+  const lat = Math.max(-90, Math.min(90, snap(point.lat)));
+  const lng = Math.max(-180, Math.min(180, snap(point.lng)));
+
+  // 원래 값과 같은 형식으로 반환
+  if (typeof coordinates === 'object') return { lat, lng };
+  return String(coordinates).trim().startsWith('(') ? `(${lng},${lat})` : `POINT(${lng} ${lat})`;
+};
+
+// 🤿 보는 사람에 맞게 다이빙 좌표 처리 (작성자 본인은 그대로)
+const applyDivePrivacy = (dive, relation) => {
+  const precision = dive.location_precision || 'exact';
+  if (relation === 'self' || precision === 'exact' || !dive.coordinates) {
+    return dive;
+  }
+
+  // 연결된 포인트로도 위치를 좁힐 수 있으므로 spot_id도 숨김
+  return {
+    ...dive,
+    coordinates: precision === 'approximate' ? fuzzCoordinates(dive.coordinates) : null,
+    spot_id: null,
+    coordinates_fuzzed: true
+  };
+};
+
+// 내보내기
+module.exports = {
+  VISIBILITY_LEVELS,           // 공개 범위
+  LOCATION_PRECISIONS,         // 좌표 공개 방식
+  DEFAULT_PROFILE_PRIVACY,     // 프로필 기본 공개 범위
+  getViewerRelation,           // 두 사용자 관계
+  getViewerContext,            // 여러 사용자 관계 계산용
+  relationFor,                 // 컨텍스트로 관계 계산
+  visibleLevels,               // 관계별 공개 범위
+  canView,                     // 공개 범위 확인
+  validateVisibility,          // 공개 범위 검증
+  validateLocationPrecision,   // 좌표 공개 방식 검증
+  validateProfilePrivacy,      // 프로필 설정 검증
+  resolveProfilePrivacy,       // 프로필 설정 (기본값 병합)
+  getProfilePrivacy,           // 프로필 공개 범위 조회
+  filterProfile,               // 프로필 항목 숨기기
+  canViewProfileField,         // 프로필 항목 확인
+  fuzzCoordinates,             // 좌표 흐리기
+  applyDivePrivacy             // 다이빙 좌표 처리
+};
@@ -0,0 +1,28 @@
+// ============================================
+// 🚦 요청 제한 저장소 선택
+// - RATE_LIMIT_STORE 환경변수: memory (기본값) | redis
+// - 저장소 인터페이스 (고정 윈도우 카운터):
+//   increment(key, windowMs) → { count, resetAt }, get(key) → { count, resetAt } | null, reset(key)
+// ============================================
+const RATE_LIMIT_STORES = {
+  memory: () => require('./memoryStore'),
+  redis: () => require('./redisStore')
+};
+
+let store = null;
+
+const getRateLimitStore = () => {
+  if (!store) {
+    const driver = process.env.RATE_LIMIT_STORE || 'memory';
+    if (!RATE_LIMIT_STORES[driver]) {
+      throw new Error(`지원하지 않는 RATE_LIMIT_STORE 값입니다: ${driver} (memory | redis)`);
+    }
+    store = RATE_LIMIT_STORES[driver]();
+  }
+  return store;
+};
+
+// 내보내기
+module.exports = {
+  getRateLimitStore  // 현재 설정된 저장소
+};
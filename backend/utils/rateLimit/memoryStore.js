@@ -0,0 +1,55 @@
+// ============================================
+// 🧠 메모리 요청 제한 저장소 (기본값)
+// - 서버 프로세스 하나에서만 유효 (재시작 시 초기화, 여러 인스턴스는 따로 계산)
+// - 여러 서버에서 같은 제한을 쓰려면 RATE_LIMIT_STORE=redis
+// ============================================
+const CLEANUP_INTERVAL_MS = 60 * 1000;
+
+const counters = new Map();  // key → { count, resetAt }
+
+const activeEntry = (key) => {
+  const entry = counters.get(key);
+  if (entry && entry.resetAt <= Date.now()) {
+    counters.delete(key);
+    return null;
+  }
+  return entry || null;
+};
+
+// 만료된 카운터 정리 (프로세스 종료를 막지 않도록 unref)
+setInterval(() => {
+  const now = Date.now();
+  for (const [key, entry] of counters) {
+    if (entry.resetAt <= now) counters.delete(key);
+  }
+}, CLEANUP_INTERVAL_MS).unref();
+
+const memoryStore = {
+  name: 'memory',
+
+  // ➕ 카운트 증가 (첫 요청부터 windowMs 동안 유지)
+  async increment(key, windowMs) {
+    const entry = activeEntry(key);
+    if (entry) {
+      entry.count += 1;
+      return { ...entry };
+    }
+
+    const created = { count: 1, resetAt: Date.now() + windowMs };
+    counters.set(key, created);
+    return { ...created };
+  },
+
+  // 🔍 현재 카운트 (없으면 null)
+  async get(key) {
+    const entry = activeEntry(key);
+    return entry ? { ...entry } : null;
+  },
+
+  // 🗑️ 카운트 초기화
+  async reset(key) {
+    counters.delete(key);
+  }
+};
+
+module.exports = memoryStore;
@@ -0,0 +1,55 @@
+// ============================================
+// 🧱 Redis 요청 제한 저장소 (ioredis)
+// - RATE_LIMIT_STORE=redis 설정 시 사용, 여러 서버 인스턴스가 같은 카운터 공유
+// - REDIS_URL (기본 redis://localhost:6379), RATE_LIMIT_PREFIX (기본 rl:)
+//   docker run -p 6379:6379 redis:7-alpine
+// ============================================
+const Redis = require('ioredis');
+
+const KEY_PREFIX = process.env.RATE_LIMIT_PREFIX || 'rl:';
+
+const redis = new Redis(process.env.REDIS_URL || 'redis://localhost:6379', {
+  enableOfflineQueue: false,   // 연결이 끊기면 기다리지 않고 바로 실패 (요청 제한은 건너뜀)
+  maxRetriesPerRequest: 1
+});
+
+redis.on('error', (error) => {
+  console.error('❌ Redis 연결 에러:', error.message);
+});
+
+// 증가 + 첫 요청일 때만 만료 설정을 한 번에 (여러 서버가 동시에 증가해도 안전)
+const INCREMENT_SCRIPT = `
+local count = redis.call('INCR', KEYS[1])
+if count == 1 then
+  redis.call('PEXPIRE', KEYS[1], ARGV[1])
+end
+return { count, redis.call('PTTL', KEYS[1]) }
+`;
+
+const redisStore = {
+  name: 'redis',
+
+  // ➕ 카운트 증가 (첫 요청부터 windowMs 동안 유지)
+  async increment(key, windowMs) {
+    const [count, ttl] = await redis.eval(INCREMENT_SCRIPT, 1, KEY_PREFIX + key, windowMs);
+    return { count, resetAt: Date.now() + Math.max(ttl, 0) };
+  },
+
+  // 🔍 현재 카운트 (없으면 null)
+  async get(key) {
+    const [[, count], [, ttl]] = await redis.multi()
+      .get(KEY_PREFIX + key)
+      .pttl(KEY_PREFIX + key)
+      .exec();
+
+    if (count === null || ttl <= 0) return null;
+    return { count: parseInt(count), resetAt: Date.now() + ttl };
+  },
+
+  // 🗑️ 카운트 초기화
+  async reset(key) {
+    await redis.del(KEY_PREFIX + key);
+  }
+};
+
+module.exports = redisStore;
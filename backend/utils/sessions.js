@@ -0,0 +1,208 @@
+// ============================================
+// 📱 로그인 세션 (기기별) 관리
+// - Supabase access_token의 session_id 클레임으로 기기 세션 구분
+// - 종료된 세션(revoked_at)의 토큰은 인증 미들웨어에서 거부
+// - 2단계 인증을 켠 사용자는 mfa_verified_at이 있는 세션만 허용
+//   (Supabase에 직접 로그인해 받은 토큰으로 2단계 인증을 건너뛰지 못하도록)
+// ============================================
+// 📋 필요한 테이블 (Supabase SQL Editor에서 생성)
+//
+// create table user_sessions (
+//   id uuid primary key,                 -- Supabase JWT의 session_id
+//   user_id uuid not null references users(id) on delete cascade,
+//   device_name text,
+//   user_agent text,
+//   ip_address text,
+//   created_at timestamptz default now(),
+//   last_seen_at timestamptz default now(),
+//   mfa_verified_at timestamptz,         -- 2단계 인증을 통과한 세션
+//   revoked_at timestamptz
+// );
+// create index user_sessions_user_idx on user_sessions (user_id, last_seen_at desc);
+// ============================================
+const { supabase } = require('./supabase');
+const { getUserMfa, isMfaEnabled } = require('./mfa');
+
+// last_seen_at 갱신 간격 (매 요청마다 쓰지 않도록)
+const LAST_SEEN_INTERVAL_MS = 60 * 1000;
+
+const MAX_DEVICE_NAME_LENGTH = 100;
+
+// 🔓 JWT payload 디코딩 (서명 검증은 Supabase가 이미 한 토큰에만 사용)
+const decodeJwtPayload = (token) => {
+  try {
+    return JSON.parse(Buffer.from(token.split('.')[1], 'base64url').toString('utf8'));
+  } catch (error) {
+    return null;
+  }
+};
+
+// 토큰의 세션 ID (없으면 null)
+const getSessionId = (token) => decodeJwtPayload(token)?.session_id || null;
+
+// 🖥️ User-Agent로 기본 기기 이름 만들기 (예: "Chrome on macOS")
+const describeUserAgent = (userAgent = '') => {
+  const browsers = [
+    ['Edge', /Edg\//], ['Samsung Internet', /SamsungBrowser/], ['Chrome', /Chrome\//],
+    ['Firefox', /Firefox\//], ['Safari', /Safari\//], ['Diving Social App', /okhttp|CFNetwork|Dart/]
+  ];
+  const systems = [
+    ['Android', /Android/], ['iOS', /iPhone|iPad|iPod/], ['Windows', /Windows/],
+    ['macOS', /Mac OS X|Macintosh/], ['Linux', /Linux/]
+  ];
+
+  const browser = browsers.find(([, pattern]) => pattern.test(userAgent))?.[0];
+  const system = systems.find(([, pattern]) => pattern.test(userAgent))?.[0];
+
+  if (browser && system) return `${browser} on ${system}`;
+  return browser || system || '알 수 없는 기기';
+};
+
+// 요청의 기기 정보 (device_name은 클라이언트가 보낸 값 우선)
+const getDeviceInfo = (req, deviceName) => {
+  const userAgent = req.headers['user-agent'] || null;
+  const name = typeof deviceName === 'string' && deviceName.trim()
+    ? deviceName.trim().slice(0, MAX_DEVICE_NAME_LENGTH)
+    : describeUserAgent(userAgent || '');
+
+  return {
+    device_name: name,
+    user_agent: userAgent,
+    ip_address: req.ip || null
+  };
+};
+
+// ============================================
+// 🆕 로그인 시 세션 기록 (이미 있으면 기기 정보 갱신)
+// ============================================
+// - mfaVerified: 2단계 인증을 통과한 로그인
+const recordSession = async ({ token, userId, req, deviceName, mfaVerified = false }) => {
+  const sessionId = getSessionId(token);
+  if (!sessionId) return null;
+
+  const now = new Date().toISOString();
+  const { data, error } = await supabase
+    .from('user_sessions')
+    .upsert({
+      id: sessionId,
+      user_id: userId,
+      ...getDeviceInfo(req, deviceName),
+      last_seen_at: now,
+      mfa_verified_at: mfaVerified ? now : null,
+      revoked_at: null
+    }, { onConflict: 'id' })
+    .select()
+    .single();
+
+  if (error) {
+    throw error;
+  }
+  return data;
+};
+
+// 2단계 인증을 켠 사용자의 세션이 아직 인증을 통과하지 않았는지
+const needsMfa = async (session, userId) => !session?.mfa_verified_at && isMfaEnabled(await getUserMfa(userId));
+
+// ============================================
+// 👀 인증된 요청의 세션 확인
+// - 종료된 세션이면 { revoked: true }
+// - 2단계 인증 전 세션이면 { mfaRequired: true } (기록하지 않음)
+// - 처음 보는 세션은 기록, 오래된 last_seen_at은 갱신
+// ============================================
+const touchSession = async ({ token, userId, req }) => {
+  const sessionId = getSessionId(token);
+  if (!sessionId) {
+    return { sessionId: null, revoked: false, mfaRequired: await needsMfa(null, userId) };
+  }
+
+  const { data: session, error } = await supabase
+    .from('user_sessions')
+    .select('id, user_id, last_seen_at, mfa_verified_at, revoked_at')
+    .eq('id', sessionId)
+    .maybeSingle();
+
+  if (error) {
+    throw error;
+  }
+
+  if (session?.revoked_at || (session && session.user_id !== userId)) {
+    return { sessionId, revoked: true, mfaRequired: false };
+  }
+
+  if (await needsMfa(session, userId)) {
+    return { sessionId, revoked: false, mfaRequired: true };
+  }
+
+  if (!session) {
+    await recordSession({ token, userId, req });
+  } else if (Date.now() - new Date(session.last_seen_at).getTime() > LAST_SEEN_INTERVAL_MS) {
+    await supabase
+      .from('user_sessions')
+      .update({ last_seen_at: new Date().toISOString(), ip_address: req.ip || null })
+      .eq('id', sessionId);
+  }
+
+  return { sessionId, revoked: false, mfaRequired: false };
+};
+
+// 🛡️ 세션을 2단계 인증 통과로 표시 (2단계 인증을 켠 기기)
+const markSessionMfaVerified = async (sessionId) => {
+  if (!sessionId) return;
+
+  const { error } = await supabase
+    .from('user_sessions')
+    .update({ mfa_verified_at: new Date().toISOString() })
+    .eq('id', sessionId);
+
+  if (error) {
+    throw error;
+  }
+};
+
+// 세션이 종료되었는지 (토큰 갱신 시 확인)
+const isSessionRevoked = async (sessionId) => {
+  if (!sessionId) return false;
+
+  const { data, error } = await supabase
+    .from('user_sessions')
+    .select('revoked_at')
+    .eq('id', sessionId)
+    .maybeSingle();
+
+  if (error) {
+    throw error;
+  }
+  return Boolean(data?.revoked_at);
+};
+
+// 🚪 세션 종료 표시 (종료된 세션 목록 반환)
+// - exceptSessionId: 이 세션은 제외 (다른 기기 모두 로그아웃)
+const revokeSessions = async (userId, { sessionId = null, exceptSessionId = null } = {}) => {
+  let query = supabase
+    .from('user_sessions')
+    .update({ revoked_at: new Date().toISOString() })
+    .eq('user_id', userId)
+    .is('revoked_at', null);
+
+  if (sessionId) query = query.eq('id', sessionId);
+  if (exceptSessionId) query = query.neq('id', exceptSessionId);
+
+  const { data, error } = await query.select('id, device_name');
+
+  if (error) {
+    throw error;
+  }
+  return data;
+};
+
+// 내보내기
+module.exports = {
+  decodeJwtPayload,        // JWT payload 디코딩
+  getSessionId,            // 토큰의 세션 ID
+  describeUserAgent,       // User-Agent → 기기 이름
+  recordSession,           // 로그인 세션 기록
+  touchSession,            // 요청 세션 확인/갱신
+  markSessionMfaVerified,  // 2단계 인증 통과 표시
+  isSessionRevoked,        // 세션 종료 여부
+  revokeSessions           // 세션 종료
+};
@@ -0,0 +1,84 @@
+// ============================================
+// 🏝️ 다이빙 포인트 유틸리티
+// ============================================
+const { supabase } = require('./supabase');
+const { distanceKm, boundingBox, isValidLatLng } = require('./geo');
+
+// 허용 값 목록
+const ENTRY_TYPES = ['shore', 'boat', 'pier', 'liveaboard'];
+const DIFFICULTIES = ['beginner', 'intermediate', 'advanced', 'expert'];
+
+// 다이빙 좌표와 포인트를 자동 연결할 최대 거리 (km)
+const SPOT_MATCH_RADIUS_KM = parseFloat(process.env.SPOT_MATCH_RADIUS_KM) || 1;
+
+// 📍 반경 내 포인트 조회 (가까운 순 정렬, distance_km 포함)
+const findSpotsWithinRadius = async (lat, lng, radiusKm, filters = {}) => {
+  // 1차: 사각형 범위로 DB에서 후보 조회
+  const box = boundingBox(lat, lng, radiusKm);
+  let query = supabase
+    .from('dive_spots')
+    .select('*')
+    .gte('latitude', box.minLat)
+    .lte('latitude', box.maxLat)
+    .gte('longitude', box.minLng)
+    .lte('longitude', box.maxLng);
+
+  if (filters.difficulty) {
+    query = query.eq('difficulty', filters.difficulty);
+  }
+  if (filters.entry_type) {
+    query = query.eq('entry_type', filters.entry_type);
+  }
+
+  const { data: candidates, error } = await query;
+  if (error) {
+    throw error;
+  }
+
+  // 2차: 실제 거리로 원형 범위 필터링
+  return candidates
+    .map(spot => ({
+      ...spot,
+      distance_km: Math.round(distanceKm(lat, lng, spot.latitude, spot.longitude) * 100) / 100
+    }))
+    .filter(spot => spot.distance_km <= radiusKm)
+    .sort((a, b) => a.distance_km - b.distance_km);
+};
+
+// 🎯 가장 가까운 포인트 찾기 (없으면 null)
+const findNearestSpot = async (lat, lng, radiusKm = SPOT_MATCH_RADIUS_KM) => {
+  const spots = await findSpotsWithinRadius(lat, lng, radiusKm);
+  return spots[0] || null;
+};
+
+// 🔗 다이빙 기록에 연결할 포인트 결정
+// - spotId가 있으면 해당 포인트 (없는 ID면 null)
+// - 없으면 좌표 기준 최근접 포인트 (반경 밖이면 null)
+const resolveDiveSpot = async ({ spotId, lat, lng }) => {
+  if (spotId) {
+    const { data: spot } = await supabase
+      .from('dive_spots')
+      .select('*')
+      .eq('id', spotId)
+      .maybeSingle();
+
+    return spot ? { spot, matched_by: 'spot_id' } : null;
+  }
+
+  if (isValidLatLng(lat, lng)) {
+    const nearest = await findNearestSpot(lat, lng);
+    return nearest ? { spot: nearest, matched_by: 'nearest', distance_km: nearest.distance_km } : null;
+  }
+
+  return null;
+};
+
+// 내보내기
+module.exports = {
+  ENTRY_TYPES,             // 입수 방식
+  DIFFICULTIES,            // 난이도
+  SPOT_MATCH_RADIUS_KM,    // 자동 연결 반경
+  findSpotsWithinRadius,   // 반경 검색
+  findNearestSpot,         // 최근접 포인트
+  resolveDiveSpot          // 다이빙 ↔ 포인트 연결
+};
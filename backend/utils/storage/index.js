@@ -0,0 +1,28 @@
+// ============================================
+// 🗂️ 미디어 저장소 선택
+// - MEDIA_STORAGE 환경변수: local (기본값) | supabase
+// - 저장소 인터페이스: save(path, buffer, contentType) → { path }, saveFile(path, filePath, contentType) → { path },
+//   read(path) → Buffer, getDownload(path) → { filePath } | { url }, remove(paths)
+// ============================================
+const STORAGE_DRIVERS = {
+  local: () => require('./localStorage'),
+  supabase: () => require('./supabaseStorage')
+};
+
+let storage = null;
+
+const getStorage = () => {
+  if (!storage) {
+    const driver = process.env.MEDIA_STORAGE || 'local';
+    if (!STORAGE_DRIVERS[driver]) {
+      throw new Error(`지원하지 않는 MEDIA_STORAGE 값입니다: ${driver} (local | supabase)`);
+    }
+    storage = STORAGE_DRIVERS[driver]();
+  }
+  return storage;
+};
+
+// 내보내기
+module.exports = {
+  getStorage  // 현재 설정된 저장소
+};
@@ -0,0 +1,63 @@
+// ============================================
+// 💾 로컬 디스크 저장소 (기본값)
+// - UPLOAD_DIR 아래에 파일 저장 (정적 공개하지 않음, API가 권한 확인 후 제공)
+// ============================================
+const fs = require('fs/promises');
+const path = require('path');
+
+const UPLOAD_DIR = path.resolve(process.env.UPLOAD_DIR || path.join(__dirname, '..', '..', 'uploads'));
+
+// 상위 디렉토리 탈출 방지
+const resolveSafePath = (storagePath) => {
+  const fullPath = path.resolve(UPLOAD_DIR, storagePath);
+  if (!fullPath.startsWith(UPLOAD_DIR + path.sep)) {
+    throw new Error(`잘못된 저장 경로입니다: ${storagePath}`);
+  }
+  return fullPath;
+};
+
+const localStorage = {
+  name: 'local',
+  rootDir: UPLOAD_DIR,
+
+  // 📤 파일 저장
+  async save(storagePath, buffer) {
+    const fullPath = resolveSafePath(storagePath);
+    await fs.mkdir(path.dirname(fullPath), { recursive: true });
+    await fs.writeFile(fullPath, buffer);
+
+    return { path: storagePath };
+  },
+
+  // 📤 임시 파일 저장 (업로드 파일을 메모리에 올리지 않고 복사)
+  async saveFile(storagePath, filePath) {
+    const fullPath = resolveSafePath(storagePath);
+    await fs.mkdir(path.dirname(fullPath), { recursive: true });
+    await fs.copyFile(filePath, fullPath);
+
+    return { path: storagePath };
+  },
+
+  // 🔗 다운로드 위치 (로컬 파일 경로 → res.sendFile)
+  async getDownload(storagePath) {
+    return { filePath: resolveSafePath(storagePath) };
+  },
+
+  // 📥 파일 읽기
+  async read(storagePath) {
+    return fs.readFile(resolveSafePath(storagePath));
+  },
+
+  // 🗑️ 파일 삭제 (이미 없는 파일은 무시)
+  async remove(storagePaths) {
+    await Promise.all(storagePaths.filter(Boolean).map(async (storagePath) => {
+      try {
+        await fs.unlink(resolveSafePath(storagePath));
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+    }));
+  }
+};
+
+module.exports = localStorage;
@@ -0,0 +1,77 @@
+// ============================================
+// ☁️ Supabase Storage 저장소 (선택)
+// - MEDIA_STORAGE=supabase 일 때 사용
+// - 버킷은 private으로 생성 (API가 권한 확인 후 짧은 서명 URL로 제공)
+// ============================================
+const fs = require('fs');
+const { supabaseAdmin } = require('../supabase');
+
+const BUCKET = process.env.SUPABASE_STORAGE_BUCKET || 'dive-media';
+const SIGNED_URL_TTL_SECONDS = 300;
+
+const supabaseStorage = {
+  name: 'supabase',
+  bucket: BUCKET,
+
+  // 📤 파일 업로드
+  async save(storagePath, buffer, contentType) {
+    const { error } = await supabaseAdmin.storage
+      .from(BUCKET)
+      .upload(storagePath, buffer, { contentType, upsert: false });
+
+    if (error) {
+      throw error;
+    }
+
+    return { path: storagePath };
+  },
+
+  // 📤 임시 파일 업로드 (스트림으로 전송, 메모리에 올리지 않음)
+  async saveFile(storagePath, filePath, contentType) {
+    const { error } = await supabaseAdmin.storage
+      .from(BUCKET)
+      .upload(storagePath, fs.createReadStream(filePath), { contentType, upsert: false, duplex: 'half' });
+
+    if (error) {
+      throw error;
+    }
+
+    return { path: storagePath };
+  },
+
+  // 🔗 다운로드 위치 (짧은 서명 URL → 리다이렉트)
+  async getDownload(storagePath) {
+    const { data, error } = await supabaseAdmin.storage
+      .from(BUCKET)
+      .createSignedUrl(storagePath, SIGNED_URL_TTL_SECONDS);
+
+    if (error) {
+      throw error;
+    }
+
+    return { url: data.signedUrl };
+  },
+
+  // 📥 파일 읽기
+  async read(storagePath) {
+    const { data, error } = await supabaseAdmin.storage.from(BUCKET).download(storagePath);
+
+    if (error) {
+      throw error;
+    }
+    return Buffer.from(await data.arrayBuffer());
+  },
+
+  // 🗑️ 파일 삭제
+  async remove(storagePaths) {
+    const paths = storagePaths.filter(Boolean);
+    if (paths.length === 0) return;
+
+    const { error } = await supabaseAdmin.storage.from(BUCKET).remove(paths);
+    if (error) {
+      throw error;
+    }
+  }
+};
+
+module.exports = supabaseStorage;
@@ -0,0 +1,151 @@
+// ============================================
+// 🐠 Subsurface XML 다이빙 로그 파싱
+// - <divelog program='subsurface'> 형식 (.ssrf / .xml)
+// ============================================
+const { XMLParser } = require('fast-xml-parser');
+const { parseMeasurement, parseDurationMinutes, normalizeDate } = require('./diveImport');
+
+// 반복 가능한 태그는 항상 배열로 파싱
+const ARRAY_TAGS = new Set(['site', 'trip', 'dive', 'cylinder', 'divecomputer', 'sample', 'geo', 'buddy']);
+
+const parser = new XMLParser({
+  ignoreAttributes: false,
+  attributeNamePrefix: '',
+  isArray: (name) => ARRAY_TAGS.has(name)
+});
+
+// 텍스트 노드 값 꺼내기
+const textOf = (node) => {
+  if (node === undefined || node === null) return null;
+  if (Array.isArray(node)) return node.map(textOf).filter(Boolean).join(', ') || null;
+  if (typeof node === 'object') return node['#text'] ?? null;
+  return String(node);
+};
+
+// "1:23 min" → 초
+const parseSeconds = (value) => {
+  if (!value) return null;
+  const parts = String(value).trim().split(/\s+/)[0].split(':').map(Number);
+  if (parts.some(part => !Number.isFinite(part))) return null;
+  return parts.reduce((total, part) => total * 60 + part, 0);
+};
+
+// Subsurface geo cat 값: 2 = 국가
+const GEO_CATEGORY_COUNTRY = '2';
+
+// ============================================
+// 📥 Subsurface XML → 가져오기 후보 목록
+// ============================================
+const parseSubsurface = (xml) => {
+  let document;
+  try {
+    document = parser.parse(xml);
+  } catch (error) {
+    const invalid = new Error(`Subsurface 파일을 읽을 수 없습니다: ${error.message}`);
+    invalid.status = 400;
+    throw invalid;
+  }
+
+  const divelog = document?.divelog;
+  if (!divelog) {
+    const invalid = new Error('Subsurface 로그가 아닙니다. (<divelog> 루트 요소 없음)');
+    invalid.status = 400;
+    throw invalid;
+  }
+
+  // 🏝️ 다이빙 사이트 (uuid → 정보)
+  const sites = {};
+  (divelog.divesites?.site || []).forEach(site => {
+    const [lat, lng] = site.gps ? String(site.gps).trim().split(/\s+/).map(Number) : [];
+    const countryGeo = (site.geo || []).find(geo => String(geo.cat) === GEO_CATEGORY_COUNTRY);
+    sites[String(site.uuid).trim()] = {
+      name: site.name || null,
+      country: countryGeo?.value || null,
+      coordinates: Number.isFinite(lat) && Number.isFinite(lng) ? { lat, lng } : null
+    };
+  });
+
+  // 트립 안/밖의 다이빙 모두 수집 (날짜/시간 순)
+  const dives = [
+    ...(divelog.dives?.dive || []),
+    ...(divelog.dives?.trip || []).flatMap(trip => trip.dive || [])
+  ].sort((a, b) => `${a.date || ''} ${a.time || ''}`.localeCompare(`${b.date || ''} ${b.time || ''}`));
+
+  const candidates = dives.map((dive, index) => {
+    const errors = [];
+    const computer = (dive.divecomputer || [])[0] || {};
+    const site = sites[String(dive.divesiteid || '').trim()] || {};
+
+    const diveDate = normalizeDate(dive.date);
+    const entryTime = /^(\d{1,2}):(\d{2})/.exec(String(dive.time || '').trim());
+    if (!diveDate) {
+      errors.push(`날짜 형식을 해석할 수 없습니다: '${dive.date || ''}'`);
+    }
+
+    // 샘플 (시간 s, 깊이 m, 온도 °C, 탱크 압력 bar)
+    const samples = (computer.sample || [])
+      .map(sample => ({
+        time: parseSeconds(sample.time),
+        depth: parseMeasurement(sample.depth),
+        temperature: parseMeasurement(sample.temp),
+        pressure: parseMeasurement(sample.pressure)
+      }))
+      .filter(sample => sample.time !== null);
+
+    // 탱크/기체 (o2가 없으면 공기)
+    const tanks = (dive.cylinder || []).map(cylinder => {
+      const o2 = parseMeasurement(cylinder.o2);
+      const he = parseMeasurement(cylinder.he);
+      return {
+        gas: cylinder.description || (o2 ? `EAN${Math.round(o2)}` : 'air'),
+        o2: o2 ? o2 / 100 : 0.21,
+        he: he ? he / 100 : 0,
+        volume_liters: parseMeasurement(cylinder.size),
+        start_pressure_bar: parseMeasurement(cylinder.start),
+        end_pressure_bar: parseMeasurement(cylinder.end)
+      };
+    });
+    const firstTank = tanks[0];
+
+    const depthNode = computer.depth || {};
+    const sampleDepths = samples.map(sample => sample.depth).filter(depth => depth !== null);
+    const maxDepth = parseMeasurement(depthNode.max) ?? (sampleDepths.length ? Math.max(...sampleDepths) : null);
+    const rating = parseMeasurement(dive.rating);
+
+    return {
+      index,
+      label: `Subsurface dive #${dive.number || index + 1}`,
+      data: {
+        dive_type: String(computer.dctype || '').toLowerCase() === 'freedive' ? 'freediving' : 'scuba',
+        location_name: site.name || null,
+        country: site.country || null,
+        coordinates: site.coordinates || null,
+        dive_date: diveDate,
+        entry_time: entryTime ? `${entryTime[1].padStart(2, '0')}:${entryTime[2]}` : null,
+        duration_minutes: parseDurationMinutes(dive.duration),
+        max_depth: maxDepth,
+        average_depth: parseMeasurement(depthNode.mean),
+        water_temperature: parseMeasurement(computer.temperature?.water ?? dive.divetemperature?.water),
+        equipment: tanks.length ? { tanks } : {},
+        air_consumption: firstTank && firstTank.start_pressure_bar !== null && firstTank.end_pressure_bar !== null
+          ? Math.round((firstTank.start_pressure_bar - firstTank.end_pressure_bar) * 10) / 10
+          : null,
+        safety_buddy_name: textOf(dive.buddy),
+        notes: textOf(dive.notes) || '',
+        rating: rating ? Math.min(5, Math.max(1, Math.round(rating))) : null
+      },
+      samples,
+      errors
+    };
+  });
+
+  return {
+    generator: divelog.program ? `${divelog.program} ${divelog.version || ''}`.trim() : null,
+    candidates
+  };
+};
+
+// 내보내기
+module.exports = {
+  parseSubsurface  // Subsurface XML 파싱
+};
@@ -1,29 +1,54 @@
 // ============================================
 // 🗄️ Supabase 클라이언트 설정 (수정된 버전)
+// - DATA_BACKEND=memory (명시적으로 설정한 경우만): 메모리 테이블 클라이언트
+//   (repositories/memory, 서버 재시작 시 데이터 초기화)
 // ============================================
 const { createClient } = require('@supabase/supabase-js');
+const { DATA_BACKEND } = require('../repositories');
+const { createMemoryClient } = require('../repositories/memory/queryClient');
 
 // 환경변수에서 Supabase 정보 가져오기
 const supabaseUrl = process.env.SUPABASE_URL;
 const supabaseAnonKey = process.env.SUPABASE_ANON_KEY;
 const supabaseServiceKey = process.env.SUPABASE_SERVICE_KEY;
 
-// 📋 환경변수 검증
-if (!supabaseUrl || !supabaseAnonKey || !supabaseServiceKey) {
-  console.error('❌ Supabase 환경변수가 설정되지 않았습니다!');
-  console.error('필요한 환경변수: SUPABASE_URL, SUPABASE_ANON_KEY, SUPABASE_SERVICE_KEY');
-  process.exit(1);
+const useMemory = DATA_BACKEND === 'memory';
+
+// 📋 환경변수 검증 (supabase 백엔드에서만 필요, 없으면 memory로 바꾸지 않고 시작 중단)
+if (!useMemory && (!supabaseUrl || !supabaseAnonKey || !supabaseServiceKey)) {
+  throw new Error('DATA_BACKEND=supabase(기본값)에는 SUPABASE_URL, SUPABASE_ANON_KEY, SUPABASE_SERVICE_KEY 환경변수가 필요합니다. (로컬 개발/테스트는 DATA_BACKEND=memory)');
+}
+
+if (useMemory) {
+  console.warn('⚠️ 메모리 데이터 백엔드 사용 중 (DATA_BACKEND=memory) - 서버를 재시작하면 데이터가 사라집니다.');
 }
 
+// 🧠 메모리 백엔드는 공개/관리자 클라이언트가 같은 테이블 공유
+const memoryClient = useMemory ? createMemoryClient() : null;
+
+// 🔒 서버용 인증 옵션 (여러 사용자의 요청을 처리하므로 세션 저장 / 자동 갱신 안 함)
+const SERVER_AUTH_OPTIONS = {
+  auth: { persistSession: false, autoRefreshToken: false, detectSessionInUrl: false }
+};
+
 // 🔐 공개 클라이언트 (anon key 사용)
-const supabase = createClient(supabaseUrl, supabaseAnonKey);
+const supabase = memoryClient || createClient(supabaseUrl, supabaseAnonKey, SERVER_AUTH_OPTIONS);
 
 // 🔑 관리자 클라이언트 (service key 사용) 
-const supabaseAdmin = createClient(supabaseUrl, supabaseServiceKey);
+const supabaseAdmin = memoryClient || createClient(supabaseUrl, supabaseServiceKey, SERVER_AUTH_OPTIONS);
+
+// 🎫 가입 / 로그인 / 토큰 갱신용 1회용 클라이언트
+// - 로그인한 세션이 공용 클라이언트에 남아 이후 쿼리가 그 사용자로 실행되지 않도록 요청마다 새로 생성
+const createAuthClient = () => memoryClient || createClient(supabaseUrl, supabaseAnonKey, SERVER_AUTH_OPTIONS);
 
 // 🧪 간단한 연결 테스트 함수
 const testConnection = async () => {
   try {
+    if (useMemory) {
+      console.log('✅ 메모리 데이터 백엔드 준비 완료');
+      return true;
+    }
+
     console.log('🔍 Supabase 연결 테스트 시작...');
     
     // URL 검증만으로 기본 테스트
@@ -51,8 +76,18 @@ const testConnection = async () => {
 const getDatabaseInfo = async () => {
   try {
     // 간단한 정보만 반환
+    if (useMemory) {
+      return {
+        connected: true,
+        backend: DATA_BACKEND,
+        timestamp: new Date().toISOString(),
+        status: '메모리 데이터 백엔드 (재시작 시 초기화)'
+      };
+    }
+
     return {
       connected: true,
+      backend: DATA_BACKEND,
       url: supabaseUrl,
       timestamp: new Date().toISOString(),
       status: 'Supabase 클라이언트 초기화 완료'
@@ -70,6 +105,7 @@ const getDatabaseInfo = async () => {
 module.exports = {
   supabase,           // 일반 클라이언트
   supabaseAdmin,      // 관리자 클라이언트
+  createAuthClient,   // 1회용 인증 클라이언트
   testConnection,     // 연결 테스트
   getDatabaseInfo     // DB 정보 조회
 };
\ No newline at end of file
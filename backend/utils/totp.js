@@ -0,0 +1,126 @@
+// ============================================
+// 🔢 TOTP (RFC 6238) / HOTP (RFC 4226) 계산
+// - Google Authenticator 등과 호환: SHA-1, 6자리, 30초
+// - 외부 라이브러리 없이 Node crypto만 사용
+// ============================================
+const crypto = require('crypto');
+
+const TOTP_DIGITS = 6;
+const TOTP_PERIOD_SECONDS = 30;
+const TOTP_ALGORITHM = 'SHA1';
+const SECRET_BYTES = 20;      // 160bit (RFC 4226 권장)
+const VERIFY_WINDOW = 1;      // 앞뒤 1단계(±30초) 시계 오차 허용
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+// 🔤 Base32 인코딩 (패딩 없음, 인증 앱 입력용)
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+};
+
+// 🔤 Base32 디코딩 (공백/소문자/패딩 허용, 잘못된 문자면 null)
+const base32Decode = (input) => {
+  const cleaned = String(input).replace(/[\s=]/g, '').toUpperCase();
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) return null;
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+};
+
+// 🆕 새 비밀키 (Base32)
+const generateSecret = () => base32Encode(crypto.randomBytes(SECRET_BYTES));
+
+// HOTP: HMAC-SHA1(secret, counter) → dynamic truncation → N자리
+const hotp = (secret, counter) => {
+  const counterBuffer = Buffer.alloc(8);
+  counterBuffer.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counterBuffer).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0');
+};
+
+// 현재 시각의 시간 단계 (30초 단위)
+const timeStep = (timestamp = Date.now()) => Math.floor(timestamp / 1000 / TOTP_PERIOD_SECONDS);
+
+// TOTP 코드 (테스트/디버깅용)
+const generateTotp = (secret, timestamp = Date.now()) => hotp(secret, timeStep(timestamp));
+
+// ============================================
+// ✅ TOTP 코드 검증
+// - 일치하면 사용된 시간 단계 반환 (재사용 방지용), 아니면 null
+// - afterStep: 이 단계 이하의 코드는 이미 사용된 것으로 거부
+// ============================================
+const verifyTotp = (secret, code, { timestamp = Date.now(), afterStep = null } = {}) => {
+  const normalized = String(code ?? '').replace(/\s/g, '');
+  if (!new RegExp(`^\\d{${TOTP_DIGITS}}$`).test(normalized)) return null;
+
+  const current = timeStep(timestamp);
+  for (let offset = -VERIFY_WINDOW; offset <= VERIFY_WINDOW; offset++) {
+    const step = current + offset;
+    if (afterStep !== null && step <= afterStep) continue;
+
+    const expected = Buffer.from(hotp(secret, step));
+    if (crypto.timingSafeEqual(expected, Buffer.from(normalized))) {
+      return step;
+    }
+  }
+  return null;
+};
+
+// 📱 인증 앱 등록용 otpauth:// URI (QR 코드로 표시)
+const buildProvisioningUri = ({ secret, accountName, issuer }) => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  // URLSearchParams는 공백을 +로 바꾸는데, 일부 인증 앱은 그대로 표시하므로 %20 사용
+  const params = Object.entries({
+    secret,
+    issuer,
+    algorithm: TOTP_ALGORITHM,
+    digits: TOTP_DIGITS,
+    period: TOTP_PERIOD_SECONDS
+  }).map(([key, value]) => `${key}=${encodeURIComponent(value)}`);
+  return `otpauth://totp/${label}?${params.join('&')}`;
+};
+
+// 내보내기
+module.exports = {
+  TOTP_DIGITS,            // 코드 자릿수
+  TOTP_PERIOD_SECONDS,    // 코드 주기 (초)
+  TOTP_ALGORITHM,         // HMAC 알고리즘
+  base32Encode,           // Base32 인코딩
+  base32Decode,           // Base32 디코딩
+  generateSecret,         // 새 비밀키
+  hotp,                   // HOTP 계산
+  timeStep,               // 시간 단계
+  generateTotp,           // 현재 TOTP 코드
+  verifyTotp,             // TOTP 검증
+  buildProvisioningUri    // otpauth URI
+};
@@ -0,0 +1,335 @@
+// ============================================
+// 🌐 UDDF (Universal Dive Data Format) 변환 유틸리티
+// - UDDF 3.2 기준, 단위는 SI (m, s, K, Pa, m³)
+// ============================================
+const { XMLParser, XMLBuilder } = require('fast-xml-parser');
+const { isValidDate } = require('./diveValidation');
+
+const UDDF_VERSION = '3.2.1';
+
+// 단위 변환
+const kelvinToCelsius = (k) => Math.round((k - 273.15) * 10) / 10;
+const celsiusToKelvin = (c) => Math.round((c + 273.15) * 100) / 100;
+const pascalToBar = (pa) => Math.round(pa / 1000) / 100;
+const barToPascal = (bar) => Math.round(bar * 100000);
+const round1 = (value) => Math.round(value * 10) / 10;
+
+// 반복 가능한 태그는 항상 배열로 파싱
+const ARRAY_TAGS = new Set([
+  'site', 'mix', 'repetitiongroup', 'dive', 'waypoint', 'tankdata', 'para', 'link'
+]);
+
+const parser = new XMLParser({
+  ignoreAttributes: false,
+  attributeNamePrefix: '@_',
+  removeNSPrefix: true,
+  isArray: (name) => ARRAY_TAGS.has(name)
+});
+
+// 텍스트 노드 값 꺼내기 (속성이 있으면 #text)
+const textOf = (node) => {
+  if (node === undefined || node === null) return null;
+  if (typeof node === 'object') return node['#text'] ?? null;
+  return node;
+};
+
+const numberOf = (node) => {
+  const value = textOf(node);
+  if (value === null || value === '') return null;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+};
+
+// <link ref="..."/> 목록에서 ref 값들
+const refsOf = (node) => (node?.link || []).map(link => link['@_ref']).filter(Boolean);
+
+// ============================================
+// 📈 샘플(waypoint)에서 값 계산
+// ============================================
+const summarizeSamples = (samples) => {
+  if (samples.length === 0) return {};
+
+  const depths = samples.map(s => s.depth).filter(d => d !== null);
+  const temperatures = samples.map(s => s.temperature).filter(t => t !== null);
+
+  // 시간 가중 평균 깊이 (사다리꼴 적분)
+  let weightedDepth = 0;
+  for (let i = 1; i < samples.length; i++) {
+    const dt = samples[i].time - samples[i - 1].time;
+    if (dt > 0 && samples[i].depth !== null && samples[i - 1].depth !== null) {
+      weightedDepth += ((samples[i].depth + samples[i - 1].depth) / 2) * dt;
+    }
+  }
+  const totalTime = samples[samples.length - 1].time - samples[0].time;
+
+  return {
+    max_depth: depths.length ? Math.max(...depths) : null,
+    average_depth: totalTime > 0 ? round1(weightedDepth / totalTime) : null,
+    duration_seconds: totalTime > 0 ? totalTime : null,
+    min_temperature: temperatures.length ? Math.min(...temperatures) : null
+  };
+};
+
+// ============================================
+// 📥 UDDF 문자열 → 가져오기 후보 목록
+// - 반환: { generator, candidates: [{ index, label, data, samples, errors }] }
+// ============================================
+const parseUddf = (xml) => {
+  let document;
+  try {
+    document = parser.parse(xml);
+  } catch (error) {
+    const invalid = new Error(`UDDF 파일을 읽을 수 없습니다: ${error.message}`);
+    invalid.status = 400;
+    throw invalid;
+  }
+
+  const uddf = document?.uddf;
+  if (!uddf) {
+    const invalid = new Error('UDDF 문서가 아닙니다. (<uddf> 루트 요소 없음)');
+    invalid.status = 400;
+    throw invalid;
+  }
+
+  // 🏝️ 다이빙 사이트 (id → 정보)
+  const sites = {};
+  (uddf.divesite?.site || []).forEach(site => {
+    const geography = site.geography || {};
+    sites[site['@_id']] = {
+      name: textOf(site.name) || textOf(geography.location),
+      country: textOf(geography.address?.country),
+      latitude: numberOf(geography.latitude),
+      longitude: numberOf(geography.longitude)
+    };
+  });
+
+  // 🫧 기체 정의 (id → 산소/헬륨 비율)
+  const mixes = {};
+  (uddf.gasdefinitions?.mix || []).forEach(mix => {
+    mixes[mix['@_id']] = {
+      name: textOf(mix.name) || mix['@_id'],
+      o2: numberOf(mix.o2) ?? 0.21,
+      he: numberOf(mix.he) ?? 0
+    };
+  });
+
+  const dives = (uddf.profiledata?.repetitiongroup || []).flatMap(group => group.dive || []);
+
+  const candidates = dives.map((dive, index) => {
+    const before = dive.informationbeforedive || {};
+    const after = dive.informationafterdive || {};
+    const errors = [];
+
+    // 사이트 연결 (informationbeforedive의 link 중 사이트 id)
+    const site = refsOf(before).map(ref => sites[ref]).find(Boolean) || {};
+
+    // 샘플 (시간 s, 깊이 m, 온도 °C, 탱크 압력 bar)
+    const samples = (dive.samples?.waypoint || [])
+      .map(point => {
+        const temperature = numberOf(point.temperature);
+        const pressure = numberOf(point.tankpressure);
+        return {
+          time: numberOf(point.divetime),
+          depth: numberOf(point.depth),
+          temperature: temperature !== null ? kelvinToCelsius(temperature) : null,
+          pressure: pressure !== null ? pascalToBar(pressure) : null
+        };
+      })
+      .filter(point => point.time !== null)
+      .sort((a, b) => a.time - b.time);
+    const sampleSummary = summarizeSamples(samples);
+
+    // 탱크/기체
+    const tanks = (dive.tankdata || []).map(tank => {
+      const mix = refsOf(tank).map(ref => mixes[ref]).find(Boolean) || { name: 'air', o2: 0.21, he: 0 };
+      const volume = numberOf(tank.tankvolume);
+      const begin = numberOf(tank.tankpressurebegin);
+      const end = numberOf(tank.tankpressureend);
+      return {
+        gas: mix.name,
+        o2: mix.o2,
+        he: mix.he,
+        volume_liters: volume !== null ? round1(volume * 1000) : null,
+        start_pressure_bar: begin !== null ? pascalToBar(begin) : null,
+        end_pressure_bar: end !== null ? pascalToBar(end) : null
+      };
+    });
+    const firstTank = tanks[0];
+
+    // 날짜
+    const datetime = textOf(before.datetime);
+    const diveDate = datetime ? String(datetime).slice(0, 10) : null;
+    const entryTime = /T\d{2}:\d{2}/.test(String(datetime || '')) ? String(datetime).slice(11, 16) : null;
+    if (datetime && !isValidDate(diveDate)) {
+      errors.push(`날짜 형식을 해석할 수 없습니다: ${datetime}`);
+    }
+
+    const durationSeconds = numberOf(after.diveduration) ?? sampleSummary.duration_seconds;
+    const lowestTemperature = numberOf(after.lowesttemperature);
+    const ratingValue = numberOf(after.rating?.ratingvalue); // UDDF: 1~10
+    const notes = (after.notes?.para || []).map(textOf).filter(Boolean).join('\n');
+
+    const data = {
+      dive_type: 'scuba',
+      location_name: site.name || null,
+      country: site.country || null,
+      coordinates: site.latitude !== null && site.latitude !== undefined &&
+        site.longitude !== null && site.longitude !== undefined
+        ? { lat: site.latitude, lng: site.longitude }
+        : null,
+      dive_date: diveDate,
+      entry_time: entryTime,
+      duration_minutes: durationSeconds ? Math.round(durationSeconds / 60) : null,
+      max_depth: numberOf(after.greatestdepth) ?? sampleSummary.max_depth,
+      average_depth: numberOf(after.averagedepth) ?? sampleSummary.average_depth,
+      water_temperature: lowestTemperature !== null
+        ? kelvinToCelsius(lowestTemperature)
+        : sampleSummary.min_temperature,
+      visibility_meters: numberOf(after.visibility),
+      equipment: tanks.length ? { tanks } : {},
+      air_consumption: firstTank && firstTank.start_pressure_bar !== null && firstTank.end_pressure_bar !== null
+        ? round1(firstTank.start_pressure_bar - firstTank.end_pressure_bar)
+        : null,
+      notes: notes || '',
+      rating: ratingValue ? Math.min(5, Math.max(1, Math.ceil(ratingValue / 2))) : null
+    };
+
+    return {
+      index,
+      label: `UDDF dive ${dive['@_id'] || index + 1}${textOf(before.divenumber) ? ` (#${textOf(before.divenumber)})` : ''}`,
+      data,
+      samples,
+      errors
+    };
+  });
+
+  return {
+    generator: textOf(uddf.generator?.name),
+    candidates
+  };
+};
+
+// ============================================
+// 📤 다이빙 목록 → UDDF 문자열
+// ============================================
+const buildUddf = (dives, { diverName, samplesByDive = {} } = {}) => {
+  // 장소명+좌표가 같은 다이빙은 같은 사이트로 묶음
+  const siteIds = new Map();
+  const sites = [];
+
+  const siteIdFor = (dive) => {
+    const coordinates = dive.coordinates_parsed;
+    const key = `${dive.location_name}|${dive.country || ''}|${coordinates?.lat ?? ''}|${coordinates?.lng ?? ''}`;
+    if (!siteIds.has(key)) {
+      const id = `site_${sites.length + 1}`;
+      siteIds.set(key, id);
+      sites.push({
+        '@_id': id,
+        name: dive.location_name,
+        geography: {
+          location: dive.location_name,
+          ...(dive.country && { address: { country: dive.country } }),
+          ...(coordinates && { latitude: coordinates.lat, longitude: coordinates.lng })
+        }
+      });
+    }
+    return siteIds.get(key);
+  };
+
+  // 탱크 기체는 산소/헬륨 비율별로 하나의 mix로 정의
+  const mixIds = new Map();
+  const mixes = [];
+
+  const mixIdFor = (tank) => {
+    const o2 = Number(tank.o2 ?? 0.21);
+    const he = Number(tank.he ?? 0);
+    const key = `${o2}|${he}`;
+    if (!mixIds.has(key)) {
+      const id = `mix_${mixes.length + 1}`;
+      mixIds.set(key, id);
+      mixes.push({ '@_id': id, name: tank.gas || id, o2, he });
+    }
+    return mixIds.get(key);
+  };
+
+  const diveNodes = dives.map(dive => {
+    const samples = samplesByDive[dive.id] || [];
+    const tanks = dive.tanks || dive.equipment?.tanks || [];
+    return {
+      '@_id': `dive_${dive.id}`,
+      informationbeforedive: {
+        link: [{ '@_ref': siteIdFor(dive) }],
+        datetime: `${String(dive.dive_date).slice(0, 10)}T${dive.entry_time ? String(dive.entry_time).slice(0, 5) : '00:00'}:00`,
+        divenumber: dive.dive_number
+      },
+      ...(tanks.length > 0 && {
+        tankdata: tanks.map(tank => ({
+          link: [{ '@_ref': mixIdFor(tank) }],
+          ...(tank.volume_liters && { tankvolume: tank.volume_liters / 1000 }),
+          ...(tank.start_pressure_bar && { tankpressurebegin: barToPascal(tank.start_pressure_bar) }),
+          ...(tank.end_pressure_bar && { tankpressureend: barToPascal(tank.end_pressure_bar) })
+        }))
+      }),
+      ...(samples.length > 0 && {
+        samples: {
+          waypoint: samples.map(sample => ({
+            divetime: sample.time,
+            depth: sample.depth,
+            ...(sample.temperature !== null && sample.temperature !== undefined && {
+              temperature: celsiusToKelvin(sample.temperature)
+            }),
+            ...(sample.pressure !== null && sample.pressure !== undefined && {
+              tankpressure: barToPascal(sample.pressure)
+            })
+          }))
+        }
+      }),
+      informationafterdive: {
+        greatestdepth: dive.max_depth,
+        ...(dive.average_depth && { averagedepth: dive.average_depth }),
+        ...(dive.duration_minutes && { diveduration: dive.duration_minutes * 60 }),
+        ...(dive.water_temperature !== null && dive.water_temperature !== undefined && {
+          lowesttemperature: celsiusToKelvin(Number(dive.water_temperature))
+        }),
+        ...(dive.visibility_meters && { visibility: dive.visibility_meters }),
+        ...(dive.rating && { rating: { ratingvalue: Math.min(10, dive.rating * 2) } }),
+        ...(dive.notes && { notes: { para: [dive.notes] } })
+      }
+    };
+  });
+
+  const document = {
+    '?xml': { '@_version': '1.0', '@_encoding': 'UTF-8' },
+    uddf: {
+      '@_xmlns': 'http://www.streit.cc/uddf/3.2/',
+      '@_version': UDDF_VERSION,
+      generator: {
+        name: 'Diving Social API',
+        type: 'logbook',
+        datetime: new Date().toISOString()
+      },
+      ...(diverName && { diver: { owner: { '@_id': 'owner', personal: { firstname: diverName } } } }),
+      ...(mixes.length > 0 && { gasdefinitions: { mix: mixes } }),
+      divesite: { site: sites },
+      profiledata: {
+        repetitiongroup: [{ '@_id': 'rg_1', dive: diveNodes }]
+      }
+    }
+  };
+
+  const builder = new XMLBuilder({
+    ignoreAttributes: false,
+    attributeNamePrefix: '@_',
+    format: true,
+    suppressEmptyNode: true
+  });
+
+  return builder.build(document);
+};
+
+// 내보내기
+module.exports = {
+  UDDF_VERSION,   // 내보내기 버전
+  parseUddf,      // UDDF → 다이빙 후보
+  buildUddf       // 다이빙 → UDDF
+};